@@ -1,11 +1,114 @@
 // scripts/migrate.js
 require('dotenv').config();
 const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+const WebhookEndpoint = require('../src/models/WebhookEndpoint');
+const { encrypt, decrypt, needsReencryption } = require('../src/utils/crypto');
+
+const SOCIAL_PLATFORMS = ['youtube', 'twitter', 'instagram', 'facebook', 'linkedin'];
+
+// Encrypt plaintext social tokens and re-encrypt those using a retired key.
+// Safe to run repeatedly; rerun after adding a new key to TOKEN_ENCRYPTION_KEYS.
+async function encryptSocialTokens() {
+  // Raw documents, so the schema setters and getters stay out of the way
+  const cursor = User.collection.find(
+    { socialAccounts: { $exists: true } },
+    { projection: { socialAccounts: 1 } }
+  );
+
+  const reencrypt = (value) => encrypt(decrypt(value));
+  let updatedUsers = 0;
+
+  for await (const user of cursor) {
+    const update = {};
+
+    for (const platform of SOCIAL_PLATFORMS) {
+      const account = user.socialAccounts?.[platform];
+      if (!account) continue;
+
+      for (const field of ['accessToken', 'refreshToken']) {
+        if (needsReencryption(account[field])) {
+          update[`socialAccounts.${platform}.${field}`] = reencrypt(account[field]);
+        }
+      }
+
+      if (Array.isArray(account.pages) && account.pages.some(page => needsReencryption(page.accessToken))) {
+        update[`socialAccounts.${platform}.pages`] = account.pages.map(page => (
+          needsReencryption(page.accessToken) ? { ...page, accessToken: reencrypt(page.accessToken) } : page
+        ));
+      }
+    }
+
+    if (Object.keys(update).length > 0) {
+      await User.collection.updateOne({ _id: user._id }, { $set: update });
+      updatedUsers++;
+    }
+  }
+
+  console.log(`encryptSocialTokens: updated ${updatedUsers} user(s)`);
+}
+
+// Re-encrypt webhook signing secrets still using a retired key
+async function reencryptWebhookSecrets() {
+  const cursor = WebhookEndpoint.collection.find({}, { projection: { secret: 1 } });
+  let updated = 0;
+
+  for await (const endpoint of cursor) {
+    if (needsReencryption(endpoint.secret)) {
+      await WebhookEndpoint.collection.updateOne({ _id: endpoint._id }, { $set: { secret: encrypt(decrypt(endpoint.secret)) } });
+      updated++;
+    }
+  }
+
+  console.log(`reencryptWebhookSecrets: updated ${updated} endpoint(s)`);
+}
+
+// Re-encrypt two-factor secrets still using a retired key
+async function reencryptTwoFactorSecrets() {
+  const cursor = User.collection.find(
+    { $or: [{ 'twoFactor.secret': { $exists: true } }, { 'twoFactor.pending_secret': { $exists: true } }] },
+    { projection: { twoFactor: 1 } }
+  );
+  let updated = 0;
+
+  for await (const user of cursor) {
+    const update = {};
+    for (const field of ['secret', 'pending_secret']) {
+      if (needsReencryption(user.twoFactor[field])) {
+        update[`twoFactor.${field}`] = encrypt(decrypt(user.twoFactor[field]));
+      }
+    }
+    if (Object.keys(update).length > 0) {
+      await User.collection.updateOne({ _id: user._id }, { $set: update });
+      updated++;
+    }
+  }
+
+  console.log(`reencryptTwoFactorSecrets: updated ${updated} user(s)`);
+}
+
+// Drop the unused refresh token list; sessions now live in their own collection
+async function dropUserRefreshTokens() {
+  const result = await User.collection.updateMany(
+    { refreshTokens: { $exists: true } },
+    { $unset: { refreshTokens: 1 } }
+  );
+  console.log(`dropUserRefreshTokens: updated ${result.modifiedCount} user(s)`);
+}
+
+const migrations = [encryptSocialTokens, reencryptWebhookSecrets, reencryptTwoFactorSecrets, dropUserRefreshTokens];
 
 (async () => {
   await connectDB();
-  console.log('No migrations to run (using Mongoose schemas).');
-  process.exit(0);
-})();
 
+  try {
+    for (const migration of migrations) {
+      await migration();
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
 
+  process.exit(0);
+})();
@@ -21,8 +21,21 @@ const aiRoutes = require("./routes/ai.routes");
 const twitterRoutes = require("./routes/twitter.routes");
 const googleRoutes = require("./routes/google.routes");
 const linkedinRoutes = require("./routes/linkedin.routes");
+const facebookRoutes = require("./routes/facebook.routes");
+const instagramRoutes = require("./routes/instagram.routes");
 const youtubeRoutes = require("./routes/youtube.routes");
 const postRoutes = require("./routes/post.routes");
+const postGroupRoutes = require("./routes/postGroup.routes");
+const digestRoutes = require("./routes/digest.routes");
+const deliverableRoutes = require("./routes/deliverable.routes");
+const paymentRoutes = require("./routes/payment.routes");
+const invoiceRoutes = require("./routes/invoice.routes");
+const conversationRoutes = require("./routes/conversation.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const webhookRoutes = require("./routes/webhook.routes");
+const apiKeyRoutes = require("./routes/apiKey.routes");
+const workspaceRoutes = require("./routes/workspace.routes");
+const mediaRoutes = require("./routes/media.routes");
 
 const app = express();
 
@@ -63,8 +76,21 @@ app.use("/api/ai", aiRoutes);
 app.use("/api/twitter", twitterRoutes);
 app.use("/api/google", googleRoutes);
 app.use("/api/linkedin", linkedinRoutes);
+app.use("/api/facebook", facebookRoutes);
+app.use("/api/instagram", instagramRoutes);
 app.use("/api/youtube", youtubeRoutes);
 app.use("/api/posts", postRoutes);
+app.use("/api/post-groups", postGroupRoutes);
+app.use("/api/digests", digestRoutes);
+app.use("/api/deliverables", deliverableRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/workspaces", workspaceRoutes);
+app.use("/api/media", mediaRoutes);
 const aiProviderRoutes = require('./routes/aiProvider.routes');
 app.use("/api/admin/ai-providers", aiProviderRoutes);
 const healthRoutes = require("./routes/health.routes");
@@ -29,13 +29,17 @@ const config = {
   // Social Media API Keys
   INSTAGRAM_CLIENT_ID: process.env.INSTAGRAM_CLIENT_ID,
   INSTAGRAM_CLIENT_SECRET: process.env.INSTAGRAM_CLIENT_SECRET,
+  // App-owned business account used for business discovery (competitor profiles)
+  INSTAGRAM_BUSINESS_ACCOUNT_ID: process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID,
+  INSTAGRAM_ACCESS_TOKEN: process.env.INSTAGRAM_ACCESS_TOKEN,
   FACEBOOK_APP_ID: process.env.FACEBOOK_APP_ID,
   FACEBOOK_APP_SECRET: process.env.FACEBOOK_APP_SECRET,
+  FACEBOOK_SCOPES: process.env.FACEBOOK_SCOPES || 'public_profile,pages_show_list,pages_read_engagement,pages_manage_posts,instagram_basic,instagram_content_publish',
   TWITTER_CLIENT_ID: process.env.TWITTER_CLIENT_ID,
   TWITTER_CLIENT_SECRET: process.env.TWITTER_CLIENT_SECRET,
   LINKEDIN_CLIENT_ID: process.env.LINKEDIN_CLIENT_ID,
   LINKEDIN_CLIENT_SECRET: process.env.LINKEDIN_CLIENT_SECRET,
-  LINKEDIN_SCOPES: process.env.LINKEDIN_SCOPES || 'r_liteprofile,r_emailaddress',
+  LINKEDIN_SCOPES: process.env.LINKEDIN_SCOPES || 'r_liteprofile,r_emailaddress,w_member_social',
   
   // Google OAuth
   GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
@@ -54,6 +58,8 @@ const config = {
   // File Upload Configuration
   MAX_FILE_SIZE: process.env.MAX_FILE_SIZE || '10MB',
   UPLOAD_PATH: process.env.UPLOAD_PATH || './uploads',
+  // Publicly reachable origin of this API; platforms such as Instagram fetch media from here
+  PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}`,
   
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: process.env.RATE_LIMIT_WINDOW_MS || 900000, // 15 minutes
@@ -78,6 +84,45 @@ const config = {
   // Analytics
   ANALYTICS_SYNC_INTERVAL: process.env.ANALYTICS_SYNC_INTERVAL || '3600000', // 1 hour
   CLEANUP_INTERVAL: process.env.CLEANUP_INTERVAL || '86400000', // 24 hours
+
+  // Scheduled post dispatcher
+  SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+  POST_DISPATCH_BATCH_SIZE: parseInt(process.env.POST_DISPATCH_BATCH_SIZE, 10) || 10,
+  POST_DISPATCH_LOCK_TIMEOUT_MS: parseInt(process.env.POST_DISPATCH_LOCK_TIMEOUT_MS, 10) || 900000, // 15 minutes
+
+  // Analytics sync
+  ANALYTICS_SYNC_BATCH_SIZE: parseInt(process.env.ANALYTICS_SYNC_BATCH_SIZE, 10) || 200,
+  ANALYTICS_SYNC_MAX_AGE_DAYS: parseInt(process.env.ANALYTICS_SYNC_MAX_AGE_DAYS, 10) || 30,
+
+  // Analytics report exports
+  REPORT_EXPORT_PATH: process.env.REPORT_EXPORT_PATH || './exports',
+  REPORT_SYNC_MAX_ROWS: parseInt(process.env.REPORT_SYNC_MAX_ROWS, 10) || 1000, // Larger reports run as jobs
+  REPORT_EXPORT_MAX_ROWS: parseInt(process.env.REPORT_EXPORT_MAX_ROWS, 10) || 50000,
+  REPORT_EXPORT_TTL_HOURS: parseInt(process.env.REPORT_EXPORT_TTL_HOURS, 10) || 24,
+
+  // Email digests: local hour (0-23) at which digests go out
+  DIGEST_SEND_HOUR: parseInt(process.env.DIGEST_SEND_HOUR || '9', 10),
+
+  // Payments: gateway adapter (services/payments/gateways) and how long a gateway call may stay in flight.
+  // Production has no default; escrow stays off until a real adapter is configured
+  PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'production' ? undefined : 'fake'),
+  PAYMENT_LOCK_TIMEOUT_MS: parseInt(process.env.PAYMENT_LOCK_TIMEOUT_MS, 10) || 900000, // 15 minutes
+
+  // Invoices: GST rate in percent, charged on invoices of GST-registered creators
+  GST_RATE: parseFloat(process.env.GST_RATE || '18'),
+
+  // Webhooks: request timeout, attempts per delivery, and consecutive failed attempts before an endpoint is disabled
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  WEBHOOK_DISABLE_AFTER_FAILURES: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20,
+  // Let endpoints point at localhost and private networks; ignored in production
+  WEBHOOK_ALLOW_PRIVATE_HOSTS: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
+
+  // Social token encryption: "<id>:<32-byte key>" pairs, newest first
+  TOKEN_ENCRYPTION_KEYS: process.env.TOKEN_ENCRYPTION_KEYS,
+
+  // Social token refresh
+  TOKEN_REFRESH_WINDOW_MS: parseInt(process.env.TOKEN_REFRESH_WINDOW_MS, 10) || 1800000, // 30 minutes
 };
 
 // ✅ Validate required environment variables
@@ -96,6 +141,18 @@ if (missingEnvVars.length > 0) {
   process.exit(1); // Always exit if critical env vars are missing
 }
 
+// ✅ Social tokens must not fall back to the development key in production
+if (config.NODE_ENV === 'production' && !config.TOKEN_ENCRYPTION_KEYS) {
+  console.error('❌ Missing required environment variable: TOKEN_ENCRYPTION_KEYS');
+  process.exit(1);
+}
+
+// ✅ The in-memory fake gateway holds no real money and loses its holds on restart
+if (config.NODE_ENV === 'production' && config.PAYMENT_GATEWAY === 'fake') {
+  console.error('❌ PAYMENT_GATEWAY=fake is not allowed in production');
+  process.exit(1);
+}
+
 // ✅ Validate PORT is within valid range
 if (config.PORT < 0 || config.PORT > 65535) {
   console.error('❌ Invalid PORT value:', config.PORT, '- must be between 0 and 65535');
@@ -4,6 +4,7 @@ const redis = require('redis');
 class RedisClient {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isConnected = false;
   }
 
@@ -86,6 +87,20 @@ class RedisClient {
     }
   }
 
+  // Increment a counter, setting its expiry when given. Returns null without Redis.
+  async incrBy(key, increment = 1, expireInSeconds = null) {
+    if (!this.isConnected) return null;
+    try {
+      const multi = this.client.multi().incrBy(key, increment);
+      if (expireInSeconds) multi.expire(key, expireInSeconds);
+      const [value] = await multi.exec();
+      return Number(value);
+    } catch (err) {
+      console.log('Redis INCRBY error:', err.message);
+      return null;
+    }
+  }
+
   async exists(key) {
     if (!this.isConnected) return false;
     try {
@@ -96,9 +111,41 @@ class RedisClient {
     }
   }
 
+  async publish(channel, message) {
+    if (!this.isConnected) return false;
+    try {
+      await this.client.publish(channel, message);
+      return true;
+    } catch (err) {
+      console.log('Redis PUBLISH error:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to a pub/sub channel on a dedicated connection (a subscribed
+   * connection cannot run other commands). Returns false without Redis.
+   */
+  async subscribe(channel, listener) {
+    if (!this.isConnected) return false;
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => console.log('Redis subscriber error:', err.message));
+        await this.subscriber.connect();
+      }
+      await this.subscriber.subscribe(channel, listener);
+      return true;
+    } catch (err) {
+      console.log('Redis SUBSCRIBE error:', err.message);
+      return false;
+    }
+  }
+
   async disconnect() {
     if (this.client && this.isConnected) {
       try {
+        if (this.subscriber) await this.subscriber.quit();
         await this.client.quit();
         this.isConnected = false;
         console.log('ℹ️ Redis client disconnected manually');
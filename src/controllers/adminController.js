@@ -4,7 +4,10 @@ const Campaign = require('../models/Campaign');
 const Bid = require('../models/Bid');
 const Analytics = require('../models/Analytics');
 const logger = require('../utils/logger');
-const { HTTP_STATUS } = require('../utils/constants');
+const audit = require('../services/audit');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { HTTP_STATUS, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 const dashboardStats = asyncHandler(async (req, res) => {
@@ -37,6 +40,11 @@ const toggleUserActive = asyncHandler(async (req, res) => {
   if (!user) return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'User not found' });
   user.isActive = !user.isActive;
   await user.save();
+  await audit.record(req, user.isActive ? AUDIT_ACTIONS.USER_ACTIVATED : AUDIT_ACTIONS.USER_DEACTIVATED, {
+    target: { type: AUDIT_TARGETS.USER, id: user._id },
+    before: { isActive: !user.isActive },
+    after: { isActive: user.isActive }
+  });
   res.json({ success: true, data: { user } });
 });
 
@@ -45,9 +53,65 @@ const listCampaigns = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { campaigns } });
 });
 
+/**
+ * Search the audit log by actor, action, target and time range
+ */
 const getLogs = asyncHandler(async (req, res) => {
-  // In real systems, stream or read from log storage
-  res.json({ success: true, data: { message: 'Logs endpoint placeholder' } });
+  const { actor_id, action, target_type, target_id, from, to, page, limit } = req.query;
+
+  const filter = {};
+  if (actor_id) filter.actor_id = actor_id;
+  if (action) filter.action = action;
+  if (target_type) filter.target_type = target_type;
+  if (target_id) filter.target_id = target_id;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const { entries, pagination } = await audit.list(filter, { page, limit });
+  res.json({ success: true, data: { logs: entries, pagination } });
+});
+
+const getSecuritySettings = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { two_factor_required_roles: await twoFactor.getRequiredRoles() }
+  });
+});
+
+/**
+ * Choose the roles that must use two-factor authentication. Users of a newly
+ * covered role without it are signed out and set it up at their next login.
+ */
+const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const roles = req.body.two_factor_required_roles;
+
+  if (roles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Enable two-factor authentication on your own account first'
+    });
+  }
+
+  const previous = await twoFactor.getRequiredRoles();
+  await twoFactor.setRequiredRoles(roles, req.userId);
+
+  const added = roles.filter(role => !previous.includes(role));
+  let signedOut = 0;
+  if (added.length > 0) {
+    const users = await User.find({ role: { $in: added }, 'twoFactor.enabled': { $ne: true } }).select('_id');
+    for (const user of users) {
+      signedOut += await sessions.revokeAll(user._id, 'two_factor_required');
+    }
+  }
+
+  logger.info('Security settings updated', { adminId: req.userId, twoFactorRequiredRoles: roles, signedOut });
+  res.json({
+    success: true,
+    data: { two_factor_required_roles: roles, sessions_revoked: signedOut }
+  });
 });
 
 module.exports = {
@@ -55,7 +119,9 @@ module.exports = {
   listUsers,
   toggleUserActive,
   listCampaigns,
-  getLogs
+  getLogs,
+  getSecuritySettings,
+  updateSecuritySettings
 };
 
 
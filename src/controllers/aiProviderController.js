@@ -1,6 +1,7 @@
 // src/controllers/aiProviderController.js
 const aiClient = require('../services/aiClient');
-const { HTTP_STATUS, SUCCESS_MESSAGES } = require('../utils/constants');
+const audit = require('../services/audit');
+const { HTTP_STATUS, SUCCESS_MESSAGES, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 
@@ -79,6 +80,11 @@ const switchPrimaryProvider = asyncHandler(async (req, res) => {
       newProvider: response.new_provider,
       model: response.model
     });
+    await audit.record(req, AUDIT_ACTIONS.AI_PROVIDER_SWITCHED, {
+      target: { type: AUDIT_TARGETS.AI_PROVIDER, id: 'primary' },
+      before: { provider: response.old_provider },
+      after: { provider: response.new_provider, model: response.model }
+    });
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
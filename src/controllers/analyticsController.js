@@ -1,6 +1,10 @@
 // src/controllers/analyticsController.js
+const mongoose = require('mongoose');
 const Analytics = require('../models/Analytics');
-const { HTTP_STATUS } = require('../utils/constants');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const Post = require('../models/Post');
+const workspaces = require('../services/workspaces');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 // Create analytics record (admin/system)
@@ -32,11 +36,90 @@ const getPlatformStats = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { stats: stats?.[0] || {} } });
 });
 
+const SERIES_METRICS = ['likes', 'comments', 'shares', 'views', 'engagement_rate', 'followers', 'posts'];
+const DEFAULT_SERIES_DAYS = 30;
+
+// Resolve the series window, defaulting to the last 30 days
+const getSeriesRange = ({ from, to }) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_SERIES_DAYS * 24 * 60 * 60 * 1000);
+  return { from: start, to: end };
+};
+
+// Add the change since the previous bucket to each point
+const withChanges = (series) => series.map((point, index) => {
+  const previous = series[index - 1];
+  const change = {};
+  for (const metric of SERIES_METRICS) {
+    if (point[metric] === undefined || point[metric] === null) continue;
+    change[metric] = previous && typeof previous[metric] === 'number'
+      ? Math.round((point[metric] - previous[metric]) * 100) / 100
+      : null;
+  }
+  return { ...point, change };
+});
+
+// Get the growth series of one post
+const getPostSeries = asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.postId).select('author workspace_id platform');
+  if (!post) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post not found' });
+  }
+
+  if (!await workspaces.canAccessPost(req.user, post)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.ACCESS_DENIED
+    });
+  }
+
+  const { interval, timezone } = req.query;
+  const { from, to } = getSeriesRange(req.query);
+  const series = await AnalyticsSnapshot.getSeries(
+    { 'meta.scope': 'post', 'meta.post_id': post._id },
+    { interval, from, to, timezone }
+  );
+
+  res.json({
+    success: true,
+    data: { post_id: post._id, platform: post.platform, interval, from, to, timezone, series: withChanges(series) }
+  });
+});
+
+// Get the growth series of a connected account; admins, and members acting in
+// a workspace for its owner's accounts, may pass ?userId
+const getAccountSeries = asyncHandler(async (req, res) => {
+  const { platform } = req.params;
+  const { interval, timezone, userId } = req.query;
+
+  const ownsWorkspace = req.workspace && userId === req.workspace.owner_id.toString();
+  if (userId && userId !== req.userId.toString() && req.user.role !== 'admin' && !ownsWorkspace) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.ACCESS_DENIED
+    });
+  }
+
+  const ownerId = userId ? new mongoose.Types.ObjectId(userId) : req.userId;
+  const { from, to } = getSeriesRange(req.query);
+  const series = await AnalyticsSnapshot.getSeries(
+    { 'meta.scope': 'account', 'meta.user_id': ownerId, 'meta.platform': platform },
+    { interval, from, to, timezone }
+  );
+
+  res.json({
+    success: true,
+    data: { user_id: ownerId, platform, interval, from, to, timezone, series: withChanges(series) }
+  });
+});
+
 module.exports = {
   createAnalytics,
   getUserAnalytics,
   getTopPerforming,
-  getPlatformStats
+  getPlatformStats,
+  getPostSeries,
+  getAccountSeries
 };
 
 
@@ -0,0 +1,146 @@
+// src/controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+const apiKeys = require('../services/apiKeys');
+const { HTTP_STATUS, API_KEY_SCOPES } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const MAX_ACTIVE_KEYS = 20;
+
+/**
+ * Load an API key of the current user
+ * @returns {Object|null} ApiKey, or null after answering 404
+ */
+const loadKey = async (req, res) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user_id: req.userId });
+  if (!apiKey) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'API key not found' });
+    return null;
+  }
+  return apiKey;
+};
+
+const revoked = (res) => res.status(HTTP_STATUS.CONFLICT).json({
+  success: false,
+  message: 'API key is revoked or expired'
+});
+
+/**
+ * Scopes keys can be granted
+ */
+const getScopes = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: { scopes: Object.values(API_KEY_SCOPES) } });
+});
+
+/**
+ * List the current user's keys, including revoked ones
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const keys = await ApiKey.find({ user_id: req.userId }).sort({ createdAt: -1 });
+  res.json({ success: true, data: { api_keys: keys } });
+});
+
+/**
+ * Create a key. The key is only returned in this response.
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expires_in_days } = req.body;
+
+  const active = await ApiKey.countDocuments({
+    user_id: req.userId,
+    revoked_at: null,
+    $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }]
+  });
+  if (active >= MAX_ACTIVE_KEYS) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `At most ${MAX_ACTIVE_KEYS} active API keys are allowed; revoke one first`
+    });
+  }
+
+  const { key, prefix, key_hash } = apiKeys.generate();
+  const apiKey = await ApiKey.create({
+    user_id: req.userId,
+    name,
+    scopes,
+    prefix,
+    key_hash,
+    expires_at: expires_in_days ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  logger.info('API key created', { apiKeyId: apiKey._id, userId: req.userId, scopes });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'API key created. Store it now; it is not shown again.',
+    data: { api_key: apiKey, key }
+  });
+});
+
+/**
+ * Rename a key or change its scopes
+ */
+const updateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await loadKey(req, res);
+  if (!apiKey) return;
+  if (!apiKey.isActive) return revoked(res);
+
+  const { name, scopes } = req.body;
+  if (name !== undefined) apiKey.name = name;
+  if (scopes !== undefined) apiKey.scopes = scopes;
+  await apiKey.save();
+
+  logger.info('API key updated', { apiKeyId: apiKey._id, scopes: apiKey.scopes });
+  res.json({ success: true, data: { api_key: apiKey } });
+});
+
+/**
+ * Replace the key's secret, keeping its name and scopes. The old key stops
+ * working immediately.
+ */
+const rotateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await loadKey(req, res);
+  if (!apiKey) return;
+  if (!apiKey.isActive) return revoked(res);
+
+  const { key, prefix, key_hash } = apiKeys.generate();
+  apiKey.prefix = prefix;
+  apiKey.key_hash = key_hash;
+  apiKey.rotated_at = new Date();
+  apiKey.last_used_at = undefined;
+  apiKey.last_used_ip = undefined;
+  await apiKey.save();
+
+  logger.info('API key rotated', { apiKeyId: apiKey._id });
+
+  res.json({
+    success: true,
+    message: 'API key rotated. Store the new key now; it is not shown again.',
+    data: { api_key: apiKey, key }
+  });
+});
+
+/**
+ * Revoke a key; it is kept in the list for reference
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await loadKey(req, res);
+  if (!apiKey) return;
+
+  if (!apiKey.revoked_at) {
+    apiKey.revoked_at = new Date();
+    await apiKey.save();
+    logger.info('API key revoked', { apiKeyId: apiKey._id });
+  }
+
+  res.json({ success: true, message: 'API key revoked', data: { api_key: apiKey } });
+});
+
+module.exports = {
+  getScopes,
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
@@ -1,9 +1,14 @@
 // src/controllers/authController.js
 const User = require('../models/User');
+const Session = require('../models/Session');
 const dns = require('dns').promises;
 const jwtManager = require('../utils/jwt');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const identities = require('../services/identities');
+const audit = require('../services/audit');
 const logger = require('../utils/logger');
-const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../utils/constants');
+const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 /**
@@ -97,6 +102,11 @@ const login = asyncHandler(async (req, res) => {
 
   // Check if user is active
   if (!user.isActive) {
+    await audit.record(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: null,
+      target: { type: AUDIT_TARGETS.USER, id: user._id },
+      metadata: { reason: 'deactivated' }
+    });
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
       success: false,
       message: 'Account is deactivated'
@@ -106,23 +116,59 @@ const login = asyncHandler(async (req, res) => {
   // Verify password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    await audit.record(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: null,
+      target: { type: AUDIT_TARGETS.USER, id: user._id },
+      metadata: { reason: 'wrong_password' }
+    });
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
       success: false,
       message: ERROR_MESSAGES.INVALID_CREDENTIALS
     });
   }
 
-  // Generate tokens
-  const tokenPair = jwtManager.generateTokenPair({
-    id: user._id,
-    email: user.email,
-    role: user.role
-  });
+  await continueLogin(req, res, user);
+});
+
+/**
+ * Next step for a user who proved who they are: the two-factor step when the
+ * account has or needs it, otherwise a new session
+ */
+const continueLogin = async (req, res, user) => {
+  // Accounts with two-factor authentication finish signing in at /2fa/verify
+  const challenge = await twoFactor.getChallenge(user);
+  if (challenge) {
+    logger.info('Login awaiting two-factor authentication', { userId: user._id, step: challenge.twoFactor });
+    return res.json({
+      success: true,
+      message: challenge.twoFactor === 'verify'
+        ? 'Enter the code from your authenticator app'
+        : 'Set up two-factor authentication to continue',
+      data: challenge
+    });
+  }
+
+  await signIn(req, res, user);
+};
+
+/**
+ * Start a session for a user who passed every login step and answer with
+ * the user and tokens
+ */
+const signIn = async (req, res, user, extra = {}) => {
+  // Start a session for this device
+  const { session, tokens: tokenPair } = await sessions.start(user, req);
 
   // Update last login
   user.lastLogin = new Date();
   await user.save();
 
+  await audit.record(req, AUDIT_ACTIONS.LOGIN, {
+    actor: user,
+    target: { type: AUDIT_TARGETS.USER, id: user._id },
+    metadata: { session_id: session._id }
+  });
+
   logger.info('User logged in successfully', { userId: user._id, email: user.email });
 
   res.json({
@@ -139,10 +185,11 @@ const login = asyncHandler(async (req, res) => {
         isVerified: user.isVerified,
         lastLogin: user.lastLogin
       },
-      tokens: tokenPair
+      tokens: tokenPair,
+      ...extra
     }
   });
-});
+};
 
 /**
  * Get current user profile
@@ -160,7 +207,7 @@ const getProfile = asyncHandler(async (req, res) => {
  * Update user profile
  */
 const updateProfile = asyncHandler(async (req, res) => {
-  const { name, profile } = req.body;
+  const { name, profile, timezone, billing } = req.body;
   const userId = req.userId;
 
   const user = await User.findById(userId);
@@ -173,6 +220,8 @@ const updateProfile = asyncHandler(async (req, res) => {
 
   // Update fields
   if (name) user.name = name;
+  if (timezone) user.timezone = timezone;
+  if (billing) Object.assign(user.billing, billing);
   if (profile) {
     if (profile.bio !== undefined) user.profile.bio = profile.bio;
     if (profile.avatar_url !== undefined) user.profile.avatar_url = profile.avatar_url;
@@ -220,6 +269,11 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out the other devices; this one stays signed in
+  await sessions.revokeAll(userId, 'password_changed', req.auth?.sessionId);
+
+  await audit.record(req, AUDIT_ACTIONS.PASSWORD_CHANGED, { target: { type: AUDIT_TARGETS.USER, id: userId } });
+
   logger.info('Password changed successfully', { userId });
 
   res.json({
@@ -244,8 +298,20 @@ const requestPasswordReset = asyncHandler(async (req, res) => {
     });
   }
 
+  // Asked from a Google link confirmation, e.g. by an account created by the
+  // earlier Google sign-in, which has a random password: the reset also links Google
+  let identity;
+  if (req.body.linkToken) {
+    try {
+      const { provider, subject, email: identityEmail, userId } = jwtManager.verifyIdentityToken(req.body.linkToken, 'link');
+      if (user._id.equals(userId)) identity = { provider, subject, email: identityEmail };
+    } catch (error) {
+      // An expired link still gets a plain reset
+    }
+  }
+
   // Generate password reset token
-  const resetToken = jwtManager.generatePasswordResetToken(user._id);
+  const resetToken = jwtManager.generatePasswordResetToken(user._id, identity);
 
   // Send email with reset token
   const resetUrl = `${process.env.CORS_ORIGIN || 'http://localhost:3000'}/reset-password/${resetToken}`;
@@ -279,8 +345,19 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  await sessions.revokeAll(userId, 'password_changed');
+
+  await audit.record(req, AUDIT_ACTIONS.PASSWORD_RESET, { target: { type: AUDIT_TARGETS.USER, id: userId } });
+
   logger.info('Password reset successfully', { userId });
 
+  // The reset was asked while confirming a Google link
+  if (req.resetIdentity) {
+    const { provider, subject } = req.resetIdentity;
+    const linked = !(await identities.findUser(provider, subject)) && await identities.link(userId, req.resetIdentity);
+    if (!linked) logger.warn('Sign-in provider not linked after password reset', { userId, provider });
+  }
+
   res.json({
     success: true,
     message: SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESS
@@ -291,9 +368,13 @@ const resetPassword = asyncHandler(async (req, res) => {
  * Logout user
  */
 const logout = asyncHandler(async (req, res) => {
-  // In a more sophisticated implementation, you might want to blacklist the token
-  // For now, we'll just return success
-  logger.info('User logged out', { userId: req.userId });
+  if (req.auth?.sessionId) {
+    await sessions.revoke({ _id: req.auth.sessionId }, 'logout');
+  }
+  res.clearCookie('accessToken');
+  res.clearCookie('refreshToken');
+
+  logger.info('User logged out', { userId: req.userId, sessionId: req.auth?.sessionId });
 
   res.json({
     success: true,
@@ -318,6 +399,13 @@ const deleteAccount = asyncHandler(async (req, res) => {
   // Soft delete - deactivate account
   user.isActive = false;
   await user.save();
+  await sessions.revokeAll(userId, 'account_deleted');
+  await audit.record(req, AUDIT_ACTIONS.USER_DEACTIVATED, {
+    target: { type: AUDIT_TARGETS.USER, id: userId },
+    before: { isActive: true },
+    after: { isActive: false },
+    metadata: { reason: 'account_deleted' }
+  });
 
   logger.info('User account deleted', { userId });
 
@@ -327,6 +415,409 @@ const deleteAccount = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Devices the current user is signed in on, most recently used first
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const active = await Session.find({
+    user_id: req.userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }).sort({ last_seen_at: -1 });
+
+  const current = req.auth?.sessionId;
+  res.json({
+    success: true,
+    data: {
+      sessions: active.map(session => ({
+        id: session._id,
+        user_agent: session.user_agent,
+        ip: session.ip,
+        created_at: session.createdAt,
+        last_seen_at: session.last_seen_at,
+        expires_at: session.expires_at,
+        current: session._id.toString() === current
+      }))
+    }
+  });
+});
+
+/**
+ * Sign out one device
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user_id: req.userId });
+  if (!session) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Session not found' });
+  }
+
+  await sessions.revoke(session, 'signed_out');
+  res.json({ success: true, message: 'Device signed out' });
+});
+
+/**
+ * Sign out every device, optionally keeping the current one signed in
+ */
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keep = req.query.keep_current === true ? req.auth?.sessionId : undefined;
+  const count = await sessions.revokeAll(req.userId, 'signed_out_everywhere', keep);
+
+  res.json({ success: true, message: 'Signed out everywhere', data: { revoked: count } });
+});
+
+/**
+ * Audit log entries about the current user's account, newest first. Where
+ * someone else acted (e.g. an admin), only their role is shown.
+ */
+const getActivity = asyncHandler(async (req, res) => {
+  const { action, page, limit } = req.query;
+  const filter = audit.activityFilter(req.userId);
+  if (action) filter.action = action;
+
+  const { entries, pagination } = await audit.list(filter, { page, limit });
+  const activity = entries.map(({ actor_id: actor, ip, user_agent, ...entry }) => {
+    const own = !actor || actor._id.toString() === req.userId.toString();
+    return own ? { ...entry, ip, user_agent, by_you: Boolean(actor) } : { ...entry, by_you: false };
+  });
+
+  res.json({ success: true, data: { activity, pagination } });
+});
+
+/**
+ * Run a code check, counting failures per user and refusing while locked
+ * @param {Function} check - Returns the check's result, or null for a wrong code
+ * @returns {*} Result of the check, or null after answering
+ */
+const checkCode = async (res, user, check, status) => {
+  if (await twoFactor.isLocked(user._id)) {
+    res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+      success: false,
+      message: 'Too many invalid codes; try again later'
+    });
+    return null;
+  }
+
+  const result = await check();
+  if (result === null) {
+    await twoFactor.recordFailure(user._id);
+    res.status(status).json({ success: false, message: 'Invalid code' });
+    return null;
+  }
+  await twoFactor.clearFailures(user._id);
+  return result;
+};
+
+/**
+ * Check an authenticator or recovery code, counting failures per user
+ * @returns {string|null} Accepted method, or null after answering
+ */
+const requireSecondFactor = (res, user, input, status = HTTP_STATUS.UNAUTHORIZED) => (
+  checkCode(res, user, () => twoFactor.verify(user, input), status)
+);
+
+/**
+ * Two-factor status of the current user
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+twoFactor.recovery_codes');
+  const codes = user.twoFactor?.recovery_codes || [];
+
+  res.json({
+    success: true,
+    data: {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabled_at: user.twoFactor?.enabled_at,
+      required: await twoFactor.isRequired(user.role),
+      recovery_codes_remaining: codes.filter(code => !code.used_at).length
+    }
+  });
+});
+
+/**
+ * Start setting up two-factor authentication: a new secret for the
+ * authenticator app. Signed in, or with an `enroll` challenge from login.
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (user.twoFactor?.enabled) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = twoFactor.generateSecret();
+  user.twoFactor.pending_secret = secret;
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+    data: { secret, otpauth_url: twoFactor.getProvisioningUri(user.email, secret) }
+  });
+});
+
+/**
+ * Confirm the secret from setup with a code and turn two-factor
+ * authentication on. Returns recovery codes once; with an `enroll`
+ * challenge it also finishes signing in.
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+twoFactor.pending_secret');
+  if (user.twoFactor?.enabled) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Two-factor authentication is already enabled' });
+  }
+  if (!user.twoFactor?.pending_secret) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Start two-factor setup first' });
+  }
+
+  const step = await checkCode(res, user, () => twoFactor.matchCode(user.twoFactor.pending_secret, req.body.code), HTTP_STATUS.BAD_REQUEST);
+  if (step === null) return;
+
+  const { codes, hashes } = twoFactor.generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabled_at = new Date();
+  user.twoFactor.secret = user.twoFactor.pending_secret;
+  user.twoFactor.pending_secret = undefined;
+  user.twoFactor.recovery_codes = hashes;
+  user.twoFactor.last_used_step = step;
+  await user.save();
+
+  logger.info('Two-factor authentication enabled', { userId: user._id });
+
+  if (req.auth.type === 'two_factor_challenge') {
+    return signIn(req, res, user, { recovery_codes: codes });
+  }
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes now; they are not shown again.',
+    data: { recovery_codes: codes }
+  });
+});
+
+/**
+ * Finish signing in with an authenticator code or a recovery code
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const method = await requireSecondFactor(res, user, req.body);
+  if (!method) return;
+
+  await signIn(req, res, user, method === 'recovery' ? { recovery_code_used: true } : {});
+});
+
+/**
+ * Turn two-factor authentication off; needs the password, if the account has
+ * one, and a code
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const user = await User.findById(req.userId).select('+password +twoFactor.secret');
+
+  if (!user.twoFactor?.enabled) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Two-factor authentication is not enabled' });
+  }
+  if (await twoFactor.isRequired(user.role)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'Two-factor authentication is required for your account'
+    });
+  }
+  // Accounts that sign in only with Google have no password; the code confirms alone
+  if (user.password && !(await user.comparePassword(password || ''))) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Invalid password' });
+  }
+  if (!(await requireSecondFactor(res, user, req.body, HTTP_STATUS.BAD_REQUEST))) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.enabled': false }, $unset: { 'twoFactor.enabled_at': 1, 'twoFactor.secret': 1, 'twoFactor.recovery_codes': 1, 'twoFactor.last_used_step': 1 } }
+  );
+
+  logger.info('Two-factor authentication disabled', { userId: user._id });
+  res.json({ success: true, message: 'Two-factor authentication disabled' });
+});
+
+/**
+ * Replace the recovery codes; needs an authenticator code
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+twoFactor.secret');
+  if (!user.twoFactor?.enabled) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Two-factor authentication is not enabled' });
+  }
+  if (!(await requireSecondFactor(res, user, { code: req.body.code }, HTTP_STATUS.BAD_REQUEST))) return;
+
+  const { codes, hashes } = twoFactor.generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recovery_codes': hashes } });
+
+  logger.info('Two-factor recovery codes regenerated', { userId: user._id });
+  res.json({
+    success: true,
+    message: 'Store the new recovery codes now; the old ones no longer work',
+    data: { recovery_codes: codes }
+  });
+});
+
+/**
+ * Link a Google identity to the existing account with the same email,
+ * confirmed with the account's password, and sign in
+ */
+const confirmGoogleLink = asyncHandler(async (req, res) => {
+  let identity;
+  try {
+    identity = jwtManager.verifyIdentityToken(req.body.linkToken, 'link');
+  } catch (error) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({ success: false, message: error.message });
+  }
+
+  const user = await User.findById(identity.userId).select('+password');
+  if (!user || !user.isActive || !(await user.comparePassword(req.body.password))) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: ERROR_MESSAGES.INVALID_CREDENTIALS
+    });
+  }
+
+  const linked = await linkIdentity(res, user._id, identity);
+  if (!linked) return;
+
+  // Google vouched for the address
+  if (!linked.isVerified && linked.email === identity.email) {
+    linked.isVerified = true;
+    await linked.save();
+  }
+
+  await continueLogin(req, res, linked);
+});
+
+/**
+ * Create an account for a new Google user with the role they chose, and sign in
+ */
+const googleSignup = asyncHandler(async (req, res) => {
+  let identity;
+  try {
+    identity = jwtManager.verifyIdentityToken(req.body.signupToken, 'signup');
+  } catch (error) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({ success: false, message: error.message });
+  }
+
+  if (await identities.findUser(identity.provider, identity.subject)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Google account is already linked; sign in with Google' });
+  }
+  if (await User.findByEmail(identity.email)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: ERROR_MESSAGES.USER_ALREADY_EXISTS });
+  }
+
+  const user = await User.create({
+    name: req.body.name || identity.name || identity.email.split('@')[0],
+    email: identity.email,
+    role: req.body.role,
+    isVerified: true,
+    identities: [{ provider: identity.provider, subject: identity.subject, email: identity.email }]
+  });
+
+  logger.info('User registered with Google', { userId: user._id, role: user.role });
+  await continueLogin(req, res, user);
+});
+
+/**
+ * Link an identity, answering 409 when it cannot be linked
+ * @returns {Object|null} Updated user, or null after answering
+ */
+const linkIdentity = async (res, userId, identity) => {
+  const owner = await identities.findUser(identity.provider, identity.subject);
+  if (owner) {
+    res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: owner._id.equals(userId) ? 'Google account is already linked' : 'Google account is linked to another user'
+    });
+    return null;
+  }
+
+  const user = await identities.link(userId, identity);
+  if (!user) {
+    res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Another Google account is already linked; unlink it first'
+    });
+    return null;
+  }
+  return user;
+};
+
+const describeIdentities = (user, hasPassword) => ({
+  has_password: hasPassword,
+  identities: (user.identities || []).map(({ provider, email, linked_at }) => ({ provider, email, linked_at }))
+});
+
+/**
+ * Sign-in methods of the current user
+ */
+const getIdentities = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+password');
+  res.json({ success: true, data: describeIdentities(user, Boolean(user.password)) });
+});
+
+/**
+ * Link the Google account chosen from account settings. The link token must
+ * have been issued to the signed-in user.
+ */
+const addIdentity = asyncHandler(async (req, res) => {
+  let identity;
+  try {
+    identity = jwtManager.verifyIdentityToken(req.body.linkToken, 'link');
+  } catch (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: error.message });
+  }
+  if (String(identity.userId) !== String(req.userId)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({ success: false, message: 'This link was started by another account' });
+  }
+
+  const user = await linkIdentity(res, req.userId, identity);
+  if (!user) return;
+
+  const withPassword = await User.findById(req.userId).select('+password');
+  res.json({ success: true, message: 'Google account linked', data: describeIdentities(user, Boolean(withPassword.password)) });
+});
+
+/**
+ * Unlink a sign-in provider; the account must keep a password or another provider
+ */
+const removeIdentity = asyncHandler(async (req, res) => {
+  const outcome = await identities.unlink(req.userId, req.params.provider);
+
+  if (outcome === 'not_linked') {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Provider is not linked' });
+  }
+  if (outcome === 'last_method') {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'This is your only way to sign in; set a password first'
+    });
+  }
+
+  res.json({ success: true, message: 'Provider unlinked' });
+});
+
+/**
+ * Set a password on an account created through a sign-in provider
+ */
+const setPassword = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+password');
+  if (user.password) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Password is already set; use change password instead'
+    });
+  }
+
+  user.password = req.body.newPassword;
+  await user.save();
+
+  await audit.record(req, AUDIT_ACTIONS.PASSWORD_SET, { target: { type: AUDIT_TARGETS.USER, id: user._id } });
+
+  logger.info('Password set', { userId: user._id });
+  res.json({ success: true, message: 'Password set' });
+});
+
 /**
  * Verify email
  */
@@ -391,6 +882,22 @@ module.exports = {
   requestPasswordReset,
   resetPassword,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getActivity,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  confirmGoogleLink,
+  googleSignup,
+  getIdentities,
+  addIdentity,
+  removeIdentity,
+  setPassword,
   deleteAccount,
   verifyEmail,
   resendVerification
@@ -3,8 +3,16 @@ const Bid = require('../models/Bid');
 const Campaign = require('../models/Campaign');
 const User = require('../models/User');
 const logger = require('../utils/logger');
-const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES, PAGINATION } = require('../utils/constants');
+const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES, PAGINATION, BID_STATUS, NOTIFICATION_TYPES, WEBHOOK_EVENTS, WORKSPACE_PERMISSIONS, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const campaignWorkflow = require('../services/campaignWorkflow');
+const notifications = require('../services/notifier/notifications');
+const webhooks = require('../services/webhooks');
+const workspaces = require('../services/workspaces');
+const audit = require('../services/audit');
+
+// Bids still under negotiation
+const OPEN_BID_STATUSES = [BID_STATUS.PENDING, BID_STATUS.COUNTERED, BID_STATUS.RECOUNTERED];
 
 /**
  * Create a new bid
@@ -60,6 +68,21 @@ const createBid = asyncHandler(async (req, res) => {
 
   logger.info('Bid created', { bidId: bid._id, campaignId: campaign_id, creatorId });
 
+  await notifications.notify(campaign.brand_id, NOTIFICATION_TYPES.BID_RECEIVED, {
+    title: `New bid on ${campaign.title}`,
+    body: `${req.user.name} bid ${bid.bid_amount} ${bid.currency}.`,
+    link: `/brand/campaigns/${campaign._id}`,
+    data: { campaign_id: campaign._id, bid_id: bid._id }
+  });
+  await webhooks.emit(campaign.brand_id, WEBHOOK_EVENTS.BID_RECEIVED, {
+    bid_id: bid._id,
+    campaign_id: campaign._id,
+    creator_id: creatorId,
+    bid_amount: bid.bid_amount,
+    currency: bid.currency,
+    status: bid.status
+  });
+
   res.status(HTTP_STATUS.CREATED).json({
     success: true,
     message: SUCCESS_MESSAGES.BID_CREATED,
@@ -124,7 +147,7 @@ const getBid = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const bid = await Bid.findById(id)
-    .populate('campaign_id', 'title description budget deadline status brand_id')
+    .populate('campaign_id', 'title description budget deadline status brand_id workspace_id')
     .populate('creator_id', 'name email profile');
 
   if (!bid) {
@@ -135,9 +158,8 @@ const getBid = asyncHandler(async (req, res) => {
   }
 
   // Check if user can view this bid
-  const canView = req.user.role === 'admin' || 
-                  bid.creator_id._id.toString() === req.userId.toString() ||
-                  bid.campaign_id.brand_id.toString() === req.userId.toString();
+  const canView = bid.creator_id._id.toString() === req.userId.toString() ||
+                  await workspaces.canAccessCampaign(req.user, bid.campaign_id);
 
   if (!canView) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
@@ -185,8 +207,11 @@ const updateBid = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update bid
+  // Update bid; changed terms are kept in the negotiation history
   Object.assign(bid, updateData);
+  if (bid.isModified('bid_amount') || bid.isModified('deliverables')) {
+    bid.revisions.push(bid.toRevision({ action: 'updated', proposed_by: 'creator', author_id: req.userId }));
+  }
   await bid.save();
 
   logger.info('Bid updated', { bidId: id });
@@ -221,7 +246,7 @@ const withdrawBid = asyncHandler(async (req, res) => {
   }
 
   // Check if bid can be withdrawn
-  if (bid.status !== 'pending') {
+  if (!OPEN_BID_STATUSES.includes(bid.status)) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
       success: false,
       message: 'Bid cannot be withdrawn after it has been processed'
@@ -240,6 +265,169 @@ const withdrawBid = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Counter the offer on the table with a different amount, deliverables or
+ * deadline. Brands counter pending bids and creators' counters; creators
+ * answer the brand's counter-offer.
+ */
+const counterBid = asyncHandler(async (req, res) => {
+  const { bid_amount, deliverables, deadline, message } = req.body;
+
+  const bid = await Bid.findById(req.params.id);
+  if (!bid) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: 'Bid not found'
+    });
+  }
+
+  const campaign = await Campaign.findById(bid.campaign_id).select('brand_id workspace_id title');
+  const isCreator = bid.creator_id.toString() === req.userId.toString();
+  const isBrand = campaign
+    ? await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.APPROVE)
+    : req.user.role === 'admin';
+  if (!isCreator && !isBrand) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.ACCESS_DENIED
+    });
+  }
+
+  let proposedBy;
+  let nextStatus;
+  if (isBrand && [BID_STATUS.PENDING, BID_STATUS.RECOUNTERED].includes(bid.status)) {
+    proposedBy = 'brand';
+    nextStatus = BID_STATUS.COUNTERED;
+  } else if (isCreator && bid.status === BID_STATUS.COUNTERED) {
+    proposedBy = 'creator';
+    nextStatus = BID_STATUS.RECOUNTERED;
+  } else {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: OPEN_BID_STATUSES.includes(bid.status)
+        ? 'The other side has to respond to the current offer first'
+        : `Bid is ${bid.status} and can no longer be negotiated`
+    });
+  }
+
+  // Terms not given carry over from the current offer
+  if (bid_amount !== undefined) bid.bid_amount = bid_amount;
+  if (deliverables) Object.assign(bid.deliverables, deliverables);
+  if (deadline) bid.timeline.deadline = deadline;
+
+  const revision = bid.toRevision({ action: 'countered', proposed_by: proposedBy, author_id: req.userId, message });
+  const { posts, stories, reels, videos, timeline } = bid.deliverables;
+
+  // Guard on status and history length so simultaneous responses cannot both land
+  const updated = await Bid.findOneAndUpdate(
+    { _id: bid._id, status: bid.status, revisions: { $size: bid.revisions.length } },
+    {
+      $set: {
+        status: nextStatus,
+        bid_amount: bid.bid_amount,
+        deliverables: { posts, stories, reels, videos, timeline },
+        'timeline.deadline': bid.timeline.deadline,
+        'timeline.reviewed_at': new Date()
+      },
+      $push: { revisions: revision }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'The bid changed while you were countering; reload and try again'
+    });
+  }
+
+  logger.info('Bid countered', { bidId: bid._id, proposedBy, version: revision.version });
+
+  await notifications.notify(
+    proposedBy === 'brand' ? bid.creator_id : campaign.brand_id,
+    NOTIFICATION_TYPES.BID_COUNTERED,
+    {
+      title: `Counter-offer on ${campaign.title}`,
+      body: `New offer: ${updated.bid_amount} ${updated.currency}.${message ? ` "${message}"` : ''}`,
+      link: proposedBy === 'brand' ? `/creator/bids/${bid._id}` : `/brand/campaigns/${campaign._id}`,
+      data: { campaign_id: campaign._id, bid_id: bid._id, version: revision.version }
+    }
+  );
+
+  res.json({
+    success: true,
+    message: 'Counter-offer sent',
+    data: { bid: updated }
+  });
+});
+
+/**
+ * Accept the brand's counter-offer (creator)
+ */
+const acceptCounter = asyncHandler(async (req, res) => {
+  const bid = await Bid.findById(req.params.id);
+  if (!bid) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: 'Bid not found'
+    });
+  }
+
+  if (bid.creator_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.ACCESS_DENIED
+    });
+  }
+
+  const campaign = await Campaign.findById(bid.campaign_id);
+  if (!campaign) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+  }
+
+  const previousStatus = bid.status;
+  const result = await campaignWorkflow.acceptBid(bid, campaign, { actorId: req.userId, acceptedBy: 'creator' });
+  if (!result) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: bid.status === BID_STATUS.COUNTERED
+        ? 'The bid changed meanwhile; reload and try again'
+        : 'There is no counter-offer to accept'
+    });
+  }
+
+  logger.info('Counter-offer accepted', { bidId: bid._id, campaignId: campaign._id });
+  await audit.record(req, AUDIT_ACTIONS.BID_ACCEPTED, {
+    target: { type: AUDIT_TARGETS.BID, id: bid._id },
+    before: { status: previousStatus },
+    after: { status: result.bid.status, bid_amount: result.bid.bid_amount, currency: result.bid.currency },
+    metadata: { campaign_id: campaign._id, accepted_by: 'creator' }
+  });
+
+  await notifications.notify(campaign.brand_id, NOTIFICATION_TYPES.BID_ACCEPTED, {
+    title: `Counter-offer accepted on ${campaign.title}`,
+    body: `The creator accepted your offer of ${result.bid.bid_amount} ${result.bid.currency}.`,
+    link: `/brand/campaigns/${campaign._id}`,
+    data: { campaign_id: campaign._id, bid_id: bid._id }
+  });
+  await webhooks.emit([campaign.brand_id, bid.creator_id], WEBHOOK_EVENTS.BID_ACCEPTED, {
+    bid_id: bid._id,
+    campaign_id: campaign._id,
+    creator_id: bid.creator_id,
+    accepted_by: 'creator',
+    bid_amount: result.bid.bid_amount,
+    currency: result.bid.currency
+  });
+
+  res.json({
+    success: true,
+    message: SUCCESS_MESSAGES.BID_ACCEPTED,
+    data: result
+  });
+});
+
 /**
  * Get bids by creator
  */
@@ -305,9 +493,8 @@ const getBidAnalytics = asyncHandler(async (req, res) => {
   }
 
   // Check if user can view bid analytics
-  const canView = req.user.role === 'admin' || 
-                  bid.creator_id._id.toString() === req.userId.toString() ||
-                  bid.campaign_id.brand_id.toString() === req.userId.toString();
+  const canView = bid.creator_id._id.toString() === req.userId.toString() ||
+                  await workspaces.canAccessCampaign(req.user, bid.campaign_id);
 
   if (!canView) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
@@ -362,7 +549,7 @@ const addBidFeedback = asyncHandler(async (req, res) => {
   // Check if user can add feedback
   const campaign = await Campaign.findById(bid.campaign_id);
   const canAddFeedback = req.user.role === 'admin' || 
-                        (type === 'brand' && campaign.brand_id.toString() === req.userId.toString()) ||
+                        (type === 'brand' && await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.APPROVE)) ||
                         (type === 'creator' && bid.creator_id.toString() === req.userId.toString());
 
   if (!canAddFeedback) {
@@ -396,6 +583,8 @@ module.exports = {
   getBid,
   updateBid,
   withdrawBid,
+  counterBid,
+  acceptCounter,
   getCreatorBids,
   getBidAnalytics,
   addBidFeedback
@@ -3,22 +3,38 @@ const Campaign = require('../models/Campaign');
 const Bid = require('../models/Bid');
 const User = require('../models/User');
 const logger = require('../utils/logger');
-const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES, PAGINATION } = require('../utils/constants');
+const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES, PAGINATION, BID_STATUS, NOTIFICATION_TYPES, WEBHOOK_EVENTS, WORKSPACE_PERMISSIONS, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const campaignWorkflow = require('../services/campaignWorkflow');
+const notifications = require('../services/notifier/notifications');
+const webhooks = require('../services/webhooks');
+const workspaces = require('../services/workspaces');
+const audit = require('../services/audit');
+
+// Campaign fields kept in the audit log when a campaign is created or deleted
+const AUDITED_CAMPAIGN_FIELDS = ['title', 'status', 'budget', 'deadline', 'brand_id', 'workspace_id'];
+
+// Bids still under negotiation
+const OPEN_BID_STATUSES = [BID_STATUS.PENDING, BID_STATUS.COUNTERED, BID_STATUS.RECOUNTERED];
 
 /**
- * Create a new campaign
+ * Create a new campaign; in a workspace it belongs to the workspace's brand
  */
 const createCampaign = asyncHandler(async (req, res) => {
   const campaignData = {
     ...req.body,
-    brand_id: req.userId
+    brand_id: req.workspace ? req.workspace.owner_id : req.userId,
+    workspace_id: req.workspace?._id
   };
 
   const campaign = new Campaign(campaignData);
   await campaign.save();
 
-  logger.info('Campaign created', { campaignId: campaign._id, brandId: req.userId });
+  logger.info('Campaign created', { campaignId: campaign._id, brandId: campaign.brand_id, userId: req.userId });
+  await audit.record(req, AUDIT_ACTIONS.CAMPAIGN_CREATED, {
+    target: { type: AUDIT_TARGETS.CAMPAIGN, id: campaign._id },
+    after: audit.snapshot(campaign, AUDITED_CAMPAIGN_FIELDS)
+  });
 
   res.status(HTTP_STATUS.CREATED).json({
     success: true,
@@ -101,9 +117,7 @@ const getCampaign = asyncHandler(async (req, res) => {
   }
 
   // Check if user can view this campaign
-  if (!campaign.isPublic && 
-      campaign.brand_id._id.toString() !== req.userId.toString() && 
-      req.user.role !== 'admin') {
+  if (!campaign.isPublic && !await workspaces.canAccessCampaign(req.user, campaign)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -134,7 +148,7 @@ const updateCampaign = asyncHandler(async (req, res) => {
   }
 
   // Check ownership
-  if (campaign.brand_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+  if (!await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.EDIT)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -142,10 +156,25 @@ const updateCampaign = asyncHandler(async (req, res) => {
   }
 
   // Update campaign
+  const previousStatus = campaign.status;
+  const before = audit.snapshot(campaign, Object.keys(updateData));
   Object.assign(campaign, updateData);
   await campaign.save();
 
   logger.info('Campaign updated', { campaignId: id });
+  await audit.record(req, AUDIT_ACTIONS.CAMPAIGN_UPDATED, {
+    target: { type: AUDIT_TARGETS.CAMPAIGN, id: campaign._id },
+    before,
+    after: audit.snapshot(campaign, Object.keys(updateData))
+  });
+
+  if (campaign.status !== previousStatus) {
+    await webhooks.emit(
+      [campaign.brand_id, ...campaign.selectedCreators.map(selected => selected.creator_id)],
+      WEBHOOK_EVENTS.CAMPAIGN_STATUS_CHANGED,
+      { campaign_id: campaign._id, title: campaign.title, previous_status: previousStatus, status: campaign.status }
+    );
+  }
 
   res.json({
     success: true,
@@ -169,7 +198,7 @@ const deleteCampaign = asyncHandler(async (req, res) => {
   }
 
   // Check ownership
-  if (campaign.brand_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+  if (!await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.EDIT)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -182,6 +211,10 @@ const deleteCampaign = asyncHandler(async (req, res) => {
   await Campaign.findByIdAndDelete(id);
 
   logger.info('Campaign deleted', { campaignId: id });
+  await audit.record(req, AUDIT_ACTIONS.CAMPAIGN_DELETED, {
+    target: { type: AUDIT_TARGETS.CAMPAIGN, id: campaign._id },
+    before: audit.snapshot(campaign, AUDITED_CAMPAIGN_FIELDS)
+  });
 
   res.json({
     success: true,
@@ -190,7 +223,7 @@ const deleteCampaign = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get campaigns by brand
+ * Get campaigns by brand; in a workspace, the workspace's campaigns of its brand
  */
 const getBrandCampaigns = asyncHandler(async (req, res) => {
   const { brandId } = req.params;
@@ -202,14 +235,15 @@ const getBrandCampaigns = asyncHandler(async (req, res) => {
   } = req.query;
 
   // Check if user can view brand campaigns
-  if (brandId !== req.userId.toString() && req.user.role !== 'admin') {
+  const brandUserId = req.workspace ? req.workspace.owner_id.toString() : req.userId.toString();
+  if (brandId !== brandUserId && req.user.role !== 'admin') {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
     });
   }
 
-  const filter = { brand_id: brandId };
+  const filter = req.workspace ? { workspace_id: req.workspace._id } : { brand_id: brandId };
   if (status) filter.status = status;
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -257,7 +291,7 @@ const getCampaignBids = asyncHandler(async (req, res) => {
   }
 
   // Check if user can view bids
-  if (campaign.brand_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+  if (!await workspaces.canAccessCampaign(req.user, campaign)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -306,7 +340,7 @@ const acceptBid = asyncHandler(async (req, res) => {
   }
 
   // Check ownership
-  if (campaign.brand_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+  if (!await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.APPROVE)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -314,30 +348,53 @@ const acceptBid = asyncHandler(async (req, res) => {
   }
 
   const bid = await Bid.findById(bidId);
-  if (!bid) {
+  if (!bid || bid.campaign_id.toString() !== campaign._id.toString()) {
     return res.status(HTTP_STATUS.NOT_FOUND).json({
       success: false,
       message: 'Bid not found'
     });
   }
 
-  // Accept bid
-  await bid.accept();
+  // Accept the creator's latest offer; this also sets up the content the
+  // creator now owes the campaign, its escrow payment and invoice
+  const previousStatus = bid.status;
+  const result = await campaignWorkflow.acceptBid(bid, campaign, { actorId: req.userId, acceptedBy: 'brand' });
+  if (!result) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: bid.status === BID_STATUS.COUNTERED
+        ? 'Your counter-offer is waiting for the creator'
+        : `Bid is ${bid.status} and cannot be accepted`
+    });
+  }
 
-  // Add creator to selected creators
-  campaign.selectedCreators.push({
-    creator_id: bid.creator_id,
-    status: 'selected'
+  logger.info('Bid accepted', { bidId, campaignId });
+  await audit.record(req, AUDIT_ACTIONS.BID_ACCEPTED, {
+    target: { type: AUDIT_TARGETS.BID, id: bid._id },
+    before: { status: previousStatus },
+    after: { status: result.bid.status, bid_amount: result.bid.bid_amount, currency: result.bid.currency },
+    metadata: { campaign_id: campaign._id, accepted_by: 'brand' }
   });
 
-  await campaign.save();
-
-  logger.info('Bid accepted', { bidId, campaignId });
+  await notifications.notify(bid.creator_id, NOTIFICATION_TYPES.BID_ACCEPTED, {
+    title: `Your bid on ${campaign.title} was accepted`,
+    body: `Agreed amount: ${result.bid.bid_amount} ${result.bid.currency}.`,
+    link: `/creator/bids/${bid._id}`,
+    data: { campaign_id: campaign._id, bid_id: bid._id }
+  });
+  await webhooks.emit([campaign.brand_id, bid.creator_id], WEBHOOK_EVENTS.BID_ACCEPTED, {
+    bid_id: bid._id,
+    campaign_id: campaign._id,
+    creator_id: bid.creator_id,
+    accepted_by: 'brand',
+    bid_amount: result.bid.bid_amount,
+    currency: result.bid.currency
+  });
 
   res.json({
     success: true,
     message: SUCCESS_MESSAGES.BID_ACCEPTED,
-    data: { bid }
+    data: result
   });
 });
 
@@ -356,7 +413,7 @@ const rejectBid = asyncHandler(async (req, res) => {
   }
 
   // Check ownership
-  if (campaign.brand_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+  if (!await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.APPROVE)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -364,17 +421,37 @@ const rejectBid = asyncHandler(async (req, res) => {
   }
 
   const bid = await Bid.findById(bidId);
-  if (!bid) {
+  if (!bid || bid.campaign_id.toString() !== campaign._id.toString()) {
     return res.status(HTTP_STATUS.NOT_FOUND).json({
       success: false,
       message: 'Bid not found'
     });
   }
 
+  if (!OPEN_BID_STATUSES.includes(bid.status)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `Bid is ${bid.status} and cannot be rejected`
+    });
+  }
+
   // Reject bid
+  const previousStatus = bid.status;
   await bid.reject();
 
   logger.info('Bid rejected', { bidId, campaignId });
+  await audit.record(req, AUDIT_ACTIONS.BID_REJECTED, {
+    target: { type: AUDIT_TARGETS.BID, id: bid._id },
+    before: { status: previousStatus },
+    after: { status: bid.status },
+    metadata: { campaign_id: campaign._id }
+  });
+
+  await notifications.notify(bid.creator_id, NOTIFICATION_TYPES.BID_REJECTED, {
+    title: `Your bid on ${campaign.title} was not selected`,
+    link: `/creator/bids/${bid._id}`,
+    data: { campaign_id: campaign._id, bid_id: bid._id }
+  });
 
   res.json({
     success: true,
@@ -398,7 +475,7 @@ const getCampaignAnalytics = asyncHandler(async (req, res) => {
   }
 
   // Check ownership
-  if (campaign.brand_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+  if (!await workspaces.canAccessCampaign(req.user, campaign)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
       message: ERROR_MESSAGES.ACCESS_DENIED
@@ -0,0 +1,336 @@
+// src/controllers/conversationController.js
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Bid = require('../models/Bid');
+const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const jwtManager = require('../utils/jwt');
+const mediaStorage = require('../services/mediaStorage');
+const realtime = require('../services/realtime');
+const { HTTP_STATUS, ERROR_MESSAGES, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const PREVIEW_LENGTH = 140;
+
+const forbidden = (res) => res.status(HTTP_STATUS.FORBIDDEN).json({
+  success: false,
+  message: ERROR_MESSAGES.ACCESS_DENIED
+});
+
+/**
+ * Load the conversation of the request for a participant (admins may read)
+ * @returns {Object|null} Conversation, or null after answering 404/403
+ */
+const loadConversation = async (req, res, { allowAdmin = false } = {}) => {
+  const conversation = await Conversation.findById(req.params.id);
+  if (!conversation) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Conversation not found' });
+    return null;
+  }
+  if (!conversation.isParticipant(req.userId) && !(allowAdmin && req.user.role === 'admin')) {
+    forbidden(res);
+    return null;
+  }
+  return conversation;
+};
+
+// Unread messages for a user, by conversation id
+const getUnreadCounts = async (userId, conversationIds) => {
+  const match = { recipient_id: new mongoose.Types.ObjectId(userId.toString()), read_at: null };
+  if (conversationIds) match.conversation_id = { $in: conversationIds };
+
+  const rows = await Message.aggregate([
+    { $match: match },
+    { $group: { _id: '$conversation_id', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+/**
+ * List the current user's conversations, most recent first, with unread counts
+ */
+const getConversations = asyncHandler(async (req, res) => {
+  const { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT, campaign_id } = req.query;
+
+  const filter = { $or: [{ brand_id: req.userId }, { creator_id: req.userId }] };
+  if (campaign_id) filter.campaign_id = campaign_id;
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [conversations, total] = await Promise.all([
+    Conversation.find(filter)
+      .populate('campaign_id', 'title')
+      .populate('brand_id', 'name profile.avatar_url')
+      .populate('creator_id', 'name profile.avatar_url')
+      .sort({ 'last_message.sent_at': -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    Conversation.countDocuments(filter)
+  ]);
+
+  const unread = await getUnreadCounts(req.userId, conversations.map(conversation => conversation._id));
+
+  res.json({
+    success: true,
+    data: {
+      conversations: conversations.map(conversation => ({
+        ...conversation.toJSON(),
+        unread_count: unread.get(conversation._id.toString()) || 0
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Open (or return) the conversation of a bid
+ */
+const startConversation = asyncHandler(async (req, res) => {
+  const bid = await Bid.findById(req.body.bid_id).select('campaign_id creator_id');
+  if (!bid) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Bid not found' });
+  }
+
+  const campaign = await Campaign.findById(bid.campaign_id).select('brand_id');
+  if (!campaign) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Campaign not found' });
+  }
+
+  const isParty = bid.creator_id.toString() === req.userId.toString() ||
+    campaign.brand_id.toString() === req.userId.toString();
+  if (!isParty) return forbidden(res);
+
+  // Upsert so both sides opening the thread at once end up in the same one
+  const result = await Conversation.findOneAndUpdate(
+    { bid_id: bid._id },
+    {
+      $setOnInsert: {
+        campaign_id: campaign._id,
+        brand_id: campaign.brand_id,
+        creator_id: bid.creator_id
+      }
+    },
+    { new: true, upsert: true, includeResultMetadata: true }
+  );
+  const created = !result.lastErrorObject?.updatedExisting;
+
+  res.status(created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json({
+    success: true,
+    data: { conversation: result.value }
+  });
+});
+
+/**
+ * Total unread messages of the current user, for badges
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unread = await getUnreadCounts(req.userId);
+  const total = [...unread.values()].reduce((sum, count) => sum + count, 0);
+  res.json({ success: true, data: { unread_count: total } });
+});
+
+/**
+ * Get a conversation
+ */
+const getConversation = asyncHandler(async (req, res) => {
+  const conversation = await loadConversation(req, res, { allowAdmin: true });
+  if (!conversation) return;
+
+  await conversation.populate([
+    { path: 'campaign_id', select: 'title' },
+    { path: 'bid_id', select: 'status bid_amount currency deliverables terms' },
+    { path: 'brand_id', select: 'name profile.avatar_url' },
+    { path: 'creator_id', select: 'name profile.avatar_url' }
+  ]);
+  const unread = await getUnreadCounts(req.userId, [conversation._id]);
+
+  res.json({
+    success: true,
+    data: { conversation: { ...conversation.toJSON(), unread_count: unread.get(conversation._id.toString()) || 0 } }
+  });
+});
+
+/**
+ * Messages of a conversation, newest first. Pass the oldest loaded message
+ * id as `before` to page back through history.
+ */
+const getMessages = asyncHandler(async (req, res) => {
+  const conversation = await loadConversation(req, res, { allowAdmin: true });
+  if (!conversation) return;
+
+  const { before, limit = 50 } = req.query;
+  const filter = { conversation_id: conversation._id };
+  if (before) filter._id = { $lt: before };
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const messages = await Message.find(filter)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = messages.length > pageSize;
+  res.json({
+    success: true,
+    data: {
+      messages: messages.slice(0, pageSize),
+      has_more: hasMore
+    }
+  });
+});
+
+/**
+ * Download an attachment of a message in the conversation
+ */
+const getAttachment = asyncHandler(async (req, res) => {
+  const conversation = await loadConversation(req, res, { allowAdmin: true });
+  if (!conversation) return;
+
+  const message = await Message.findOne({
+    conversation_id: conversation._id,
+    'attachments.filename': req.params.filename
+  }).select('attachments');
+  if (!message) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Attachment not found' });
+  }
+
+  mediaStorage.send(res, message.attachments.find(item => item.filename === req.params.filename));
+});
+
+/**
+ * Send a message with optional attachments
+ */
+const sendMessage = asyncHandler(async (req, res) => {
+  const conversation = await loadConversation(req, res);
+  if (!conversation) return;
+
+  const body = req.body.body?.trim();
+  if (!body && !(req.files?.length > 0)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'A message needs text or attachments'
+    });
+  }
+
+  const attachments = await mediaStorage.saveAll(req.files, `/api/conversations/${conversation._id}/attachments`);
+  const message = await Message.create({
+    conversation_id: conversation._id,
+    sender_id: req.userId,
+    recipient_id: conversation.getRecipientId(req.userId),
+    body,
+    attachments
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        last_message: {
+          body: body ? body.slice(0, PREVIEW_LENGTH) : undefined,
+          sender_id: req.userId,
+          has_attachments: attachments.length > 0,
+          sent_at: message.createdAt
+        }
+      }
+    }
+  );
+
+  await realtime.publish([conversation.brand_id, conversation.creator_id], 'message', {
+    conversation_id: conversation._id,
+    message
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    data: { message }
+  });
+});
+
+/**
+ * Mark the other side's messages as read, up to `message_id` or all of them
+ */
+const markRead = asyncHandler(async (req, res) => {
+  const conversation = await loadConversation(req, res);
+  if (!conversation) return;
+
+  const received = { conversation_id: conversation._id, recipient_id: req.userId };
+  if (req.body.message_id) received._id = { $lte: req.body.message_id };
+
+  // Settle the newest message first so the update and the receipt's up_to
+  // cover the same messages, however requests interleave
+  const latest = await Message.findOne(received).sort({ _id: -1 }).select('_id');
+  const readAt = new Date();
+  let readCount = 0;
+  if (latest) {
+    const result = await Message.updateMany(
+      { ...received, _id: { $lte: latest._id }, read_at: null },
+      { $set: { read_at: readAt } }
+    );
+    readCount = result.modifiedCount;
+  }
+
+  if (readCount > 0) {
+    // Read receipt for the sender, and badge update for the reader's other tabs
+    await realtime.publish([conversation.brand_id, conversation.creator_id], 'read', {
+      conversation_id: conversation._id,
+      reader_id: req.userId,
+      up_to: latest._id,
+      read_at: readAt
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { read_count: readCount, read_at: readAt }
+  });
+});
+
+/**
+ * Short-lived token for the event stream (EventSource cannot send headers)
+ */
+const createStreamToken = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { token: jwtManager.generateStreamToken(req.userId.toString()), expires_in: 60 }
+  });
+});
+
+/**
+ * Server-sent events for the current user: `message` and `read`, plus
+ * `notification` and `notification_read` from the notification center
+ */
+const stream = asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = jwtManager.verifyStreamToken(req.query.token);
+  } catch (error) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({ success: false, message: ERROR_MESSAGES.INVALID_TOKEN });
+  }
+
+  const user = await User.findById(decoded.id).select('isActive');
+  if (!user || !user.isActive) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({ success: false, message: ERROR_MESSAGES.INVALID_TOKEN });
+  }
+
+  logger.info('Event stream opened', { userId: user._id });
+  await realtime.connect(user._id, req, res);
+});
+
+module.exports = {
+  getConversations,
+  startConversation,
+  getUnreadCount,
+  getConversation,
+  getMessages,
+  getAttachment,
+  sendMessage,
+  markRead,
+  createStreamToken,
+  stream
+};
@@ -0,0 +1,383 @@
+// src/controllers/deliverableController.js
+const Deliverable = require('../models/Deliverable');
+const Campaign = require('../models/Campaign');
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+const mediaStorage = require('../services/mediaStorage');
+const campaignWorkflow = require('../services/campaignWorkflow');
+const notifications = require('../services/notifier/notifications');
+const workspaces = require('../services/workspaces');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  PAGINATION,
+  DELIVERABLE_STATUS,
+  DELIVERABLE_DECISIONS,
+  NOTIFICATION_TYPES,
+  WORKSPACE_PERMISSIONS
+} = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+// Review decision -> resulting deliverable status
+const DECISION_STATUS = {
+  [DELIVERABLE_DECISIONS.APPROVE]: DELIVERABLE_STATUS.APPROVED,
+  [DELIVERABLE_DECISIONS.REQUEST_CHANGES]: DELIVERABLE_STATUS.CHANGES_REQUESTED,
+  [DELIVERABLE_DECISIONS.REJECT]: DELIVERABLE_STATUS.REJECTED
+};
+
+// Accept a list as an array, a JSON array string or a comma separated string
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+};
+
+const isCreator = (deliverable, req) => deliverable.creator_id.toString() === req.userId.toString();
+
+// The campaign's brand, or a member of the campaign's workspace whose role grants the permission
+const isBrand = async (deliverable, req, permission) => {
+  if (deliverable.brand_id.toString() === req.userId.toString()) return true;
+  const campaign = await Campaign.findById(deliverable.campaign_id._id || deliverable.campaign_id).select('brand_id workspace_id');
+  return Boolean(campaign) && workspaces.canAccessCampaign(req.user, campaign, permission);
+};
+
+const notFound = (res) => res.status(HTTP_STATUS.NOT_FOUND).json({
+  success: false,
+  message: 'Deliverable not found'
+});
+
+const forbidden = (res) => res.status(HTTP_STATUS.FORBIDDEN).json({
+  success: false,
+  message: ERROR_MESSAGES.ACCESS_DENIED
+});
+
+/**
+ * List deliverables of the current creator or brand (admins see all)
+ */
+const getDeliverables = asyncHandler(async (req, res) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    campaign_id,
+    status
+  } = req.query;
+
+  const filter = {};
+  if (req.workspace) {
+    // Deliverables of the workspace's campaigns
+    const campaignFilter = { workspace_id: req.workspace._id };
+    if (campaign_id) campaignFilter._id = campaign_id;
+    filter.campaign_id = { $in: await Campaign.distinct('_id', campaignFilter) };
+  } else {
+    if (req.user.role === 'brand') filter.brand_id = req.userId;
+    else if (req.user.role !== 'admin') filter.creator_id = req.userId;
+    if (campaign_id) filter.campaign_id = campaign_id;
+  }
+  if (status) filter.status = status;
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [deliverables, total] = await Promise.all([
+    Deliverable.find(filter)
+      .populate('campaign_id', 'title deadline')
+      .populate('creator_id', 'name email')
+      .sort({ due_date: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(pageSize),
+    Deliverable.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      deliverables,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Get a deliverable with its draft history
+ */
+const getDeliverable = asyncHandler(async (req, res) => {
+  const deliverable = await Deliverable.findById(req.params.id)
+    .populate('campaign_id', 'title deadline requirements.platforms')
+    .populate('creator_id', 'name email');
+  if (!deliverable) return notFound(res);
+
+  const creatorId = deliverable.creator_id._id || deliverable.creator_id;
+  const canView = req.user.role === 'admin' ||
+    creatorId.toString() === req.userId.toString() ||
+    await isBrand(deliverable, req);
+  if (!canView) return forbidden(res);
+
+  res.json({ success: true, data: { deliverable } });
+});
+
+/**
+ * A file of one of the deliverable's drafts, for the same people who can view the deliverable
+ */
+const getDraftMedia = asyncHandler(async (req, res) => {
+  const deliverable = await Deliverable.findById(req.params.id);
+  if (!deliverable) return notFound(res);
+
+  const canView = req.user.role === 'admin' || isCreator(deliverable, req) || await isBrand(deliverable, req);
+  if (!canView) return forbidden(res);
+
+  const item = deliverable.drafts
+    .flatMap(draft => draft.media)
+    .find(media => media.filename === req.params.filename);
+  if (!item) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'File not found' });
+  }
+
+  mediaStorage.send(res, item);
+});
+
+/**
+ * Submit a draft (caption and media) for brand review
+ */
+const submitDraft = asyncHandler(async (req, res) => {
+  const deliverable = await Deliverable.findById(req.params.id);
+  if (!deliverable) return notFound(res);
+  if (!isCreator(deliverable, req)) return forbidden(res);
+
+  const submittable = [DELIVERABLE_STATUS.PENDING, DELIVERABLE_STATUS.CHANGES_REQUESTED];
+  if (!submittable.includes(deliverable.status)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `A draft cannot be submitted while the deliverable is ${deliverable.status}`
+    });
+  }
+
+  // A revision without new files keeps the previous draft's media
+  const previous = deliverable.currentDraft;
+  const media = req.files?.length > 0
+    ? await mediaStorage.saveAll(req.files, `/api/deliverables/${deliverable._id}/media`)
+    : (previous?.media || []).map(item => item.toObject());
+
+  const { caption, note } = req.body;
+  if (!caption && media.length === 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'A draft needs a caption or media'
+    });
+  }
+
+  const draft = {
+    version: deliverable.drafts.length + 1,
+    caption,
+    hashtags: parseList(req.body.hashtags),
+    mentions: parseList(req.body.mentions),
+    media,
+    note,
+    submitted_at: new Date()
+  };
+
+  // Guard on the draft count so concurrent submissions cannot both land
+  const updated = await Deliverable.findOneAndUpdate(
+    { _id: deliverable._id, status: { $in: submittable }, drafts: { $size: deliverable.drafts.length } },
+    { $push: { drafts: draft }, $set: { status: DELIVERABLE_STATUS.SUBMITTED } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'The deliverable changed while the draft was submitted; reload and try again'
+    });
+  }
+
+  logger.info('Deliverable draft submitted', { deliverableId: deliverable._id, version: draft.version });
+
+  await notifications.notify(deliverable.brand_id, NOTIFICATION_TYPES.DELIVERABLE_SUBMITTED, {
+    title: `Draft ${draft.version} of "${deliverable.title}" is ready for review`,
+    body: note,
+    link: `/brand/deliverables/${deliverable._id}`,
+    data: { campaign_id: deliverable.campaign_id, deliverable_id: deliverable._id, version: draft.version }
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Draft submitted for review',
+    data: { deliverable: updated }
+  });
+});
+
+/**
+ * Approve, request changes to, or reject the submitted draft
+ */
+const reviewDraft = asyncHandler(async (req, res) => {
+  const { decision, comment } = req.body;
+
+  const deliverable = await Deliverable.findById(req.params.id);
+  if (!deliverable) return notFound(res);
+  if (req.user.role !== 'admin' && !await isBrand(deliverable, req, WORKSPACE_PERMISSIONS.APPROVE)) return forbidden(res);
+
+  if (deliverable.status !== DELIVERABLE_STATUS.SUBMITTED) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'There is no draft awaiting review'
+    });
+  }
+
+  if (decision === DELIVERABLE_DECISIONS.REQUEST_CHANGES &&
+      deliverable.revisions_requested >= deliverable.revision_limit) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `All ${deliverable.revision_limit} revision rounds have been used; approve or reject this draft`
+    });
+  }
+
+  const status = DECISION_STATUS[decision];
+  const draftIndex = deliverable.drafts.length - 1;
+  const update = {
+    $set: {
+      status,
+      [`drafts.${draftIndex}.review`]: {
+        decision: status,
+        comment,
+        reviewed_by: req.userId,
+        reviewed_at: new Date()
+      }
+    }
+  };
+  if (decision === DELIVERABLE_DECISIONS.REQUEST_CHANGES) {
+    update.$inc = { revisions_requested: 1 };
+  }
+
+  const updated = await Deliverable.findOneAndUpdate(
+    { _id: deliverable._id, status: DELIVERABLE_STATUS.SUBMITTED, drafts: { $size: deliverable.drafts.length } },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'The draft changed during review; reload and try again'
+    });
+  }
+
+  logger.info('Deliverable draft reviewed', { deliverableId: deliverable._id, decision, reviewerId: req.userId });
+
+  if (status === DELIVERABLE_STATUS.APPROVED) {
+    // Payment problems must not undo the approval; due milestones can be released later
+    try {
+      await campaignWorkflow.onDeliverableApproved(updated);
+    } catch (error) {
+      logger.error('Releasing payment for approved deliverable failed', { deliverableId: deliverable._id, error: error.message });
+    }
+  }
+
+  await notifications.notify(deliverable.creator_id, NOTIFICATION_TYPES.DELIVERABLE_REVIEWED, {
+    title: `Your draft of "${deliverable.title}" was ${status.replace('_', ' ')}`,
+    body: comment,
+    link: `/creator/deliverables/${deliverable._id}`,
+    data: { campaign_id: deliverable.campaign_id, deliverable_id: deliverable._id, decision: status }
+  });
+
+  res.json({
+    success: true,
+    message: `Draft ${status.replace('_', ' ')}`,
+    data: { deliverable: updated }
+  });
+});
+
+/**
+ * Turn the approved draft into a Post linked to the campaign. The post is
+ * then published or scheduled through /api/posts like any other post.
+ */
+const createPost = asyncHandler(async (req, res) => {
+  const { platform } = req.body;
+
+  const deliverable = await Deliverable.findById(req.params.id);
+  if (!deliverable) return notFound(res);
+  if (!isCreator(deliverable, req)) return forbidden(res);
+
+  if (deliverable.status !== DELIVERABLE_STATUS.APPROVED) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Only approved deliverables can be posted'
+    });
+  }
+
+  const campaign = await Campaign.findById(deliverable.campaign_id).select('requirements.platforms');
+  const platforms = campaign?.requirements?.platforms || [];
+  if (platforms.length > 0 && !platforms.includes(platform)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `This campaign runs on ${platforms.join(', ')}`
+    });
+  }
+
+  if (deliverable.post_id) {
+    const existing = await Post.findById(deliverable.post_id);
+    if (existing) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'A post already exists for this deliverable',
+        data: { post: existing }
+      });
+    }
+  }
+
+  const draft = deliverable.currentDraft;
+  const post = await Post.create({
+    platform,
+    post_type: deliverable.type,
+    author: req.userId,
+    campaign_id: deliverable.campaign_id,
+    deliverable_id: deliverable._id,
+    content: {
+      caption: draft.caption,
+      hashtags: draft.hashtags,
+      mentions: draft.mentions
+    },
+    // The post's copy of the media is served like other post media
+    media: draft.media.map(item => ({
+      ...item.toObject(),
+      url: mediaStorage.urlFor(mediaStorage.postMediaPrefix, item.filename)
+    }))
+  });
+
+  // Claim the deliverable; another request may have created a post meanwhile
+  const claimed = await Deliverable.findOneAndUpdate(
+    { _id: deliverable._id, post_id: deliverable.post_id || null },
+    { $set: { post_id: post._id } },
+    { new: true }
+  );
+  if (!claimed) {
+    await Post.deleteOne({ _id: post._id });
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'A post already exists for this deliverable'
+    });
+  }
+
+  logger.info('Deliverable post created', { deliverableId: deliverable._id, postId: post._id, platform });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Post created from the approved draft. Publish or schedule it via /api/posts.',
+    data: { deliverable: claimed, post }
+  });
+});
+
+module.exports = {
+  getDeliverables,
+  getDeliverable,
+  getDraftMedia,
+  submitDraft,
+  reviewDraft,
+  createPost
+};
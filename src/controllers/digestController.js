@@ -0,0 +1,85 @@
+// src/controllers/digestController.js
+const User = require('../models/User');
+const jwtManager = require('../utils/jwt');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, ERROR_MESSAGES, DIGEST_FREQUENCIES } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { escapeHtml, layout } = require('../services/notifier/templates/layout');
+
+const formatPreferences = (user) => ({
+  frequency: user.preferences?.digest?.frequency || DIGEST_FREQUENCIES.OFF,
+  timezone: user.timezone,
+  last_sent_at: user.preferences?.digest?.last_sent_at || null
+});
+
+// Get digest preferences
+const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('timezone preferences');
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: ERROR_MESSAGES.USER_NOT_FOUND });
+  }
+  res.json({ success: true, data: { digest: formatPreferences(user) } });
+});
+
+// Update digest frequency and/or timezone
+const updatePreferences = asyncHandler(async (req, res) => {
+  const { frequency, timezone } = req.body;
+  const update = {};
+  if (frequency) update['preferences.digest.frequency'] = frequency;
+  if (timezone) update.timezone = timezone;
+
+  const user = await User.findByIdAndUpdate(req.userId, { $set: update }, { new: true, runValidators: true })
+    .select('timezone preferences');
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: ERROR_MESSAGES.USER_NOT_FOUND });
+  }
+
+  logger.info('Digest preferences updated', { userId: req.userId, ...req.body });
+  res.json({ success: true, data: { digest: formatPreferences(user) } });
+});
+
+const renderPage = (res, status, title, body) => {
+  res.status(status).type('html').send(layout({ title, body }));
+};
+
+const readUnsubscribeToken = (req) => {
+  try {
+    const decoded = jwtManager.verifyUnsubscribeToken(String(req.query.token || ''));
+    return decoded.list === 'digest' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Confirmation page behind the email link. It does not unsubscribe by itself,
+// so link scanners that prefetch URLs cannot unsubscribe anyone.
+const showUnsubscribe = (req, res) => {
+  if (!readUnsubscribeToken(req)) {
+    return renderPage(res, HTTP_STATUS.BAD_REQUEST, 'Invalid link', '<p>This unsubscribe link is invalid.</p>');
+  }
+
+  renderPage(res, HTTP_STATUS.OK, 'Unsubscribe from digests', `<p>Stop receiving performance digest emails?</p>
+<form method="POST" action="?token=${escapeHtml(encodeURIComponent(req.query.token))}">
+<button type="submit" style="padding:10px 20px;background:#1E3A8A;color:#ffffff;border:0;border-radius:6px;font-weight:600;cursor:pointer">Unsubscribe</button>
+</form>`);
+};
+
+// Unsubscribe; also the target of one-click List-Unsubscribe POSTs
+const unsubscribe = asyncHandler(async (req, res) => {
+  const decoded = readUnsubscribeToken(req);
+  if (!decoded) {
+    return renderPage(res, HTTP_STATUS.BAD_REQUEST, 'Invalid link', '<p>This unsubscribe link is invalid.</p>');
+  }
+
+  await User.updateOne({ _id: decoded.id }, { $set: { 'preferences.digest.frequency': DIGEST_FREQUENCIES.OFF } });
+  logger.info('Unsubscribed from digests', { userId: decoded.id });
+
+  renderPage(res, HTTP_STATUS.OK, 'Unsubscribed', '<p>You will no longer receive performance digest emails. You can subscribe again from your account settings.</p>');
+});
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  showUnsubscribe,
+  unsubscribe
+};
@@ -0,0 +1,289 @@
+// src/controllers/facebookController.js
+const facebookService = require('../services/social/facebook');
+const User = require('../models/User');
+const jwt = require('jsonwebtoken');
+const config = require('../config/env');
+const audit = require('../services/audit');
+const { SOCIAL_ACCOUNT_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
+
+// Page fields that are safe to return to the client (no access tokens)
+const toPublicPage = (page) => ({
+  id: page.id,
+  name: page.name,
+  category: page.category,
+  picture: page.picture,
+  tasks: page.tasks
+});
+
+class FacebookController {
+  // Generate Facebook OAuth URL
+  async generateAuthURL(req, res) {
+    try {
+      console.log('🔑 Facebook generateAuthURL called:', {
+        hasUser: !!req.user,
+        userId: req.userId || req.user?._id,
+        redirectUri: req.body?.redirectUri || req.query?.redirectUri,
+        method: req.method
+      });
+
+      const redirectUri = req.body?.redirectUri || req.query?.redirectUri;
+      if (!redirectUri) {
+        return res.status(400).json({ success: false, error: 'redirectUri is required' });
+      }
+
+      const state = jwt.sign(
+        { userId: req.userId || req.user._id },
+        config.JWT_SECRET,
+        { expiresIn: '30m' }
+      );
+
+      const authURL = facebookService.generateAuthURL(redirectUri, state);
+
+      console.log('✅ Facebook auth URL generated:', { hasAuthURL: !!authURL, state: state.substring(0, 20) + '...' });
+      return res.json({ success: true, authURL, state, redirectUri });
+    } catch (error) {
+      console.error('❌ Facebook generateAuthURL error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // Handle Facebook OAuth callback
+  async handleCallback(req, res) {
+    const redirectToFrontend = config.FRONTEND_URL || 'http://localhost:3000';
+
+    try {
+      const { code, state, redirectUri, error_description: errorDescription } = req.query;
+
+      console.log('📥 Facebook Callback query params:', { hasCode: !!code, hasState: !!state, redirectUri });
+
+      if (errorDescription) {
+        return res.redirect(`${redirectToFrontend}/creator/settings?facebook=error&message=${encodeURIComponent(errorDescription)}`);
+      }
+
+      if (!code || !state || !redirectUri) {
+        const msg = 'Missing code, state or redirectUri';
+        return res.redirect(`${redirectToFrontend}/creator/settings?facebook=error&message=${encodeURIComponent(msg)}`);
+      }
+
+      // Verify state
+      let decodedState;
+      try {
+        decodedState = jwt.verify(state, config.JWT_SECRET);
+      } catch (error) {
+        console.error('❌ Invalid state:', error);
+        const msg = 'Invalid state';
+        return res.redirect(`${redirectToFrontend}/creator/settings?facebook=error&message=${encodeURIComponent(msg)}`);
+      }
+
+      // Exchange code for a long-lived user token
+      const tokenResult = await facebookService.exchangeCodeForToken(code, redirectUri);
+      if (!tokenResult.success) {
+        const detail = tokenResult.error || 'Token exchange failed';
+        return res.redirect(`${redirectToFrontend}/creator/settings?facebook=error&message=${encodeURIComponent(String(detail))}`);
+      }
+
+      const [profileResult, pagesResult] = await Promise.all([
+        facebookService.getUserProfile(tokenResult.access_token),
+        facebookService.getManagedPages(tokenResult.access_token)
+      ]);
+
+      if (!pagesResult.success) {
+        const detail = pagesResult.error || 'Failed to load Facebook Pages';
+        return res.redirect(`${redirectToFrontend}/creator/settings?facebook=error&message=${encodeURIComponent(String(detail))}`);
+      }
+
+      const pages = pagesResult.pages;
+
+      // Keep the previous selection if that Page is still managed, otherwise auto-select a single Page
+      const existing = await User.findById(decodedState.userId).select('socialAccounts.facebook.selectedPageId');
+      const previousPageId = existing?.socialAccounts?.facebook?.selectedPageId;
+      const selectedPageId = pages.some(page => page.id === previousPageId)
+        ? previousPageId
+        : (pages.length === 1 ? pages[0].id : undefined);
+
+      await User.findByIdAndUpdate(
+        decodedState.userId,
+        {
+          $set: {
+            'socialAccounts.facebook.accessToken': tokenResult.access_token,
+            'socialAccounts.facebook.connectedAt': new Date(),
+            'socialAccounts.facebook.status': SOCIAL_ACCOUNT_STATUS.CONNECTED,
+            'socialAccounts.facebook.pages': pages,
+            ...(tokenResult.expires_in && {
+              'socialAccounts.facebook.expiresAt': new Date(Date.now() + tokenResult.expires_in * 1000)
+            }),
+            ...(selectedPageId && { 'socialAccounts.facebook.selectedPageId': selectedPageId }),
+            ...(profileResult.success && {
+              'socialAccounts.facebook.id': profileResult.user.id,
+              'socialAccounts.facebook.name': profileResult.user.name
+            })
+          },
+          $unset: {
+            'socialAccounts.facebook.statusReason': 1,
+            ...(!selectedPageId && { 'socialAccounts.facebook.selectedPageId': 1 })
+          }
+        }
+      );
+
+      // Fresh Page tokens also revive an Instagram account linked to one of the Pages
+      await User.updateOne(
+        { _id: decodedState.userId, 'socialAccounts.instagram.pageId': { $in: pages.map(page => page.id) } },
+        { $unset: { 'socialAccounts.instagram.status': 1, 'socialAccounts.instagram.statusReason': 1 } }
+      );
+
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_CONNECTED, decodedState.userId, 'facebook', {
+        id: profileResult.user?.id,
+        name: profileResult.user?.name
+      });
+
+      console.log('✅ Facebook account connected:', { userId: decodedState.userId, pages: pages.length });
+
+      return res.redirect(`${redirectToFrontend}/creator/settings?facebook=success&pages=${pages.length}`);
+    } catch (error) {
+      console.error('🔥 Facebook callback error:', error);
+      const msg = error?.message || 'Callback failed';
+      return res.redirect(`${redirectToFrontend}/creator/settings?facebook=error&message=${encodeURIComponent(String(msg))}`);
+    }
+  }
+
+  // List the Pages available for publishing
+  async getPages(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('socialAccounts.facebook');
+      const facebookAccount = user?.socialAccounts?.facebook;
+
+      if (!facebookAccount?.accessToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facebook account not connected',
+          code: 'FACEBOOK_NOT_CONNECTED'
+        });
+      }
+
+      res.json({
+        success: true,
+        pages: (facebookAccount.pages || []).map(toPublicPage),
+        selectedPageId: facebookAccount.selectedPageId || null
+      });
+    } catch (error) {
+      console.error('❌ Facebook getPages error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get Facebook Pages' });
+    }
+  }
+
+  // Re-fetch Pages and their tokens from Facebook
+  async refreshPages(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('socialAccounts.facebook');
+      const facebookAccount = user?.socialAccounts?.facebook;
+
+      if (!facebookAccount?.accessToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facebook account not connected',
+          code: 'FACEBOOK_NOT_CONNECTED'
+        });
+      }
+
+      const pagesResult = await facebookService.getManagedPages(facebookAccount.accessToken);
+      if (!pagesResult.success) {
+        return res.status(pagesResult.statusCode || 502).json({ success: false, error: pagesResult.error });
+      }
+
+      const pages = pagesResult.pages;
+      const selectedPageId = pages.some(page => page.id === facebookAccount.selectedPageId)
+        ? facebookAccount.selectedPageId
+        : undefined;
+
+      await User.findByIdAndUpdate(req.user._id, {
+        $set: { 'socialAccounts.facebook.pages': pages },
+        ...(!selectedPageId && { $unset: { 'socialAccounts.facebook.selectedPageId': 1 } })
+      });
+
+      res.json({
+        success: true,
+        pages: pages.map(toPublicPage),
+        selectedPageId: selectedPageId || null
+      });
+    } catch (error) {
+      console.error('❌ Facebook refreshPages error:', error);
+      res.status(500).json({ success: false, error: 'Failed to refresh Facebook Pages' });
+    }
+  }
+
+  // Select the Page posts are published to
+  async selectPage(req, res) {
+    try {
+      const { pageId } = req.body;
+      if (!pageId) {
+        return res.status(400).json({ success: false, error: 'pageId is required' });
+      }
+
+      const user = await User.findById(req.user._id).select('socialAccounts.facebook');
+      const page = user?.socialAccounts?.facebook?.pages?.find(p => p.id === String(pageId));
+
+      if (!page) {
+        return res.status(404).json({ success: false, error: 'Page not found among your connected Pages' });
+      }
+
+      await User.findByIdAndUpdate(req.user._id, {
+        $set: { 'socialAccounts.facebook.selectedPageId': page.id }
+      });
+
+      res.json({ success: true, message: 'Facebook Page selected', page: toPublicPage(page) });
+    } catch (error) {
+      console.error('❌ Facebook selectPage error:', error);
+      res.status(500).json({ success: false, error: 'Failed to select Facebook Page' });
+    }
+  }
+
+  // Get Facebook connection status
+  async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('socialAccounts.facebook');
+      const facebookAccount = user?.socialAccounts?.facebook;
+      const isConnected = !!facebookAccount?.accessToken;
+      const selectedPage = facebookAccount?.pages?.find(page => page.id === facebookAccount.selectedPageId);
+
+      res.json({
+        success: true,
+        connected: isConnected,
+        expired: facebookAccount?.expiresAt ? new Date(facebookAccount.expiresAt) < new Date() : false,
+        needsReauth: facebookAccount?.status === SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH,
+        account: isConnected ? {
+          name: facebookAccount.name,
+          connectedAt: facebookAccount.connectedAt,
+          pageCount: facebookAccount.pages?.length || 0,
+          selectedPage: selectedPage ? toPublicPage(selectedPage) : null
+        } : null
+      });
+    } catch (error) {
+      console.error('❌ Facebook getStatus error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get Facebook status' });
+    }
+  }
+
+  // Disconnect Facebook account
+  async disconnect(req, res) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $unset: { 'socialAccounts.facebook': 1 } },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_DISCONNECTED, req.user._id, 'facebook');
+
+      res.json({ success: true, message: 'Facebook account disconnected successfully' });
+    } catch (error) {
+      console.error('❌ Facebook disconnect error:', error);
+      res.status(500).json({ success: false, error: 'Failed to disconnect Facebook account' });
+    }
+  }
+}
+
+module.exports = new FacebookController();
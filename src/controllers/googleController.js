@@ -2,6 +2,57 @@ const googleService = require('../services/social/google');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/env');
+const jwtManager = require('../utils/jwt');
+const identities = require('../services/identities');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const audit = require('../services/audit');
+const logger = require('../utils/logger');
+const { AUTH_PROVIDERS, AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
+
+/**
+ * Sign in a user whose Google identity is linked: sets the token cookies and
+ * redirects to their dashboard, or to the login page for two-factor authentication
+ */
+async function signInAndRedirect(req, res, user, redirectBase) {
+  if (!user.isActive) {
+    return res.redirect(`${redirectBase}/login?google=error&message=${encodeURIComponent('Account is deactivated')}`);
+  }
+
+  // Accounts with two-factor authentication finish signing in on the login page
+  const challenge = await twoFactor.getChallenge(user);
+  if (challenge) {
+    return res.redirect(`${redirectBase}/login?twoFactor=${challenge.twoFactor}&challengeToken=${encodeURIComponent(challenge.challengeToken)}`);
+  }
+
+  // Start a session for this device
+  const { session, tokens: tokenPair } = await sessions.start(user, req);
+  user.lastLogin = new Date();
+  await user.save();
+  await audit.record(req, AUDIT_ACTIONS.LOGIN, {
+    actor: user,
+    target: { type: AUDIT_TARGETS.USER, id: user._id },
+    metadata: { session_id: session._id, provider: AUTH_PROVIDERS.GOOGLE }
+  });
+  logger.info('User logged in with Google', { userId: user._id });
+
+  // Set tokens as HTTP-only cookies, then redirect to dashboard
+  const isProd = process.env.NODE_ENV === 'production';
+  res.cookie('accessToken', tokenPair.accessToken, {
+    httpOnly: true,
+    secure: isProd,
+    sameSite: 'lax',
+    maxAge: 1000 * 60 * 60, // 1 hour
+  });
+  res.cookie('refreshToken', tokenPair.refreshToken, {
+    httpOnly: true,
+    secure: isProd,
+    sameSite: 'lax',
+    maxAge: 1000 * 60 * 60 * 24 * 30, // 30 days
+  });
+
+  return res.redirect(`${redirectBase}/${user.role}/dashboard`);
+}
 
 class GoogleController {
   async generateAuthURL(req, res) {
@@ -39,39 +90,40 @@ class GoogleController {
         return res.redirect(`${redirectBase}/login?google=error&message=${encodeURIComponent(detail || 'Userinfo+failed')}`);
       }
 
-      // Find or create user
-      const email = (userInfo.user.email || '').toLowerCase();
-      let user = await User.findByEmail(email);
-      if (!user) {
-        user = new User({
-          name: userInfo.user.name || userInfo.user.given_name || 'Google User',
-          email,
-          password: Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2),
-          isVerified: true
-        });
-        await user.save();
+      const profile = userInfo.user;
+      if (!profile.sub || !profile.email || profile.email_verified === false) {
+        return res.redirect(`${redirectBase}/login?google=error&message=${encodeURIComponent('Google account has no verified email')}`);
+      }
+      const identity = { provider: AUTH_PROVIDERS.GOOGLE, subject: profile.sub, email: profile.email.toLowerCase() };
+      const linkedUser = await identities.findUser(identity.provider, identity.subject);
+
+      // Started from account settings: the signed-in user confirms the link there
+      if (decoded.userId && decoded.userId !== 'guest') {
+        const settingsUrl = `${redirectBase}/settings/security`;
+        if (linkedUser) {
+          const message = linkedUser._id.equals(decoded.userId)
+            ? 'Google account is already linked'
+            : 'Google account is linked to another user';
+          return res.redirect(`${settingsUrl}?google=error&message=${encodeURIComponent(message)}`);
+        }
+        const linkToken = jwtManager.generateIdentityToken({ ...identity, userId: decoded.userId }, 'link');
+        return res.redirect(`${settingsUrl}?google=confirm_link&linkToken=${encodeURIComponent(linkToken)}`);
+      }
+
+      if (linkedUser) {
+        return signInAndRedirect(req, res, linkedUser, redirectBase);
+      }
+
+      // An account with this email exists: link only after its owner confirms with their password
+      const existing = await User.findByEmail(identity.email);
+      if (existing) {
+        const linkToken = jwtManager.generateIdentityToken({ ...identity, userId: existing._id }, 'link');
+        return res.redirect(`${redirectBase}/login?google=confirm_link&email=${encodeURIComponent(identity.email)}&linkToken=${encodeURIComponent(linkToken)}`);
       }
 
-      // Issue tokens
-      const jwtManager = require('../utils/jwt');
-      const tokenPair = jwtManager.generateTokenPair({ id: user._id, email: user.email, role: user.role });
-
-      // Set tokens as HTTP-only cookies, then redirect to dashboard
-      const isProd = process.env.NODE_ENV === 'production';
-      res.cookie('accessToken', tokenPair.accessToken, {
-        httpOnly: true,
-        secure: isProd,
-        sameSite: 'lax',
-        maxAge: 1000 * 60 * 60, // 1 hour
-      });
-      res.cookie('refreshToken', tokenPair.refreshToken, {
-        httpOnly: true,
-        secure: isProd,
-        sameSite: 'lax',
-        maxAge: 1000 * 60 * 60 * 24 * 30, // 30 days
-      });
-
-      return res.redirect(`${redirectBase}/creator/dashboard`);
+      // New user: chooses brand or creator during onboarding
+      const signupToken = jwtManager.generateIdentityToken({ ...identity, name: profile.name || profile.given_name }, 'signup');
+      return res.redirect(`${redirectBase}/onboarding?google=signup&signupToken=${encodeURIComponent(signupToken)}`);
     } catch (error) {
       return res.redirect(`${redirectBase}/login?google=error&message=${encodeURIComponent(error.message || 'Callback+failed')}`);
     }
@@ -0,0 +1,153 @@
+// src/controllers/instagramController.js
+const instagramService = require('../services/social/instagram');
+const User = require('../models/User');
+const audit = require('../services/audit');
+const { SOCIAL_ACCOUNT_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
+
+// Instagram professional accounts are linked through Facebook Pages, so the
+// Facebook connection (see facebookController) must exist first.
+class InstagramController {
+  // List Instagram accounts linked to the user's Facebook Pages
+  async getAccounts(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('socialAccounts.facebook');
+      const pages = user?.socialAccounts?.facebook?.pages || [];
+
+      if (pages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Connect a Facebook account with at least one Page first',
+          code: 'FACEBOOK_NOT_CONNECTED'
+        });
+      }
+
+      const results = await Promise.all(pages.map(async (page) => {
+        const result = await instagramService.getLinkedAccount(page.id, page.accessToken);
+        if (!result.success || !result.account) return null;
+
+        return {
+          pageId: page.id,
+          pageName: page.name,
+          id: result.account.id,
+          username: result.account.username,
+          name: result.account.name,
+          profilePicture: result.account.profile_picture_url
+        };
+      }));
+
+      res.json({ success: true, accounts: results.filter(Boolean) });
+    } catch (error) {
+      console.error('❌ Instagram getAccounts error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get Instagram accounts' });
+    }
+  }
+
+  // Connect the Instagram account linked to one of the user's Facebook Pages
+  async connect(req, res) {
+    try {
+      const { pageId } = req.body;
+      if (!pageId) {
+        return res.status(400).json({ success: false, error: 'pageId is required' });
+      }
+
+      const user = await User.findById(req.user._id).select('socialAccounts.facebook');
+      const page = user?.socialAccounts?.facebook?.pages?.find(p => p.id === String(pageId));
+
+      if (!page) {
+        return res.status(404).json({ success: false, error: 'Page not found among your connected Facebook Pages' });
+      }
+
+      const result = await instagramService.getLinkedAccount(page.id, page.accessToken);
+      if (!result.success) {
+        return res.status(result.statusCode || 502).json({ success: false, error: result.error });
+      }
+      if (!result.account) {
+        return res.status(400).json({
+          success: false,
+          error: 'This Page has no linked Instagram professional account',
+          code: 'INSTAGRAM_NOT_LINKED'
+        });
+      }
+
+      await User.findByIdAndUpdate(req.user._id, {
+        $set: {
+          'socialAccounts.instagram': {
+            id: result.account.id,
+            username: result.account.username,
+            name: result.account.name,
+            profilePicture: result.account.profile_picture_url,
+            pageId: page.id,
+            accessToken: page.accessToken,
+            connectedAt: new Date(),
+            status: SOCIAL_ACCOUNT_STATUS.CONNECTED
+          }
+        }
+      });
+
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_CONNECTED, req.user._id, 'instagram', {
+        id: result.account.id,
+        name: result.account.username
+      });
+
+      console.log('✅ Instagram account connected:', { userId: req.user._id, username: result.account.username });
+
+      res.json({
+        success: true,
+        message: 'Instagram account connected',
+        account: {
+          id: result.account.id,
+          username: result.account.username,
+          name: result.account.name,
+          pageId: page.id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Instagram connect error:', error);
+      res.status(500).json({ success: false, error: 'Failed to connect Instagram account' });
+    }
+  }
+
+  // Get Instagram connection status
+  async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('socialAccounts.instagram');
+      const instagramAccount = user?.socialAccounts?.instagram;
+      const isConnected = !!instagramAccount?.accessToken;
+
+      res.json({
+        success: true,
+        connected: isConnected,
+        needsReauth: instagramAccount?.status === SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH,
+        account: isConnected ? {
+          id: instagramAccount.id,
+          username: instagramAccount.username,
+          name: instagramAccount.name,
+          profilePicture: instagramAccount.profilePicture,
+          pageId: instagramAccount.pageId,
+          connectedAt: instagramAccount.connectedAt
+        } : null
+      });
+    } catch (error) {
+      console.error('❌ Instagram getStatus error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get Instagram status' });
+    }
+  }
+
+  // Disconnect Instagram account
+  async disconnect(req, res) {
+    try {
+      await User.findByIdAndUpdate(req.user._id, {
+        $unset: { 'socialAccounts.instagram': 1 }
+      });
+
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_DISCONNECTED, req.user._id, 'instagram');
+
+      res.json({ success: true, message: 'Instagram account disconnected successfully' });
+    } catch (error) {
+      console.error('❌ Instagram disconnect error:', error);
+      res.status(500).json({ success: false, error: 'Failed to disconnect Instagram account' });
+    }
+  }
+}
+
+module.exports = new InstagramController();
@@ -0,0 +1,171 @@
+// src/controllers/invoiceController.js
+const Invoice = require('../models/Invoice');
+const Bid = require('../models/Bid');
+const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const invoiceService = require('../services/invoices/invoiceService');
+const { renderInvoice, renderStatement } = require('../services/invoices/invoicePdf');
+const { HTTP_STATUS, ERROR_MESSAGES, PAGINATION, BID_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const forbidden = (res) => res.status(HTTP_STATUS.FORBIDDEN).json({
+  success: false,
+  message: ERROR_MESSAGES.ACCESS_DENIED
+});
+
+const canAccess = (invoice, req) => req.user.role === 'admin' ||
+  invoice.creator_id.toString() === req.userId.toString() ||
+  invoice.brand_id.toString() === req.userId.toString();
+
+// "INV/2026-27/0001" -> "INV-2026-27-0001.pdf"
+const getPdfFilename = (invoice) => `${invoice.invoice_number.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`;
+
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+/**
+ * List invoices issued by the current creator or to the current brand (admins see all)
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    campaign_id,
+    from,
+    to
+  } = req.query;
+
+  const filter = {};
+  if (req.user.role === 'brand') filter.brand_id = req.userId;
+  else if (req.user.role !== 'admin') filter.creator_id = req.userId;
+  if (campaign_id) filter.campaign_id = campaign_id;
+  if (from || to) {
+    filter.issued_at = {};
+    if (from) filter.issued_at.$gte = from;
+    if (to) filter.issued_at.$lte = to;
+  }
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [invoices, total] = await Promise.all([
+    Invoice.find(filter)
+      .populate('campaign_id', 'title')
+      .sort({ issued_at: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    Invoice.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Issue the invoice of an accepted bid (returns the existing one if already issued)
+ */
+const createInvoice = asyncHandler(async (req, res) => {
+  const bid = await Bid.findById(req.body.bid_id);
+  if (!bid) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Bid not found' });
+  }
+
+  const campaign = await Campaign.findById(bid.campaign_id);
+  if (!campaign) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Campaign not found' });
+  }
+
+  const isParty = bid.creator_id.toString() === req.userId.toString() ||
+    campaign.brand_id.toString() === req.userId.toString();
+  if (!isParty && req.user.role !== 'admin') return forbidden(res);
+
+  if (![BID_STATUS.ACCEPTED, BID_STATUS.COMPLETED].includes(bid.status)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Invoices are issued for accepted bids only'
+    });
+  }
+
+  const existing = await Invoice.exists({ bid_id: bid._id });
+  const invoice = await invoiceService.generateForBid(bid, campaign);
+
+  res.status(existing ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json({
+    success: true,
+    message: existing ? 'Invoice already issued' : 'Invoice issued',
+    data: { invoice }
+  });
+});
+
+/**
+ * Get an invoice
+ */
+const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findById(req.params.id).populate('campaign_id', 'title');
+  if (!invoice) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Invoice not found' });
+  }
+  if (!canAccess(invoice, req)) return forbidden(res);
+
+  res.json({ success: true, data: { invoice } });
+});
+
+/**
+ * Download an invoice as PDF
+ */
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Invoice not found' });
+  }
+  if (!canAccess(invoice, req)) return forbidden(res);
+
+  sendPdf(res, await renderInvoice(invoice), getPdfFilename(invoice));
+});
+
+/**
+ * Monthly payout statement of the current creator (admins pass creator_id),
+ * as JSON or PDF
+ */
+const getStatement = asyncHandler(async (req, res) => {
+  const { month, format, creator_id } = req.query;
+
+  if (creator_id && creator_id !== req.userId.toString() && req.user.role !== 'admin') {
+    return forbidden(res);
+  }
+
+  const creator = await User.findById(creator_id || req.userId).select('name email role billing timezone');
+  if (!creator || creator.role !== 'creator') {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Creator not found' });
+  }
+
+  const statement = await invoiceService.buildStatement(creator, month);
+
+  if (format === 'pdf') {
+    return sendPdf(res, await renderStatement(statement), `payout-statement-${month}.pdf`);
+  }
+  res.json({ success: true, data: { statement } });
+});
+
+module.exports = {
+  getInvoices,
+  createInvoice,
+  getInvoice,
+  downloadInvoice,
+  getStatement
+};
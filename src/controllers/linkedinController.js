@@ -3,6 +3,8 @@ const linkedinService = require('../services/social/linkedin');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/env');
+const audit = require('../services/audit');
+const { SOCIAL_ACCOUNT_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
 
 class LinkedInController {
   /**
@@ -150,6 +152,7 @@ class LinkedInController {
           refreshToken: tokenResult.refresh_token, // Store if available
           expiresAt: new Date(Date.now() + (tokenResult.expires_in * 1000)),
           connectedAt: new Date(),
+          status: SOCIAL_ACCOUNT_STATUS.CONNECTED,
           isActive: true
         }
       };
@@ -163,6 +166,11 @@ class LinkedInController {
         }
       );
 
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_CONNECTED, decoded.userId, 'linkedin', {
+        id: updateData['socialAccounts.linkedin'].id,
+        name: updateData['socialAccounts.linkedin'].name
+      });
+
       console.log('✅ LinkedIn account connected successfully');
 
       // STEP 4: Redirect to frontend with success
@@ -199,6 +207,8 @@ class LinkedInController {
         }
       );
 
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_DISCONNECTED, userId, 'linkedin');
+
       res.json({ 
         success: true, 
         message: 'LinkedIn account disconnected' 
@@ -241,6 +251,7 @@ class LinkedInController {
         success: true,
         connected: isConnected,
         expired: isExpired,
+        needsReauth: linkedinAccount?.status === SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH,
         account: isConnected ? {
           email: linkedinAccount.email,
           name: linkedinAccount.name,
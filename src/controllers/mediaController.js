@@ -0,0 +1,48 @@
+// src/controllers/mediaController.js
+const path = require('path');
+const Post = require('../models/Post');
+const PostGroup = require('../models/PostGroup');
+const mediaStorage = require('../services/mediaStorage');
+const workspaces = require('../services/workspaces');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const fileNotFound = (res) => res.status(HTTP_STATUS.NOT_FOUND).json({
+  success: false,
+  message: 'File not found'
+});
+
+/**
+ * Media of a post or post group, for its author and members of its workspace
+ */
+const getPostMedia = asyncHandler(async (req, res) => {
+  const filename = path.basename(req.params.filename);
+  const filter = { 'media.filename': filename };
+
+  if (req.user.role !== 'admin') {
+    const workspaceIds = await workspaces.memberWorkspaceIds(req.userId);
+    filter.$or = [{ author: req.userId }, { workspace_id: { $in: workspaceIds } }];
+  }
+
+  const owner = await Post.findOne(filter).select('media') || await PostGroup.findOne(filter).select('media');
+  if (!owner) return fileNotFound(res);
+
+  mediaStorage.send(res, owner.media.find(item => item.filename === filename));
+});
+
+/**
+ * Post media through a signed, expiring URL, for platforms that fetch media
+ * themselves (Instagram); see mediaStorage.getPublicUrl
+ */
+const getSignedMedia = (req, res) => {
+  const filename = path.basename(req.params.filename);
+  if (!mediaStorage.verifySignature(filename, req.query.expires, req.query.signature)) {
+    return fileNotFound(res);
+  }
+  mediaStorage.send(res, { filename });
+};
+
+module.exports = {
+  getPostMedia,
+  getSignedMedia
+};
@@ -0,0 +1,161 @@
+// src/controllers/notificationController.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const notifications = require('../services/notifier/notifications');
+const realtime = require('../services/realtime');
+const { HTTP_STATUS, ERROR_MESSAGES, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+// Notifications of the current user selected by ids, type and/or read state
+const buildFilter = (userId, { ids, type, unread, read } = {}) => {
+  const filter = { user_id: userId };
+  if (ids?.length) filter._id = { $in: ids };
+  if (type) filter.type = type;
+  if (unread === true || unread === 'true') filter.read_at = null;
+  else if (read === true || read === 'true') filter.read_at = { $ne: null };
+  return filter;
+};
+
+/**
+ * List the current user's notifications, newest first
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT } = req.query;
+  const filter = buildFilter(req.userId, req.query);
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [items, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user_id: req.userId, read_at: null })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      notifications: items,
+      unread_count: unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Unread notifications of the current user, for badges
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({ user_id: req.userId, read_at: null });
+  res.json({ success: true, data: { unread_count: unreadCount } });
+});
+
+// Tell the user's other tabs to refresh their badge
+const publishRead = (userId, ids, readAt) => realtime.publish([userId], 'notification_read', { ids, read_at: readAt });
+
+/**
+ * Mark a notification as read
+ */
+const markRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user_id: req.userId });
+  if (!notification) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Notification not found' });
+  }
+
+  if (!notification.read_at) {
+    notification.read_at = new Date();
+    await notification.save();
+    await publishRead(req.userId, [notification._id], notification.read_at);
+  }
+
+  res.json({ success: true, data: { notification } });
+});
+
+/**
+ * Mark the given notifications (or all unread, optionally of one type) as read
+ */
+const markAllRead = asyncHandler(async (req, res) => {
+  const { ids, type } = req.body;
+  const filter = { ...buildFilter(req.userId, { ids, type }), read_at: null };
+
+  const readAt = new Date();
+  const result = await Notification.updateMany(filter, { $set: { read_at: readAt } });
+  if (result.modifiedCount > 0) await publishRead(req.userId, ids || null, readAt);
+
+  res.json({
+    success: true,
+    data: { read_count: result.modifiedCount, read_at: readAt }
+  });
+});
+
+/**
+ * Delete a notification
+ */
+const deleteNotification = asyncHandler(async (req, res) => {
+  const result = await Notification.deleteOne({ _id: req.params.id, user_id: req.userId });
+  if (result.deletedCount === 0) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Notification not found' });
+  }
+  res.json({ success: true, message: 'Notification deleted' });
+});
+
+/**
+ * Clear notifications: the given ids, or all (only read ones with `read=true`)
+ */
+const clearNotifications = asyncHandler(async (req, res) => {
+  const result = await Notification.deleteMany(buildFilter(req.userId, req.body));
+  logger.info('Notifications cleared', { userId: req.userId, count: result.deletedCount });
+  res.json({ success: true, data: { deleted_count: result.deletedCount } });
+});
+
+/**
+ * Channels of each notification type for the current user
+ */
+const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('preferences');
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: ERROR_MESSAGES.USER_NOT_FOUND });
+  }
+  res.json({ success: true, data: { preferences: notifications.getPreferences(user) } });
+});
+
+/**
+ * Update channels per notification type, e.g. { bid_received: { email: false } }
+ */
+const updatePreferences = asyncHandler(async (req, res) => {
+  const update = {};
+  for (const [type, channels] of Object.entries(req.body.preferences)) {
+    for (const [channel, enabled] of Object.entries(channels)) {
+      update[`preferences.notifications.${type}.${channel}`] = enabled;
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(req.userId, { $set: update }, { new: true, runValidators: true })
+    .select('preferences');
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: ERROR_MESSAGES.USER_NOT_FOUND });
+  }
+
+  logger.info('Notification preferences updated', { userId: req.userId });
+  res.json({ success: true, data: { preferences: notifications.getPreferences(user) } });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  clearNotifications,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,196 @@
+// src/controllers/paymentController.js
+const Payment = require('../models/Payment');
+const PaymentTransaction = require('../models/PaymentTransaction');
+const logger = require('../utils/logger');
+const escrow = require('../services/payments/escrow');
+const { HTTP_STATUS, ERROR_MESSAGES, PAGINATION, PAYMENT_STATUS, MILESTONE_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const isParticipant = (payment, req) =>
+  payment.brand_id.toString() === req.userId.toString() ||
+  payment.creator_id.toString() === req.userId.toString();
+
+const isBrandOrAdmin = (payment, req) =>
+  payment.brand_id.toString() === req.userId.toString() || req.user.role === 'admin';
+
+/**
+ * Load the payment of the request, answering 404/403 itself when it cannot be used
+ * @returns {Object|null} Payment document
+ */
+const loadPayment = async (req, res, canAccess) => {
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Payment not found' });
+    return null;
+  }
+  if (!canAccess(payment, req)) {
+    res.status(HTTP_STATUS.FORBIDDEN).json({ success: false, message: ERROR_MESSAGES.ACCESS_DENIED });
+    return null;
+  }
+  return payment;
+};
+
+// Answers 503 when no payment gateway is configured; returns whether escrow can be used
+const requireEscrow = (res) => {
+  if (escrow.isEnabled()) return true;
+  res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+    success: false,
+    message: 'Payments are not enabled on this server'
+  });
+  return false;
+};
+
+/**
+ * List payments the current user pays or receives (admins see all)
+ */
+const getPayments = asyncHandler(async (req, res) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    campaign_id,
+    status
+  } = req.query;
+
+  const filter = {};
+  if (req.user.role === 'brand') filter.brand_id = req.userId;
+  else if (req.user.role !== 'admin') filter.creator_id = req.userId;
+  if (campaign_id) filter.campaign_id = campaign_id;
+  if (status) filter.status = status;
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [payments, total] = await Promise.all([
+    Payment.find(filter)
+      .populate('campaign_id', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    Payment.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      payments,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * Get a payment with its ledger entries
+ */
+const getPayment = asyncHandler(async (req, res) => {
+  const payment = await loadPayment(req, res, (item) => isParticipant(item, req) || req.user.role === 'admin');
+  if (!payment) return;
+
+  const transactions = await PaymentTransaction.find({ payment_id: payment._id }).sort({ createdAt: 1 });
+  res.json({ success: true, data: { payment, transactions } });
+});
+
+/**
+ * Fund the escrow of an accepted bid
+ */
+const fundPayment = asyncHandler(async (req, res) => {
+  if (!requireEscrow(res)) return;
+  const payment = await loadPayment(req, res, isBrandOrAdmin);
+  if (!payment) return;
+
+  let funded;
+  try {
+    funded = await escrow.fund(payment._id, { actorId: req.userId, paymentMethod: req.body.payment_method });
+  } catch (error) {
+    logger.warn('Payment funding failed', { paymentId: payment._id, error: error.message });
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+      success: false,
+      message: `Payment could not be funded: ${error.message}`
+    });
+  }
+
+  if (!funded) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: payment.status === PAYMENT_STATUS.FUNDING
+        ? 'Funding is already in progress'
+        : 'Payment is already funded'
+    });
+  }
+
+  res.json({ success: true, message: 'Payment funded into escrow', data: { payment: funded } });
+});
+
+/**
+ * Release a held milestone to the creator ahead of its trigger
+ */
+const releaseMilestone = asyncHandler(async (req, res) => {
+  if (!requireEscrow(res)) return;
+  const payment = await loadPayment(req, res, isBrandOrAdmin);
+  if (!payment) return;
+
+  const milestone = payment.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Milestone not found' });
+  }
+
+  let updated;
+  try {
+    updated = await escrow.releaseMilestone(payment._id, milestone._id, { actorId: req.userId, reason: req.body.reason });
+  } catch (error) {
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+      success: false,
+      message: `Milestone could not be released: ${error.message}`
+    });
+  }
+
+  if (!updated) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: milestone.status === MILESTONE_STATUS.PENDING
+        ? 'Fund the payment before releasing milestones'
+        : `Milestone is ${milestone.status}`
+    });
+  }
+
+  res.json({ success: true, message: 'Milestone released', data: { payment: updated } });
+});
+
+/**
+ * Refund held milestones to the brand (admin, e.g. to resolve a dispute)
+ */
+const refundPayment = asyncHandler(async (req, res) => {
+  if (!requireEscrow(res)) return;
+  const payment = await loadPayment(req, res, () => true);
+  if (!payment) return;
+
+  const { milestone_ids: milestoneIds, reason } = req.body;
+  const result = await escrow.refund(payment._id, milestoneIds, { actorId: req.userId, reason });
+
+  if (result.refunded.length === 0 && result.failed.length === 0) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'No held milestones to refund'
+    });
+  }
+
+  logger.info('Payment refunded', { paymentId: payment._id, refunded: result.refunded.length, failed: result.failed.length });
+
+  res.status(result.failed.length > 0 ? HTTP_STATUS.UNPROCESSABLE_ENTITY : HTTP_STATUS.OK).json({
+    success: result.failed.length === 0,
+    message: result.failed.length > 0 ? 'Some milestones could not be refunded' : 'Payment refunded',
+    data: result
+  });
+});
+
+module.exports = {
+  getPayments,
+  getPayment,
+  fundPayment,
+  releaseMilestone,
+  refundPayment
+};
@@ -6,6 +6,13 @@ const path = require('path');
 // Import platform services
 const twitterService = require('../services/social/twitter');
 const youtubeService = require('../services/social/youtube');
+const linkedinService = require('../services/social/linkedin');
+const facebookService = require('../services/social/facebook');
+const instagramService = require('../services/social/instagram');
+const tokenManager = require('../services/social/tokenManager');
+const postDispatcher = require('../services/scheduler/postDispatcher');
+const mediaStorage = require('../services/mediaStorage');
+const workspaces = require('../services/workspaces');
 
 class PostController {
   
@@ -14,12 +21,68 @@ class PostController {
     this.postToPlatform = this.postToPlatform.bind(this);
     this.postToTwitter = this.postToTwitter.bind(this);
     this.postToYouTube = this.postToYouTube.bind(this);
+    this.postToLinkedIn = this.postToLinkedIn.bind(this);
+    this.postToFacebook = this.postToFacebook.bind(this);
+    this.postToInstagram = this.postToInstagram.bind(this);
+    this.createPost = this.createPost.bind(this);
     this.publishPostById = this.publishPostById.bind(this);
     this.publishPost = this.publishPost.bind(this);
     this.schedulePostById = this.schedulePostById.bind(this);
     this.schedulePost = this.schedulePost.bind(this);
+    this.buildPublishingRecord = this.buildPublishingRecord.bind(this);
+    this.retryPost = this.retryPost.bind(this);
+    this.respondPublishInterrupted = this.respondPublishInterrupted.bind(this);
+  }
+
+  // Answer a manual publish whose claim was released (e.g. dead-lettered as stale) before its outcome was recorded
+  async respondPublishInterrupted(res, postId, platformResult) {
+    const post = await Post.findById(postId).populate('author', 'username email');
+
+    return res.status(409).json({
+      success: false,
+      message: post
+        ? `Publishing was interrupted; the post is now ${post.status}`
+        : 'Post was deleted while it was being published',
+      platformError: platformResult.success ? undefined : platformResult.error,
+      post
+    });
+  }
+
+  // Build the Post.publishing subdocument from a successful platform result
+  buildPublishingRecord(platformResult, publishedAt = new Date()) {
+    return {
+      published_at: publishedAt,
+      platform_post_id: platformResult.tweet_id || platformResult.thread_id || platformResult.video_id || platformResult.post_id || null,
+      platform_url: platformResult.url || null
+    };
   }
   
+  // Normalize request content (plain text, JSON string or object) into Post.content
+  parseContent(content, title) {
+    let parsedContent = {};
+    if (content) {
+      if (typeof content === 'string') {
+        // Check if it's the '[object Object]' string that frontend sometimes sends
+        if (content === '[object Object]') {
+          console.log('⚠️ Frontend sent [object Object] string - using title as fallback');
+          // Use title as fallback since frontend has serialization issue
+          parsedContent = { caption: title || 'No content provided' };
+          console.log('📝 Using title as fallback for [object Object]:', title);
+        } else {
+          try {
+            parsedContent = JSON.parse(content);
+          } catch {
+            // If not JSON, treat as plain text
+            parsedContent = { caption: content };
+          }
+        }
+      } else if (typeof content === 'object') {
+        parsedContent = content;
+      }
+    }
+    return parsedContent;
+  }
+
   // Helper method to post to platform
   async postToPlatform(post, user) {
     try {
@@ -43,20 +106,25 @@ class PostController {
           platformResult = await this.postToYouTube(post, user);
           break;
         case 'instagram':
-          console.log('📸 Instagram posting not implemented yet');
-          platformResult = { success: false, error: 'Instagram posting not implemented yet' };
+          console.log('📸 Calling Instagram posting...');
+          platformResult = await this.postToInstagram(post, user);
           break;
         case 'linkedin':
-          console.log('💼 LinkedIn posting not implemented yet');
-          platformResult = { success: false, error: 'LinkedIn posting not implemented yet' };
+          console.log('💼 Calling LinkedIn posting...');
+          platformResult = await this.postToLinkedIn(post, user);
           break;
         case 'facebook':
-          console.log('👥 Facebook posting not implemented yet');
-          platformResult = { success: false, error: 'Facebook posting not implemented yet' };
+          console.log('👥 Calling Facebook posting...');
+          platformResult = await this.postToFacebook(post, user);
           break;
         default:
           console.log('❓ Unsupported platform:', post.platform);
-          platformResult = { success: false, error: 'Unsupported platform' };
+          platformResult = { success: false, error: 'Unsupported platform', code: 'PLATFORM_NOT_SUPPORTED' };
+      }
+
+      // Page tokens cannot be refreshed; a rejected one means the user has to reconnect
+      if (['facebook', 'instagram'].includes(post.platform) && platformResult.code === 'TOKEN_EXPIRED') {
+        await tokenManager.markNeedsReauth(user, post.platform, platformResult.error);
       }
 
       console.log(`📊 Platform posting result for ${post.platform}:`, platformResult);
@@ -65,7 +133,8 @@ class PostController {
       console.error(`❌ Error posting to ${post.platform}:`, error);
       return {
         success: false,
-        error: error.message || 'Platform posting failed'
+        error: error.message || 'Platform posting failed',
+        code: error.code
       };
     }
   }
@@ -85,45 +154,11 @@ class PostController {
         console.log('❌ Twitter account not connected for user:', user._id);
         return {
           success: false,
-          error: 'Twitter account not connected'
+          error: 'Twitter account not connected',
+          code: 'ACCOUNT_NOT_CONNECTED'
         };
       }
 
-      // Refresh token if expired
-      let accessToken = user.socialAccounts.twitter.accessToken;
-      const tokenExpiresAt = new Date(user.socialAccounts.twitter.expiresAt);
-      const now = new Date();
-      
-      console.log('🔑 Token status:', {
-        expiresAt: tokenExpiresAt,
-        now: now,
-        isExpired: tokenExpiresAt < now
-      });
-
-      if (tokenExpiresAt < now) {
-        console.log('🔄 Twitter token expired, refreshing...');
-        const refreshResult = await twitterService.refreshToken(user.socialAccounts.twitter.refreshToken);
-        if (refreshResult.success) {
-          accessToken = refreshResult.access_token;
-          await User.findByIdAndUpdate(user._id, {
-            $set: {
-              'socialAccounts.twitter.accessToken': refreshResult.access_token,
-              'socialAccounts.twitter.refreshToken': refreshResult.refresh_token,
-              'socialAccounts.twitter.expiresAt': new Date(Date.now() + refreshResult.expires_in * 1000)
-            }
-          });
-          console.log('✅ Twitter token refreshed successfully');
-        } else {
-          console.log('❌ Failed to refresh Twitter token:', refreshResult.error);
-          return {
-            success: false,
-            error: 'Failed to refresh Twitter token: ' + refreshResult.error
-          };
-        }
-      } else {
-        console.log('✅ Twitter token is still valid');
-      }
-
       // Prepare content based on post type
       let content = '';
       
@@ -184,7 +219,8 @@ class PostController {
       if (!content) {
         return {
           success: false,
-          error: 'No content provided for Twitter post. Please provide text content or a title.'
+          error: 'No content provided for Twitter post. Please provide text content or a title.',
+          code: 'INVALID_CONTENT'
         };
       }
       
@@ -201,22 +237,23 @@ class PostController {
         originalPostTitle: post.title
       });
 
-      let result;
-
-      if (post.post_type === 'poll' && twitterContent.poll?.options?.length > 0) {
-        // Post poll
-        console.log('📊 Posting Twitter poll:', twitterContent.poll);
-        result = await twitterService.postPoll(accessToken, content, twitterContent.poll);
-      } else if (twitterContent.thread?.length > 0) {
-        // Post thread
-        console.log('🧵 Posting Twitter thread:', twitterContent.thread);
-        result = await twitterService.postThread(accessToken, twitterContent.thread);
-      } else {
+      // Refreshes an expiring token first, and retries once if Twitter rejects it
+      const result = await tokenManager.withFreshToken(user, 'twitter', (accessToken) => {
+        if (post.post_type === 'poll' && twitterContent.poll?.options?.length > 0) {
+          // Post poll
+          console.log('📊 Posting Twitter poll:', twitterContent.poll);
+          return twitterService.postPoll(accessToken, content, twitterContent.poll);
+        }
+        if (twitterContent.thread?.length > 0) {
+          // Post thread
+          console.log('🧵 Posting Twitter thread:', twitterContent.thread);
+          return twitterService.postThread(accessToken, twitterContent.thread);
+        }
         // Post single tweet
         console.log('🐦 Posting single Twitter tweet:', content);
         const mediaIds = []; // TODO: Handle media uploads
-        result = await twitterService.postTweet(accessToken, content, mediaIds);
-      }
+        return twitterService.postTweet(accessToken, content, mediaIds);
+      });
 
       console.log('📤 Twitter API result:', result);
       return result;
@@ -224,7 +261,8 @@ class PostController {
       console.error('❌ Twitter posting error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to post to Twitter'
+        error: error.message || 'Failed to post to Twitter',
+        code: error.code
       };
     }
   }
@@ -235,20 +273,292 @@ class PostController {
       if (!user.socialAccounts?.youtube?.accessToken) {
         return {
           success: false,
-          error: 'YouTube account not connected'
+          error: 'YouTube account not connected',
+          code: 'ACCOUNT_NOT_CONNECTED'
         };
       }
 
       // For now, return not implemented
       return {
         success: false,
-        error: 'YouTube posting not fully implemented yet'
+        error: 'YouTube posting not fully implemented yet',
+        code: 'PLATFORM_NOT_SUPPORTED'
       };
     } catch (error) {
       console.error('❌ YouTube posting error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to post to YouTube'
+        error: error.message || 'Failed to post to YouTube',
+        code: error.code
+      };
+    }
+  }
+
+  // Post to LinkedIn
+  async postToLinkedIn(post, user) {
+    try {
+      const linkedinAccount = user.socialAccounts?.linkedin;
+
+      if (!linkedinAccount?.accessToken || !linkedinAccount?.id) {
+        return {
+          success: false,
+          error: 'LinkedIn account not connected',
+          code: 'ACCOUNT_NOT_CONNECTED'
+        };
+      }
+
+      const linkedinContent = post.platform_content?.linkedin || {};
+      const article = linkedinContent.article || {};
+      const caption = post.content?.caption?.trim() || '';
+
+      // Article shares need a URL; without one the title and body go out as text
+      let text = caption;
+      let articleShare = null;
+      if (article.url) {
+        text = caption || article.body || '';
+        articleShare = {
+          url: article.url,
+          title: article.title,
+          description: article.body ? article.body.substring(0, 256) : undefined
+        };
+      } else if (article.title || article.body) {
+        text = [caption, article.title, article.body].filter(Boolean).join('\n\n');
+      }
+
+      if (!text && !articleShare) {
+        return {
+          success: false,
+          error: 'No content provided for LinkedIn post',
+          code: 'INVALID_CONTENT'
+        };
+      }
+
+      if (text.length > 3000) {
+        return {
+          success: false,
+          error: 'LinkedIn posts cannot exceed 3000 characters',
+          code: 'INVALID_CONTENT'
+        };
+      }
+
+      const imageMedia = (post.media || []).filter(item => item.type === 'image');
+      if (imageMedia.length === 0 && post.media?.length > 0) {
+        return {
+          success: false,
+          error: 'Only image media is supported for LinkedIn posts',
+          code: 'INVALID_CONTENT'
+        };
+      }
+
+      const images = [];
+      for (const item of imageMedia) {
+        try {
+          images.push({ buffer: await mediaStorage.read(item), mimeType: item.mimeType });
+        } catch (error) {
+          return { success: false, error: error.message, code: 'INVALID_CONTENT' };
+        }
+      }
+
+      console.log('💼 Publishing LinkedIn post:', {
+        postId: post._id,
+        images: images.length,
+        article: !!articleShare,
+        visibility: linkedinContent.visibility || 'public'
+      });
+
+      // Most LinkedIn apps get no refresh token; an expired token then needs a reconnect
+      return await tokenManager.withFreshToken(user, 'linkedin', (accessToken) => linkedinService.post(accessToken, {
+        memberId: linkedinAccount.id,
+        text,
+        visibility: linkedinContent.visibility,
+        images,
+        article: articleShare
+      }));
+    } catch (error) {
+      console.error('❌ LinkedIn posting error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to post to LinkedIn',
+        code: error.code
+      };
+    }
+  }
+
+  // Post to a Facebook Page
+  async postToFacebook(post, user) {
+    try {
+      const facebookAccount = user.socialAccounts?.facebook;
+
+      if (!facebookAccount?.accessToken || !facebookAccount.pages?.length) {
+        return {
+          success: false,
+          error: 'Facebook account not connected or no Pages available',
+          code: 'ACCOUNT_NOT_CONNECTED'
+        };
+      }
+
+      const facebookContent = post.platform_content?.facebook || {};
+      const pageId = facebookContent.page_id || facebookAccount.selectedPageId;
+      if (!pageId) {
+        return {
+          success: false,
+          error: 'Select a Facebook Page to publish to',
+          code: 'INVALID_CONTENT'
+        };
+      }
+
+      const page = facebookAccount.pages.find(p => p.id === pageId);
+      if (!page?.accessToken) {
+        return {
+          success: false,
+          error: 'Facebook Page is no longer connected',
+          code: 'ACCOUNT_NOT_CONNECTED'
+        };
+      }
+
+      const message = post.content?.caption?.trim() || '';
+      const linkUrl = facebookContent.link_preview?.url;
+      const media = post.media || [];
+      const video = media.find(item => item.type === 'video');
+      const images = media.filter(item => item.type === 'image' || item.type === 'gif');
+
+      console.log('👥 Publishing Facebook post:', {
+        postId: post._id,
+        pageId,
+        images: images.length,
+        hasVideo: !!video,
+        hasLink: !!linkUrl
+      });
+
+      let buffers;
+      try {
+        buffers = await Promise.all((video ? [video] : images).map(item => mediaStorage.read(item)));
+      } catch (error) {
+        return { success: false, error: error.message, code: 'INVALID_CONTENT' };
+      }
+
+      // Video post
+      if (video) {
+        return await facebookService.publishVideo(pageId, page.accessToken, {
+          buffer: buffers[0],
+          mimeType: video.mimeType,
+          description: message,
+          title: post.title
+        });
+      }
+
+      // Single photo post
+      if (images.length === 1) {
+        return await facebookService.publishPhoto(pageId, page.accessToken, {
+          buffer: buffers[0],
+          mimeType: images[0].mimeType,
+          caption: message
+        });
+      }
+
+      // Multi-photo post: upload unpublished photos, then attach them to one feed post
+      if (images.length > 1) {
+        const attachedMedia = [];
+        for (let i = 0; i < images.length; i++) {
+          const upload = await facebookService.publishPhoto(pageId, page.accessToken, {
+            buffer: buffers[i],
+            mimeType: images[i].mimeType,
+            published: false
+          });
+          if (!upload.success) return upload;
+          attachedMedia.push(upload.photo_id);
+        }
+        return await facebookService.publishFeedPost(pageId, page.accessToken, { message, attachedMedia });
+      }
+
+      // Text or link-preview post
+      if (!message && !linkUrl) {
+        return {
+          success: false,
+          error: 'No content provided for Facebook post',
+          code: 'INVALID_CONTENT'
+        };
+      }
+
+      return await facebookService.publishFeedPost(pageId, page.accessToken, { message, link: linkUrl });
+    } catch (error) {
+      console.error('❌ Facebook posting error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to post to Facebook',
+        code: error.code
+      };
+    }
+  }
+
+  // Post to Instagram
+  async postToInstagram(post, user) {
+    try {
+      const instagramAccount = user.socialAccounts?.instagram;
+
+      if (!instagramAccount?.id) {
+        return {
+          success: false,
+          error: 'Instagram account not connected',
+          code: 'ACCOUNT_NOT_CONNECTED'
+        };
+      }
+
+      // Prefer the current token of the linked Page; reconnecting Facebook refreshes it
+      const page = user.socialAccounts?.facebook?.pages?.find(p => p.id === instagramAccount.pageId);
+      const accessToken = page?.accessToken || instagramAccount.accessToken;
+      if (!accessToken) {
+        return {
+          success: false,
+          error: 'Instagram account not connected',
+          code: 'ACCOUNT_NOT_CONNECTED'
+        };
+      }
+
+      if (post.post_type === 'story') {
+        return {
+          success: false,
+          error: 'Instagram stories are not supported yet',
+          code: 'PLATFORM_NOT_SUPPORTED'
+        };
+      }
+
+      const caption = post.content?.caption?.trim() || '';
+      if (caption.length > 2200) {
+        return {
+          success: false,
+          error: 'Instagram captions cannot exceed 2200 characters',
+          code: 'INVALID_CONTENT'
+        };
+      }
+
+      const instagramContent = post.platform_content?.instagram || {};
+
+      // Instagram fetches media itself, through short-lived signed URLs
+      const media = (post.media || []).map(item => ({
+        type: item.type === 'video' ? 'video' : 'image',
+        url: mediaStorage.getPublicUrl(item)
+      }));
+
+      console.log('📸 Publishing Instagram post:', {
+        postId: post._id,
+        igUserId: instagramAccount.id,
+        mediaCount: media.length,
+        hasLocation: !!instagramContent.location?.id
+      });
+
+      return await instagramService.post(instagramAccount.id, accessToken, {
+        caption,
+        altText: instagramContent.alt_text,
+        locationId: instagramContent.location?.id,
+        media
+      });
+    } catch (error) {
+      console.error('❌ Instagram posting error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to post to Instagram',
+        code: error.code
       };
     }
   }
@@ -316,43 +626,11 @@ class PostController {
         });
       }
 
-      // Process uploaded media files
-      const mediaFiles = [];
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
-          const mediaItem = {
-            type: file.mimetype.startsWith('image') ? 'image' : 'video',
-            url: `/uploads/${file.filename}`,
-            filename: file.filename,
-            size: file.size,
-            mimeType: file.mimetype
-          };
-          mediaFiles.push(mediaItem);
-        }
-      }
+      // Persist uploaded media so it can be published later
+      const mediaFiles = await mediaStorage.saveAll(req.files || []);
 
       // Parse content properly
-      let parsedContent = {};
-      if (content) {
-        if (typeof content === 'string') {
-          // Check if it's the '[object Object]' string that frontend sometimes sends
-          if (content === '[object Object]') {
-            console.log('⚠️ Frontend sent [object Object] string - using title as fallback');
-            // Use title as fallback since frontend has serialization issue
-            parsedContent = { caption: title || 'No content provided' };
-            console.log('📝 Using title as fallback for [object Object]:', title);
-          } else {
-            try {
-              parsedContent = JSON.parse(content);
-            } catch {
-              // If not JSON, treat as plain text
-              parsedContent = { caption: content };
-            }
-          }
-        } else if (typeof content === 'object') {
-          parsedContent = content;
-        }
-      }
+      const parsedContent = this.parseContent(content, title);
 
       console.log('📝 Content parsing result:', {
         originalContent: content,
@@ -366,9 +644,10 @@ class PostController {
         platform,
         post_type,
         author: req.user._id,
+        workspace_id: req.workspace?._id,
         status: postStatus,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : undefined,
-        platformContent: parsedPlatformContent,
+        platform_content: parsedPlatformContent,
         tags: parsedTags,
         categories: parsedCategories,
         media: mediaFiles
@@ -404,7 +683,7 @@ class PostController {
         search
       } = req.query;
 
-      const query = { author: req.user._id };
+      const query = workspaces.contentScope(req);
 
       if (status) query.status = status;
       if (search) {
@@ -454,7 +733,7 @@ class PostController {
       
       const post = await Post.findOne({
         _id: id,
-        author: req.user._id
+        ...workspaces.contentScope(req)
       }).populate('author', 'username email');
 
       if (!post) {
@@ -485,8 +764,11 @@ class PostController {
       const updateData = { ...req.body };
 
       // Parse JSON strings
-      if (updateData.platformContent && typeof updateData.platformContent === 'string') {
-        updateData.platformContent = JSON.parse(updateData.platformContent);
+      if (updateData.platformContent) {
+        updateData.platform_content = typeof updateData.platformContent === 'string'
+          ? JSON.parse(updateData.platformContent)
+          : updateData.platformContent;
+        delete updateData.platformContent;
       }
       if (updateData.tags && typeof updateData.tags === 'string') {
         updateData.tags = JSON.parse(updateData.tags);
@@ -495,8 +777,25 @@ class PostController {
         updateData.categories = JSON.parse(updateData.categories);
       }
 
+      // Campaign links are set from the deliverable workflow only
+      delete updateData.campaign_id;
+      delete updateData.deliverable_id;
+
+      // A campaign deliverable must go out as the brand approved it
+      const filter = { _id: id, ...workspaces.contentScope(req) };
+      const lockedFields = ['content', 'media', 'platform_content', 'platform', 'post_type'];
+      if (lockedFields.some(field => field in updateData)) {
+        const linked = await Post.exists({ ...filter, deliverable_id: { $ne: null } });
+        if (linked) {
+          return res.status(409).json({
+            success: false,
+            message: 'This post carries an approved campaign deliverable; submit a new draft to change its content'
+          });
+        }
+      }
+
       const post = await Post.findOneAndUpdate(
-        { _id: id, author: req.user._id },
+        filter,
         { $set: updateData },
         { new: true }
       ).populate('author', 'username email');
@@ -530,7 +829,7 @@ class PostController {
 
       const post = await Post.findOneAndDelete({
         _id: id,
-        author: req.user._id
+        ...workspaces.contentScope(req)
       });
 
       if (!post) {
@@ -565,7 +864,7 @@ class PostController {
 
       const [drafts, total] = await Promise.all([
         Post.find({ 
-          author: req.user._id, 
+          ...workspaces.contentScope(req), 
           status: 'draft' 
         })
         .sort({ lastEditedAt: -1 })
@@ -573,7 +872,7 @@ class PostController {
         .limit(limitNum)
         .populate('author', 'username email'),
         Post.countDocuments({
-          author: req.user._id,
+          ...workspaces.contentScope(req),
           status: 'draft'
         })
       ]);
@@ -598,6 +897,49 @@ class PostController {
     }
   }
 
+  // Get user's dead-lettered posts (retries exhausted or permanent failure)
+  async getDeadLetterPosts(req, res) {
+    try {
+      const { page = 1, limit = 10 } = req.query;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const filter = {
+        ...workspaces.contentScope(req),
+        status: 'dead_letter'
+      };
+
+      const [posts, total] = await Promise.all([
+        Post.find(filter)
+          .sort({ 'error.occurred_at': -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .populate('author', 'username email'),
+        Post.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        posts,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching dead-letter posts:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch dead-letter posts'
+      });
+    }
+  }
+
   // Publish a post immediately
   async publishPost(req, res) {
     try {
@@ -655,71 +997,57 @@ class PostController {
         });
       }
 
-      // Process uploaded media files
-      const mediaFiles = [];
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
-          const mediaItem = {
-            type: file.mimetype.startsWith('image') ? 'image' : 'video',
-            url: `/uploads/${file.filename}`,
-            filename: file.filename,
-            size: file.size,
-            mimeType: file.mimetype
-          };
-          mediaFiles.push(mediaItem);
-        }
-      }
+      // Persist uploaded media so it can be published later
+      const mediaFiles = await mediaStorage.saveAll(req.files || []);
 
-      // Create post with published status
-      const post = new Post({
+      // Create post already claimed for publishing
+      let post = new Post({
         title,
-        content,
+        content: this.parseContent(content, title),
         platform,
         post_type,
         author: req.user._id,
-        status: 'published',
-        platformContent: parsedPlatformContent,
+        workspace_id: req.workspace?._id,
+        status: 'publishing',
+        platform_content: parsedPlatformContent,
         tags: parsedTags,
         categories: parsedCategories,
         media: mediaFiles,
-        publishing: {
-          published_at: new Date(),
-          platform_post_id: null // Will be updated after successful platform posting
+        dispatch: {
+          locked_by: postDispatcher.instanceId,
+          locked_at: new Date(),
+          attempts: 1
         }
       });
 
       await post.save();
-      await post.populate('author', 'username email');
 
-      // Post to platform
+      // Post to platform; workspace posts go out through the workspace owner's accounts
       console.log('🚀 Attempting to post to platform:', post.platform);
-      const platformResult = await this.postToPlatform(post, req.user);
+      const accountHolder = req.workspace ? await workspaces.getAccountHolder(post) : req.user;
+      const platformResult = await this.postToPlatform(post, accountHolder);
 
       if (!platformResult.success) {
-        // Update post status to failed
-        post.status = 'failed';
-        post.publishing = {
-          published_at: new Date(),
-          platform_post_id: null,
-          error: platformResult.error
-        };
-        await post.save();
+        // Records the attempt and schedules a retry when the error is transient
+        const failed = await postDispatcher.markFailed(post, platformResult, 'manual');
+        if (!failed) return this.respondPublishInterrupted(res, post._id, platformResult);
+        post = failed;
+        await post.populate('author', 'username email');
 
         return res.status(400).json({
           success: false,
           message: `Failed to post to ${post.platform}: ${platformResult.error}`,
           platformError: platformResult.error,
+          retryScheduledFor: post.retry?.next_attempt_at || null,
           post
         });
       }
 
       // Update post with platform post ID
-      post.publishing = {
-        published_at: new Date(),
-        platform_post_id: platformResult.tweet_id || platformResult.thread_id || platformResult.video_id || null,
-        platform_data: platformResult
-      };
-      await post.save();
+      const published = await postDispatcher.markPublished(post, platformResult, 'manual');
+      if (!published) return this.respondPublishInterrupted(res, post._id, platformResult);
+      post = published;
+      await post.populate('author', 'username email');
 
       console.log('✅ Post published successfully:', post._id, 'Platform ID:', post.publishing.platform_post_id);
 
@@ -797,31 +1125,20 @@ class PostController {
         });
       }
 
-      // Process uploaded media files
-      const mediaFiles = [];
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
-          const mediaItem = {
-            type: file.mimetype.startsWith('image') ? 'image' : 'video',
-            url: `/uploads/${file.filename}`,
-            filename: file.filename,
-            size: file.size,
-            mimeType: file.mimetype
-          };
-          mediaFiles.push(mediaItem);
-        }
-      }
+      // Persist uploaded media so it can be published later
+      const mediaFiles = await mediaStorage.saveAll(req.files || []);
 
       // Create post with scheduled status
       const post = new Post({
         title,
-        content,
+        content: this.parseContent(content, title),
         platform,
         post_type,
         author: req.user._id,
+        workspace_id: req.workspace?._id,
         status: 'scheduled',
         scheduledAt: new Date(scheduledAt),
-        platformContent: parsedPlatformContent,
+        platform_content: parsedPlatformContent,
         tags: parsedTags,
         categories: parsedCategories,
         media: mediaFiles,
@@ -834,7 +1151,7 @@ class PostController {
       await post.save();
       await post.populate('author', 'username email');
 
-      // TODO: Add job scheduling logic here (e.g., using node-cron or Bull queue)
+      // Published by services/scheduler/postDispatcher once scheduled_for passes
       console.log('✅ Post scheduled successfully:', post._id, 'for:', scheduledAt);
 
       res.status(201).json({
@@ -861,7 +1178,7 @@ class PostController {
       console.log('🚀 Publishing existing post:', { postId: id, userId });
 
       // Find the post and verify ownership
-      const post = await Post.findOne({ _id: id, author: userId });
+      let post = await Post.findOne({ _id: id, ...workspaces.contentScope(req) });
       
       if (!post) {
         return res.status(404).json({
@@ -880,8 +1197,8 @@ class PostController {
         });
       }
 
-      // Get user with social accounts
-      const user = await User.findById(userId);
+      // Get the user whose social accounts publish the post
+      const user = await workspaces.getAccountHolder(post);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -889,36 +1206,50 @@ class PostController {
         });
       }
 
+      // Claim the post so the scheduled dispatcher cannot publish it concurrently
+      // A manual publish starts a fresh retry budget
+      post = await Post.findOneAndUpdate(
+        { _id: id, status: { $in: ['draft', 'scheduled', 'failed', 'dead_letter'] } },
+        {
+          $set: {
+            status: 'publishing',
+            'dispatch.locked_by': postDispatcher.instanceId,
+            'dispatch.locked_at': new Date(),
+            'dispatch.attempts': 1
+          }
+        },
+        { new: true }
+      );
+
+      if (!post) {
+        return res.status(409).json({
+          success: false,
+          message: 'Post is already being published'
+        });
+      }
+
       // Post to platform first
       console.log('🚀 Attempting to post to platform:', post.platform);
       const platformResult = await this.postToPlatform(post, user);
 
       if (!platformResult.success) {
-        // Update post status to failed
-        post.status = 'failed';
-        post.publishing = {
-          published_at: new Date(),
-          platform_post_id: null,
-          error: platformResult.error
-        };
-        await post.save();
+        // Records the attempt and schedules a retry when the error is transient
+        const failed = await postDispatcher.markFailed(post, platformResult, 'manual');
+        if (!failed) return this.respondPublishInterrupted(res, post._id, platformResult);
+        post = failed;
 
         return res.status(400).json({
           success: false,
           message: `Failed to post to ${post.platform}: ${platformResult.error}`,
-          platformError: platformResult.error
+          platformError: platformResult.error,
+          retryScheduledFor: post.retry?.next_attempt_at || null
         });
       }
 
       // Update post status to published with platform post ID
-      post.status = 'published';
-      post.publishing = {
-        published_at: new Date(),
-        platform_post_id: platformResult.tweet_id || platformResult.thread_id || platformResult.video_id || null,
-        platform_data: platformResult
-      };
-
-      await post.save();
+      const published = await postDispatcher.markPublished(post, platformResult, 'manual');
+      if (!published) return this.respondPublishInterrupted(res, post._id, platformResult);
+      post = published;
       await post.populate('author', 'username email');
 
       console.log('✅ Post published successfully:', post._id, 'Platform ID:', post.publishing.platform_post_id);
@@ -949,7 +1280,7 @@ class PostController {
       console.log('⏰ Scheduling existing post:', { postId: id, userId, scheduledAt });
 
       // Find the post and verify ownership
-      const post = await Post.findOne({ _id: id, author: userId });
+      const post = await Post.findOne({ _id: id, ...workspaces.contentScope(req) });
       
       if (!post) {
         return res.status(404).json({
@@ -968,6 +1299,14 @@ class PostController {
         });
       }
 
+      // A post currently being published cannot be rescheduled
+      if (post.status === 'publishing') {
+        return res.status(409).json({
+          success: false,
+          message: 'Post is currently being published'
+        });
+      }
+
       // Check if post is already scheduled
       if (post.status === 'scheduled') {
         return res.status(200).json({
@@ -985,6 +1324,9 @@ class PostController {
         scheduled_for: new Date(scheduledAt),
         timezone: timezone || 'UTC'
       };
+      post.error = undefined;
+      post.retry = undefined;
+      post.dispatch.attempts = 0;
 
       await post.save();
       await post.populate('author', 'username email');
@@ -1006,6 +1348,70 @@ class PostController {
     }
   }
 
+  // Retry a failed or dead-lettered post now
+  async retryPost(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      console.log('🔁 Retrying post:', { postId: id, userId });
+
+      // Claim the post with a fresh retry budget; skips any pending automatic retry
+      const claimed = await Post.findOneAndUpdate(
+        { _id: id, ...workspaces.contentScope(req), status: { $in: ['failed', 'dead_letter'] } },
+        {
+          $set: {
+            status: 'publishing',
+            'dispatch.locked_by': postDispatcher.instanceId,
+            'dispatch.locked_at': new Date(),
+            'dispatch.attempts': 1
+          }
+        },
+        { new: true }
+      );
+
+      if (!claimed) {
+        const exists = await Post.exists({ _id: id, ...workspaces.contentScope(req) });
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          message: exists
+            ? 'Only failed or dead-lettered posts can be retried'
+            : 'Post not found or you do not have permission to retry it'
+        });
+      }
+
+      const { post, platformResult } = await postDispatcher.dispatch(claimed, 'manual');
+      if (!post) return this.respondPublishInterrupted(res, claimed._id, platformResult);
+      await post.populate('author', 'username email');
+
+      if (!platformResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: `Failed to post to ${post.platform}: ${platformResult.error}`,
+          platformError: platformResult.error,
+          retryScheduledFor: post.retry?.next_attempt_at || null,
+          post
+        });
+      }
+
+      console.log('✅ Post retried successfully:', post._id, 'Platform ID:', post.publishing.platform_post_id);
+
+      res.json({
+        success: true,
+        message: 'Post published successfully',
+        post,
+        platformResult
+      });
+
+    } catch (error) {
+      console.error('❌ Error retrying post:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retry post'
+      });
+    }
+  }
+
   // Test Twitter connection
   async testTwitterConnection(req, res) {
     try {
@@ -1026,7 +1432,7 @@ class PostController {
           success: false,
           error: 'Twitter account not connected',
           hasTwitterAccount: false,
-          socialAccounts: user.socialAccounts
+          socialAccounts: user.toJSON().socialAccounts
         });
       }
 
@@ -0,0 +1,523 @@
+const PostGroup = require('../models/PostGroup');
+const Post = require('../models/Post');
+const { validationResult } = require('express-validator');
+const postController = require('./postController');
+const postDispatcher = require('../services/scheduler/postDispatcher');
+const mediaStorage = require('../services/mediaStorage');
+const workspaces = require('../services/workspaces');
+
+// post_type used for a platform when the group does not override it
+const DEFAULT_POST_TYPES = {
+  youtube: 'video'
+};
+
+// Per-platform posts in these states are left alone when (re)publishing a group
+const LOCKED_STATUSES = ['publishing', 'published'];
+
+class PostGroupController {
+
+  constructor() {
+    // Bind methods to ensure 'this' context is preserved
+    this.createGroup = this.createGroup.bind(this);
+    this.getGroup = this.getGroup.bind(this);
+    this.updateGroup = this.updateGroup.bind(this);
+    this.publishGroup = this.publishGroup.bind(this);
+    this.scheduleGroup = this.scheduleGroup.bind(this);
+    this.publishToPlatform = this.publishToPlatform.bind(this);
+  }
+
+  // Parse a field that may arrive as JSON, a comma separated string or an array
+  parseListField(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (Array.isArray(value)) return value;
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+
+  // Parse a field that may arrive as a JSON string or an object
+  parseObjectField(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  // Build group fields from a create/update request body
+  parseGroupBody(body) {
+    const fields = {};
+
+    if (body.title !== undefined) fields.title = body.title;
+    if (body.content !== undefined) fields.content = postController.parseContent(body.content, body.title);
+
+    const platforms = this.parseListField(body.platforms);
+    if (platforms) fields.platforms = platforms;
+
+    const platformContent = this.parseObjectField(body.platformContent);
+    if (platformContent) fields.platform_content = platformContent;
+
+    const tags = this.parseListField(body.tags);
+    if (tags) fields.tags = tags;
+
+    const categories = this.parseListField(body.categories);
+    if (categories) fields.categories = categories;
+
+    return fields;
+  }
+
+  // Fields of the per-platform Post: shared content merged with the platform override
+  buildPostFields(group, platform) {
+    const { caption, hashtags, mentions, post_type: postType, ...platformFields } = group.getOverride(platform);
+
+    return {
+      title: group.title,
+      platform,
+      post_type: postType || DEFAULT_POST_TYPES[platform] || 'post',
+      author: group.author,
+      workspace_id: group.workspace_id,
+      group_id: group._id,
+      content: {
+        caption: caption !== undefined ? caption : group.content?.caption,
+        hashtags: hashtags || group.content?.hashtags || [],
+        mentions: mentions || group.content?.mentions || []
+      },
+      platform_content: { [platform]: platformFields },
+      media: group.media.map(item => {
+        const { _id, ...media } = item.toObject();
+        return media;
+      }),
+      tags: group.tags,
+      categories: group.categories
+    };
+  }
+
+  // Per-platform status entry returned to the client
+  toPlatformStatus(platform, post, extra = {}) {
+    return {
+      platform,
+      post_id: post?._id || null,
+      status: post?.status || 'draft',
+      platform_post_id: post?.publishing?.platform_post_id || null,
+      platform_url: post?.publishing?.platform_url || null,
+      error: post?.status === 'published' ? null : (post?.error?.message || null),
+      next_attempt_at: post?.retry?.next_attempt_at || null,
+      ...extra
+    };
+  }
+
+  // Claim (or create) the platform's post and publish it; never throws
+  async publishToPlatform(group, platform, existingPost, user) {
+    try {
+      if (existingPost && LOCKED_STATUSES.includes(existingPost.status)) {
+        return this.toPlatformStatus(platform, existingPost, { skipped: true });
+      }
+
+      const fields = this.buildPostFields(group, platform);
+      const now = new Date();
+      let post;
+
+      if (existingPost) {
+        // A manual publish starts a fresh retry budget
+        post = await Post.findOneAndUpdate(
+          { _id: existingPost._id, status: { $nin: LOCKED_STATUSES } },
+          {
+            $set: {
+              ...fields,
+              status: 'publishing',
+              'dispatch.locked_by': postDispatcher.instanceId,
+              'dispatch.locked_at': now,
+              'dispatch.attempts': 1
+            },
+            $unset: { error: 1, retry: 1 }
+          },
+          { new: true }
+        );
+      } else {
+        post = await Post.create({
+          ...fields,
+          status: 'publishing',
+          dispatch: { locked_by: postDispatcher.instanceId, locked_at: now, attempts: 1 }
+        }).catch(error => {
+          // Another request created this platform's post first
+          if (error.code === 11000) return null;
+          throw error;
+        });
+      }
+
+      if (!post) {
+        const current = await Post.findOne({ group_id: group._id, platform });
+        return this.toPlatformStatus(platform, current, { skipped: true });
+      }
+
+      console.log(`🚀 Publishing group ${group._id} to ${platform}:`, { postId: post._id });
+      const platformResult = await postController.postToPlatform(post, user);
+
+      const updated = platformResult.success
+        ? await postDispatcher.markPublished(post, platformResult, 'manual')
+        : await postDispatcher.markFailed(post, platformResult, 'manual');
+
+      // The claim was released (e.g. dead-lettered as stale) before the outcome was recorded
+      if (!updated) {
+        const current = await Post.findById(post._id);
+        return this.toPlatformStatus(platform, current, { interrupted: true });
+      }
+
+      return this.toPlatformStatus(platform, updated);
+    } catch (error) {
+      console.error(`❌ Error publishing group ${group._id} to ${platform}:`, error);
+      return {
+        platform,
+        post_id: existingPost?._id || null,
+        status: 'failed',
+        error: error.message || 'Publishing failed'
+      };
+    }
+  }
+
+  // Create a post group
+  async createGroup(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let fields;
+      try {
+        fields = this.parseGroupBody(req.body);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid JSON in request data'
+        });
+      }
+
+      // Persist uploaded media so it can be published later
+      const media = await mediaStorage.saveAll(req.files || []);
+
+      const group = new PostGroup({
+        ...fields,
+        author: req.user._id,
+        workspace_id: req.workspace?._id,
+        media
+      });
+
+      await group.save();
+      await group.populate('posts');
+
+      console.log('✅ Post group created:', group._id, 'platforms:', group.platforms);
+
+      res.status(201).json({
+        success: true,
+        message: 'Post group created successfully',
+        group
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating post group:', error);
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to create post group'
+      });
+    }
+  }
+
+  // Get user's post groups
+  async getGroups(req, res) {
+    try {
+      const { page = 1, limit = 10 } = req.query;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const [groups, total] = await Promise.all([
+        PostGroup.find(workspaces.contentScope(req))
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .populate('posts', 'platform status publishing error retry scheduling'),
+        PostGroup.countDocuments(workspaces.contentScope(req))
+      ]);
+
+      res.json({
+        success: true,
+        groups,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching post groups:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch post groups'
+      });
+    }
+  }
+
+  // Get a post group with per-platform status
+  async getGroup(req, res) {
+    try {
+      const group = await PostGroup.findOne({ _id: req.params.id, ...workspaces.contentScope(req) })
+        .populate('posts');
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post group not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        group,
+        platforms: group.platforms.map(platform =>
+          this.toPlatformStatus(platform, group.posts.find(post => post.platform === platform), {})
+        )
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching post group:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch post group'
+      });
+    }
+  }
+
+  // Update a post group; already published platforms are not changed
+  async updateGroup(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const group = await PostGroup.findOne({ _id: req.params.id, ...workspaces.contentScope(req) });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post group not found'
+        });
+      }
+
+      let fields;
+      try {
+        fields = this.parseGroupBody(req.body);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid JSON in request data'
+        });
+      }
+
+      group.set(fields);
+      if (fields.platform_content) group.markModified('platform_content');
+      if (req.files?.length) {
+        group.media = await mediaStorage.saveAll(req.files);
+      }
+
+      await group.save();
+
+      // Drop pending posts of platforms removed from the group
+      await Post.deleteMany({
+        group_id: group._id,
+        platform: { $nin: group.platforms },
+        status: { $nin: LOCKED_STATUSES }
+      });
+      await group.populate('posts');
+
+      res.json({
+        success: true,
+        message: 'Post group updated successfully',
+        group
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating post group:', error);
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to update post group'
+      });
+    }
+  }
+
+  // Delete a post group and its unpublished platform posts
+  async deleteGroup(req, res) {
+    try {
+      const group = await PostGroup.findOne({ _id: req.params.id, ...workspaces.contentScope(req) });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post group not found'
+        });
+      }
+
+      if (await Post.exists({ group_id: group._id, status: 'publishing' })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Post group is currently being published'
+        });
+      }
+
+      // Published posts stay as standalone posts
+      await Promise.all([
+        Post.deleteMany({ group_id: group._id, status: { $ne: 'published' } }),
+        Post.updateMany({ group_id: group._id, status: 'published' }, { $unset: { group_id: 1 } }),
+        group.deleteOne()
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Post group deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting post group:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to delete post group'
+      });
+    }
+  }
+
+  // Publish a post group to all of its platforms now
+  async publishGroup(req, res) {
+    try {
+      const group = await PostGroup.findOne({ _id: req.params.id, ...workspaces.contentScope(req) });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post group not found'
+        });
+      }
+
+      console.log('🚀 Publishing post group:', { groupId: group._id, platforms: group.platforms });
+
+      const existingPosts = await Post.find({ group_id: group._id });
+      // Workspace groups go out through the workspace owner's accounts
+      const accountHolder = req.workspace ? await workspaces.getAccountHolder(group) : req.user;
+
+      // Platforms publish independently; a failure on one does not stop the others
+      const results = await Promise.all(group.platforms.map(platform =>
+        this.publishToPlatform(
+          group,
+          platform,
+          existingPosts.find(post => post.platform === platform),
+          accountHolder
+        )
+      ));
+
+      const published = results.filter(result => result.status === 'published').length;
+      await group.populate('posts');
+
+      res.status(published > 0 ? 200 : 400).json({
+        success: published > 0,
+        message: `Published to ${published} of ${results.length} platforms`,
+        status: group.status,
+        results,
+        group
+      });
+
+    } catch (error) {
+      console.error('❌ Error publishing post group:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to publish post group'
+      });
+    }
+  }
+
+  // Schedule a post group; each platform post is dispatched independently
+  async scheduleGroup(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { scheduledAt, timezone } = req.body;
+      const group = await PostGroup.findOne({ _id: req.params.id, ...workspaces.contentScope(req) });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post group not found'
+        });
+      }
+
+      group.scheduling = {
+        scheduled_for: new Date(scheduledAt),
+        timezone: timezone || 'UTC'
+      };
+      await group.save();
+
+      const existingPosts = await Post.find({ group_id: group._id });
+
+      const results = await Promise.all(group.platforms.map(async (platform) => {
+        const existingPost = existingPosts.find(post => post.platform === platform);
+        if (existingPost && LOCKED_STATUSES.includes(existingPost.status)) {
+          return this.toPlatformStatus(platform, existingPost, { skipped: true });
+        }
+
+        const update = {
+          $set: {
+            ...this.buildPostFields(group, platform),
+            status: 'scheduled',
+            scheduling: group.scheduling,
+            'dispatch.attempts': 0
+          },
+          $unset: { error: 1, retry: 1 }
+        };
+
+        const post = await Post.findOneAndUpdate(
+          { group_id: group._id, platform, status: { $nin: LOCKED_STATUSES } },
+          update,
+          { new: true, upsert: true }
+        ).catch(error => {
+          if (error.code === 11000) return null;
+          throw error;
+        });
+
+        return this.toPlatformStatus(platform, post || existingPost, post ? {} : { skipped: true });
+      }));
+
+      await group.populate('posts');
+
+      console.log('✅ Post group scheduled:', group._id, 'for:', scheduledAt);
+
+      res.json({
+        success: true,
+        message: 'Post group scheduled successfully',
+        results,
+        group
+      });
+
+    } catch (error) {
+      console.error('❌ Error scheduling post group:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to schedule post group'
+      });
+    }
+  }
+}
+
+module.exports = new PostGroupController();
@@ -0,0 +1,174 @@
+// src/controllers/reportController.js
+const Campaign = require('../models/Campaign');
+const Bid = require('../models/Bid');
+const ReportExport = require('../models/ReportExport');
+const config = require('../config/env');
+const reportBuilder = require('../services/reports/reportBuilder');
+const reportExporter = require('../services/reports/reportExporter');
+const workspaces = require('../services/workspaces');
+const { HTTP_STATUS, ERROR_MESSAGES, REPORT_TYPES, REPORT_EXPORT_STATUS, BID_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const DEFAULT_REPORT_DAYS = 30;
+
+const forbidden = () => ({ status: HTTP_STATUS.FORBIDDEN, message: ERROR_MESSAGES.ACCESS_DENIED });
+
+/**
+ * Check access to the requested report and resolve its scope
+ * @returns {Object} { params } or { error: { status, message } }
+ */
+const resolveScope = async (req) => {
+  const { type, campaign_id, creator_id, user_id, platform, timezone } = req.body;
+  const isAdmin = req.user.role === 'admin';
+  const to = req.body.to || new Date();
+  const from = req.body.from || new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  const params = { platform, from, to, timezone };
+
+  if (type === REPORT_TYPES.CAMPAIGN) {
+    const campaign = await Campaign.findById(campaign_id).select('brand_id workspace_id');
+    if (!campaign) {
+      return { error: { status: HTTP_STATUS.NOT_FOUND, message: 'Campaign not found' } };
+    }
+    if (!await workspaces.canAccessCampaign(req.user, campaign)) {
+      return { error: forbidden() };
+    }
+    return { params: { ...params, campaign_id: campaign._id } };
+  }
+
+  if (type === REPORT_TYPES.CREATOR) {
+    const creatorId = creator_id || req.userId.toString();
+    if (creatorId === req.userId.toString() || isAdmin) {
+      return { params: { ...params, creator_id: creatorId } };
+    }
+
+    // Brands and their workspace members see a creator's posts for the
+    // campaigns they work on that the creator was hired for
+    const hiredFor = await Bid.distinct('campaign_id', {
+      creator_id: creatorId,
+      status: { $in: [BID_STATUS.ACCEPTED, BID_STATUS.COMPLETED] }
+    });
+    const workspaceIds = await workspaces.memberWorkspaceIds(req.userId);
+    const campaignIds = await Campaign.distinct('_id', {
+      _id: { $in: hiredFor },
+      $or: [{ brand_id: req.userId }, { workspace_id: { $in: workspaceIds } }]
+    });
+    if (campaignIds.length === 0) return { error: forbidden() };
+
+    return { params: { ...params, creator_id: creatorId, campaign_ids: campaignIds } };
+  }
+
+  // Members acting in a workspace may report on the owner's accounts, which its posts publish through
+  const ownsWorkspace = req.workspace && user_id === req.workspace.owner_id.toString();
+  if (user_id && user_id !== req.userId.toString() && !isAdmin && !ownsWorkspace) {
+    return { error: forbidden() };
+  }
+  return { params: { ...params, owner_id: user_id || req.userId } };
+};
+
+const getDownloadUrl = (exportId) => `/api/analytics/exports/${exportId}/download`;
+
+/**
+ * Export campaign, creator or account analytics as CSV, XLSX or PDF.
+ * Small reports are returned as the response body; larger ones are queued
+ * and answered with 202 and the export job to poll.
+ */
+const createExport = asyncHandler(async (req, res) => {
+  const { type, format } = req.body;
+  const { params, error } = await resolveScope(req);
+  if (error) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+
+  const rowCount = await reportBuilder.countRows(type, params);
+  if (rowCount > config.REPORT_EXPORT_MAX_ROWS) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Report has ${rowCount} rows, more than the ${config.REPORT_EXPORT_MAX_ROWS} allowed. Narrow the date range or platform.`
+    });
+  }
+
+  if (rowCount <= config.REPORT_SYNC_MAX_ROWS) {
+    const { buffer, filename, mimeType } = await reportExporter.render(type, format, params);
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    return res.send(buffer);
+  }
+
+  const job = await reportExporter.enqueue(req.userId, type, format, params);
+  res.status(HTTP_STATUS.ACCEPTED).json({
+    success: true,
+    message: 'Report is being generated',
+    data: {
+      export: job,
+      status_url: `/api/analytics/exports/${job._id}`,
+      download_url: getDownloadUrl(job._id)
+    }
+  });
+});
+
+// List the current user's exports
+const getExports = asyncHandler(async (req, res) => {
+  const jobs = await ReportExport.find({ user_id: req.userId })
+    .sort({ createdAt: -1 })
+    .limit(50);
+  res.json({ success: true, data: { exports: jobs } });
+});
+
+const findOwnExport = async (req) => {
+  const job = await ReportExport.findById(req.params.id);
+  if (!job) {
+    return { error: { status: HTTP_STATUS.NOT_FOUND, message: 'Export not found' } };
+  }
+  if (job.user_id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+    return { error: forbidden() };
+  }
+  return { job };
+};
+
+// Get an export job's status
+const getExport = asyncHandler(async (req, res) => {
+  const { job, error } = await findOwnExport(req);
+  if (error) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      export: job,
+      download_url: job.status === REPORT_EXPORT_STATUS.COMPLETED ? getDownloadUrl(job._id) : null
+    }
+  });
+});
+
+// Download a finished export
+const downloadExport = asyncHandler(async (req, res) => {
+  const { job, error } = await findOwnExport(req);
+  if (error) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+
+  if (job.status !== REPORT_EXPORT_STATUS.COMPLETED) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: job.status === REPORT_EXPORT_STATUS.FAILED ? `Export failed: ${job.error}` : 'Export is not ready yet',
+      data: { status: job.status }
+    });
+  }
+
+  res.download(reportExporter.getFilePath(job), reportExporter.getFilename(job.type, job.format, job.params), (err) => {
+    if (err && !res.headersSent) {
+      res.status(HTTP_STATUS.GONE).json({ success: false, message: 'Export file is no longer available' });
+    }
+  });
+});
+
+module.exports = {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport
+};
@@ -3,6 +3,9 @@ const twitterService = require('../services/social/twitter');
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
+const tokenManager = require('../services/social/tokenManager');
+const audit = require('../services/audit');
+const { SOCIAL_ACCOUNT_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
 
 class TwitterController {
   // Generate Twitter OAuth URL
@@ -59,7 +62,7 @@ class TwitterController {
       // Exchange code for token
       console.log("🔄 Exchanging code for token with redirectUri:", redirectUri);
       const tokenResult = await twitterService.exchangeCodeForToken(code, redirectUri, state);
-      console.log("🔑 Twitter token result:", tokenResult);
+      console.log("🔑 Twitter token exchange:", { success: tokenResult.success, expiresIn: tokenResult.expires_in });
 
       if (!tokenResult.success) {
         const detail = tokenResult.error || 'Token exchange failed';
@@ -84,17 +87,24 @@ class TwitterController {
             'socialAccounts.twitter.refreshToken': tokenResult.refresh_token,
             'socialAccounts.twitter.expiresAt': new Date(Date.now() + tokenResult.expires_in * 1000),
             'socialAccounts.twitter.connectedAt': new Date(),
+            'socialAccounts.twitter.status': SOCIAL_ACCOUNT_STATUS.CONNECTED,
             ...(profileResult?.success && {
               'socialAccounts.twitter.id': profileResult.user.id,
               'socialAccounts.twitter.username': profileResult.user.username,
               'socialAccounts.twitter.name': profileResult.user.name,
               'socialAccounts.twitter.profileImageUrl': profileResult.user.profile_image_url
             })
-          }
+          },
+          $unset: { 'socialAccounts.twitter.statusReason': 1 }
         },
         { upsert: true }
       );
 
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_CONNECTED, decodedState.userId, 'twitter', {
+        id: profileResult?.user?.id,
+        name: profileResult?.user?.username
+      });
+
       console.log("✅ Twitter user updated in DB");
 
       return res.redirect(`${redirectToFrontend}/creator/settings?twitter=success`);
@@ -123,6 +133,8 @@ class TwitterController {
         return res.status(404).json({ success: false, error: 'User not found' });
       }
 
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_DISCONNECTED, userId, 'twitter');
+
       res.json({ success: true, message: 'Twitter account disconnected successfully' });
     } catch (error) {
       console.error('Twitter disconnect error:', error);
@@ -142,38 +154,19 @@ class TwitterController {
         return res.status(400).json({ success: false, error: 'Twitter account not connected' });
       }
 
-      // Refresh token if expired
-      let accessToken = user.socialAccounts.twitter.accessToken;
-      if (user.socialAccounts.twitter.expiresAt < new Date()) {
-        const refreshResult = await twitterService.refreshToken(user.socialAccounts.twitter.refreshToken);
-        if (refreshResult.success) {
-          accessToken = refreshResult.access_token;
-          await User.findByIdAndUpdate(userId, {
-            $set: {
-              'socialAccounts.twitter.accessToken': refreshResult.access_token,
-              'socialAccounts.twitter.refreshToken': refreshResult.refresh_token,
-              'socialAccounts.twitter.expiresAt': new Date(Date.now() + refreshResult.expires_in * 1000)
-            }
-          });
-          console.log('✅ Twitter token refreshed for posting');
-        } else {
-          return res.status(400).json({ success: false, error: 'Failed to refresh Twitter token' });
-        }
-      }
-
-      let result;
+      let publish;
 
       // Handle different types
       if (type === "post") {
         // Single tweet
-        result = await twitterService.postTweet(accessToken, content, mediaIds);
+        publish = (accessToken) => twitterService.postTweet(accessToken, content, mediaIds);
 
       } else if (type === "thread") {
         // Thread of multiple tweets
         if (!Array.isArray(thread) || thread.length === 0) {
           return res.status(400).json({ success: false, error: 'Thread content required' });
         }
-        result = await twitterService.postThread(accessToken, thread);
+        publish = (accessToken) => twitterService.postThread(accessToken, thread);
 
       } else if (type === "poll") {
         // Poll with options and duration
@@ -183,12 +176,15 @@ class TwitterController {
         if (!poll?.durationMinutes) {
           return res.status(400).json({ success: false, error: 'Poll duration required' });
         }
-        result = await twitterService.postPoll(accessToken, content, poll);
+        publish = (accessToken) => twitterService.postPoll(accessToken, content, poll);
 
       } else {
         return res.status(400).json({ success: false, error: 'Invalid post type' });
       }
 
+      // Refreshes an expiring token first, and retries once if Twitter rejects it
+      const result = await tokenManager.withFreshToken(user, 'twitter', publish);
+
       if (!result.success) {
         console.error('❌ Twitter post failed:', result.error);
         return res.status(400).json({ success: false, error: result.error });
@@ -283,7 +279,12 @@ class TwitterController {
         return res.status(400).json({ success: false, error: 'Twitter account not connected' });
       }
 
-      const validation = await twitterService.validateToken(user.socialAccounts.twitter.accessToken);
+      const token = await tokenManager.getAccessToken(user, 'twitter');
+      if (!token.success) {
+        return res.status(400).json({ success: false, error: token.error, code: token.code });
+      }
+
+      const validation = await twitterService.validateToken(token.accessToken);
 
       if (!validation.valid) {
         return res.status(400).json({ success: false, error: validation.error });
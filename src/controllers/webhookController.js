@@ -0,0 +1,243 @@
+// src/controllers/webhookController.js
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const webhooks = require('../services/webhooks');
+const { HTTP_STATUS, PAGINATION, WEBHOOK_EVENTS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const MAX_ENDPOINTS_PER_USER = 10;
+
+/**
+ * Load an endpoint of the current user
+ * @returns {Object|null} Endpoint, or null after answering 404
+ */
+const loadEndpoint = async (req, res) => {
+  const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, user_id: req.userId });
+  if (!endpoint) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Webhook endpoint not found' });
+    return null;
+  }
+  return endpoint;
+};
+
+const invalidUrl = (res, message) => res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message });
+
+/**
+ * Events endpoints can subscribe to
+ */
+const getEvents = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: { events: Object.values(WEBHOOK_EVENTS) } });
+});
+
+/**
+ * List the current user's endpoints
+ */
+const getEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await WebhookEndpoint.find({ user_id: req.userId }).sort({ createdAt: -1 });
+  res.json({ success: true, data: { endpoints } });
+});
+
+/**
+ * Register an endpoint. The signing secret is only returned here and on rotation.
+ */
+const createEndpoint = asyncHandler(async (req, res) => {
+  const { url, events, description } = req.body;
+
+  const problem = webhooks.validateUrl(url);
+  if (problem) return invalidUrl(res, problem);
+
+  const count = await WebhookEndpoint.countDocuments({ user_id: req.userId });
+  if (count >= MAX_ENDPOINTS_PER_USER) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `At most ${MAX_ENDPOINTS_PER_USER} webhook endpoints can be registered`
+    });
+  }
+
+  const secret = webhooks.generateSecret();
+  const endpoint = await WebhookEndpoint.create({ user_id: req.userId, url, events, description, secret });
+
+  logger.info('Webhook endpoint created', { endpointId: endpoint._id, userId: req.userId, events });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Webhook endpoint created. Store the secret now; it is not shown again.',
+    data: { endpoint, secret }
+  });
+});
+
+/**
+ * Get an endpoint
+ */
+const getEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+  res.json({ success: true, data: { endpoint } });
+});
+
+/**
+ * Change the URL, events or description, or disable/re-enable the endpoint
+ */
+const updateEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+
+  const { url, events, description, status } = req.body;
+  if (url !== undefined) {
+    const problem = webhooks.validateUrl(url);
+    if (problem) return invalidUrl(res, problem);
+    endpoint.url = url;
+  }
+  if (events !== undefined) endpoint.events = events;
+  if (description !== undefined) endpoint.description = description;
+
+  if (status === 'active' && endpoint.status !== 'active') {
+    // Re-enabled: start counting failures afresh
+    endpoint.status = 'active';
+    endpoint.consecutive_failures = 0;
+    endpoint.disabled_at = undefined;
+    endpoint.disabled_reason = undefined;
+  } else if (status === 'disabled' && endpoint.status !== 'disabled') {
+    endpoint.status = 'disabled';
+    endpoint.disabled_at = new Date();
+    endpoint.disabled_reason = 'Disabled by owner';
+  }
+
+  await endpoint.save();
+  logger.info('Webhook endpoint updated', { endpointId: endpoint._id, status: endpoint.status });
+
+  res.json({ success: true, data: { endpoint } });
+});
+
+/**
+ * Delete an endpoint and its delivery log
+ */
+const deleteEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+
+  await WebhookDelivery.deleteMany({ endpoint_id: endpoint._id });
+  await endpoint.deleteOne();
+
+  logger.info('Webhook endpoint deleted', { endpointId: endpoint._id });
+  res.json({ success: true, message: 'Webhook endpoint deleted' });
+});
+
+/**
+ * Replace the signing secret; the old one stops working immediately
+ */
+const rotateSecret = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+
+  const secret = webhooks.generateSecret();
+  endpoint.secret = secret;
+  await endpoint.save();
+
+  logger.info('Webhook secret rotated', { endpointId: endpoint._id });
+  res.json({ success: true, data: { endpoint, secret } });
+});
+
+/**
+ * Send a `ping` event to the endpoint
+ */
+const testEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+
+  if (endpoint.status !== 'active') {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Re-enable the endpoint first' });
+  }
+
+  const delivery = await webhooks.ping(endpoint);
+  res.status(HTTP_STATUS.ACCEPTED).json({ success: true, data: { delivery } });
+});
+
+/**
+ * Delivery log of an endpoint, newest first
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+
+  const { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT, status, event } = req.query;
+  const filter = { endpoint_id: endpoint._id };
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .select('-attempts -payload')
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    WebhookDelivery.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * A delivery with its payload and every attempt
+ */
+const getDelivery = asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    endpoint_id: req.params.id,
+    user_id: req.userId
+  });
+  if (!delivery) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Delivery not found' });
+  }
+  res.json({ success: true, data: { delivery } });
+});
+
+/**
+ * Send a logged delivery again, as a new delivery with the same event id
+ */
+const replayDelivery = asyncHandler(async (req, res) => {
+  const endpoint = await loadEndpoint(req, res);
+  if (!endpoint) return;
+
+  const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, endpoint_id: endpoint._id });
+  if (!delivery) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Delivery not found' });
+  }
+  if (endpoint.status !== 'active') {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Re-enable the endpoint first' });
+  }
+
+  const replayed = await webhooks.replay(delivery);
+  logger.info('Webhook delivery replayed', { deliveryId: delivery._id, replayId: replayed._id });
+
+  res.status(HTTP_STATUS.ACCEPTED).json({ success: true, data: { delivery: replayed } });
+});
+
+module.exports = {
+  getEvents,
+  getEndpoints,
+  createEndpoint,
+  getEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  testEndpoint,
+  getDeliveries,
+  getDelivery,
+  replayDelivery
+};
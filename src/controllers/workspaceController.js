@@ -0,0 +1,324 @@
+// src/controllers/workspaceController.js
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const workspaces = require('../services/workspaces');
+const { HTTP_STATUS, ERROR_MESSAGES, USER_ROLES, WORKSPACE_ROLES, WORKSPACE_PERMISSIONS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const MAX_OWNED_WORKSPACES = 10;
+const MAX_MEMBERS = 50;
+
+const forbidden = (res, message = ERROR_MESSAGES.ACCESS_DENIED) => res.status(HTTP_STATUS.FORBIDDEN).json({
+  success: false,
+  message
+});
+
+/**
+ * Load a workspace the current user is a member of
+ * @param {string} permission - WORKSPACE_PERMISSIONS value the user's role must grant; omit for any member
+ * @returns {Object|null} { workspace, role }, or null after answering 404 or 403
+ */
+const loadWorkspace = async (req, res, permission) => {
+  const workspace = await workspaces.findForMember(req.params.id, req.userId);
+  if (!workspace) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Workspace not found' });
+    return null;
+  }
+
+  const role = workspaces.getRole(workspace, req.userId);
+  if (!workspaces.can(role, permission)) {
+    forbidden(res, `Your workspace role (${role}) does not allow this`);
+    return null;
+  }
+  return { workspace, role };
+};
+
+// Only the owner may hand out or take away the admin role
+const canManageAdmins = (role) => role === WORKSPACE_ROLES.OWNER;
+
+/**
+ * List the workspaces the current user belongs to, with their role in each
+ */
+const getWorkspaces = asyncHandler(async (req, res) => {
+  const list = await workspaces.listForUser(req.userId);
+  res.json({
+    success: true,
+    data: {
+      workspaces: list.map(workspace => ({
+        ...workspace.toJSON(),
+        role: workspaces.getRole(workspace, req.userId)
+      }))
+    }
+  });
+});
+
+/**
+ * Create a workspace owned by the current brand account
+ */
+const createWorkspace = asyncHandler(async (req, res) => {
+  // Checked on the account itself: authorize('brand') also admits members acting in a workspace
+  if (req.user.role !== USER_ROLES.BRAND) {
+    return forbidden(res, 'Only brand accounts can create workspaces');
+  }
+
+  const owned = await Workspace.countDocuments({ owner_id: req.userId });
+  if (owned >= MAX_OWNED_WORKSPACES) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `An account can own at most ${MAX_OWNED_WORKSPACES} workspaces`
+    });
+  }
+
+  const workspace = await workspaces.create(req.user, req.body.name);
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Workspace created',
+    data: { workspace: { ...workspace.toJSON(), role: WORKSPACE_ROLES.OWNER } }
+  });
+});
+
+/**
+ * Workspace details: members, and the social accounts its posts publish through
+ */
+const getWorkspace = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res);
+  if (!loaded) return;
+  const { workspace, role } = loaded;
+
+  await workspace.populate('members.user_id', 'name email profile.avatar_url');
+  const owner = await User.findById(workspace.owner_id).select('socialAccounts');
+
+  res.json({
+    success: true,
+    data: {
+      workspace: { ...workspace.toJSON(), role },
+      social_accounts: owner?.toJSON().socialAccounts || {}
+    }
+  });
+});
+
+/**
+ * Rename a workspace
+ */
+const updateWorkspace = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res, WORKSPACE_PERMISSIONS.MANAGE);
+  if (!loaded) return;
+  const { workspace, role } = loaded;
+
+  workspace.name = req.body.name;
+  await workspace.save();
+
+  logger.info('Workspace updated', { workspaceId: workspace._id, userId: req.userId });
+  res.json({ success: true, message: 'Workspace updated', data: { workspace: { ...workspace.toJSON(), role } } });
+});
+
+/**
+ * Delete a workspace (owner only); its content goes back to the owner
+ */
+const deleteWorkspace = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res);
+  if (!loaded) return;
+  if (loaded.role !== WORKSPACE_ROLES.OWNER) return forbidden(res, 'Only the owner can delete a workspace');
+
+  await workspaces.remove(loaded.workspace);
+  res.json({ success: true, message: 'Workspace deleted; its campaigns and posts now belong to the owner' });
+});
+
+/**
+ * Change a member's role
+ */
+const updateMember = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res, WORKSPACE_PERMISSIONS.MANAGE);
+  if (!loaded) return;
+  const { workspace, role } = loaded;
+
+  const member = workspace.members.find(entry => entry.user_id.toString() === req.params.userId);
+  if (!member) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Member not found' });
+  }
+  if (member.role === WORKSPACE_ROLES.OWNER) {
+    return forbidden(res, "The owner's role cannot be changed");
+  }
+  if ((member.role === WORKSPACE_ROLES.ADMIN || req.body.role === WORKSPACE_ROLES.ADMIN) && !canManageAdmins(role)) {
+    return forbidden(res, 'Only the owner can grant or change the admin role');
+  }
+
+  member.role = req.body.role;
+  await Workspace.updateOne(
+    { _id: workspace._id, 'members.user_id': member.user_id },
+    { $set: { 'members.$.role': member.role } }
+  );
+
+  logger.info('Workspace member role changed', {
+    workspaceId: workspace._id,
+    memberId: member.user_id,
+    role: member.role,
+    userId: req.userId
+  });
+  res.json({ success: true, message: 'Member role updated', data: { member } });
+});
+
+/**
+ * Remove a member; members may also remove themselves to leave
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const leaving = req.params.userId === req.userId.toString();
+  const loaded = await loadWorkspace(req, res, leaving ? undefined : WORKSPACE_PERMISSIONS.MANAGE);
+  if (!loaded) return;
+  const { workspace, role } = loaded;
+
+  const member = workspace.members.find(entry => entry.user_id.toString() === req.params.userId);
+  if (!member) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Member not found' });
+  }
+  if (member.role === WORKSPACE_ROLES.OWNER) {
+    return forbidden(res, 'The owner cannot leave or be removed; delete the workspace instead');
+  }
+  if (!leaving && member.role === WORKSPACE_ROLES.ADMIN && !canManageAdmins(role)) {
+    return forbidden(res, 'Only the owner can remove an admin');
+  }
+
+  await Workspace.updateOne({ _id: workspace._id }, { $pull: { members: { user_id: member.user_id } } });
+
+  logger.info('Workspace member removed', { workspaceId: workspace._id, memberId: member.user_id, userId: req.userId });
+  res.json({ success: true, message: leaving ? 'You left the workspace' : 'Member removed' });
+});
+
+/**
+ * List a workspace's invites, including accepted and revoked ones
+ */
+const getInvites = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res, WORKSPACE_PERMISSIONS.MANAGE);
+  if (!loaded) return;
+
+  const invites = await WorkspaceInvite.find({ workspace_id: loaded.workspace._id })
+    .populate('invited_by', 'name email')
+    .sort({ createdAt: -1 });
+  res.json({ success: true, data: { invites } });
+});
+
+/**
+ * Invite someone by email
+ */
+const createInvite = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res, WORKSPACE_PERMISSIONS.MANAGE);
+  if (!loaded) return;
+  const { workspace, role } = loaded;
+  const { email, role: inviteRole } = req.body;
+
+  if (inviteRole === WORKSPACE_ROLES.ADMIN && !canManageAdmins(role)) {
+    return forbidden(res, 'Only the owner can invite admins');
+  }
+  if (workspace.members.length >= MAX_MEMBERS) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `A workspace can have at most ${MAX_MEMBERS} members`
+    });
+  }
+
+  const existing = await User.findOne({ email }).select('_id');
+  if (existing && workspaces.getRole(workspace, existing._id)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'This person is already a member of the workspace'
+    });
+  }
+
+  const invite = await workspaces.invite(workspace, req.user, { email, role: inviteRole });
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: `Invitation sent to ${invite.email}`,
+    data: { invite }
+  });
+});
+
+/**
+ * Revoke a pending invite
+ */
+const revokeInvite = asyncHandler(async (req, res) => {
+  const loaded = await loadWorkspace(req, res, WORKSPACE_PERMISSIONS.MANAGE);
+  if (!loaded) return;
+
+  const invite = await WorkspaceInvite.findOneAndUpdate(
+    { _id: req.params.inviteId, workspace_id: loaded.workspace._id, accepted_at: null, revoked_at: null },
+    { $set: { revoked_at: new Date() } },
+    { new: true }
+  );
+  if (!invite) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Pending invite not found' });
+  }
+
+  logger.info('Workspace invite revoked', { workspaceId: loaded.workspace._id, inviteId: invite._id, userId: req.userId });
+  res.json({ success: true, message: 'Invite revoked', data: { invite } });
+});
+
+/**
+ * What an invite link is for, shown before signing in to accept it
+ */
+const previewInvite = asyncHandler(async (req, res) => {
+  const invite = await workspaces.findPendingInvite(req.params.token);
+  if (!invite) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: 'This invitation is invalid, expired or was already used'
+    });
+  }
+
+  await invite.populate([
+    { path: 'workspace_id', select: 'name' },
+    { path: 'invited_by', select: 'name' }
+  ]);
+  res.json({
+    success: true,
+    data: {
+      workspace: invite.workspace_id?.name,
+      invited_by: invite.invited_by?.name,
+      email: invite.email,
+      role: invite.role,
+      expires_at: invite.expires_at
+    }
+  });
+});
+
+/**
+ * Accept an invite as the signed-in user
+ */
+const acceptInvite = asyncHandler(async (req, res) => {
+  if (!req.user.isVerified) {
+    return forbidden(res, 'Verify your email address before joining a workspace');
+  }
+
+  const { status, workspace } = await workspaces.accept(req.body.token, req.user);
+  if (status === 'invalid') {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: 'This invitation is invalid, expired or was already used'
+    });
+  }
+  if (status === 'wrong_email') {
+    return forbidden(res, 'This invitation was sent to a different email address');
+  }
+
+  res.json({
+    success: true,
+    message: status === 'joined' ? `You joined ${workspace.name}` : `You are already a member of ${workspace.name}`,
+    data: { workspace: { ...workspace.toJSON(), role: workspaces.getRole(workspace, req.userId) } }
+  });
+});
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMember,
+  removeMember,
+  getInvites,
+  createInvite,
+  revokeInvite,
+  previewInvite,
+  acceptInvite
+};
@@ -3,6 +3,9 @@ const youtubeService = require('../services/social/youtube');
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
+const tokenManager = require('../services/social/tokenManager');
+const audit = require('../services/audit');
+const { SOCIAL_ACCOUNT_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
 
 class YouTubeController {
   // Generate YouTube OAuth URL
@@ -55,7 +58,7 @@ class YouTubeController {
       // Exchange code for token
       console.log("🔄 Exchanging code for token with redirectUri:", redirectUri);
       const tokenResult = await youtubeService.exchangeCodeForToken(code, redirectUri, state);
-      console.log("🔑 Token result:", tokenResult);
+      console.log("🔑 Token exchange:", { success: tokenResult.success, expiresIn: tokenResult.expires_in });
 
       if (!tokenResult.success) {
         const detail = tokenResult.raw?.error_description || tokenResult.raw?.detail || tokenResult.error || 'Token exchange failed';
@@ -91,6 +94,7 @@ class YouTubeController {
             'socialAccounts.youtube.refreshToken': tokenResult.refresh_token,
             'socialAccounts.youtube.expiresAt': new Date(Date.now() + tokenResult.expires_in * 1000),
             'socialAccounts.youtube.connectedAt': new Date(),
+            'socialAccounts.youtube.status': SOCIAL_ACCOUNT_STATUS.CONNECTED,
             ...(youtubeChannel && {
               'socialAccounts.youtube.id': youtubeChannel.id,
               'socialAccounts.youtube.title': youtubeChannel.title,
@@ -101,11 +105,17 @@ class YouTubeController {
               'socialAccounts.youtube.videoCount': youtubeChannel.videoCount,
               'socialAccounts.youtube.viewCount': youtubeChannel.viewCount
             })
-          }
+          },
+          $unset: { 'socialAccounts.youtube.statusReason': 1 }
         },
         { upsert: true }
       );
 
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_CONNECTED, decodedState.userId, 'youtube', {
+        id: youtubeChannel?.id,
+        name: youtubeChannel?.title
+      });
+
       console.log("✅ User updated in DB");
 
       return res.redirect(`${redirectToFrontend}/creator/settings?youtube=success`);
@@ -139,6 +149,8 @@ class YouTubeController {
         });
       }
 
+      await audit.recordSocialAccount(req, AUDIT_ACTIONS.SOCIAL_DISCONNECTED, userId, 'youtube');
+
       res.json({
         success: true,
         message: 'YouTube account disconnected successfully'
@@ -179,37 +191,18 @@ class YouTubeController {
       
       console.log('✅ YouTube account found for user:', userId, 'Token expires at:', user.socialAccounts.youtube.expiresAt);
 
-      // Check if token is expired and refresh if needed
-      let accessToken = user.socialAccounts.youtube.accessToken;
-      const tokenExpiresAt = new Date(user.socialAccounts.youtube.expiresAt);
-      const now = new Date();
-      
-      if (tokenExpiresAt < now) {
-        console.log('🔄 YouTube token expired, refreshing...');
-        const refreshResult = await youtubeService.refreshToken(user.socialAccounts.youtube.refreshToken);
-        if (refreshResult.success) {
-          accessToken = refreshResult.access_token;
-          // Update user with new token
-          await User.findByIdAndUpdate(userId, {
-            $set: {
-              'socialAccounts.youtube.accessToken': refreshResult.access_token,
-              'socialAccounts.youtube.refreshToken': refreshResult.refresh_token || user.socialAccounts.youtube.refreshToken,
-              'socialAccounts.youtube.expiresAt': new Date(Date.now() + refreshResult.expires_in * 1000)
-            }
-          });
-          console.log('✅ YouTube token refreshed successfully');
-        } else {
-          console.log('❌ Failed to refresh YouTube token:', refreshResult.error);
-          return res.status(400).json({
-            success: false,
-            error: 'Failed to refresh YouTube token. Please reconnect your YouTube account.',
-            code: 'TOKEN_REFRESH_FAILED',
-            details: refreshResult.error
-          });
-        }
-      } else {
-        console.log('✅ YouTube token is still valid');
+      // Refresh the token if it is expiring
+      const token = await tokenManager.getAccessToken(user, 'youtube');
+      if (!token.success) {
+        console.log('❌ Failed to refresh YouTube token:', token.error);
+        return res.status(400).json({
+          success: false,
+          error: 'Failed to refresh YouTube token. Please reconnect your YouTube account.',
+          code: 'TOKEN_REFRESH_FAILED',
+          details: token.error
+        });
       }
+      const accessToken = token.accessToken;
 
       // Get fresh channel info
       console.log('📺 Fetching YouTube channel info...');
@@ -287,51 +280,30 @@ async uploadVideo(req, res) {
       });
     }
 
-    // Check if token is expired and refresh if needed
-    let accessToken = user.socialAccounts.youtube.accessToken;
-    if (user.socialAccounts.youtube.expiresAt < new Date()) {
-      const refreshResult = await youtubeService.refreshToken(user.socialAccounts.youtube.refreshToken);
-      if (refreshResult.success) {
-        accessToken = refreshResult.access_token;
-        await User.findByIdAndUpdate(userId, {
-          $set: {
-            'socialAccounts.youtube.accessToken': refreshResult.access_token,
-            'socialAccounts.youtube.refreshToken': refreshResult.refresh_token,
-            'socialAccounts.youtube.expiresAt': new Date(Date.now() + refreshResult.expires_in * 1000)
-          }
-        });
-        console.log('✅ YouTube token refreshed for upload');
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Failed to refresh YouTube token'
-        });
-      }
-    }
-
     // Choose upload method based on file size
     const tagsArray = tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
-    
-    let result;
-    if (req.file.size > 10 * 1024 * 1024) { // 10MB
-      console.log('📦 Using resumable upload for large file');
-      result = await youtubeService.uploadVideo(
-        accessToken,
-        req.file.buffer,
-        title || 'Untitled Video',
-        description || '',
-        tagsArray
-      );
-    } else {
+
+    // Refreshes an expiring token first, and retries once if YouTube rejects it
+    const result = await tokenManager.withFreshToken(user, 'youtube', (accessToken) => {
+      if (req.file.size > 10 * 1024 * 1024) { // 10MB
+        console.log('📦 Using resumable upload for large file');
+        return youtubeService.uploadVideo(
+          accessToken,
+          req.file.buffer,
+          title || 'Untitled Video',
+          description || '',
+          tagsArray
+        );
+      }
       console.log('📦 Using simple upload for small file');
-      result = await youtubeService.uploadVideoSimple(
+      return youtubeService.uploadVideoSimple(
         accessToken,
         req.file.buffer,
         title || 'Untitled Video',
         description || '',
         tagsArray
       );
-    }
+    });
 
     if (!result.success) {
       console.error('❌ YouTube upload failed:', result.error);
@@ -373,28 +345,16 @@ async uploadVideo(req, res) {
         });
       }
 
-      // Check if token is expired and refresh if needed
-      let accessToken = user.socialAccounts.youtube.accessToken;
-      if (user.socialAccounts.youtube.expiresAt < new Date()) {
-        const refreshResult = await youtubeService.refreshToken(user.socialAccounts.youtube.refreshToken);
-        if (refreshResult.success) {
-          accessToken = refreshResult.access_token;
-          await User.findByIdAndUpdate(userId, {
-            $set: {
-              'socialAccounts.youtube.accessToken': refreshResult.access_token,
-              'socialAccounts.youtube.refreshToken': refreshResult.refresh_token,
-              'socialAccounts.youtube.expiresAt': new Date(Date.now() + refreshResult.expires_in * 1000)
-            }
-          });
-        } else {
-          return res.status(400).json({
-            success: false,
-            error: 'Failed to refresh YouTube token'
-          });
-        }
+      // Refresh the token if it is expiring
+      const token = await tokenManager.getAccessToken(user, 'youtube');
+      if (!token.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Failed to refresh YouTube token'
+        });
       }
 
-      const result = await youtubeService.getVideoAnalytics(accessToken, videoId);
+      const result = await youtubeService.getVideoAnalytics(token.accessToken, videoId);
 
       if (!result.success) {
         return res.status(400).json({
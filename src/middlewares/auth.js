@@ -1,9 +1,96 @@
 
 // src/middlewares/auth.js
+const mongoose = require('mongoose');
 const jwtManager = require('../utils/jwt');
 const User = require('../models/User');
 const logger = require('../utils/logger');
-const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+const apiKeys = require('../services/apiKeys');
+const sessions = require('../services/sessions');
+const workspaces = require('../services/workspaces');
+const { HTTP_STATUS, ERROR_MESSAGES, USER_ROLES, WORKSPACE_PERMISSIONS } = require('../utils/constants');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Let personal API keys call the routes of a router. Keys need `read` for
+ * GET requests and `write` for the rest; routers without this reject keys.
+ * Use before `authenticate`.
+ * @param {string} read - Scope for reading, e.g. 'posts:read'
+ * @param {string} write - Scope for changes, e.g. 'posts:write'
+ */
+const acceptApiKeys = (read, write) => (req, res, next) => {
+  req.apiKeyScopes = { read, write };
+  next();
+};
+
+/**
+ * Attach the workspace named in `X-Workspace-Id` as req.workspace, with the
+ * user's role in it as req.workspaceRole
+ * @returns {boolean} false after answering when the user is not a member
+ */
+const attachWorkspace = async (req, res) => {
+  const workspaceId = req.get('x-workspace-id');
+  if (!workspaceId) return true;
+
+  const workspace = mongoose.isValidObjectId(workspaceId)
+    ? await workspaces.findForMember(workspaceId, req.userId)
+    : null;
+  if (!workspace) {
+    res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'You are not a member of this workspace'
+    });
+    return false;
+  }
+
+  req.workspace = workspace;
+  req.workspaceRole = workspaces.getRole(workspace, req.userId);
+  return true;
+};
+
+/**
+ * Authenticate a request made with an API key (`X-API-Key` or Bearer)
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await apiKeys.verify(key);
+  if (!apiKey) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  const scope = READ_METHODS.includes(req.method) ? req.apiKeyScopes?.read : req.apiKeyScopes?.write;
+  if (!scope) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: `API key is missing the ${scope} scope`
+    });
+  }
+
+  const user = await User.findById(apiKey.user_id).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  req.user = user;
+  req.userId = user._id;
+  req.auth = { type: 'api_key', apiKeyId: apiKey._id, scopes: apiKey.scopes };
+  if (!await attachWorkspace(req, res)) return;
+  await apiKeys.touch(apiKey, req.ip);
+
+  logger.info('User authenticated with API key', { userId: user._id, apiKeyId: apiKey._id, scope });
+  next();
+};
 
 /**
  * Authentication middleware
@@ -19,6 +106,13 @@ const authenticate = async (req, res, next) => {
     });
 
     const authHeader = req.headers.authorization;
+
+    // Personal API key instead of a JWT
+    const bearer = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    const presentedKey = req.headers['x-api-key'] || (apiKeys.isApiKey(bearer) ? bearer : null);
+    if (presentedKey) {
+      return await authenticateApiKey(req, res, next, presentedKey);
+    }
     
     if (!authHeader) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -32,6 +126,14 @@ const authenticate = async (req, res, next) => {
     
     // Verify token
     const decoded = jwtManager.verifyAccessToken(token);
+
+    // Tokens of signed-out sessions are rejected before they expire
+    if (!decoded.sid || await sessions.isRevoked(decoded.sid)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Session has been signed out'
+      });
+    }
     
     // Find user
     const user = await User.findById(decoded.id).select('-password');
@@ -53,11 +155,15 @@ const authenticate = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.auth = { type: 'jwt', sessionId: decoded.sid };
+    if (!await attachWorkspace(req, res)) return;
+    await sessions.touch(decoded.sid, req.ip);
     
     logger.info('User authenticated', { 
       userId: user._id, 
       email: user.email, 
-      role: user.role 
+      role: user.role,
+      workspaceId: req.workspace?._id
     });
     
     next();
@@ -72,7 +178,9 @@ const authenticate = async (req, res, next) => {
 
 /**
  * Authorization middleware
- * Checks if user has required role
+ * Checks if user has required role. Members acting in a workspace work on
+ * behalf of its brand, so they pass brand routes; every brand route that
+ * changes something must follow with requireWorkspacePermission.
  */
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -83,7 +191,8 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const actsForBrand = Boolean(req.workspace) && roles.includes(USER_ROLES.BRAND);
+    if (!roles.includes(req.user.role) && !actsForBrand) {
       logger.warn('Authorization failed', { 
         userId: req.user._id, 
         userRole: req.user.role, 
@@ -100,6 +209,29 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Workspace permission middleware
+ * Requires the user's role in the active workspace to grant a permission;
+ * requests outside a workspace pass
+ * @param {string} permission - WORKSPACE_PERMISSIONS value
+ */
+const requireWorkspacePermission = (permission) => (req, res, next) => {
+  if (!req.workspace || workspaces.can(req.workspaceRole, permission)) {
+    return next();
+  }
+
+  logger.warn('Workspace permission denied', {
+    userId: req.userId,
+    workspaceId: req.workspace._id,
+    workspaceRole: req.workspaceRole,
+    permission
+  });
+  return res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    message: `Your workspace role (${req.workspaceRole}) does not allow this`
+  });
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't require it
@@ -114,11 +246,15 @@ const optionalAuth = async (req, res, next) => {
 
     const token = jwtManager.extractTokenFromHeader(authHeader);
     const decoded = jwtManager.verifyAccessToken(token);
+    if (!decoded.sid || await sessions.isRevoked(decoded.sid)) {
+      return next();
+    }
     const user = await User.findById(decoded.id).select('-password');
     
     if (user && user.isActive) {
       req.user = user;
       req.userId = user._id;
+      req.auth = { type: 'jwt', sessionId: decoded.sid };
     }
     
     next();
@@ -130,7 +266,8 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Resource ownership middleware
- * Ensures user can only access their own resources
+ * Ensures user can only access their own resources, or those of the
+ * workspace they act in
  */
 const checkResourceOwnership = (resourceIdParam = 'id', userIdField = 'user_id') => {
   return (req, res, next) => {
@@ -142,6 +279,11 @@ const checkResourceOwnership = (resourceIdParam = 'id', userIdField = 'user_id')
       return next();
     }
     
+    // Shared with the active workspace
+    if (req.resource?.workspace_id && req.workspace?._id.equals(req.resource.workspace_id)) {
+      return next();
+    }
+    
     // Check if user owns the resource
     if (req.resource && req.resource[userIdField].toString() !== userId.toString()) {
       logger.warn('Resource ownership check failed', { 
@@ -162,7 +304,8 @@ const checkResourceOwnership = (resourceIdParam = 'id', userIdField = 'user_id')
 
 /**
  * Campaign ownership middleware
- * Ensures only campaign owner can modify campaign
+ * Ensures only the campaign owner, or workspace members allowed to edit it,
+ * can modify campaign
  */
 const checkCampaignOwnership = async (req, res, next) => {
   try {
@@ -184,7 +327,7 @@ const checkCampaignOwnership = async (req, res, next) => {
       });
     }
     
-    if (campaign.brand_id.toString() !== userId.toString()) {
+    if (!await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.EDIT)) {
       logger.warn('Campaign ownership check failed', { 
         userId, 
         campaignId, 
@@ -232,12 +375,12 @@ const checkBidOwnership = async (req, res, next) => {
       });
     }
     
-    // Check if user is bid creator or campaign owner
+    // Check if user is bid creator, campaign owner or a workspace approver
     const Campaign = require('../models/Campaign');
     const campaign = await Campaign.findById(bid.campaign_id);
     
     if (bid.creator_id.toString() !== userId.toString() && 
-        campaign.brand_id.toString() !== userId.toString()) {
+        !await workspaces.canAccessCampaign(req.user, campaign, WORKSPACE_PERMISSIONS.APPROVE)) {
       logger.warn('Bid ownership check failed', { 
         userId, 
         bidId, 
@@ -265,7 +408,8 @@ const checkBidOwnership = async (req, res, next) => {
 
 /**
  * Refresh token middleware
- * Handles refresh token validation and new token generation
+ * Exchanges a refresh token for a new token pair. Each refresh token works
+ * once; reusing an old one signs its session out.
  */
 const refreshToken = async (req, res, next) => {
   try {
@@ -288,18 +432,20 @@ const refreshToken = async (req, res, next) => {
       });
     }
     
-    // Generate new token pair
-    const tokenPair = jwtManager.generateTokenPair({
-      id: user._id,
-      email: user.email,
-      role: user.role
-    });
+    // Rotate the refresh token
+    const tokenPair = await sessions.refresh(decoded, user, req);
+    if (!tokenPair) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN
+      });
+    }
     
     // Update last login
     user.lastLogin = new Date();
     await user.save();
     
-    logger.info('Token refreshed', { userId: user._id });
+    logger.info('Token refreshed', { userId: user._id, sessionId: decoded.sid });
     
     res.json({
       success: true,
@@ -319,6 +465,37 @@ const refreshToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Two-factor challenge middleware
+ * Accepts the `challengeToken` returned by login in place of a session, for
+ * finishing sign-in with a code or setting up two-factor authentication
+ * @param {string} purpose - 'verify' or 'enroll'
+ */
+const authenticateTwoFactorChallenge = (purpose) => async (req, res, next) => {
+  try {
+    const decoded = jwtManager.verifyTwoFactorChallenge(req.body.challengeToken);
+    if (decoded.purpose !== purpose) {
+      throw new Error('Two-factor challenge used for the wrong step');
+    }
+
+    const user = await User.findById(decoded.id).select('+twoFactor.secret +twoFactor.pending_secret');
+    if (!user || !user.isActive) {
+      throw new Error('User not found or deactivated');
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.auth = { type: 'two_factor_challenge', purpose };
+    next();
+  } catch (error) {
+    logger.warn('Two-factor challenge rejected', { error: error.message });
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: 'Invalid or expired two-factor challenge; sign in again'
+    });
+  }
+};
+
 /**
  * Password reset token middleware
  * Validates password reset token
@@ -346,6 +523,7 @@ const validatePasswordResetToken = async (req, res, next) => {
     
     req.user = user;
     req.userId = user._id;
+    req.resetIdentity = decoded.identity;
     next();
   } catch (error) {
     logger.error('Password reset token validation error', error);
@@ -358,11 +536,14 @@ const validatePasswordResetToken = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  acceptApiKeys,
   authorize,
+  requireWorkspacePermission,
   optionalAuth,
   checkResourceOwnership,
   checkCampaignOwnership,
   checkBidOwnership,
   refreshToken,
+  authenticateTwoFactorChallenge,
   validatePasswordResetToken
 };
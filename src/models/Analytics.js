@@ -222,6 +222,7 @@ analyticsSchema.index({ platform: 1, 'timing.posted_at': -1 });
 analyticsSchema.index({ 'metrics.engagement_rate': -1 });
 analyticsSchema.index({ 'performance_indicators.is_viral': 1 });
 analyticsSchema.index({ captured_at: -1 });
+analyticsSchema.index({ platform: 1, post_id: 1, data_source: 1 });
 
 // Virtual for total engagement
 analyticsSchema.virtual('totalEngagement').get(function() {
@@ -263,9 +264,9 @@ analyticsSchema.statics.findByCampaign = function(campaignId) {
   return this.find({ campaign_id: campaignId }).sort({ 'timing.posted_at': -1 });
 };
 
-// Static method to find top performing posts
-analyticsSchema.statics.findTopPerforming = function(limit = 10) {
-  return this.find({})
+// Static method to find top performing posts, optionally within a filter
+analyticsSchema.statics.findTopPerforming = function(limit = 10, filter = {}) {
+  return this.find(filter)
     .sort({ 'metrics.engagement_rate': -1 })
     .limit(limit);
 };
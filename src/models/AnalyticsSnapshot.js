@@ -0,0 +1,96 @@
+// src/models/AnalyticsSnapshot.js
+const mongoose = require('mongoose');
+
+// Point-in-time copy of cumulative metrics, written on every analytics sync
+// (see services/analyticsSync). Stored as a MongoDB time-series collection
+// (MongoDB 5.0+), so snapshots are append-only and cheap to bucket by time.
+const analyticsSnapshotSchema = new mongoose.Schema({
+  captured_at: {
+    type: Date,
+    required: true
+  },
+  // Series identity; time-series collections group documents by this field
+  meta: {
+    scope: {
+      type: String,
+      enum: ['post', 'account'],
+      required: true
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    platform: {
+      type: String,
+      enum: ['youtube', 'instagram', 'twitter', 'linkedin', 'facebook'],
+      required: true
+    },
+    // Set for post snapshots only
+    post_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post'
+    }
+  },
+  metrics: {
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    views: { type: Number, default: 0 },
+    engagement_rate: { type: Number, default: 0 },
+    // Account snapshots only
+    followers: Number,
+    posts: Number
+  }
+}, {
+  timeseries: {
+    timeField: 'captured_at',
+    metaField: 'meta',
+    granularity: 'hours'
+  },
+  versionKey: false
+});
+
+analyticsSnapshotSchema.index({ 'meta.post_id': 1, captured_at: 1 });
+analyticsSnapshotSchema.index({ 'meta.user_id': 1, 'meta.platform': 1, 'meta.scope': 1, captured_at: 1 });
+
+// Units accepted by $dateTrunc, keyed by ANALYTICS_INTERVALS value
+const INTERVAL_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+/**
+ * Bucket snapshots into a series. Metrics are cumulative, so each bucket
+ * reports the last snapshot captured in it.
+ * @param {Object} match - Filter on meta fields
+ * @param {Object} options - { interval, from, to, timezone }
+ * @returns {Promise<Array>} [{ period, likes, comments, shares, views, engagement_rate, followers, posts }]
+ */
+analyticsSnapshotSchema.statics.getSeries = function(match, { interval, from, to, timezone = 'UTC' }) {
+  return this.aggregate([
+    { $match: { ...match, captured_at: { $gte: from, $lte: to } } },
+    { $sort: { captured_at: 1 } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: '$captured_at', unit: INTERVAL_UNITS[interval], timezone, startOfWeek: 'monday' }
+        },
+        likes: { $last: '$metrics.likes' },
+        comments: { $last: '$metrics.comments' },
+        shares: { $last: '$metrics.shares' },
+        views: { $last: '$metrics.views' },
+        engagement_rate: { $last: '$metrics.engagement_rate' },
+        followers: { $last: '$metrics.followers' },
+        posts: { $last: '$metrics.posts' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', likes: 1, comments: 1, shares: 1, views: 1, engagement_rate: 1, followers: 1, posts: 1 } }
+  ]);
+};
+
+analyticsSnapshotSchema.statics.INTERVAL_UNITS = INTERVAL_UNITS;
+
+module.exports = mongoose.model('AnalyticsSnapshot', analyticsSnapshotSchema);
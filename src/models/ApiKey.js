@@ -0,0 +1,53 @@
+// src/models/ApiKey.js
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/constants');
+
+const apiKeySchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // Public part of the key ("bck_<prefix>_..."), used to look it up and to show it
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the whole key; the key itself is only shown when created or rotated
+  key_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.values(API_KEY_SCOPES)
+    }],
+    validate: [scopes => scopes.length > 0, 'Grant at least one scope']
+  },
+  expires_at: Date,
+  revoked_at: Date,
+  rotated_at: Date,
+  last_used_at: Date,
+  last_used_ip: String
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user_id: 1, createdAt: -1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,62 @@
+// src/models/AuditLog.js
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_TARGETS } = require('../utils/constants');
+
+/**
+ * Append-only record of a security-relevant or business action. Entries
+ * are only ever inserted; updates and deletes are refused by the model.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Who acted; unset when nobody was signed in, e.g. a failed login
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actor_role: String,
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true
+  },
+  target_type: {
+    type: String,
+    enum: Object.values(AUDIT_TARGETS),
+    required: true
+  },
+  // ObjectId of the record, or a name such as an AI provider
+  target_id: {
+    type: String,
+    required: true
+  },
+  // Only the fields that changed, with secrets redacted
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  user_agent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor_id: 1, createdAt: -1 });
+auditLogSchema.index({ target_type: 1, target_id: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const refuseChange = function() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) refuseChange();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'],
+  refuseChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: true }, refuseChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -22,7 +22,8 @@ const bidSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'completed'],
+    // countered: brand's counter-offer awaits the creator; recountered: creator's reply awaits the brand
+    enum: ['pending', 'countered', 'recountered', 'accepted', 'rejected', 'withdrawn', 'completed'],
     default: 'pending'
   },
   proposal_text: {
@@ -104,10 +105,51 @@ const bidSchema = new mongoose.Schema({
     },
     additional_requirements: String
   },
+  // Negotiation history, oldest first. The bid's own amount, deliverables
+  // and deadline always hold the latest offer on the table.
+  revisions: [{
+    _id: false,
+    version: {
+      type: Number,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['submitted', 'updated', 'countered', 'accepted'],
+      required: true
+    },
+    proposed_by: {
+      type: String,
+      enum: ['creator', 'brand'],
+      required: true
+    },
+    author_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bid_amount: Number,
+    currency: String,
+    deliverables: {
+      posts: Number,
+      stories: Number,
+      reels: Number,
+      videos: Number,
+      timeline: String
+    },
+    deadline: Date,
+    message: {
+      type: String,
+      maxlength: 1000
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   communication: {
     preferred_method: {
       type: String,
-      enum: ['email', 'phone', 'whatsapp', 'telegram'],
+      enum: ['email', 'phone', 'whatsapp', 'telegram', 'in_app'],
       default: 'email'
     },
     contact_info: String,
@@ -149,6 +191,8 @@ const bidSchema = new mongoose.Schema({
     },
     reviewed_at: Date,
     accepted_at: Date,
+    // When the deliverables and escrow payment of the accepted bid were set up
+    setup_completed_at: Date,
     completed_at: Date,
     deadline: Date
   },
@@ -193,6 +237,11 @@ bidSchema.virtual('isOverdue').get(function() {
 
 // Pre-save middleware
 bidSchema.pre('save', function(next) {
+  // The original offer opens the negotiation history
+  if (this.isNew && this.revisions.length === 0) {
+    this.revisions.push(this.toRevision({ action: 'submitted', proposed_by: 'creator', author_id: this.creator_id }));
+  }
+
   if (this.isModified('status')) {
     if (this.status === 'accepted') {
       this.timeline.accepted_at = new Date();
@@ -203,6 +252,23 @@ bidSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * History entry holding the bid's current terms
+ * @param {Object} fields - action, proposed_by, author_id, message
+ */
+bidSchema.methods.toRevision = function(fields) {
+  const { posts, stories, reels, videos, timeline } = this.deliverables || {};
+  return {
+    version: this.revisions.length + 1,
+    bid_amount: this.bid_amount,
+    currency: this.currency,
+    deliverables: { posts, stories, reels, videos, timeline },
+    deadline: this.timeline?.deadline,
+    created_at: new Date(),
+    ...fields
+  };
+};
+
 // Static method to find bids by creator
 bidSchema.statics.findByCreator = function(creatorId) {
   return this.find({ creator_id: creatorId }).populate('campaign_id');
@@ -15,6 +15,11 @@ const campaignSchema = new mongoose.Schema({
       message: 'Brand ID must reference a valid brand user'
     }
   },
+  // Team workspace sharing the campaign; brand_id is then the workspace owner
+  workspace_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
   title: {
     type: String,
     required: [true, 'Campaign title is required'],
@@ -171,6 +176,7 @@ const campaignSchema = new mongoose.Schema({
 
 // Indexes
 campaignSchema.index({ brand_id: 1 });
+campaignSchema.index({ workspace_id: 1 }, { sparse: true });
 campaignSchema.index({ status: 1 });
 campaignSchema.index({ deadline: 1 });
 campaignSchema.index({ 'requirements.platforms': 1 });
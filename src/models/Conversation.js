@@ -0,0 +1,54 @@
+// src/models/Conversation.js
+const mongoose = require('mongoose');
+
+// Message thread between a campaign's brand and a bidding creator, one per bid
+const conversationSchema = new mongoose.Schema({
+  campaign_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  bid_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid',
+    required: true,
+    unique: true
+  },
+  brand_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  creator_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Preview of the latest message for conversation lists
+  last_message: {
+    body: String,
+    sender_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    has_attachments: Boolean,
+    sent_at: Date
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ brand_id: 1, 'last_message.sent_at': -1 });
+conversationSchema.index({ creator_id: 1, 'last_message.sent_at': -1 });
+conversationSchema.index({ campaign_id: 1 });
+
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.brand_id.toString() === userId.toString() || this.creator_id.toString() === userId.toString();
+};
+
+// The other participant of the conversation
+conversationSchema.methods.getRecipientId = function(senderId) {
+  return this.brand_id.toString() === senderId.toString() ? this.creator_id : this.brand_id;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
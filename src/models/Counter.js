@@ -0,0 +1,55 @@
+// src/models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per supplier and financial year
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Values taken with nextFor, by owner
+  reserved: {
+    type: Map,
+    of: Number
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Atomically take the next value of a sequence, starting at 1
+ * @param {string} key - Sequence name
+ * @returns {number}
+ */
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Atomically take the next value of a sequence for one owner, e.g. the
+ * invoice number of a bid. Calling again for the same owner returns the
+ * value it already holds, so a retried write does not use up another one.
+ * @param {string} key - Sequence name
+ * @param {string} owner - Owner id
+ * @returns {number}
+ */
+counterSchema.statics.nextFor = async function(key, owner) {
+  const field = `reserved.${owner}`;
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    [
+      { $set: { seq: { $cond: [{ $ifNull: [`$${field}`, false] }, '$seq', { $add: [{ $ifNull: ['$seq', 0] }, 1] }] } } },
+      { $set: { [field]: { $ifNull: [`$${field}`, '$seq'] } } }
+    ],
+    { new: true, upsert: true }
+  );
+  return counter.reserved.get(String(owner));
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,135 @@
+// src/models/Deliverable.js
+const mongoose = require('mongoose');
+
+// One piece of content a hired creator owes a campaign, created per accepted
+// bid (see services/campaignWorkflow). Creators submit drafts, the brand
+// reviews each one, and an approved draft is published as a linked Post.
+const draftSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  caption: {
+    type: String,
+    maxlength: 10000
+  },
+  hashtags: [{
+    type: String,
+    trim: true
+  }],
+  mentions: [{
+    type: String,
+    trim: true
+  }],
+  media: [{
+    type: {
+      type: String,
+      enum: ['image', 'video', 'gif', 'document'],
+      required: true
+    },
+    url: String,
+    filename: String,
+    size: Number,
+    mimeType: String
+  }],
+  // Creator's note to the brand
+  note: {
+    type: String,
+    maxlength: 2000
+  },
+  submitted_at: {
+    type: Date,
+    default: Date.now
+  },
+  review: {
+    decision: {
+      type: String,
+      enum: ['approved', 'changes_requested', 'rejected']
+    },
+    comment: {
+      type: String,
+      maxlength: 2000
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewed_at: Date
+  }
+}, { _id: false });
+
+const deliverableSchema = new mongoose.Schema({
+  campaign_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  bid_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid',
+    required: true
+  },
+  creator_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  brand_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['post', 'story', 'reel', 'video'],
+    required: true
+  },
+  // 1-based position among the bid's deliverables of the same type
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  due_date: Date,
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'changes_requested', 'approved', 'rejected', 'published'],
+    default: 'pending'
+  },
+  drafts: [draftSchema],
+  // Change requests so far, limited by the bid's revision rounds
+  revisions_requested: {
+    type: Number,
+    default: 0
+  },
+  revision_limit: {
+    type: Number,
+    default: 2
+  },
+  post_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  published_at: Date
+}, {
+  timestamps: true
+});
+
+deliverableSchema.index({ bid_id: 1, type: 1, sequence: 1 }, { unique: true });
+deliverableSchema.index({ creator_id: 1, status: 1 });
+deliverableSchema.index({ brand_id: 1, status: 1 });
+deliverableSchema.index({ campaign_id: 1, status: 1 });
+
+// Latest submitted draft
+deliverableSchema.virtual('currentDraft').get(function() {
+  return this.drafts.length > 0 ? this.drafts[this.drafts.length - 1] : null;
+});
+
+deliverableSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Deliverable', deliverableSchema);
@@ -0,0 +1,112 @@
+// src/models/Invoice.js
+const mongoose = require('mongoose');
+
+// Party details copied onto the invoice when it is issued
+const partySchema = new mongoose.Schema({
+  name: String,
+  legal_name: String,
+  email: String,
+  gstin: String,
+  address: String,
+  city: String,
+  state: String,
+  state_code: String,
+  postal_code: String,
+  country: String
+}, { _id: false });
+
+// Invoice from a creator (supplier) to a brand (recipient) for an accepted bid.
+// Numbered per creator and Indian financial year (see services/invoices).
+// Amounts are integers in minor units (paise/cents).
+const invoiceSchema = new mongoose.Schema({
+  invoice_number: {
+    type: String,
+    required: true
+  },
+  // e.g. "2026-27"
+  financial_year: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  bid_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid',
+    required: true,
+    unique: true
+  },
+  campaign_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  creator_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  brand_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supplier: partySchema,
+  recipient: partySchema,
+  currency: {
+    type: String,
+    enum: ['INR', 'USD', 'EUR'],
+    required: true
+  },
+  line_items: [{
+    _id: false,
+    description: String,
+    sac_code: String,
+    quantity: Number,
+    unit_amount: Number,
+    amount: Number
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  // intra_state: CGST + SGST; inter_state: IGST; unregistered and export: no tax
+  tax_treatment: {
+    type: String,
+    enum: ['intra_state', 'inter_state', 'unregistered', 'export'],
+    required: true
+  },
+  tax_lines: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['cgst', 'sgst', 'igst']
+    },
+    rate: Number,
+    amount: Number
+  }],
+  tax_total: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  notes: String,
+  issued_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ creator_id: 1, invoice_number: 1 }, { unique: true });
+invoiceSchema.index({ creator_id: 1, issued_at: -1 });
+invoiceSchema.index({ brand_id: 1, issued_at: -1 });
+invoiceSchema.index({ campaign_id: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,49 @@
+// src/models/Message.js
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  // Stored like Post.media (see services/mediaStorage)
+  attachments: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['image', 'video', 'gif', 'document']
+    },
+    url: String,
+    filename: String,
+    size: Number,
+    mimeType: String
+  }],
+  // Read receipt: when the recipient read the message
+  read_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation_id: 1, _id: -1 });
+messageSchema.index({ recipient_id: 1, read_at: 1, conversation_id: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,45 @@
+// src/models/Notification.js
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+
+const notificationSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Frontend path to open, e.g. "/bids/<id>"
+  link: String,
+  // Ids of the related records (campaign_id, bid_id, post_id, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user_id: 1, _id: -1 });
+notificationSchema.index({ user_id: 1, read_at: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
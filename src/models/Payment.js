@@ -0,0 +1,125 @@
+// src/models/Payment.js
+const mongoose = require('mongoose');
+
+// One slice of the bid amount, released to the creator when its trigger fires.
+// Amounts are integers in the currency's minor unit (paise/cents).
+const milestoneSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  trigger: {
+    type: String,
+    enum: ['funding', 'deliverable', 'completion'],
+    required: true
+  },
+  // Set for `deliverable` milestones
+  deliverable_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deliverable'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'held', 'releasing', 'released', 'refunding', 'refunded'],
+    default: 'pending'
+  },
+  // Gateway calls made for the current state; part of their idempotency keys
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  locked_at: Date,
+  released_at: Date,
+  refunded_at: Date
+});
+
+// Escrow ledger of an accepted bid (see services/payments/escrow).
+// Every movement of money is also recorded as a PaymentTransaction.
+const paymentSchema = new mongoose.Schema({
+  bid_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid',
+    required: true,
+    unique: true
+  },
+  campaign_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  brand_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  creator_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['INR', 'USD', 'EUR'],
+    required: true
+  },
+  // Total in minor units
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  schedule: {
+    type: String,
+    enum: ['upfront', 'milestone', 'completion'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_funding', 'funding', 'in_escrow', 'partially_released', 'released', 'refunded', 'settled'],
+    default: 'awaiting_funding'
+  },
+  milestones: [milestoneSchema],
+  gateway: {
+    type: String,
+    required: true
+  },
+  // Gateway reference of the escrow hold
+  hold_reference: String,
+  funding_attempts: {
+    type: Number,
+    default: 0
+  },
+  funding_locked_at: Date,
+  funded_at: Date,
+  released_amount: {
+    type: Number,
+    default: 0
+  },
+  refunded_amount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ brand_id: 1, status: 1 });
+paymentSchema.index({ creator_id: 1, status: 1 });
+paymentSchema.index({ campaign_id: 1 });
+
+// Money still held in escrow
+paymentSchema.virtual('held_amount').get(function() {
+  return this.status === 'awaiting_funding' || this.status === 'funding'
+    ? 0
+    : this.amount - this.released_amount - this.refunded_amount;
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,56 @@
+// src/models/PaymentTransaction.js
+const mongoose = require('mongoose');
+
+// Append-only ledger entry: one gateway call against a Payment's escrow.
+// Failed calls are recorded too, so the history explains every retry.
+const paymentTransactionSchema = new mongoose.Schema({
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  // Unset for the escrow hold, which covers every milestone
+  milestone_id: mongoose.Schema.Types.ObjectId,
+  type: {
+    type: String,
+    enum: ['hold', 'release', 'refund'],
+    required: true
+  },
+  // Minor units
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: ['INR', 'USD', 'EUR'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  gateway_reference: String,
+  idempotency_key: {
+    type: String,
+    required: true
+  },
+  error: String,
+  reason: String,
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+paymentTransactionSchema.index({ payment_id: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
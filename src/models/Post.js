@@ -15,7 +15,7 @@ const PostSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'published', 'failed'],
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed', 'dead_letter'],
     default: 'draft'
   },
   
@@ -26,6 +26,28 @@ const PostSchema = new mongoose.Schema({
     required: true
   },
 
+  // Team workspace sharing the post; it publishes through the workspace owner's accounts
+  workspace_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+
+  // Set when the post was fanned out from a cross-platform post group
+  group_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostGroup'
+  },
+
+  // Set when the post publishes an approved campaign deliverable
+  campaign_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  deliverable_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deliverable'
+  },
+
   // Main content (common across platforms)
   content: {
     caption: {
@@ -98,6 +120,7 @@ const PostSchema = new mongoose.Schema({
     instagram: {
       alt_text: String,
       location: {
+        id: String, // Facebook Page ID of the location
         name: String
       }
     },
@@ -111,12 +134,14 @@ const PostSchema = new mongoose.Schema({
       },
       article: {
         title: String,
-        body: String
+        body: String,
+        url: String // Shared as a link preview when set
       }
     },
     
     // Facebook specific
     facebook: {
+      page_id: String, // Defaults to the user's selected Page
       link_preview: {
         url: String
       }
@@ -148,13 +173,42 @@ const PostSchema = new mongoose.Schema({
     platform_url: String // URL to the published post
   },
 
+  // Scheduled dispatch bookkeeping (see services/scheduler/postDispatcher)
+  dispatch: {
+    locked_by: String, // Instance that claimed the post for publishing
+    locked_at: Date,
+    attempts: { type: Number, default: 0 }
+  },
+
+  // Automatic retry state (see services/scheduler/retryPolicy)
+  retry: {
+    next_attempt_at: Date,
+    category: String // Error category of the last failure
+  },
+
+  // Most recent publish attempts, oldest first
+  publish_attempts: [{
+    attempted_at: Date,
+    trigger: {
+      type: String,
+      enum: ['scheduler', 'manual']
+    },
+    success: Boolean,
+    error: String,
+    code: String,
+    status_code: Number,
+    category: String,
+    retryable: Boolean
+  }],
+
   // Analytics (updated after publishing)
   analytics: {
     likes: { type: Number, default: 0 },
     comments: { type: Number, default: 0 },
     shares: { type: Number, default: 0 },
     views: { type: Number, default: 0 },
-    engagement_rate: { type: Number, default: 0 }
+    engagement_rate: { type: Number, default: 0 },
+    last_synced_at: Date // Last metrics sync attempt (see services/analyticsSync)
   },
 
   // Metadata
@@ -189,10 +243,21 @@ const PostSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 PostSchema.index({ author: 1, status: 1 });
+PostSchema.index({ workspace_id: 1, status: 1 }, { sparse: true });
+// One post per platform within a group
+PostSchema.index(
+  { group_id: 1, platform: 1 },
+  { unique: true, partialFilterExpression: { group_id: { $exists: true } } }
+);
 PostSchema.index({ platform: 1, status: 1 });
 PostSchema.index({ 'scheduling.scheduled_for': 1 });
+PostSchema.index({ status: 1, 'scheduling.scheduled_for': 1 });
+PostSchema.index({ status: 1, 'dispatch.locked_at': 1 });
+PostSchema.index({ status: 1, 'retry.next_attempt_at': 1 });
+PostSchema.index({ status: 1, 'analytics.last_synced_at': 1 });
 PostSchema.index({ createdAt: -1 });
 PostSchema.index({ 'publishing.published_at': -1 });
+PostSchema.index({ deliverable_id: 1 }, { sparse: true });
 
 // Pre-save middleware
 PostSchema.pre('save', function(next) {
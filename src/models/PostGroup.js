@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook'];
+
+// A post group holds content shared by several platforms. Publishing fans out
+// into one Post per platform (Post.group_id), each published independently.
+const PostGroupSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Team workspace sharing the group and its posts
+  workspace_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  platforms: {
+    type: [{
+      type: String,
+      enum: PLATFORMS
+    }],
+    validate: {
+      validator: (platforms) => platforms.length > 0 && new Set(platforms).size === platforms.length,
+      message: 'Select at least one platform, each only once'
+    }
+  },
+
+  // Shared content, used unless a platform overrides it
+  content: {
+    caption: {
+      type: String,
+      maxlength: 10000
+    },
+    hashtags: [{
+      type: String,
+      trim: true
+    }],
+    mentions: [{
+      type: String,
+      trim: true
+    }]
+  },
+
+  // Per-platform overrides keyed by platform. Each entry may set `caption`,
+  // `hashtags`, `post_type`, plus the fields of Post.platform_content.<platform>.
+  platform_content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  media: [{
+    type: {
+      type: String,
+      enum: ['image', 'video', 'gif', 'document'],
+      required: true
+    },
+    url: String,
+    filename: String,
+    size: Number,
+    mimeType: String,
+    thumbnail_url: String
+  }],
+
+  scheduling: {
+    scheduled_for: Date,
+    timezone: String
+  },
+
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  categories: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+PostGroupSchema.index({ author: 1, createdAt: -1 });
+PostGroupSchema.index({ workspace_id: 1, createdAt: -1 }, { sparse: true });
+
+// Per-platform posts created by publishing or scheduling the group
+PostGroupSchema.virtual('posts', {
+  ref: 'Post',
+  localField: '_id',
+  foreignField: 'group_id'
+});
+
+// Overall status, derived from the per-platform posts when they are populated
+PostGroupSchema.virtual('status').get(function() {
+  if (!Array.isArray(this.posts)) return undefined;
+
+  const statuses = this.posts.map(post => post.status);
+  if (statuses.length === 0) return 'draft';
+  if (statuses.every(status => status === 'published')) {
+    return statuses.length === this.platforms.length ? 'published' : 'partially_published';
+  }
+  if (statuses.some(status => status === 'publishing')) return 'publishing';
+  if (statuses.some(status => status === 'published')) return 'partially_published';
+  if (statuses.every(status => status === 'scheduled')) return 'scheduled';
+  if (statuses.some(status => status === 'failed' || status === 'dead_letter')) return 'failed';
+  return 'draft';
+});
+
+// Override for one platform, or an empty object
+PostGroupSchema.methods.getOverride = function(platform) {
+  return (this.platform_content && this.platform_content[platform]) || {};
+};
+
+PostGroupSchema.statics.PLATFORMS = PLATFORMS;
+
+module.exports = mongoose.model('PostGroup', PostGroupSchema);
@@ -0,0 +1,83 @@
+// src/models/ReportExport.js
+const mongoose = require('mongoose');
+
+// An analytics report rendered in the background (see services/reports/reportExporter).
+// Small reports are streamed straight from the request and never stored here.
+const reportExportSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['campaign', 'creator', 'account'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'pdf'],
+    required: true
+  },
+  // Report scope, as accepted by reportBuilder.build
+  params: {
+    campaign_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    },
+    creator_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Account reports: whose posts to export
+    owner_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Brand exporting a creator: limit rows to these campaigns
+    campaign_ids: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    }],
+    platform: {
+      type: String,
+      enum: ['youtube', 'instagram', 'twitter', 'linkedin', 'facebook']
+    },
+    from: {
+      type: Date,
+      required: true
+    },
+    to: {
+      type: Date,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  row_count: Number,
+  file: {
+    filename: String,
+    mime_type: String,
+    size: Number
+  },
+  error: String,
+  started_at: Date,
+  completed_at: Date,
+  // The file and this document are removed after this time
+  expires_at: Date
+}, {
+  timestamps: true
+});
+
+reportExportSchema.index({ status: 1, createdAt: 1 });
+reportExportSchema.index({ user_id: 1, createdAt: -1 });
+reportExportSchema.index({ expires_at: 1 });
+
+module.exports = mongoose.model('ReportExport', reportExportSchema);
@@ -0,0 +1,53 @@
+// src/models/Session.js
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Access and refresh tokens carry the session id (`sid`);
+ * the refresh token also carries a `jti` that changes on every refresh, and
+ * only the latest one is accepted.
+ */
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // jti of the only refresh token of this session that may still be used
+  refresh_jti: {
+    type: String,
+    required: true,
+    select: false
+  },
+  user_agent: String,
+  ip: String,
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  // When the latest access token expires; a revocation has to outlive it
+  access_expires_at: Date,
+  // When the latest refresh token expires
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: Date,
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'signed_out', 'signed_out_everywhere', 'refresh_reuse', 'password_changed', 'account_deleted', 'two_factor_required']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user_id: 1, revoked_at: 1, expires_at: 1 });
+// Sessions are dropped once their refresh token can no longer be used
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revoked_at && this.expires_at > new Date();
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,41 @@
+// src/models/Setting.js
+const mongoose = require('mongoose');
+
+// Platform-wide settings changed by admins, keyed by name
+const settingSchema = new mongoose.Schema({
+  _id: String,
+  value: mongoose.Schema.Types.Mixed,
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Value of a setting
+ * @param {string} key - Setting name
+ * @param {*} fallback - Value when the setting was never saved
+ */
+settingSchema.statics.getValue = async function(key, fallback) {
+  const setting = await this.findById(key).lean();
+  return setting ? setting.value : fallback;
+};
+
+/**
+ * Save a setting
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ * @param {string} userId - Admin making the change
+ */
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { _id: key },
+    { $set: { value, updated_by: userId } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,6 +1,19 @@
 // src/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { encryptedString } = require('../utils/crypto');
+const { AUTH_PROVIDERS } = require('../utils/constants');
+
+// Remove social access and refresh tokens from a serialized user
+function stripSocialTokens(ret) {
+  Object.values(ret.socialAccounts || {}).forEach(account => {
+    if (!account) return;
+    delete account.accessToken;
+    delete account.refreshToken;
+    (account.pages || []).forEach(page => { delete page.accessToken; });
+  });
+  return ret;
+}
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -17,9 +30,10 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Accounts created through a sign-in provider have no password until they set one
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.identities?.length; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -62,6 +76,43 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Invoicing details; creators are the supplier and brands the recipient on invoices
+  billing: {
+    legal_name: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true },
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    // Two-digit GST state code; taken from the GSTIN when one is set
+    state_code: { type: String, trim: true },
+    postal_code: { type: String, trim: true },
+    country: { type: String, trim: true, uppercase: true, default: 'IN' }
+  },
+  // IANA timezone, used for scheduled emails
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  preferences: {
+    digest: {
+      frequency: {
+        type: String,
+        enum: ['off', 'weekly', 'monthly'],
+        default: 'off'
+      },
+      last_sent_at: Date
+    },
+    // Channels per notification type; unset channels use the defaults in services/notifier/notifications
+    notifications: {
+      type: Map,
+      of: new mongoose.Schema({
+        in_app: Boolean,
+        email: Boolean,
+        push: Boolean
+      }, { _id: false }),
+      default: undefined
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -74,14 +125,44 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
+  // Sign-in providers linked to the account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      enum: Object.values(AUTH_PROVIDERS),
+      required: true
+    },
+    // The provider's stable user id (Google `sub`)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linked_at: {
       type: Date,
-      default: Date.now,
-      expires: 2592000 // 30 days
+      default: Date.now
     }
   }],
+  // TOTP two-factor authentication (see services/twoFactor)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabled_at: Date,
+    secret: { ...encryptedString(), select: false },
+    // Secret being set up, until the first code confirms it
+    pending_secret: { ...encryptedString(), select: false },
+    // SHA-256 hashes of one-time recovery codes
+    recovery_codes: {
+      type: [{ _id: false, hash: String, used_at: Date }],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    last_used_step: { type: Number, select: false }
+  },
+  // Access and refresh tokens are encrypted at rest (see utils/crypto)
   socialAccounts: {
     youtube: {
       id: String,
@@ -92,55 +173,99 @@ const userSchema = new mongoose.Schema({
       subscriberCount: String,
       videoCount: String,
       viewCount: String,
-      accessToken: String,
-      refreshToken: String,
+      accessToken: encryptedString(),
+      refreshToken: encryptedString(),
       expiresAt: Date,
-      connectedAt: Date
+      connectedAt: Date,
+      // Unset means connected; needs_reauth once the token can no longer be refreshed
+      status: { type: String, enum: ['connected', 'needs_reauth'] },
+      statusReason: String,
+      lastRefreshedAt: Date
     },
     twitter: {
       id: String,
       username: String,
       name: String,
-      accessToken: String,
-      refreshToken: String,
+      accessToken: encryptedString(),
+      refreshToken: encryptedString(),
       expiresAt: Date,
-      connectedAt: Date
+      connectedAt: Date,
+      status: { type: String, enum: ['connected', 'needs_reauth'] },
+      statusReason: String,
+      lastRefreshedAt: Date
     },
     instagram: {
       id: String,
       username: String,
       name: String,
-      accessToken: String,
-      refreshToken: String,
+      profilePicture: String,
+      pageId: String, // Facebook Page the account is linked to
+      accessToken: encryptedString(), // Token of that Page
+      refreshToken: encryptedString(),
       expiresAt: Date,
-      connectedAt: Date
+      connectedAt: Date,
+      status: { type: String, enum: ['connected', 'needs_reauth'] },
+      statusReason: String,
+      lastRefreshedAt: Date
     },
     facebook: {
       id: String,
       username: String,
       name: String,
-      accessToken: String,
-      refreshToken: String,
+      accessToken: encryptedString(), // Long-lived user token
+      refreshToken: encryptedString(),
       expiresAt: Date,
-      connectedAt: Date
+      connectedAt: Date,
+      status: { type: String, enum: ['connected', 'needs_reauth'] },
+      statusReason: String,
+      lastRefreshedAt: Date,
+      // Pages the user manages; posts go to the selected Page
+      pages: [{
+        id: String,
+        name: String,
+        category: String,
+        picture: String,
+        tasks: [String],
+        accessToken: encryptedString()
+      }],
+      selectedPageId: String
     },
     linkedin: {
       id: String,
       username: String,
       name: String,
-      accessToken: String,
-      refreshToken: String,
+      accessToken: encryptedString(),
+      refreshToken: encryptedString(),
       expiresAt: Date,
-      connectedAt: Date
+      connectedAt: Date,
+      status: { type: String, enum: ['connected', 'needs_reauth'] },
+      statusReason: String,
+      lastRefreshedAt: Date
     }
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Social tokens and two-factor secrets never leave the server
+    transform: (doc, ret) => {
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pending_secret;
+        delete ret.twoFactor.recovery_codes;
+        delete ret.twoFactor.last_used_step;
+      }
+      return stripSocialTokens(ret);
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Indexes
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 // userSchema.index({ email: 1 });
 // userSchema.index({ role: 1 });
 // userSchema.index({ isActive: 1 });
@@ -165,6 +290,7 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,65 @@
+// src/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+const { WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+
+// Delivery log entries are kept for 30 days
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    required: true
+  },
+  status_code: Number,
+  duration_ms: Number,
+  error: String
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // WEBHOOK_EVENTS value, or "ping" for test deliveries
+  event: {
+    type: String,
+    required: true
+  },
+  // Body sent to the endpoint: { id, type, created_at, data }. Replays keep
+  // the event id so receivers can deduplicate.
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+    default: WEBHOOK_DELIVERY_STATUS.PENDING
+  },
+  next_attempt_at: Date,
+  locked_at: Date,
+  attempt_count: {
+    type: Number,
+    default: 0
+  },
+  attempts: [attemptSchema],
+  delivered_at: Date,
+  replay_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ endpoint_id: 1, _id: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,63 @@
+// src/models/WebhookEndpoint.js
+const mongoose = require('mongoose');
+const { encryptedString } = require('../utils/crypto');
+const { WEBHOOK_EVENTS } = require('../utils/constants');
+
+const webhookEndpointSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Endpoint URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: Object.values(WEBHOOK_EVENTS)
+    }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  // HMAC signing secret, shown to the owner only when created or rotated
+  secret: {
+    ...encryptedString(),
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  // Failed attempts since the last successful one; the endpoint is disabled
+  // after WEBHOOK_DISABLE_AFTER_FAILURES
+  consecutive_failures: {
+    type: Number,
+    default: 0
+  },
+  disabled_at: Date,
+  disabled_reason: String,
+  last_success_at: Date,
+  last_failure_at: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookEndpointSchema.index({ user_id: 1, createdAt: -1 });
+webhookEndpointSchema.index({ user_id: 1, status: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,52 @@
+// src/models/Workspace.js
+const mongoose = require('mongoose');
+const { WORKSPACE_ROLES } = require('../utils/constants');
+
+/**
+ * A brand's team. Campaigns, posts and post groups created while acting in
+ * a workspace carry its id and are shared by its members. The owner is the
+ * brand account the workspace belongs to: workspace campaigns are billed to
+ * it and workspace posts publish through its connected social accounts.
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The owner is also listed here, with the owner role
+  members: [{
+    _id: false,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.values(WORKSPACE_ROLES),
+      required: true
+    },
+    invited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    added_at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.user_id': 1 });
+workspaceSchema.index({ owner_id: 1 });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
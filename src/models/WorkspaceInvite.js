@@ -0,0 +1,59 @@
+// src/models/WorkspaceInvite.js
+const mongoose = require('mongoose');
+const { WORKSPACE_ROLES } = require('../utils/constants');
+
+// Email invitation to join a workspace; accepted with the token sent by email
+const workspaceInviteSchema = new mongoose.Schema({
+  workspace_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Invites cannot hand out ownership
+  role: {
+    type: String,
+    enum: Object.values(WORKSPACE_ROLES).filter(role => role !== WORKSPACE_ROLES.OWNER),
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only in the email
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  accepted_at: Date,
+  accepted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revoked_at: Date
+}, {
+  timestamps: true
+});
+
+workspaceInviteSchema.index({ workspace_id: 1, createdAt: -1 });
+workspaceInviteSchema.index({ workspace_id: 1, email: 1 });
+
+workspaceInviteSchema.virtual('isPending').get(function() {
+  return !this.accepted_at && !this.revoked_at && this.expires_at > new Date();
+});
+
+workspaceInviteSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('WorkspaceInvite', workspaceInviteSchema);
@@ -1,6 +1,7 @@
 // src/routes/admin.routes.js
 const router = require('express').Router();
 const { authenticate, authorize } = require('../middlewares/auth');
+const { validateWithJoi, adminValidation } = require('../utils/validator');
 const ctrl = require('../controllers/adminController');
 
 // Protect all admin routes
@@ -10,7 +11,9 @@ router.get('/dashboard', ctrl.dashboardStats);
 router.get('/users', ctrl.listUsers);
 router.patch('/users/:id/toggle', ctrl.toggleUserActive);
 router.get('/campaigns', ctrl.listCampaigns);
-router.get('/logs', ctrl.getLogs);
+router.get('/logs', validateWithJoi(adminValidation.logs, 'query'), ctrl.getLogs);
+router.get('/security', ctrl.getSecuritySettings);
+router.put('/security', validateWithJoi(adminValidation.security), ctrl.updateSecuritySettings);
 
 module.exports = router;
 
@@ -1,8 +1,13 @@
 // src/routes/analytics.routes.js
 const router = require('express').Router();
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, authorize, acceptApiKeys } = require('../middlewares/auth');
+const { API_KEY_SCOPES } = require('../utils/constants');
 const { validateWithJoi, analyticsValidation } = require('../utils/validator');
 const ctrl = require('../controllers/analyticsController');
+const reportCtrl = require('../controllers/reportController');
+
+// API keys: analytics:read, which also covers requesting report exports
+router.use(acceptApiKeys(API_KEY_SCOPES.ANALYTICS_READ, API_KEY_SCOPES.ANALYTICS_READ));
 
 // Create analytics record (system/admin)
 router.post('/', authenticate, authorize('admin'), validateWithJoi(analyticsValidation.create), ctrl.createAnalytics);
@@ -16,6 +21,22 @@ router.get('/top', authenticate, ctrl.getTopPerforming);
 // Platform stats
 router.get('/platform/:platform', authenticate, ctrl.getPlatformStats);
 
+// Growth series from analytics snapshots (?interval=daily|weekly|monthly&from&to&timezone)
+router.get(
+  '/series/posts/:postId',
+  authenticate,
+  validateWithJoi(analyticsValidation.postSeriesParams, 'params'),
+  validateWithJoi(analyticsValidation.series, 'query'),
+  ctrl.getPostSeries
+);
+router.get('/series/accounts/:platform', authenticate, validateWithJoi(analyticsValidation.series, 'query'), ctrl.getAccountSeries);
+
+// Report exports (CSV, XLSX, PDF); large reports run as background jobs
+router.post('/exports', authenticate, validateWithJoi(analyticsValidation.export), reportCtrl.createExport);
+router.get('/exports', authenticate, reportCtrl.getExports);
+router.get('/exports/:id', authenticate, reportCtrl.getExport);
+router.get('/exports/:id/download', authenticate, reportCtrl.downloadExport);
+
 module.exports = router;
 
 
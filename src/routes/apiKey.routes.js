@@ -0,0 +1,17 @@
+// src/routes/apiKey.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { validateWithJoi, apiKeyValidation } = require('../utils/validator');
+const ctrl = require('../controllers/apiKeyController');
+
+// Managed with a signed-in session only; API keys cannot manage keys
+router.use(authenticate);
+
+router.get('/scopes', ctrl.getScopes);
+router.get('/', ctrl.getApiKeys);
+router.post('/', validateWithJoi(apiKeyValidation.create), ctrl.createApiKey);
+router.put('/:id', validateWithJoi(apiKeyValidation.update), ctrl.updateApiKey);
+router.post('/:id/rotate', ctrl.rotateApiKey);
+router.delete('/:id', ctrl.revokeApiKey);
+
+module.exports = router;
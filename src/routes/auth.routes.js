@@ -1,6 +1,6 @@
 // src/routes/auth.routes.js
 const router = require('express').Router();
-const { authenticate, validatePasswordResetToken, refreshToken } = require('../middlewares/auth');
+const { authenticate, validatePasswordResetToken, refreshToken, authenticateTwoFactorChallenge } = require('../middlewares/auth');
 const { validateWithJoi, userValidation, validationRules, validateRequest } = require('../utils/validator');
 const { authLimiter, passwordResetLimiter } = require('../middlewares/rateLimiter');
 const ctrl = require('../controllers/authController');
@@ -8,14 +8,45 @@ const ctrl = require('../controllers/authController');
 router.post('/register', authLimiter, validateWithJoi(userValidation.register), ctrl.register);
 router.post('/login', authLimiter, validateWithJoi(userValidation.login), ctrl.login);
 
+// Google sign-in steps, with the tokens from the Google callback redirect
+router.post('/google/link', authLimiter, validateWithJoi(userValidation.googleLink), ctrl.confirmGoogleLink);
+router.post('/google/signup', authLimiter, validateWithJoi(userValidation.googleSignup), ctrl.googleSignup);
+
+// Second login step, with the challengeToken returned by /login
+router.post('/2fa/verify', authLimiter, validateWithJoi(userValidation.twoFactorVerify), authenticateTwoFactorChallenge('verify'), ctrl.verifyTwoFactor);
+router.post('/2fa/enroll', authLimiter, validateWithJoi(userValidation.twoFactorEnroll), authenticateTwoFactorChallenge('enroll'), ctrl.setupTwoFactor);
+router.post('/2fa/enroll/confirm', authLimiter, validateWithJoi(userValidation.twoFactorEnrollConfirm), authenticateTwoFactorChallenge('enroll'), ctrl.enableTwoFactor);
+
 router.get('/me', authenticate, ctrl.getProfile);
 router.put('/me', authenticate, validateWithJoi(userValidation.updateProfile), ctrl.updateProfile);
 router.post('/change-password', authenticate, ctrl.changePassword);
+router.post('/set-password', authenticate, validateWithJoi(userValidation.setPassword), ctrl.setPassword);
+
+// Linked sign-in providers
+router.get('/identities', authenticate, ctrl.getIdentities);
+router.post('/identities', authenticate, validateWithJoi(userValidation.addIdentity), ctrl.addIdentity);
+router.delete('/identities/:provider', authenticate, ctrl.removeIdentity);
 
 router.post('/request-password-reset', passwordResetLimiter, ctrl.requestPasswordReset);
 router.post('/reset-password/:token', validatePasswordResetToken, ctrl.resetPassword);
 
+// Two-factor authentication
+router.get('/2fa', authenticate, ctrl.getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, ctrl.setupTwoFactor);
+router.post('/2fa/enable', authenticate, validateWithJoi(userValidation.twoFactorEnable), ctrl.enableTwoFactor);
+router.post('/2fa/disable', authenticate, validateWithJoi(userValidation.twoFactorDisable), ctrl.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validateWithJoi(userValidation.twoFactorEnable), ctrl.regenerateRecoveryCodes);
+
 router.post('/logout', authenticate, ctrl.logout);
+
+// Signed-in devices
+router.get('/sessions', authenticate, ctrl.getSessions);
+router.delete('/sessions', authenticate, validateWithJoi(userValidation.revokeSessions, 'query'), ctrl.revokeAllSessions);
+router.delete('/sessions/:id', authenticate, ctrl.revokeSession);
+
+// Audit trail of the current user's account
+router.get('/activity', authenticate, validateWithJoi(userValidation.activity, 'query'), ctrl.getActivity);
+
 // Token refresh
 router.post('/refresh', refreshToken);
 
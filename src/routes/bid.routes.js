@@ -1,10 +1,14 @@
 // src/routes/bid.routes.js
 const router = require('express').Router();
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, authorize, acceptApiKeys, requireWorkspacePermission } = require('../middlewares/auth');
+const { API_KEY_SCOPES, WORKSPACE_PERMISSIONS } = require('../utils/constants');
 const { validateWithJoi, bidValidation } = require('../utils/validator');
 const { bidLimiter } = require('../middlewares/rateLimiter');
 const ctrl = require('../controllers/bidController');
 
+// API keys: bids:read / bids:write
+router.use(acceptApiKeys(API_KEY_SCOPES.BIDS_READ, API_KEY_SCOPES.BIDS_WRITE));
+
 // Create bid (creator only)
 router.post('/', authenticate, authorize('creator', 'admin'), bidLimiter, validateWithJoi(bidValidation.create), ctrl.createBid);
 
@@ -20,6 +24,11 @@ router.put('/:id', authenticate, authorize('creator', 'admin'), validateWithJoi(
 // Withdraw bid (creator)
 router.post('/:id/withdraw', authenticate, authorize('creator', 'admin'), ctrl.withdrawBid);
 
+// Negotiation: either side counters; the creator accepts the brand's counter-offer
+// (brands accept through /api/campaigns/:campaignId/bids/:bidId/accept); in a workspace, approvers counter
+router.post('/:id/counter', authenticate, authorize('creator', 'brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE), validateWithJoi(bidValidation.counter), ctrl.counterBid);
+router.post('/:id/accept-counter', authenticate, authorize('creator', 'admin'), ctrl.acceptCounter);
+
 // Bids by creator
 router.get('/creator/:creatorId', authenticate, authorize('creator', 'admin'), ctrl.getCreatorBids);
 
@@ -1,32 +1,36 @@
 // src/routes/campaign.routes.js
 const router = require('express').Router();
-const { authenticate, authorize, checkCampaignOwnership } = require('../middlewares/auth');
+const { authenticate, authorize, acceptApiKeys, checkCampaignOwnership, requireWorkspacePermission } = require('../middlewares/auth');
+const { API_KEY_SCOPES, WORKSPACE_PERMISSIONS } = require('../utils/constants');
 const { validateWithJoi, campaignValidation, validationRules, validateRequest } = require('../utils/validator');
 const { campaignLimiter } = require('../middlewares/rateLimiter');
 const ctrl = require('../controllers/campaignController');
 
+// API keys: campaigns:read / campaigns:write
+router.use(acceptApiKeys(API_KEY_SCOPES.CAMPAIGNS_READ, API_KEY_SCOPES.CAMPAIGNS_WRITE));
+
 // Public list with filters, private fields hidden by controller
 router.get('/', authenticate, ctrl.getCampaigns);
 
-// Create campaign (brand only)
-router.post('/', authenticate, authorize('brand', 'admin'), campaignLimiter, validateWithJoi(campaignValidation.create), ctrl.createCampaign);
+// Create campaign (brand only; in a workspace, members allowed to edit)
+router.post('/', authenticate, authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT), campaignLimiter, validateWithJoi(campaignValidation.create), ctrl.createCampaign);
 
 // Campaign details
 router.get('/:id', authenticate, ctrl.getCampaign);
 
-// Update campaign (owner/admin)
-router.put('/:id', authenticate, authorize('brand', 'admin'), validateWithJoi(campaignValidation.update), ctrl.updateCampaign);
+// Update campaign (owner/admin; in a workspace, members allowed to edit)
+router.put('/:id', authenticate, authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT), validateWithJoi(campaignValidation.update), ctrl.updateCampaign);
 
-// Delete campaign (owner/admin)
-router.delete('/:id', authenticate, authorize('brand', 'admin'), ctrl.deleteCampaign);
+// Delete campaign (owner/admin; in a workspace, members allowed to edit)
+router.delete('/:id', authenticate, authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT), ctrl.deleteCampaign);
 
 // Brand campaigns
 router.get('/brand/:brandId', authenticate, authorize('brand', 'admin'), ctrl.getBrandCampaigns);
 
-// Campaign bids (owner/admin)
+// Campaign bids (owner/admin; in a workspace, any member reads them and approvers decide)
 router.get('/:id/bids', authenticate, authorize('brand', 'admin'), ctrl.getCampaignBids);
-router.post('/:campaignId/bids/:bidId/accept', authenticate, authorize('brand', 'admin'), ctrl.acceptBid);
-router.post('/:campaignId/bids/:bidId/reject', authenticate, authorize('brand', 'admin'), ctrl.rejectBid);
+router.post('/:campaignId/bids/:bidId/accept', authenticate, authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE), ctrl.acceptBid);
+router.post('/:campaignId/bids/:bidId/reject', authenticate, authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE), ctrl.rejectBid);
 
 // Campaign analytics
 router.get('/:id/analytics', authenticate, authorize('brand', 'admin'), ctrl.getCampaignAnalytics);
@@ -0,0 +1,31 @@
+// src/routes/conversation.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const upload = require('../middlewares/upload');
+const { validateWithJoi, conversationValidation } = require('../utils/validator');
+const ctrl = require('../controllers/conversationController');
+
+// Real-time events; authenticated by the short-lived token in the query
+router.get('/stream', ctrl.stream);
+
+router.use(authenticate);
+
+router.post('/stream-token', ctrl.createStreamToken);
+router.get('/unread', ctrl.getUnreadCount);
+
+// Conversations per bid between the campaign's brand and the creator
+router.get('/', validateWithJoi(conversationValidation.list, 'query'), ctrl.getConversations);
+router.post('/', validateWithJoi(conversationValidation.start), ctrl.startConversation);
+router.get('/:id', ctrl.getConversation);
+
+router.get('/:id/messages', validateWithJoi(conversationValidation.messages, 'query'), ctrl.getMessages);
+router.post(
+  '/:id/messages',
+  upload.array('attachments', 5),
+  validateWithJoi(conversationValidation.send),
+  ctrl.sendMessage
+);
+router.get('/:id/attachments/:filename', ctrl.getAttachment);
+router.post('/:id/read', validateWithJoi(conversationValidation.read), ctrl.markRead);
+
+module.exports = router;
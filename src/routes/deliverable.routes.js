@@ -0,0 +1,29 @@
+// src/routes/deliverable.routes.js
+const router = require('express').Router();
+const { authenticate, authorize, requireWorkspacePermission } = require('../middlewares/auth');
+const { WORKSPACE_PERMISSIONS } = require('../utils/constants');
+const upload = require('../middlewares/upload');
+const { validateWithJoi, deliverableValidation } = require('../utils/validator');
+const ctrl = require('../controllers/deliverableController');
+
+router.use(authenticate);
+
+// Deliverables of the current creator or brand
+router.get('/', validateWithJoi(deliverableValidation.list, 'query'), ctrl.getDeliverables);
+router.get('/:id', ctrl.getDeliverable);
+router.get('/:id/media/:filename', ctrl.getDraftMedia);
+
+// Creator submits drafts, brand reviews them (in a workspace, approvers)
+router.post(
+  '/:id/drafts',
+  authorize('creator'),
+  upload.array('media', 10),
+  validateWithJoi(deliverableValidation.draft),
+  ctrl.submitDraft
+);
+router.post('/:id/review', authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE), validateWithJoi(deliverableValidation.review), ctrl.reviewDraft);
+
+// Approved draft -> Post, then publish or schedule via /api/posts
+router.post('/:id/post', authorize('creator'), validateWithJoi(deliverableValidation.createPost), ctrl.createPost);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// src/routes/digest.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { validateWithJoi, digestValidation } = require('../utils/validator');
+const ctrl = require('../controllers/digestController');
+
+// Digest subscription of the current user
+router.get('/preferences', authenticate, ctrl.getPreferences);
+router.put('/preferences', authenticate, validateWithJoi(digestValidation.preferences), ctrl.updatePreferences);
+
+// Unsubscribe links from digest emails (token in the query, no login)
+router.get('/unsubscribe', ctrl.showUnsubscribe);
+router.post('/unsubscribe', ctrl.unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// facebook.routes.js
+const express = require('express');
+const router = express.Router();
+const facebookController = require('../controllers/facebookController');
+const { authenticate } = require('../middlewares/auth');
+
+// OAuth flow
+router.post('/auth-url', authenticate, facebookController.generateAuthURL);
+router.get('/auth-url', authenticate, facebookController.generateAuthURL);
+router.get('/callback', facebookController.handleCallback);
+
+// Account and Page management
+router.get('/status', authenticate, facebookController.getStatus);
+router.get('/pages', authenticate, facebookController.getPages);
+router.post('/pages/refresh', authenticate, facebookController.refreshPages);
+router.put('/pages/selected', authenticate, facebookController.selectPage);
+router.delete('/disconnect', authenticate, facebookController.disconnect);
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const router = require('express').Router();
+const { optionalAuth } = require('../middlewares/auth');
 const controller = require('../controllers/googleController');
 
-router.post('/auth-url', controller.generateAuthURL);
-router.get('/auth-url', controller.generateAuthURL);
+// Signed-in users get a URL that links Google to their account instead of signing in
+router.post('/auth-url', optionalAuth, controller.generateAuthURL);
+router.get('/auth-url', optionalAuth, controller.generateAuthURL);
 router.get('/callback', controller.handleCallback);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+// instagram.routes.js
+const express = require('express');
+const router = express.Router();
+const instagramController = require('../controllers/instagramController');
+const { authenticate } = require('../middlewares/auth');
+
+router.use(authenticate);
+
+// Accounts are discovered through the connected Facebook Pages
+router.get('/accounts', instagramController.getAccounts);
+router.post('/connect', instagramController.connect);
+router.get('/status', instagramController.getStatus);
+router.delete('/disconnect', instagramController.disconnect);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// src/routes/invoice.routes.js
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validateWithJoi, invoiceValidation } = require('../utils/validator');
+const ctrl = require('../controllers/invoiceController');
+
+router.use(authenticate);
+
+// Invoices of accepted bids
+router.get('/', validateWithJoi(invoiceValidation.list, 'query'), ctrl.getInvoices);
+router.post('/', validateWithJoi(invoiceValidation.create), ctrl.createInvoice);
+
+// Monthly payout statements of creators
+router.get('/statements', authorize('creator', 'admin'), validateWithJoi(invoiceValidation.statement, 'query'), ctrl.getStatement);
+
+router.get('/:id', ctrl.getInvoice);
+router.get('/:id/pdf', ctrl.downloadInvoice);
+
+module.exports = router;
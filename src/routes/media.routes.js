@@ -0,0 +1,11 @@
+// src/routes/media.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const ctrl = require('../controllers/mediaController');
+
+// Signed links handed to platforms that fetch media themselves
+router.get('/public/:filename', ctrl.getSignedMedia);
+
+router.get('/posts/:filename', authenticate, ctrl.getPostMedia);
+
+module.exports = router;
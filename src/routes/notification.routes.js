@@ -0,0 +1,21 @@
+// src/routes/notification.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { validateWithJoi, notificationValidation } = require('../utils/validator');
+const ctrl = require('../controllers/notificationController');
+
+router.use(authenticate);
+
+// Channels per notification type
+router.get('/preferences', ctrl.getPreferences);
+router.put('/preferences', validateWithJoi(notificationValidation.preferences), ctrl.updatePreferences);
+
+// Notification center of the current user
+router.get('/', validateWithJoi(notificationValidation.list, 'query'), ctrl.getNotifications);
+router.get('/unread', ctrl.getUnreadCount);
+router.post('/read-all', validateWithJoi(notificationValidation.readAll), ctrl.markAllRead);
+router.delete('/', validateWithJoi(notificationValidation.clear), ctrl.clearNotifications);
+router.post('/:id/read', ctrl.markRead);
+router.delete('/:id', ctrl.deleteNotification);
+
+module.exports = router;
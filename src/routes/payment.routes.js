@@ -0,0 +1,27 @@
+// src/routes/payment.routes.js
+const router = require('express').Router();
+const { authenticate, authorize, requireWorkspacePermission } = require('../middlewares/auth');
+const { WORKSPACE_PERMISSIONS } = require('../utils/constants');
+const { validateWithJoi, paymentValidation } = require('../utils/validator');
+const ctrl = require('../controllers/paymentController');
+
+router.use(authenticate);
+
+// Escrow payments of accepted bids
+router.get('/', validateWithJoi(paymentValidation.list, 'query'), ctrl.getPayments);
+router.get('/:id', ctrl.getPayment);
+
+// Brand funds the escrow and may release milestones early (in a workspace, its managers)
+router.post('/:id/fund', authorize('brand', 'admin'), requireWorkspacePermission(WORKSPACE_PERMISSIONS.MANAGE), validateWithJoi(paymentValidation.fund), ctrl.fundPayment);
+router.post(
+  '/:id/milestones/:milestoneId/release',
+  authorize('brand', 'admin'),
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.MANAGE),
+  validateWithJoi(paymentValidation.release),
+  ctrl.releaseMilestone
+);
+
+// Refunds settle disputes and are admin only
+router.post('/:id/refund', authorize('admin'), validateWithJoi(paymentValidation.refund), ctrl.refundPayment);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const postController = require('../controllers/postController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, acceptApiKeys, requireWorkspacePermission } = require('../middlewares/auth');
+const { API_KEY_SCOPES, WORKSPACE_PERMISSIONS } = require('../utils/constants');
 const upload = require('../middlewares/upload');
 const { body, query, param } = require('express-validator');
 
@@ -49,9 +50,13 @@ const uploadMiddleware = upload.array('media', 10);
 
 // Routes
 
+// API keys: posts:read / posts:write
+router.use(acceptApiKeys(API_KEY_SCOPES.POSTS_READ, API_KEY_SCOPES.POSTS_WRITE));
+
 // Create a new post
 router.post('/',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT),
   uploadMiddleware,
   postValidation,
   postController.createPost
@@ -71,6 +76,13 @@ router.get('/drafts',
   postController.getDrafts
 );
 
+// Get user's dead-lettered posts
+router.get('/dead-letter',
+  authenticate,
+  paginationValidation,
+  postController.getDeadLetterPosts
+);
+
 // Validate post content
 router.post('/validate',
   authenticate,
@@ -97,6 +109,7 @@ router.get('/:id',
 // Update a post
 router.put('/:id',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT),
   idValidation,
   uploadMiddleware,
   postValidation,
@@ -106,6 +119,7 @@ router.put('/:id',
 // Delete a post
 router.delete('/:id',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT),
   idValidation,
   postController.deletePost
 );
@@ -113,6 +127,7 @@ router.delete('/:id',
 // Publish a post immediately
 router.post('/publish',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
   uploadMiddleware,
   postValidation,
   postController.publishPost
@@ -121,6 +136,7 @@ router.post('/publish',
 // Schedule a post for later
 router.post('/schedule',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
   uploadMiddleware,
   [
     ...postValidation,
@@ -142,13 +158,23 @@ router.post('/schedule',
 // Publish an existing post by ID
 router.put('/:id/publish',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
   idValidation,
   postController.publishPostById
 );
 
+// Retry a failed or dead-lettered post now
+router.post('/:id/retry',
+  authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
+  idValidation,
+  postController.retryPost
+);
+
 // Schedule an existing post by ID
 router.put('/:id/schedule',
   authenticate,
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
   idValidation,
   [
     body('scheduledAt')
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const postGroupController = require('../controllers/postGroupController');
+const { authenticate, acceptApiKeys, requireWorkspacePermission } = require('../middlewares/auth');
+const { API_KEY_SCOPES, WORKSPACE_PERMISSIONS } = require('../utils/constants');
+const upload = require('../middlewares/upload');
+const { body, query, param } = require('express-validator');
+
+const PLATFORMS = ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook'];
+
+// Accept platforms as an array, a JSON array string or a comma separated string
+const parsePlatforms = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+};
+
+const platformsValidation = (field) => field
+  .custom((value) => {
+    const platforms = parsePlatforms(value);
+    if (platforms.length === 0) {
+      throw new Error('At least one platform is required');
+    }
+    const invalid = platforms.filter(platform => !PLATFORMS.includes(platform));
+    if (invalid.length > 0) {
+      throw new Error(`Unsupported platforms: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const groupValidation = [
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters')
+    .trim(),
+  platformsValidation(body('platforms'))
+];
+
+const groupUpdateValidation = [
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters')
+    .trim(),
+  platformsValidation(body('platforms').optional())
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid post group ID')
+];
+
+// Middleware to handle file uploads
+const uploadMiddleware = upload.array('media', 10);
+
+// Routes
+router.use(acceptApiKeys(API_KEY_SCOPES.POSTS_READ, API_KEY_SCOPES.POSTS_WRITE));
+router.use(authenticate);
+
+// Create a post group
+router.post('/',
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT),
+  uploadMiddleware,
+  groupValidation,
+  postGroupController.createGroup
+);
+
+// Get user's post groups
+router.get('/',
+  paginationValidation,
+  postGroupController.getGroups
+);
+
+// Get a post group with per-platform status
+router.get('/:id',
+  idValidation,
+  postGroupController.getGroup
+);
+
+// Update a post group
+router.put('/:id',
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT),
+  idValidation,
+  uploadMiddleware,
+  groupUpdateValidation,
+  postGroupController.updateGroup
+);
+
+// Delete a post group
+router.delete('/:id',
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.EDIT),
+  idValidation,
+  postGroupController.deleteGroup
+);
+
+// Publish a post group to all of its platforms
+router.post('/:id/publish',
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
+  idValidation,
+  postGroupController.publishGroup
+);
+
+// Schedule a post group
+router.put('/:id/schedule',
+  requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE),
+  idValidation,
+  [
+    body('scheduledAt')
+      .isISO8601()
+      .withMessage('Valid scheduled date required')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Scheduled date must be in the future');
+        }
+        return true;
+      })
+  ],
+  postGroupController.scheduleGroup
+);
+
+module.exports = router;
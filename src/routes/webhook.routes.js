@@ -0,0 +1,25 @@
+// src/routes/webhook.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { validateWithJoi, webhookValidation } = require('../utils/validator');
+const ctrl = require('../controllers/webhookController');
+
+router.use(authenticate);
+
+router.get('/events', ctrl.getEvents);
+
+// Endpoints of the current user
+router.get('/', ctrl.getEndpoints);
+router.post('/', validateWithJoi(webhookValidation.create), ctrl.createEndpoint);
+router.get('/:id', ctrl.getEndpoint);
+router.put('/:id', validateWithJoi(webhookValidation.update), ctrl.updateEndpoint);
+router.delete('/:id', ctrl.deleteEndpoint);
+router.post('/:id/rotate-secret', ctrl.rotateSecret);
+router.post('/:id/test', ctrl.testEndpoint);
+
+// Delivery log and replay
+router.get('/:id/deliveries', validateWithJoi(webhookValidation.deliveries, 'query'), ctrl.getDeliveries);
+router.get('/:id/deliveries/:deliveryId', ctrl.getDelivery);
+router.post('/:id/deliveries/:deliveryId/replay', ctrl.replayDelivery);
+
+module.exports = router;
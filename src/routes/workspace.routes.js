@@ -0,0 +1,30 @@
+// src/routes/workspace.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { authLimiter } = require('../middlewares/rateLimiter');
+const { validateWithJoi, workspaceValidation } = require('../utils/validator');
+const ctrl = require('../controllers/workspaceController');
+
+// Invite links: the preview is public so it can be shown before signing in
+router.get('/invites/:token', authLimiter, ctrl.previewInvite);
+router.post('/invites/accept', authenticate, validateWithJoi(workspaceValidation.acceptInvite), ctrl.acceptInvite);
+
+// Managed with a signed-in session only; API keys cannot manage workspaces
+router.use(authenticate);
+
+router.get('/', ctrl.getWorkspaces);
+router.post('/', validateWithJoi(workspaceValidation.create), ctrl.createWorkspace);
+router.get('/:id', ctrl.getWorkspace);
+router.put('/:id', validateWithJoi(workspaceValidation.update), ctrl.updateWorkspace);
+router.delete('/:id', ctrl.deleteWorkspace);
+
+// Members
+router.put('/:id/members/:userId', validateWithJoi(workspaceValidation.updateMember), ctrl.updateMember);
+router.delete('/:id/members/:userId', ctrl.removeMember);
+
+// Invites
+router.get('/:id/invites', ctrl.getInvites);
+router.post('/:id/invites', validateWithJoi(workspaceValidation.invite), ctrl.createInvite);
+router.delete('/:id/invites/:inviteId', ctrl.revokeInvite);
+
+module.exports = router;
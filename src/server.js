@@ -4,6 +4,7 @@ const connectDB = require("./config/db");
 const config = require("./config/env");
 const logger = require("./utils/logger");
 const redis = require("./config/redis");
+const { scheduleJobs } = require("./services/scheduler/jobScheduler");
 
 const PORT = config.PORT || 5000;
 
@@ -44,6 +45,11 @@ const findAvailablePort = async (startPort) => {
       console.log('Redis connection failed, continuing without Redis:', error.message);
     }
 
+    // Background jobs (scheduled post dispatch, analytics sync, cleanup)
+    if (config.SCHEDULER_ENABLED) {
+      scheduleJobs();
+    }
+
     console.log('Starting HTTP server...');
     
     // Find an available port
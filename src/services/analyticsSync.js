@@ -0,0 +1,404 @@
+// src/services/analyticsSync.js
+const Post = require('../models/Post');
+const Analytics = require('../models/Analytics');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { POST_STATUS, WEBHOOK_EVENTS } = require('../utils/constants');
+const apiQuota = require('./apiQuota');
+const tokenManager = require('./social/tokenManager');
+const webhooks = require('./webhooks');
+const workspaces = require('./workspaces');
+const twitterService = require('./social/twitter');
+const youtubeService = require('./social/youtube');
+const linkedinService = require('./social/linkedin');
+const facebookService = require('./social/facebook');
+const instagramService = require('./social/instagram');
+
+// Analytics.post_type values; anything else is stored as a plain post
+const ANALYTICS_POST_TYPES = ['post', 'story', 'reel', 'video', 'live', 'carousel', 'poll'];
+
+/**
+ * Pulls engagement metrics for published posts from the platforms.
+ *
+ * Each run syncs the least recently synced posts first, copies the counts
+ * to Post.analytics and upserts one Analytics document per post with
+ * `data_source: 'api'`. Every sync also appends post and account snapshots
+ * (models/AnalyticsSnapshot) so growth can be charted over time. Calls
+ * are charged against the API_LIMITS daily budgets (see
+ * services/apiQuota); a platform whose budget is spent, or that rate
+ * limits us, is skipped until the next run.
+ */
+class AnalyticsSync {
+  constructor() {
+    this.batchSize = config.ANALYTICS_SYNC_BATCH_SIZE;
+    this.maxAgeDays = config.ANALYTICS_SYNC_MAX_AGE_DAYS;
+    this.isRunning = false;
+
+    // platform -> async (post, user) => { success, metrics } or a failed result
+    this.fetchers = {
+      twitter: this.fetchTwitterMetrics.bind(this),
+      youtube: this.fetchYouTubeMetrics.bind(this),
+      linkedin: this.fetchLinkedInMetrics.bind(this),
+      facebook: this.fetchFacebookMetrics.bind(this),
+      instagram: this.fetchInstagramMetrics.bind(this)
+    };
+
+    // platform -> async (user) => follower count, for account snapshots
+    this.followerFetchers = {
+      twitter: this.fetchTwitterFollowers.bind(this),
+      youtube: this.fetchYouTubeSubscribers.bind(this)
+    };
+  }
+
+  async fetchTwitterMetrics(post, user) {
+    return tokenManager.withFreshToken(user, 'twitter', (accessToken) => (
+      twitterService.getTweetMetrics(accessToken, post.publishing.platform_post_id)
+    ));
+  }
+
+  async fetchYouTubeMetrics(post, user) {
+    const result = await tokenManager.withFreshToken(user, 'youtube', (accessToken) => (
+      youtubeService.getVideoAnalytics(accessToken, post.publishing.platform_post_id)
+    ));
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      metrics: {
+        likes: Number(result.analytics.likeCount) || 0,
+        comments: Number(result.analytics.commentCount) || 0,
+        views: Number(result.analytics.viewCount) || 0
+      }
+    };
+  }
+
+  async fetchLinkedInMetrics(post, user) {
+    return tokenManager.withFreshToken(user, 'linkedin', (accessToken) => (
+      linkedinService.getPostMetrics(accessToken, post.publishing.platform_post_id)
+    ));
+  }
+
+  async fetchFacebookMetrics(post, user) {
+    const facebookAccount = user.socialAccounts?.facebook;
+    const platformPostId = post.publishing.platform_post_id;
+
+    // Feed and photo post IDs are "<pageId>_<postId>"; video uploads are bare video IDs
+    const isVideo = !platformPostId.includes('_');
+    const pageId = post.platform_content?.facebook?.page_id
+      || (!isVideo && platformPostId.split('_')[0])
+      || facebookAccount?.selectedPageId;
+    const page = facebookAccount?.pages?.find(p => p.id === pageId);
+
+    if (!page?.accessToken) {
+      return { success: false, error: 'Facebook Page is no longer connected', code: 'ACCOUNT_NOT_CONNECTED' };
+    }
+
+    return facebookService.getPostMetrics(platformPostId, page.accessToken, { isVideo });
+  }
+
+  async fetchInstagramMetrics(post, user) {
+    const instagramAccount = user.socialAccounts?.instagram;
+    const page = user.socialAccounts?.facebook?.pages?.find(p => p.id === instagramAccount?.pageId);
+    const accessToken = page?.accessToken || instagramAccount?.accessToken;
+
+    if (!accessToken) {
+      return { success: false, error: 'Instagram account not connected', code: 'ACCOUNT_NOT_CONNECTED' };
+    }
+
+    return instagramService.getMediaMetrics(post.publishing.platform_post_id, accessToken);
+  }
+
+  async fetchTwitterFollowers(user) {
+    const result = await tokenManager.withFreshToken(user, 'twitter', (accessToken) => twitterService.getProfile(accessToken));
+    return result.success ? result.user?.public_metrics?.followers_count : undefined;
+  }
+
+  async fetchYouTubeSubscribers(user) {
+    const result = await tokenManager.withFreshToken(user, 'youtube', (accessToken) => youtubeService.getChannelInfo(accessToken));
+    return result.success ? Number(result.channel.subscriberCount) || 0 : undefined;
+  }
+
+  /**
+   * Engagement rate in percent: interactions over views, when views are known
+   * @param {Object} metrics - { likes, comments, shares, views }
+   * @returns {number}
+   */
+  getEngagementRate(metrics) {
+    if (!metrics.views) return 0;
+    const interactions = (metrics.likes || 0) + (metrics.comments || 0) + (metrics.shares || 0);
+    return Math.min(100, Number(((interactions / metrics.views) * 100).toFixed(2)));
+  }
+
+  getAnalyticsPostType(post) {
+    if (ANALYTICS_POST_TYPES.includes(post.post_type)) return post.post_type;
+    if (post.platform === 'instagram') {
+      if ((post.media || []).length > 1) return 'carousel';
+      if (post.media?.[0]?.type === 'video') return 'reel';
+    }
+    return post.platform === 'youtube' ? 'video' : 'post';
+  }
+
+  getMediaType(post) {
+    const media = post.media || [];
+    if (media.length === 0) return 'text';
+    if (media.length > 1) return 'carousel';
+    return media[0].type === 'video' ? 'video' : 'image';
+  }
+
+  /**
+   * Store fetched metrics on the post and its Analytics document
+   * @param {Object} post - Post document
+   * @param {Object} metrics - Fetched counts; missing counts keep their value
+   * @param {Date} now - Sync time
+   * @param {string} accountHolderId - User whose account published the post
+   */
+  async saveMetrics(post, metrics, now = new Date(), accountHolderId = post.author) {
+    const merged = {
+      likes: metrics.likes ?? post.analytics?.likes ?? 0,
+      comments: metrics.comments ?? post.analytics?.comments ?? 0,
+      shares: metrics.shares ?? post.analytics?.shares ?? 0,
+      views: metrics.views ?? post.analytics?.views ?? 0
+    };
+    const engagementRate = this.getEngagementRate(merged);
+
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          'analytics.likes': merged.likes,
+          'analytics.comments': merged.comments,
+          'analytics.shares': merged.shares,
+          'analytics.views': merged.views,
+          'analytics.engagement_rate': engagementRate,
+          'analytics.last_synced_at': now
+        }
+      }
+    );
+
+    await Analytics.findOneAndUpdate(
+      {
+        platform: post.platform,
+        post_id: post.publishing.platform_post_id,
+        data_source: 'api'
+      },
+      {
+        $set: {
+          user_id: accountHolderId,
+          campaign_id: post.campaign_id || null,
+          'metrics.likes': merged.likes,
+          'metrics.comments': merged.comments,
+          'metrics.shares': merged.shares,
+          'metrics.views': merged.views,
+          'metrics.engagement_rate': engagementRate,
+          captured_at: now,
+          last_updated: now
+        },
+        $setOnInsert: {
+          post_type: this.getAnalyticsPostType(post),
+          content: {
+            caption: post.content?.caption,
+            hashtags: post.content?.hashtags || [],
+            mentions: post.content?.mentions || [],
+            media_type: this.getMediaType(post),
+            media_count: Math.max(1, (post.media || []).length)
+          },
+          'timing.posted_at': post.publishing.published_at || post.createdAt
+        }
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    await AnalyticsSnapshot.create({
+      captured_at: now,
+      meta: { scope: 'post', user_id: accountHolderId, platform: post.platform, post_id: post._id },
+      metrics: { ...merged, engagement_rate: engagementRate }
+    });
+
+    await webhooks.emit(post.author, WEBHOOK_EVENTS.ANALYTICS_UPDATED, {
+      post_id: post._id,
+      platform: post.platform,
+      campaign_id: post.campaign_id || null,
+      metrics: { ...merged, engagement_rate: engagementRate },
+      synced_at: now
+    });
+  }
+
+  /**
+   * Record account totals for one platform: the sum over the posts published
+   * through the user's account (their personal posts and those of the
+   * workspaces they own), plus the follower count where the platform exposes it
+   * @param {Object} user - User document
+   * @param {string} platform - Social platform
+   * @param {Date} now - Sync time
+   */
+  async snapshotAccount(user, platform, now = new Date()) {
+    const ownedWorkspaceIds = await workspaces.ownedWorkspaceIds(user._id);
+    const [totals] = await Post.aggregate([
+      {
+        $match: {
+          platform,
+          status: POST_STATUS.PUBLISHED,
+          $or: [{ author: user._id, workspace_id: null }, { workspace_id: { $in: ownedWorkspaceIds } }]
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          posts: { $sum: 1 },
+          likes: { $sum: '$analytics.likes' },
+          comments: { $sum: '$analytics.comments' },
+          shares: { $sum: '$analytics.shares' },
+          views: { $sum: '$analytics.views' }
+        }
+      }
+    ]);
+
+    let followers;
+    const fetchFollowers = this.followerFetchers[platform];
+    if (fetchFollowers && await apiQuota.consume(platform)) {
+      followers = await fetchFollowers(user);
+    }
+
+    const metrics = {
+      posts: totals?.posts || 0,
+      likes: totals?.likes || 0,
+      comments: totals?.comments || 0,
+      shares: totals?.shares || 0,
+      views: totals?.views || 0
+    };
+
+    await AnalyticsSnapshot.create({
+      captured_at: now,
+      meta: { scope: 'account', user_id: user._id, platform },
+      metrics: { ...metrics, engagement_rate: this.getEngagementRate(metrics), followers }
+    });
+  }
+
+  /**
+   * Sync one batch of published posts
+   * @returns {Object|undefined} { synced, failed, skipped } counts
+   */
+  async runOnce() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const summary = { synced: 0, failed: 0, skipped: 0 };
+    // Platforms out of budget, rate limited, or otherwise unavailable this run
+    const pausedPlatforms = new Set();
+    // userId:platform pairs whose connection cannot be used this run
+    const unavailableAccounts = new Set();
+    // Account holders by workspace or author, and by user id
+    const holders = new Map();
+    const users = new Map();
+
+    try {
+      const now = new Date();
+      const publishedSince = new Date(now.getTime() - this.maxAgeDays * 24 * 60 * 60 * 1000);
+
+      const posts = await Post.find({
+        status: POST_STATUS.PUBLISHED,
+        platform: { $in: Object.keys(this.fetchers) },
+        'publishing.platform_post_id': { $nin: [null, ''] },
+        'publishing.published_at': { $gte: publishedSince }
+      })
+        .sort({ 'analytics.last_synced_at': 1 })
+        .limit(this.batchSize);
+
+      // Posts that cannot be synced right now still move to the back of the queue
+      const deferred = [];
+      // userId:platform pairs with at least one synced post, snapshotted at the end
+      const syncedAccounts = new Set();
+
+      for (const post of posts) {
+        if (pausedPlatforms.has(post.platform)) {
+          summary.skipped++;
+          continue;
+        }
+
+        // Metrics are read with the accounts the post was published through:
+        // the workspace owner's for workspace posts
+        const holderKey = post.workspace_id ? `workspace:${post.workspace_id}` : `user:${post.author}`;
+        if (!holders.has(holderKey)) {
+          const holder = await workspaces.getAccountHolder(post);
+          holders.set(holderKey, holder);
+          if (holder) users.set(String(holder._id), holder);
+        }
+        const user = holders.get(holderKey);
+        if (!user) {
+          deferred.push(post._id);
+          summary.skipped++;
+          continue;
+        }
+
+        const accountKey = `${user._id}:${post.platform}`;
+        if (unavailableAccounts.has(accountKey)) {
+          deferred.push(post._id);
+          summary.skipped++;
+          continue;
+        }
+
+        if (!await apiQuota.consume(post.platform)) {
+          logger.warn('Daily API budget used up, pausing analytics sync', { platform: post.platform });
+          pausedPlatforms.add(post.platform);
+          summary.skipped++;
+          continue;
+        }
+
+        try {
+          const result = await this.fetchers[post.platform](post, user);
+
+          if (result.success) {
+            await this.saveMetrics(post, result.metrics, now, user._id);
+            syncedAccounts.add(accountKey);
+            summary.synced++;
+            continue;
+          }
+
+          summary.failed++;
+          if (result.statusCode === 429 || result.code === 'RATE_LIMITED') {
+            pausedPlatforms.add(post.platform);
+          } else {
+            if (['ACCOUNT_NOT_CONNECTED', 'AUTH_REFRESH_FAILED', 'TOKEN_EXPIRED'].includes(result.code)) {
+              unavailableAccounts.add(accountKey);
+            }
+            deferred.push(post._id);
+          }
+
+          logger.warn('Analytics sync failed for post', {
+            postId: post._id,
+            platform: post.platform,
+            error: result.error,
+            statusCode: result.statusCode
+          });
+        } catch (error) {
+          summary.failed++;
+          deferred.push(post._id);
+          logger.error('Analytics sync error', { postId: post._id, platform: post.platform, error: error.message });
+        }
+      }
+
+      if (deferred.length > 0) {
+        await Post.updateMany({ _id: { $in: deferred } }, { $set: { 'analytics.last_synced_at': now } });
+      }
+
+      for (const accountKey of syncedAccounts) {
+        const [userId, platform] = accountKey.split(':');
+        try {
+          await this.snapshotAccount(users.get(userId), platform, now);
+        } catch (error) {
+          logger.error('Account snapshot error', { userId, platform, error: error.message });
+        }
+      }
+
+      logger.info('Analytics sync finished', summary);
+      return summary;
+    } catch (error) {
+      logger.error('Analytics sync run failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new AnalyticsSync();
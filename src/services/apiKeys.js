@@ -0,0 +1,77 @@
+// src/services/apiKeys.js
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'bck_';
+const KEY_PATTERN = /^bck_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+// Last-used time and IP are written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Personal API keys: "bck_<prefix>_<secret>".
+ *
+ * Only a SHA-256 hash of the key is stored. The prefix is kept in clear so
+ * the key can be looked up and recognized in listings; the key itself is
+ * returned once, when it is created or rotated.
+ */
+class ApiKeyService {
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * New random key
+   * @returns {Object} { key, prefix, key_hash }
+   */
+  generate() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix, key_hash: this.hash(key) };
+  }
+
+  /**
+   * Resolve a presented key
+   * @param {string} key - Key from the request
+   * @returns {Object|null} Active ApiKey document, or null
+   */
+  async verify(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) return null;
+
+    const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+key_hash');
+    if (!apiKey || !apiKey.isActive) return null;
+
+    const expected = Buffer.from(apiKey.key_hash, 'hex');
+    const actual = Buffer.from(this.hash(key), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+  }
+
+  /**
+   * Record that a key was used; throttled so busy keys do not write on every request
+   */
+  async touch(apiKey, ip) {
+    const now = new Date();
+    try {
+      await ApiKey.updateOne(
+        {
+          _id: apiKey._id,
+          $or: [
+            { last_used_at: null },
+            { last_used_at: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) } },
+            { last_used_ip: { $ne: ip } }
+          ]
+        },
+        { $set: { last_used_at: now, last_used_ip: ip } }
+      );
+    } catch (error) {
+      logger.error('Failed to record API key use', { apiKeyId: apiKey._id, error: error.message });
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
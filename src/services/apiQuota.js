@@ -0,0 +1,58 @@
+// src/services/apiQuota.js
+const redisClient = require('../config/redis');
+const { API_LIMITS } = require('../utils/constants');
+
+const DAILY_LIMITS = {
+  instagram: API_LIMITS.INSTAGRAM_DAILY_LIMIT,
+  youtube: API_LIMITS.YOUTUBE_DAILY_LIMIT,
+  twitter: API_LIMITS.TWITTER_DAILY_LIMIT,
+  linkedin: API_LIMITS.LINKEDIN_DAILY_LIMIT,
+  facebook: API_LIMITS.FACEBOOK_DAILY_LIMIT
+};
+
+/**
+ * Daily call budget per platform, per API_LIMITS. Budgets reset at midnight
+ * UTC. Counters live in Redis so every instance shares them; when Redis is
+ * unavailable each instance counts on its own.
+ */
+class ApiQuota {
+  constructor() {
+    this.localCounts = new Map();
+  }
+
+  key(platform, now) {
+    return `api_quota:${platform}:${now.toISOString().slice(0, 10)}`;
+  }
+
+  secondsUntilReset(now) {
+    const nextMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((nextMidnight - now.getTime()) / 1000);
+  }
+
+  /**
+   * Reserve calls against today's budget
+   * @param {string} platform - Social platform
+   * @param {number} units - Calls (or quota units) to reserve
+   * @returns {boolean} Whether the budget allows the calls
+   */
+  async consume(platform, units = 1, now = new Date()) {
+    const limit = DAILY_LIMITS[platform];
+    if (!limit) return true;
+
+    const key = this.key(platform, now);
+    let used = await redisClient.incrBy(key, units, this.secondsUntilReset(now));
+
+    if (used === null) {
+      // Only today's counters are kept in memory
+      for (const existing of this.localCounts.keys()) {
+        if (existing !== key && existing.startsWith(`api_quota:${platform}:`)) this.localCounts.delete(existing);
+      }
+      used = (this.localCounts.get(key) || 0) + units;
+      this.localCounts.set(key, used);
+    }
+
+    return used <= limit;
+  }
+}
+
+module.exports = new ApiQuota();
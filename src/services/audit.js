@@ -0,0 +1,128 @@
+// src/services/audit.js
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { AUDIT_TARGETS, PAGINATION } = require('../utils/constants');
+
+const USER_AGENT_LIMIT = 500;
+// Values of matching keys are never written to the audit log
+const SECRET_KEY_PATTERN = /password|token|secret|recovery/i;
+
+// Plain JSON copy of a value, with secrets replaced
+const sanitize = (value) => JSON.parse(JSON.stringify(value ?? null), (key, item) =>
+  (key && SECRET_KEY_PATTERN.test(key) ? '[redacted]' : item));
+
+/**
+ * Audit trail of security-relevant and business actions (AuditLog).
+ *
+ * Recording never throws: a failed write is logged and the action it
+ * describes goes ahead. Entries keep only the fields that changed.
+ */
+class AuditService {
+  /**
+   * Fields that differ between two versions of a record
+   * @param {Object} before - Values before the change
+   * @param {Object} after - Values after the change
+   * @returns {Object|undefined} { before, after } with the changed fields only, or undefined without changes
+   */
+  diff(before, after) {
+    const previous = sanitize(before) || {};
+    const next = sanitize(after) || {};
+    const changes = { before: {}, after: {} };
+
+    for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      if (JSON.stringify(previous[key]) === JSON.stringify(next[key])) continue;
+      if (key in previous) changes.before[key] = previous[key];
+      if (key in next) changes.after[key] = next[key];
+    }
+
+    return Object.keys(changes.before).length || Object.keys(changes.after).length ? changes : undefined;
+  }
+
+  /**
+   * Plain copy of some fields of a document, for `before` and `after`
+   * @param {Object} doc - Mongoose document or plain object
+   * @param {string[]} fields - Top-level field names
+   */
+  snapshot(doc, fields) {
+    const source = typeof doc?.toObject === 'function' ? doc.toObject() : doc || {};
+    return Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+  }
+
+  /**
+   * Record an action
+   * @param {Object} req - Request, for the actor (req.user), IP and user agent
+   * @param {string} action - AUDIT_ACTIONS value
+   * @param {Object} options - { target: { type, id }, before, after, metadata, actor }; actor
+   *   replaces req.user, e.g. for logins and OAuth callbacks, and may be null for anonymous actions
+   */
+  async record(req, action, { target, before, after, metadata, actor = req.user } = {}) {
+    try {
+      await AuditLog.create({
+        actor_id: actor?._id,
+        actor_role: actor?.role,
+        action,
+        target_type: target.type,
+        target_id: String(target.id),
+        changes: before || after ? this.diff(before, after) : undefined,
+        metadata: metadata ? sanitize(metadata) : undefined,
+        ip: req.ip,
+        user_agent: (req.get('user-agent') || '').slice(0, USER_AGENT_LIMIT) || undefined
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log entry', { action, target, error: error.message });
+    }
+  }
+
+  /**
+   * Record a social account being connected or disconnected
+   * @param {string} action - AUDIT_ACTIONS.SOCIAL_CONNECTED or SOCIAL_DISCONNECTED
+   * @param {string} userId - Owner of the social account; OAuth callbacks have no signed-in user
+   * @param {string} platform - e.g. 'twitter'
+   * @param {Object} account - { id, name } of the platform account, when known
+   */
+  recordSocialAccount(req, action, userId, platform, account = {}) {
+    return this.record(req, action, {
+      actor: req.user || { _id: userId },
+      target: { type: AUDIT_TARGETS.USER, id: userId },
+      metadata: { platform, account_id: account.id, account_name: account.name }
+    });
+  }
+
+  /**
+   * Entries about a user's own account: what they did and what was done to it
+   */
+  activityFilter(userId) {
+    return {
+      $or: [
+        { actor_id: userId },
+        { target_type: AUDIT_TARGETS.USER, target_id: String(userId) }
+      ]
+    };
+  }
+
+  /**
+   * One page of entries, newest first
+   * @param {Object} filter - AuditLog query
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { entries, pagination }
+   */
+  async list(filter, { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT } = {}) {
+    const pageSize = Math.min(limit, PAGINATION.MAX_LIMIT);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor_id', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,228 @@
+// src/services/campaignWorkflow.js
+const Deliverable = require('../models/Deliverable');
+const Bid = require('../models/Bid');
+const Campaign = require('../models/Campaign');
+const logger = require('../utils/logger');
+const escrow = require('./payments/escrow');
+const invoiceService = require('./invoices/invoiceService');
+const { DELIVERABLE_STATUS, BID_STATUS } = require('../utils/constants');
+
+// Bid states in which each side may accept the offer on the table
+const ACCEPTABLE_BY = {
+  brand: [BID_STATUS.PENDING, BID_STATUS.RECOUNTERED],
+  creator: [BID_STATUS.COUNTERED]
+};
+
+// Bid/Campaign.deliverables count field -> Deliverable.type
+const DELIVERABLE_COUNTS = {
+  posts: 'post',
+  stories: 'story',
+  reels: 'reel',
+  videos: 'video'
+};
+
+const TYPE_LABELS = {
+  post: 'Post',
+  story: 'Story',
+  reel: 'Reel',
+  video: 'Video'
+};
+
+// Accepted bids still without a finished setup after this are set up again
+const SETUP_REPAIR_DELAY_MS = 5 * 60 * 1000;
+// Bids accepted longer ago than this are no longer repaired
+const SETUP_REPAIR_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const SETUP_REPAIR_BATCH_SIZE = 50;
+
+/**
+ * Campaign lifecycle hooks: turns an accepted bid into deliverables and
+ * tracks their publication.
+ *
+ * Setting up an accepted bid is recorded in timeline.setup_completed_at; a
+ * background job (runOnce) sets up again bids whose setup failed part way.
+ */
+class CampaignWorkflow {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Deliverable counts agreed for a bid: the bid's own, or the campaign's
+   * when the bid asks for nothing
+   */
+  getAgreedCounts(bid, campaign) {
+    const fromBid = Object.keys(DELIVERABLE_COUNTS).reduce((counts, key) => {
+      counts[key] = bid.deliverables?.[key] || 0;
+      return counts;
+    }, {});
+
+    if (Object.values(fromBid).some(count => count > 0)) return fromBid;
+
+    return Object.keys(DELIVERABLE_COUNTS).reduce((counts, key) => {
+      counts[key] = campaign.deliverables?.[key] || 0;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Accept the offer on the table: the creator's bid (by the brand) or the
+   * brand's counter-offer (by the creator). The status change is atomic, so
+   * a bid is only accepted once.
+   * @param {Object} bid - Bid document
+   * @param {Object} campaign - Campaign document of the bid
+   * @param {Object} options - { actorId, acceptedBy: 'brand' | 'creator' }
+   * @returns {Object|null} { bid, deliverables, payment, invoice }, or null when
+   *   the bid is not open to acceptance by that side; deliverables is empty
+   *   and payment null while a failed setup waits for runOnce
+   */
+  async acceptBid(bid, campaign, { actorId, acceptedBy }) {
+    const now = new Date();
+    const accepted = await Bid.findOneAndUpdate(
+      { _id: bid._id, status: { $in: ACCEPTABLE_BY[acceptedBy] }, revisions: { $size: bid.revisions.length } },
+      {
+        $set: { status: BID_STATUS.ACCEPTED, 'timeline.accepted_at': now, 'timeline.reviewed_at': now },
+        $push: { revisions: bid.toRevision({ action: 'accepted', proposed_by: acceptedBy, author_id: actorId }) }
+      },
+      { new: true }
+    );
+    if (!accepted) return null;
+
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      { $push: { selectedCreators: { creator_id: accepted.creator_id, status: 'selected' } } }
+    );
+
+    // The bid stays accepted if its setup fails; runOnce finishes it later
+    try {
+      const setup = await this.onBidAccepted(accepted, campaign);
+      return { bid: accepted, ...setup };
+    } catch (error) {
+      logger.error('Accepted bid setup failed, will be retried', { bidId: accepted._id, error: error.message });
+      return { bid: accepted, deliverables: [], payment: null, invoice: null };
+    }
+  }
+
+  /**
+   * Create the deliverables, escrow payment and invoice of an accepted bid.
+   * Safe to call again; existing records are kept.
+   * @param {Object} bid - Accepted Bid document
+   * @param {Object} campaign - Campaign document of the bid
+   * @returns {Object} { deliverables, payment, invoice }
+   */
+  async onBidAccepted(bid, campaign) {
+    const counts = this.getAgreedCounts(bid, campaign);
+    const docs = [];
+
+    for (const [key, type] of Object.entries(DELIVERABLE_COUNTS)) {
+      for (let sequence = 1; sequence <= counts[key]; sequence++) {
+        docs.push({
+          campaign_id: campaign._id,
+          bid_id: bid._id,
+          creator_id: bid.creator_id,
+          brand_id: campaign.brand_id,
+          type,
+          sequence,
+          title: `${TYPE_LABELS[type]} ${sequence}`,
+          due_date: campaign.deadline,
+          revision_limit: bid.terms?.revision_rounds ?? 2
+        });
+      }
+    }
+
+    if (docs.length > 0) {
+      try {
+        await Deliverable.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // Duplicate keys mean the bid was accepted before; anything else is real
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+      }
+    }
+
+    logger.info('Campaign deliverables created', { bidId: bid._id, campaignId: campaign._id, count: docs.length });
+    const deliverables = await Deliverable.find({ bid_id: bid._id }).sort({ type: 1, sequence: 1 });
+    const payment = await escrow.createForBid(bid, campaign, deliverables);
+
+    // The invoice can be issued again through /api/invoices if this fails
+    let invoice = null;
+    try {
+      invoice = await invoiceService.generateForBid(bid, campaign);
+    } catch (error) {
+      logger.error('Invoice generation failed', { bidId: bid._id, error: error.message });
+    }
+
+    await Bid.updateOne({ _id: bid._id }, { $set: { 'timeline.setup_completed_at': new Date() } });
+    return { deliverables, payment, invoice };
+  }
+
+  /**
+   * Set up again accepted bids whose setup did not finish, e.g. because
+   * saving the deliverables or the escrow payment failed
+   * @returns {Object|undefined} { repaired, failed } counts
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const summary = { repaired: 0, failed: 0 };
+    try {
+      const bids = await Bid.find({
+        status: BID_STATUS.ACCEPTED,
+        'timeline.setup_completed_at': null,
+        'timeline.accepted_at': {
+          $gte: new Date(now.getTime() - SETUP_REPAIR_WINDOW_MS),
+          $lte: new Date(now.getTime() - SETUP_REPAIR_DELAY_MS)
+        }
+      }).sort({ 'timeline.accepted_at': 1 }).limit(SETUP_REPAIR_BATCH_SIZE);
+
+      for (const bid of bids) {
+        try {
+          const campaign = await Campaign.findById(bid.campaign_id);
+          if (!campaign) continue;
+
+          await this.onBidAccepted(bid, campaign);
+          summary.repaired++;
+        } catch (error) {
+          summary.failed++;
+          logger.error('Accepted bid setup repair failed', { bidId: bid._id, error: error.message });
+        }
+      }
+
+      if (summary.repaired || summary.failed) logger.info('Accepted bid setup repaired', summary);
+      return summary;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Release the payment milestones an approved deliverable unlocks
+   * @param {Object} deliverable - Approved Deliverable document
+   */
+  async onDeliverableApproved(deliverable) {
+    await escrow.onDeliverableApproved(deliverable);
+  }
+
+  /**
+   * Mark the deliverable of a published post as published
+   * @param {Object} post - Published Post document
+   */
+  async onPostPublished(post) {
+    if (!post?.deliverable_id) return;
+
+    await Deliverable.updateOne(
+      { _id: post.deliverable_id, status: DELIVERABLE_STATUS.APPROVED },
+      {
+        $set: {
+          status: DELIVERABLE_STATUS.PUBLISHED,
+          post_id: post._id,
+          published_at: post.publishing?.published_at || new Date()
+        }
+      }
+    );
+  }
+}
+
+module.exports = new CampaignWorkflow();
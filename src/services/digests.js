@@ -0,0 +1,249 @@
+// src/services/digests.js
+const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const Bid = require('../models/Bid');
+const Analytics = require('../models/Analytics');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const jwtManager = require('../utils/jwt');
+const { getZonedParts, zonedTimeToUtc, isValidTimezone } = require('../utils/timezone');
+const { DIGEST_FREQUENCIES, BID_STATUS } = require('../utils/constants');
+const emailService = require('./notifier/email');
+
+const TOP_POSTS_LIMIT = 5;
+const CAMPAIGNS_LIMIT = 10;
+const CAPTION_PREVIEW_LENGTH = 80;
+
+/**
+ * Weekly and monthly performance digests.
+ *
+ * Runs hourly. A user's digest goes out at DIGEST_SEND_HOUR in their own
+ * timezone, on Monday for the previous week or on the 1st for the previous
+ * month. `preferences.digest.last_sent_at` tells whether the latest period
+ * was served, so a missed tick is caught up on the next one and several
+ * instances never send the same digest twice.
+ */
+class DigestService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Local start of the period `offset` periods away from the current one,
+   * at `hour` o'clock
+   */
+  getBoundary(frequency, local, offset, timezone, hour = 0) {
+    if (frequency === DIGEST_FREQUENCIES.WEEKLY) {
+      return zonedTimeToUtc({ year: local.year, month: local.month, day: local.day - local.weekday + offset * 7, hour }, timezone);
+    }
+    return zonedTimeToUtc({ year: local.year, month: local.month + offset, day: 1, hour }, timezone);
+  }
+
+  /**
+   * Latest whole week (Monday to Sunday) or month whose digest is due by `now`
+   * @returns {Object} { from, to } - local midnights; the digest is due at DIGEST_SEND_HOUR on `to`
+   */
+  getPeriod(frequency, timezone, now = new Date()) {
+    const local = getZonedParts(now, timezone);
+    const sendAt = this.getBoundary(frequency, local, 0, timezone, config.DIGEST_SEND_HOUR);
+    const offset = sendAt > now ? -1 : 0;
+
+    return {
+      from: this.getBoundary(frequency, local, offset - 1, timezone),
+      to: this.getBoundary(frequency, local, offset, timezone)
+    };
+  }
+
+  formatPeriod({ from, to }, timezone) {
+    const format = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, day: 'numeric', month: 'short', year: 'numeric' });
+    return `${format.format(from)} – ${format.format(new Date(to.getTime() - 1))}`;
+  }
+
+  async getTotals(filter) {
+    const [totals] = await Analytics.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          posts: { $sum: 1 },
+          views: { $sum: '$metrics.views' },
+          likes: { $sum: '$metrics.likes' },
+          comments: { $sum: '$metrics.comments' },
+          shares: { $sum: '$metrics.shares' }
+        }
+      }
+    ]);
+    return totals || { posts: 0, views: 0, likes: 0, comments: 0, shares: 0 };
+  }
+
+  async getCampaignTotals(filter) {
+    const rows = await Analytics.aggregate([
+      { $match: { ...filter, campaign_id: filter.campaign_id || { $ne: null } } },
+      {
+        $group: {
+          _id: '$campaign_id',
+          posts: { $sum: 1 },
+          views: { $sum: '$metrics.views' },
+          likes: { $sum: '$metrics.likes' },
+          comments: { $sum: '$metrics.comments' }
+        }
+      },
+      { $sort: { views: -1 } },
+      { $limit: CAMPAIGNS_LIMIT }
+    ]);
+
+    const campaigns = await Campaign.find({ _id: { $in: rows.map(row => row._id) } }).select('title');
+    const titles = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign.title]));
+    return rows.map(row => ({ ...row, title: titles.get(row._id.toString()) || 'Campaign' }));
+  }
+
+  async getBidActivity(filter, { from, to }) {
+    const inPeriod = { $gte: from, $lt: to };
+    const [created, accepted, rejected] = await Promise.all([
+      Bid.countDocuments({ ...filter, createdAt: inPeriod }),
+      Bid.countDocuments({ ...filter, status: BID_STATUS.ACCEPTED, updatedAt: inPeriod }),
+      Bid.countDocuments({ ...filter, status: BID_STATUS.REJECTED, updatedAt: inPeriod })
+    ]);
+    return { created, accepted, rejected };
+  }
+
+  // Followers at the end of the period and the change over it, per platform
+  async getFollowerGrowth(userId, { from, to }) {
+    const rows = await AnalyticsSnapshot.aggregate([
+      {
+        $match: {
+          'meta.scope': 'account',
+          'meta.user_id': userId,
+          'metrics.followers': { $ne: null },
+          captured_at: { $gte: from, $lt: to }
+        }
+      },
+      { $sort: { captured_at: 1 } },
+      {
+        $group: {
+          _id: '$meta.platform',
+          first: { $first: '$metrics.followers' },
+          last: { $last: '$metrics.followers' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    return rows.map(row => ({ platform: row._id, followers: row.last, change: row.last - row.first }));
+  }
+
+  /**
+   * Collect the digest of one user
+   * @param {Object} user - User document
+   * @param {string} frequency - DIGEST_FREQUENCIES value
+   * @param {Object} period - { from, to }
+   * @returns {Object} Data for the performanceDigest email template
+   */
+  async build(user, frequency, period) {
+    const timezone = isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+    const postedInPeriod = { 'timing.posted_at': { $gte: period.from, $lt: period.to } };
+
+    let analyticsFilter;
+    let bidFilter;
+    if (user.role === 'brand') {
+      const campaignIds = await Campaign.distinct('_id', { brand_id: user._id });
+      analyticsFilter = { ...postedInPeriod, campaign_id: { $in: campaignIds } };
+      bidFilter = { campaign_id: { $in: campaignIds } };
+    } else {
+      analyticsFilter = { ...postedInPeriod, user_id: user._id };
+      bidFilter = { creator_id: user._id };
+    }
+
+    const [totals, topPosts, campaigns, bids, followers] = await Promise.all([
+      this.getTotals(analyticsFilter),
+      Analytics.findTopPerforming(TOP_POSTS_LIMIT, analyticsFilter).lean(),
+      this.getCampaignTotals(analyticsFilter),
+      this.getBidActivity(bidFilter, period),
+      this.getFollowerGrowth(user._id, period)
+    ]);
+
+    const unsubscribeToken = jwtManager.generateUnsubscribeToken(user._id.toString(), 'digest');
+    const appUrl = `${config.FRONTEND_URL}/${user.role}`;
+
+    return {
+      user: { name: user.name, role: user.role },
+      frequency,
+      periodLabel: this.formatPeriod(period, timezone),
+      totals,
+      topPosts: topPosts.map(post => ({
+        platform: post.platform,
+        post_type: post.post_type,
+        caption: post.content?.caption?.slice(0, CAPTION_PREVIEW_LENGTH),
+        views: post.metrics?.views,
+        likes: post.metrics?.likes,
+        engagement_rate: post.metrics?.engagement_rate
+      })),
+      campaigns,
+      bids,
+      followers,
+      dashboardUrl: `${appUrl}/dashboard`,
+      preferencesUrl: `${appUrl}/settings`,
+      unsubscribeUrl: `${config.PUBLIC_BASE_URL.replace(/\/$/, '')}/api/digests/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`
+    };
+  }
+
+  /**
+   * Send every digest that has come due
+   * @returns {Object|undefined} { sent, failed } counts
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const summary = { sent: 0, failed: 0 };
+    try {
+      const cursor = User.find({
+        isActive: true,
+        'preferences.digest.frequency': { $in: [DIGEST_FREQUENCIES.WEEKLY, DIGEST_FREQUENCIES.MONTHLY] }
+      })
+        .select('name email role timezone preferences')
+        .cursor();
+
+      for await (const user of cursor) {
+        const { frequency, last_sent_at: lastSentAt } = user.preferences.digest;
+        const timezone = isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+        const period = this.getPeriod(frequency, timezone, now);
+        if (lastSentAt && lastSentAt >= period.to) continue;
+
+        // Claim the period so concurrent runs skip this user
+        const claim = await User.updateOne(
+          { _id: user._id, 'preferences.digest.last_sent_at': lastSentAt || null },
+          { $set: { 'preferences.digest.last_sent_at': now } }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        try {
+          const digest = await this.build(user, frequency, period);
+          await emailService.sendDigestEmail(user.email, digest);
+          summary.sent++;
+        } catch (error) {
+          summary.failed++;
+          logger.error('Digest email failed', { userId: user._id, error: error.message });
+          // Release the claim so the next run tries again
+          await User.updateOne(
+            { _id: user._id, 'preferences.digest.last_sent_at': now },
+            lastSentAt
+              ? { $set: { 'preferences.digest.last_sent_at': lastSentAt } }
+              : { $unset: { 'preferences.digest.last_sent_at': 1 } }
+          );
+        }
+      }
+
+      if (summary.sent > 0 || summary.failed > 0) {
+        logger.info('Email digests sent', summary);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('Digest run failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new DigestService();
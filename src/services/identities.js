@@ -0,0 +1,58 @@
+// src/services/identities.js
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Sign-in provider identities linked to accounts (User.identities).
+ *
+ * An identity is found by the provider's stable user id, never by email, so
+ * a changed or reused email address cannot take over an account. Linking
+ * and unlinking are single conditional updates, so concurrent requests
+ * cannot link one identity twice or remove an account's last sign-in method.
+ */
+class IdentityService {
+  findUser(provider, subject) {
+    return User.findOne({ identities: { $elemMatch: { provider, subject } } });
+  }
+
+  /**
+   * Link an identity to a user
+   * @param {string} userId - User
+   * @param {Object} identity - { provider, subject, email }
+   * @returns {Object|null} Updated user, or null when the user already has an identity of this provider
+   */
+  async link(userId, { provider, subject, email }) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'identities.provider': { $ne: provider } },
+      { $push: { identities: { provider, subject, email, linked_at: new Date() } } },
+      { new: true }
+    );
+    if (user) logger.info('Sign-in provider linked', { userId, provider });
+    return user;
+  }
+
+  /**
+   * Unlink a provider, unless it is the account's only way to sign in
+   * @returns {string} 'unlinked', 'not_linked' or 'last_method'
+   */
+  async unlink(userId, provider) {
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        'identities.provider': provider,
+        // A password or another identity has to remain
+        $or: [{ password: { $exists: true, $nin: [null, ''] } }, { 'identities.1': { $exists: true } }]
+      },
+      { $pull: { identities: { provider } } }
+    );
+    if (result.modifiedCount === 1) {
+      logger.info('Sign-in provider unlinked', { userId, provider });
+      return 'unlinked';
+    }
+
+    const linked = await User.exists({ _id: userId, 'identities.provider': provider });
+    return linked ? 'last_method' : 'not_linked';
+  }
+}
+
+module.exports = new IdentityService();
@@ -0,0 +1,245 @@
+// src/services/invoices/invoicePdf.js
+const PDFDocument = require('pdfkit');
+
+const BRAND_NAME = 'Bloocube';
+const BRAND_COLOR = '#1E3A8A';
+const MUTED_COLOR = '#6B7280';
+const TEXT_COLOR = '#111827';
+
+const TAX_LABELS = { cgst: 'CGST', sgst: 'SGST', igst: 'IGST' };
+
+// Amounts are minor units; the standard fonts have no rupee sign, so show the code
+function formatMoney(amount, currency) {
+  const value = new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount / 100);
+  return `${currency} ${value}`;
+}
+
+function formatDate(date, timezone = 'Asia/Kolkata') {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: timezone, day: '2-digit', month: 'short', year: 'numeric' }).format(date);
+}
+
+function toBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 48 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function drawHeader(doc, title, subtitle) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.rect(0, 0, doc.page.width, 64).fill(BRAND_COLOR);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(18).text(title, left, 22, { width });
+  doc.font('Helvetica').fontSize(9).text(subtitle, left, 28, { width, align: 'right' });
+  doc.y = 88;
+}
+
+function drawParty(doc, label, party, x, y, width) {
+  doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(8).text(label.toUpperCase(), x, y, { width });
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(10).text(party.legal_name || party.name, { width });
+
+  const lines = [
+    party.address,
+    [party.city, party.state, party.postal_code].filter(Boolean).join(', '),
+    party.country,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+    party.email
+  ].filter(Boolean);
+  doc.font('Helvetica').fontSize(9);
+  for (const line of lines) doc.text(line, { width });
+  return doc.y;
+}
+
+/**
+ * Table with right-aligned numeric columns
+ * @param {Array} columns - [{ header, width (share of the page), numeric }]
+ * @param {Array} rows - Arrays of cell text
+ */
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const widths = columns.map(column => column.width * width);
+
+  const drawRow = (cells, isHeader) => {
+    const height = Math.max(...cells.map((cell, index) =>
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).heightOfString(String(cell), { width: widths[index] - 8 })
+    )) + 8;
+    if (doc.y + height > bottom) doc.addPage();
+
+    const y = doc.y;
+    if (isHeader) doc.rect(left, y, width, height).fill(BRAND_COLOR);
+    else doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#E5E7EB').stroke();
+
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.fillColor(isHeader ? '#FFFFFF' : TEXT_COLOR)
+        .font(isHeader ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(9)
+        .text(String(cell), x + 4, y + 4, { width: widths[index] - 8, align: columns[index].numeric ? 'right' : 'left' });
+      x += widths[index];
+    });
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(row, false));
+}
+
+// Label/value rows aligned to the right edge
+function drawTotals(doc, rows) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  doc.moveDown(0.5);
+  for (const { label, value, bold } of rows) {
+    const y = doc.y;
+    doc.fillColor(bold ? TEXT_COLOR : MUTED_COLOR).font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+    doc.text(label, left + width * 0.5, y, { width: width * 0.3, align: 'right' });
+    doc.text(value, left + width * 0.8, y, { width: width * 0.2, align: 'right' });
+    doc.y = y + (bold ? 18 : 14);
+  }
+}
+
+function drawFooter(doc, text) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  // Writing inside the bottom margin would otherwise start a new page
+  doc.page.margins.bottom = 0;
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+    .text(text, left, doc.page.height - 32, { width, align: 'center', lineBreak: false });
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoice(invoice) {
+  return toBuffer((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const title = invoice.tax_treatment === 'unregistered' ? 'Bill of Supply' : 'Tax Invoice';
+    const money = amount => formatMoney(amount, invoice.currency);
+
+    drawHeader(doc, title, `${invoice.invoice_number}\nIssued ${formatDate(invoice.issued_at)}`);
+
+    const top = doc.y;
+    const supplierBottom = drawParty(doc, 'From', invoice.supplier, left, top, width / 2 - 12);
+    const recipientBottom = drawParty(doc, 'Bill to', invoice.recipient, left + width / 2, top, width / 2);
+    doc.y = Math.max(supplierBottom, recipientBottom) + 20;
+
+    drawTable(doc, [
+      { header: 'Description', width: 0.5 },
+      { header: 'SAC', width: 0.12 },
+      { header: 'Qty', width: 0.08, numeric: true },
+      { header: 'Rate', width: 0.15, numeric: true },
+      { header: 'Amount', width: 0.15, numeric: true }
+    ], invoice.line_items.map(item => [
+      item.description,
+      item.sac_code || '',
+      item.quantity,
+      money(item.unit_amount),
+      money(item.amount)
+    ]));
+
+    drawTotals(doc, [
+      { label: 'Taxable value', value: money(invoice.subtotal) },
+      ...invoice.tax_lines.map(line => ({ label: `${TAX_LABELS[line.type]} @ ${line.rate}%`, value: money(line.amount) })),
+      { label: 'Total', value: money(invoice.total), bold: true }
+    ]);
+
+    if (invoice.notes) {
+      doc.moveDown();
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9).text(invoice.notes, left, doc.y, { width });
+    }
+
+    drawFooter(doc, `Issued by ${invoice.supplier.legal_name || invoice.supplier.name} via ${BRAND_NAME}`);
+  });
+}
+
+/**
+ * Render a monthly payout statement (see invoiceService.buildStatement) as a PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderStatement(statement) {
+  return toBuffer((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const period = `${formatDate(statement.from, statement.timezone)} – ${formatDate(new Date(statement.to.getTime() - 1), statement.timezone)}`;
+
+    drawHeader(doc, 'Payout Statement', `${statement.month}\n${period}`);
+    doc.y = drawParty(doc, 'Creator', statement.creator, left, doc.y, width) + 20;
+
+    const section = (text) => {
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(12).text(text, left, doc.y, { width });
+      doc.moveDown(0.4);
+    };
+    const empty = (text) => {
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9).text(text, left, doc.y, { width });
+      doc.moveDown();
+    };
+
+    section('Payouts');
+    if (statement.payouts.length === 0) empty('No payouts this month.');
+    else {
+      drawTable(doc, [
+        { header: 'Date', width: 0.18 },
+        { header: 'Campaign', width: 0.42 },
+        { header: 'Reference', width: 0.2 },
+        { header: 'Amount', width: 0.2, numeric: true }
+      ], statement.payouts.map(payout => [
+        formatDate(payout.paid_at, statement.timezone),
+        payout.campaign || '',
+        payout.reference || '',
+        formatMoney(payout.amount, payout.currency)
+      ]));
+      doc.moveDown();
+    }
+
+    section('Invoices issued');
+    if (statement.invoices.length === 0) empty('No invoices this month.');
+    else {
+      drawTable(doc, [
+        { header: 'Invoice', width: 0.2 },
+        { header: 'Date', width: 0.15 },
+        { header: 'Campaign', width: 0.3 },
+        { header: 'Tax', width: 0.15, numeric: true },
+        { header: 'Total', width: 0.2, numeric: true }
+      ], statement.invoices.map(invoice => [
+        invoice.invoice_number,
+        formatDate(invoice.issued_at, statement.timezone),
+        invoice.campaign || '',
+        formatMoney(invoice.tax_total, invoice.currency),
+        formatMoney(invoice.total, invoice.currency)
+      ]));
+      doc.moveDown();
+    }
+
+    if (statement.totals.length > 0) {
+      section('Totals');
+      drawTotals(doc, statement.totals.flatMap(total => [
+        { label: `Invoiced (${total.currency})`, value: formatMoney(total.invoiced, total.currency) },
+        { label: `GST invoiced (${total.currency})`, value: formatMoney(total.tax, total.currency) },
+        { label: `Paid out (${total.currency})`, value: formatMoney(total.paid_out, total.currency), bold: true }
+      ]));
+    }
+
+    drawFooter(doc, `${BRAND_NAME} payout statement · ${statement.month}`);
+  });
+}
+
+module.exports = {
+  renderInvoice,
+  renderStatement
+};
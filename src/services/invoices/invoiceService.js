@@ -0,0 +1,262 @@
+// src/services/invoices/invoiceService.js
+const Invoice = require('../../models/Invoice');
+const Counter = require('../../models/Counter');
+const Campaign = require('../../models/Campaign');
+const User = require('../../models/User');
+const Payment = require('../../models/Payment');
+const PaymentTransaction = require('../../models/PaymentTransaction');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const { getZonedParts, zonedTimeToUtc, isValidTimezone } = require('../../utils/timezone');
+const { PAYMENT_TRANSACTION_TYPES } = require('../../utils/constants');
+
+// Invoice dates and financial years follow Indian time
+const INVOICE_TIMEZONE = 'Asia/Kolkata';
+// SAC for advertising services provided on a fee basis
+const SAC_CODE = '998361';
+
+const DELIVERABLE_LABELS = {
+  posts: ['post', 'posts'],
+  stories: ['story', 'stories'],
+  reels: ['reel', 'reels'],
+  videos: ['video', 'videos']
+};
+
+/**
+ * GST-style invoices for accepted bids and monthly payout statements.
+ *
+ * The creator is the supplier and the brand the recipient. GST is charged
+ * only when the creator has a GSTIN and bills in INR to an Indian brand:
+ * CGST + SGST within a state, IGST across states. Unregistered creators
+ * issue a bill of supply, and supplies abroad or in other currencies are
+ * treated as exports without tax.
+ */
+class InvoiceService {
+  // Indian financial year (April to March) of a date, e.g. "2026-27"
+  getFinancialYear(date = new Date()) {
+    const { year, month } = getZonedParts(date, INVOICE_TIMEZONE);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  getStateCode(party) {
+    if (party.gstin) return party.gstin.slice(0, 2);
+    return party.state_code || null;
+  }
+
+  toParty(user) {
+    const billing = user.billing || {};
+    return {
+      name: user.name,
+      legal_name: billing.legal_name || user.name,
+      email: user.email,
+      gstin: billing.gstin || undefined,
+      address: billing.address,
+      city: billing.city,
+      state: billing.state,
+      state_code: billing.gstin ? billing.gstin.slice(0, 2) : billing.state_code,
+      postal_code: billing.postal_code,
+      country: billing.country || 'IN'
+    };
+  }
+
+  /**
+   * Tax treatment and GST lines for a taxable amount
+   * @returns {Object} { tax_treatment, tax_lines, tax_total }
+   */
+  computeTaxes(subtotal, currency, supplier, recipient) {
+    if (!supplier.gstin) {
+      return { tax_treatment: 'unregistered', tax_lines: [], tax_total: 0 };
+    }
+    if (currency !== 'INR' || (recipient.country && recipient.country !== 'IN')) {
+      return { tax_treatment: 'export', tax_lines: [], tax_total: 0 };
+    }
+
+    const rate = config.GST_RATE;
+    const supplierState = this.getStateCode(supplier);
+    const recipientState = this.getStateCode(recipient);
+
+    // Place of supply unknown: charge IGST
+    if (!recipientState || supplierState !== recipientState) {
+      const amount = Math.round(subtotal * rate / 100);
+      return { tax_treatment: 'inter_state', tax_lines: [{ type: 'igst', rate, amount }], tax_total: amount };
+    }
+
+    const half = Math.round(subtotal * rate / 200);
+    return {
+      tax_treatment: 'intra_state',
+      tax_lines: [
+        { type: 'cgst', rate: rate / 2, amount: half },
+        { type: 'sgst', rate: rate / 2, amount: half }
+      ],
+      tax_total: half * 2
+    };
+  }
+
+  describeDeliverables(deliverables = {}) {
+    const parts = Object.entries(DELIVERABLE_LABELS)
+      .filter(([key]) => deliverables[key] > 0)
+      .map(([key, [one, many]]) => `${deliverables[key]} ${deliverables[key] === 1 ? one : many}`);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  }
+
+  getNotes(taxTreatment) {
+    if (taxTreatment === 'unregistered') return 'Bill of supply: supplier is not registered under GST.';
+    if (taxTreatment === 'export') return 'Supply of services outside India without payment of GST.';
+    return undefined;
+  }
+
+  /**
+   * Issue the invoice of an accepted bid. Safe to call again; the existing
+   * invoice is returned.
+   * @param {Object} bid - Accepted Bid document
+   * @param {Object} campaign - Campaign of the bid (loaded when omitted)
+   * @returns {Object} Invoice document
+   */
+  async generateForBid(bid, campaign) {
+    const existing = await Invoice.findOne({ bid_id: bid._id });
+    if (existing) return existing;
+
+    campaign = campaign || await Campaign.findById(bid.campaign_id);
+    const [creator, brand] = await Promise.all([
+      User.findById(bid.creator_id).select('name email billing'),
+      User.findById(campaign.brand_id).select('name email billing')
+    ]);
+
+    const supplier = this.toParty(creator);
+    const recipient = this.toParty(brand);
+    const subtotal = Math.round(bid.bid_amount * 100);
+    const taxes = this.computeTaxes(subtotal, bid.currency, supplier, recipient);
+
+    const issuedAt = new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+
+    // Issued meanwhile, e.g. by a concurrent call for the same bid
+    const issued = await Invoice.findOne({ bid_id: bid._id });
+    if (issued) return issued;
+
+    // The number is held for the bid, so a retry after a failed write reuses
+    // it and the series keeps no gaps
+    const sequence = await Counter.nextFor(`invoice:${creator._id}:${financialYear}`, bid._id);
+
+    try {
+      const invoice = await Invoice.create({
+        invoice_number: `INV/${financialYear}/${String(sequence).padStart(4, '0')}`,
+        financial_year: financialYear,
+        sequence,
+        bid_id: bid._id,
+        campaign_id: campaign._id,
+        creator_id: creator._id,
+        brand_id: brand._id,
+        supplier,
+        recipient,
+        currency: bid.currency,
+        line_items: [{
+          description: `${campaign.title}: influencer marketing services${this.describeDeliverables(bid.deliverables)}`,
+          sac_code: SAC_CODE,
+          quantity: 1,
+          unit_amount: subtotal,
+          amount: subtotal
+        }],
+        subtotal,
+        ...taxes,
+        total: subtotal + taxes.tax_total,
+        notes: this.getNotes(taxes.tax_treatment),
+        issued_at: issuedAt
+      });
+
+      logger.info('Invoice issued', { invoiceId: invoice._id, number: invoice.invoice_number, bidId: bid._id });
+      return invoice;
+    } catch (error) {
+      // Issued concurrently for the same bid
+      if (error.code === 11000 && error.keyPattern?.bid_id) {
+        return Invoice.findOne({ bid_id: bid._id });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Local calendar month as a UTC range
+   * @param {string} month - "YYYY-MM"
+   */
+  getMonthRange(month, timezone) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return {
+      from: zonedTimeToUtc({ year, month: monthNumber, day: 1 }, timezone),
+      to: zonedTimeToUtc({ year, month: monthNumber + 1, day: 1 }, timezone)
+    };
+  }
+
+  /**
+   * Monthly payout statement of a creator: invoices issued and payouts
+   * released in the month, with totals per currency
+   * @param {Object} creator - User document
+   * @param {string} month - "YYYY-MM" in the creator's timezone
+   */
+  async buildStatement(creator, month) {
+    const timezone = isValidTimezone(creator.timezone) ? creator.timezone : 'UTC';
+    const { from, to } = this.getMonthRange(month, timezone);
+
+    const [invoices, payments] = await Promise.all([
+      Invoice.find({ creator_id: creator._id, issued_at: { $gte: from, $lt: to } })
+        .populate('campaign_id', 'title')
+        .sort({ issued_at: 1 }),
+      Payment.find({ creator_id: creator._id }).select('campaign_id currency').populate('campaign_id', 'title')
+    ]);
+
+    const paymentsById = new Map(payments.map(payment => [payment._id.toString(), payment]));
+    const releases = await PaymentTransaction.find({
+      payment_id: { $in: payments.map(payment => payment._id) },
+      type: PAYMENT_TRANSACTION_TYPES.RELEASE,
+      status: 'succeeded',
+      createdAt: { $gte: from, $lt: to }
+    }).sort({ createdAt: 1 });
+
+    const totals = {};
+    const totalFor = currency => {
+      totals[currency] = totals[currency] || { currency, invoiced: 0, tax: 0, paid_out: 0 };
+      return totals[currency];
+    };
+    for (const invoice of invoices) {
+      totalFor(invoice.currency).invoiced += invoice.total;
+      totalFor(invoice.currency).tax += invoice.tax_total;
+    }
+    for (const release of releases) {
+      totalFor(release.currency).paid_out += release.amount;
+    }
+
+    return {
+      month,
+      timezone,
+      from,
+      to,
+      creator: this.toParty(creator),
+      invoices: invoices.map(invoice => ({
+        _id: invoice._id,
+        invoice_number: invoice.invoice_number,
+        issued_at: invoice.issued_at,
+        campaign: invoice.campaign_id?.title,
+        brand: invoice.recipient?.legal_name,
+        currency: invoice.currency,
+        subtotal: invoice.subtotal,
+        tax_total: invoice.tax_total,
+        total: invoice.total
+      })),
+      payouts: releases.map(release => {
+        const payment = paymentsById.get(release.payment_id.toString());
+        return {
+          payment_id: release.payment_id,
+          paid_at: release.createdAt,
+          campaign: payment?.campaign_id?.title,
+          currency: release.currency,
+          amount: release.amount,
+          reference: release.gateway_reference
+        };
+      }),
+      totals: Object.values(totals)
+    };
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,143 @@
+// src/services/mediaStorage.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// How long a signed public media URL stays valid
+const PUBLIC_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Local storage for post media, message attachments and deliverable drafts.
+ * Uploads arrive in memory (see middlewares/upload) and are written to
+ * UPLOAD_PATH so scheduled and retried posts can read them back later.
+ *
+ * Nothing in UPLOAD_PATH is served as is: each kind of file has an
+ * authenticated route that checks access (its `url`), and platforms that
+ * fetch media themselves get a short-lived signed URL (getPublicUrl).
+ */
+class MediaStorage {
+  constructor() {
+    this.uploadDir = path.resolve(config.UPLOAD_PATH);
+    this.postMediaPrefix = '/api/media/posts';
+    this.signedMediaPrefix = '/api/media/public';
+  }
+
+  urlFor(prefix, filename) {
+    return `${prefix}/${filename}`;
+  }
+
+  /**
+   * Media type stored on Post.media for a mime type
+   */
+  getMediaType(mimeType = '') {
+    if (mimeType === 'image/gif') return 'gif';
+    if (mimeType.startsWith('image')) return 'image';
+    return 'video';
+  }
+
+  /**
+   * Persist a multer file and describe it for Post.media
+   * @param {Object} file - Multer file with buffer
+   * @param {string} prefix - Route the file is served from; post media by default
+   * @returns {Object} Post media item
+   */
+  async save(file, prefix = this.postMediaPrefix) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    const filename = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.uploadDir, filename), file.buffer);
+
+    return {
+      type: this.getMediaType(file.mimetype),
+      url: this.urlFor(prefix, filename),
+      filename,
+      size: file.size,
+      mimeType: file.mimetype
+    };
+  }
+
+  /**
+   * Persist all uploaded files of a request
+   * @param {Array} files - Multer files (req.files)
+   * @param {string} prefix - Route the files are served from; post media by default
+   * @returns {Array} Post media items
+   */
+  async saveAll(files = [], prefix = this.postMediaPrefix) {
+    const media = [];
+    for (const file of files) {
+      media.push(await this.save(file, prefix));
+    }
+    return media;
+  }
+
+  sign(filename, expires) {
+    return crypto.createHmac('sha256', config.JWT_SECRET).update(`media:${filename}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Absolute signed URL of a stored media item, for platforms that fetch
+   * media themselves; valid for an hour
+   * @param {Object} mediaItem - Post media item
+   * @returns {string} Public URL
+   */
+  getPublicUrl(mediaItem) {
+    const filename = path.basename(mediaItem.filename || '');
+    const expires = Math.floor(Date.now() / 1000) + PUBLIC_URL_TTL_SECONDS;
+    const base = config.PUBLIC_BASE_URL.replace(/\/$/, '');
+    return `${base}${this.urlFor(this.signedMediaPrefix, filename)}?expires=${expires}&signature=${this.sign(filename, expires)}`;
+  }
+
+  /**
+   * Whether a signed URL's parameters are genuine and not expired
+   */
+  verifySignature(filename, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(filename, expiresAt));
+    const presented = Buffer.from(signature);
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+  }
+
+  /**
+   * Answer with a stored file, or 404 when it is gone
+   * @param {Object} res - Express response
+   * @param {Object} mediaItem - Media item, or { filename }
+   */
+  send(res, mediaItem) {
+    const filename = path.basename(mediaItem.filename || '');
+    const headers = { 'Cache-Control': 'private, max-age=300' };
+    if (mediaItem.mimeType) headers['Content-Type'] = mediaItem.mimeType;
+
+    res.sendFile(filename, { root: this.uploadDir, dotfiles: 'deny', headers }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode || 404).json({ success: false, message: 'File not found' });
+      }
+    });
+  }
+
+  /**
+   * Read a stored media item back into memory
+   * @param {Object} mediaItem - Post media item
+   * @returns {Buffer} File contents
+   */
+  async read(mediaItem) {
+    // basename() keeps stored filenames from escaping the upload directory
+    const filename = path.basename(mediaItem.filename || '');
+    if (!filename) {
+      throw new Error('Media item has no stored file');
+    }
+
+    try {
+      return await fs.promises.readFile(path.join(this.uploadDir, filename));
+    } catch (error) {
+      logger.error('Failed to read stored media', error, { filename });
+      throw new Error(`Media file ${filename} is no longer available`);
+    }
+  }
+}
+
+module.exports = new MediaStorage();
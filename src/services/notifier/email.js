@@ -2,6 +2,7 @@
 const nodemailer = require('nodemailer');
 const config = require('../../config/env');
 const logger = require('../../utils/logger');
+const templates = require('./templates');
 
 let transporter;
 
@@ -30,9 +31,17 @@ function getTransporter() {
   return transporter;
 }
 
-async function sendMail(to, subject, html) {
+/**
+ * Send an email
+ * @param {string} to - Recipient
+ * @param {string} subject - Subject line
+ * @param {string} html - HTML body
+ * @param {Object} options - Extra nodemailer message fields, e.g. headers
+ */
+async function sendMail(to, subject, html, options = {}) {
   const t = getTransporter();
   const info = await t.sendMail({
+    ...options,
     from: config.EMAIL_FROM,
     to,
     subject,
@@ -41,30 +50,49 @@ async function sendMail(to, subject, html) {
   logger.info('Email sent (or logged)', { messageId: info.messageId, to });
   return info;
 }
+
 async function sendPasswordResetEmail(to, resetUrl) {
-  const t = getTransporter();
-  const mailOptions = {
-    from: config.EMAIL_FROM,
-    to,
-    subject: 'Reset your password',
-    html: `<p>You requested a password reset. Click <a href="${resetUrl}">here</a> to reset your password. If you did not request this, ignore this email.</p>`
-  };
-  await t.sendMail(mailOptions);
+  const { subject, html } = templates.passwordReset({ resetUrl });
+  await sendMail(to, subject, html);
 }
 
 async function sendVerificationEmail(to, verifyUrl) {
-  const t = getTransporter();
-  const mailOptions = {
-    from: config.EMAIL_FROM,
-    to,
-    subject: 'Verify your email address',
-    html: `<p>Welcome to Bloocube!</p>
-           <p>Please verify your email by clicking <a href="${verifyUrl}">this link</a>.</p>
-           <p>If you did not create an account, you can ignore this email.</p>`
-  };
-  await t.sendMail(mailOptions);
+  const { subject, html } = templates.verifyEmail({ verifyUrl });
+  await sendMail(to, subject, html);
 }
 
-module.exports = { sendMail, sendPasswordResetEmail, sendVerificationEmail };
+async function sendReconnectAccountEmail(to, { platform, reconnectUrl }) {
+  const { subject, html } = templates.reconnectAccount({ platform, reconnectUrl });
+  await sendMail(to, subject, html);
+}
 
+async function sendWorkspaceInviteEmail(to, invite) {
+  const { subject, html } = templates.workspaceInvite(invite);
+  await sendMail(to, subject, html);
+}
+
+// Digest emails carry one-click unsubscribe headers (RFC 8058)
+async function sendDigestEmail(to, digest) {
+  const { subject, html } = templates.performanceDigest(digest);
+  await sendMail(to, subject, html, {
+    headers: {
+      'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+}
+
+async function sendNotificationEmail(to, options) {
+  const { subject, html } = templates.notification(options);
+  await sendMail(to, subject, html);
+}
 
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendReconnectAccountEmail,
+  sendWorkspaceInviteEmail,
+  sendDigestEmail,
+  sendNotificationEmail
+};
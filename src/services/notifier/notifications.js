@@ -0,0 +1,112 @@
+// src/services/notifier/notifications.js
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const realtime = require('../realtime');
+const { sendNotificationEmail } = require('./email');
+const { sendPush } = require('./push');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('../../utils/constants');
+
+// Types also emailed unless the user turns email off
+const EMAIL_BY_DEFAULT = new Set([
+  NOTIFICATION_TYPES.BID_RECEIVED,
+  NOTIFICATION_TYPES.BID_COUNTERED,
+  NOTIFICATION_TYPES.BID_ACCEPTED,
+  NOTIFICATION_TYPES.BID_REJECTED,
+  NOTIFICATION_TYPES.DELIVERABLE_REVIEWED,
+  NOTIFICATION_TYPES.POST_FAILED,
+  NOTIFICATION_TYPES.PAYMENT_RECEIVED,
+  NOTIFICATION_TYPES.WEBHOOK_DISABLED
+]);
+
+const getDefaultChannels = (type) => ({
+  [NOTIFICATION_CHANNELS.IN_APP]: true,
+  [NOTIFICATION_CHANNELS.EMAIL]: EMAIL_BY_DEFAULT.has(type),
+  [NOTIFICATION_CHANNELS.PUSH]: false
+});
+
+/**
+ * Notifications to users about their bids, campaigns, posts and payments.
+ *
+ * Each notification type goes to the channels chosen in
+ * User.preferences.notifications: stored for the notification center (and
+ * pushed live over the event stream), emailed, and/or sent as a push
+ * notification. Delivery never fails the action that triggered it.
+ */
+class NotificationService {
+  /**
+   * Channels of a notification type for a user, defaults filled in
+   * @returns {Object} { in_app, email, push }
+   */
+  getChannels(user, type) {
+    const chosen = user.preferences?.notifications?.get?.(type);
+    const channels = getDefaultChannels(type);
+    for (const channel of Object.values(NOTIFICATION_CHANNELS)) {
+      if (typeof chosen?.[channel] === 'boolean') channels[channel] = chosen[channel];
+    }
+    return channels;
+  }
+
+  /**
+   * Channels of every notification type for a user
+   * @returns {Object} type -> { in_app, email, push }
+   */
+  getPreferences(user) {
+    return Object.fromEntries(
+      Object.values(NOTIFICATION_TYPES).map(type => [type, this.getChannels(user, type)])
+    );
+  }
+
+  /**
+   * Notify users through their chosen channels
+   * @param {Array|string} userIds - Recipients
+   * @param {string} type - One of NOTIFICATION_TYPES
+   * @param {Object} content - { title, body, link (frontend path), data }
+   * @returns {Array} Notifications stored for the notification center
+   */
+  async notify(userIds, type, content) {
+    const ids = [].concat(userIds).filter(Boolean);
+    if (ids.length === 0) return [];
+
+    try {
+      const users = await User.find({ _id: { $in: ids }, isActive: true }).select('name email role preferences');
+      const stored = [];
+
+      for (const user of users) {
+        const channels = this.getChannels(user, type);
+
+        if (channels.in_app) {
+          const notification = await Notification.create({ user_id: user._id, type, ...content });
+          stored.push(notification);
+          await realtime.publish([user._id], 'notification', notification.toJSON());
+        }
+        if (channels.email) this.sendEmail(user, type, content);
+        if (channels.push) this.sendPush(user, type, content);
+      }
+
+      return stored;
+    } catch (error) {
+      logger.error('Failed to create notifications', { type, userIds: ids, error: error.message });
+      return [];
+    }
+  }
+
+  // Email and push run in the background; failures are only logged
+  sendEmail(user, type, { title, body, link }) {
+    sendNotificationEmail(user.email, {
+      name: user.name,
+      title,
+      body,
+      actionUrl: link ? `${config.FRONTEND_URL}${link}` : undefined,
+      preferencesUrl: `${config.FRONTEND_URL}/${user.role}/settings`
+    }).catch(error => logger.error('Notification email failed', { userId: user._id, type, error: error.message }));
+  }
+
+  sendPush(user, type, { title, body, link, data }) {
+    sendPush(user._id.toString(), title, body || '', { ...data, type, link })
+      .catch(error => logger.error('Push notification failed', { userId: user._id, type, error: error.message }));
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,60 @@
+// src/services/notifier/templates/account.js
+const { BRAND_NAME, escapeHtml, button, layout } = require('./layout');
+
+function verifyEmail({ verifyUrl }) {
+  const subject = 'Verify your email address';
+  return {
+    subject,
+    html: layout({
+      title: subject,
+      body: `<p>Welcome to ${BRAND_NAME}!</p>
+<p>Please verify your email address to finish setting up your account.</p>
+<p>${button(verifyUrl, 'Verify email')}</p>
+<p>If you did not create an account, you can ignore this email.</p>`
+    })
+  };
+}
+
+function passwordReset({ resetUrl }) {
+  const subject = 'Reset your password';
+  return {
+    subject,
+    html: layout({
+      title: subject,
+      body: `<p>You requested a password reset. The link below is valid for one hour.</p>
+<p>${button(resetUrl, 'Reset password')}</p>
+<p>If you did not request this, ignore this email.</p>`
+    })
+  };
+}
+
+function reconnectAccount({ platform, reconnectUrl }) {
+  const platformName = platform.charAt(0).toUpperCase() + platform.slice(1);
+  const name = escapeHtml(platformName);
+  const subject = `Reconnect your ${platformName} account`;
+  return {
+    subject,
+    html: layout({
+      title: subject,
+      body: `<p>We could no longer renew access to your ${name} account, so scheduled posts to ${name} cannot be published.</p>
+<p>Please reconnect your account to resume publishing.</p>
+<p>${button(reconnectUrl, 'Reconnect account')}</p>`
+    })
+  };
+}
+
+function workspaceInvite({ workspaceName, inviterName, role, inviteUrl }) {
+  const subject = `Join ${workspaceName} on ${BRAND_NAME}`;
+  return {
+    subject,
+    html: layout({
+      title: subject,
+      body: `<p>${escapeHtml(inviterName)} invited you to the ${escapeHtml(workspaceName)} workspace as ${escapeHtml(role)}.</p>
+<p>Sign in or create an account with this email address to accept. The invitation is valid for seven days.</p>
+<p>${button(inviteUrl, 'Accept invitation')}</p>
+<p>If you were not expecting this, you can ignore this email.</p>`
+    })
+  };
+}
+
+module.exports = { verifyEmail, passwordReset, reconnectAccount, workspaceInvite };
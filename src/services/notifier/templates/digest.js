@@ -0,0 +1,101 @@
+// src/services/notifier/templates/digest.js
+const { BRAND_COLOR, escapeHtml, button, layout } = require('./layout');
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+
+const formatChange = (change) => {
+  if (!change) return '<span style="color:#6B7280">no change</span>';
+  const color = change > 0 ? '#047857' : '#B91C1C';
+  return `<span style="color:${color}">${change > 0 ? '+' : ''}${formatNumber(change)}</span>`;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function section(title, content) {
+  return `<h3 style="margin:24px 0 8px;font-size:16px;color:${BRAND_COLOR}">${escapeHtml(title)}</h3>${content}`;
+}
+
+function table(headers, rows) {
+  const th = headers.map((header, index) => `<th align="${index === 0 ? 'left' : 'right'}" style="padding:6px 8px;border-bottom:2px solid #E5E7EB;font-size:12px;color:#6B7280">${escapeHtml(header)}</th>`).join('');
+  const body = rows.map(cells => `<tr>${cells.map((cell, index) => `<td align="${index === 0 ? 'left' : 'right'}" style="padding:6px 8px;border-bottom:1px solid #F3F4F6;font-size:13px">${cell}</td>`).join('')}</tr>`).join('');
+  return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0"><tr>${th}</tr>${body}</table>`;
+}
+
+function totalsTiles(totals) {
+  const tiles = [
+    ['Posts', totals.posts],
+    ['Views', totals.views],
+    ['Likes', totals.likes],
+    ['Comments', totals.comments],
+    ['Shares', totals.shares]
+  ].map(([label, value]) => `<td align="center" style="padding:8px"><div style="font-size:20px;font-weight:700;color:${BRAND_COLOR}">${formatNumber(value)}</div><div style="font-size:11px;color:#6B7280;text-transform:uppercase">${label}</div></td>`).join('');
+  return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:#F9FAFB;border-radius:6px"><tr>${tiles}</tr></table>`;
+}
+
+/**
+ * Weekly or monthly performance digest
+ * @param {Object} digest - Built by services/digests
+ * @returns {Object} { subject, html }
+ */
+function performanceDigest(digest) {
+  const subject = `Your ${digest.frequency} ${digest.user.role === 'brand' ? 'campaign' : 'performance'} digest: ${digest.periodLabel}`;
+  const parts = [
+    `<p>Hi ${escapeHtml(digest.user.name)},</p>
+<p>Here is how things went from ${escapeHtml(digest.periodLabel)}.</p>`,
+    totalsTiles(digest.totals)
+  ];
+
+  if (digest.topPosts.length > 0) {
+    parts.push(section('Top posts', table(
+      ['Post', 'Views', 'Likes', 'Engagement'],
+      digest.topPosts.map(post => [
+        `${escapeHtml(capitalize(post.platform))} ${escapeHtml(post.post_type)}${post.caption ? `<br><span style="color:#6B7280">${escapeHtml(post.caption)}</span>` : ''}`,
+        formatNumber(post.views),
+        formatNumber(post.likes),
+        `${Number(post.engagement_rate || 0).toFixed(2)}%`
+      ])
+    )));
+  }
+
+  if (digest.campaigns.length > 0) {
+    parts.push(section('Campaigns', table(
+      ['Campaign', 'Posts', 'Views', 'Likes', 'Comments'],
+      digest.campaigns.map(campaign => [
+        escapeHtml(campaign.title),
+        formatNumber(campaign.posts),
+        formatNumber(campaign.views),
+        formatNumber(campaign.likes),
+        formatNumber(campaign.comments)
+      ])
+    )));
+  }
+
+  const { bids } = digest;
+  parts.push(section('Bid activity', `<p style="margin:0">${digest.user.role === 'brand'
+    ? `${formatNumber(bids.created)} new bids on your campaigns`
+    : `${formatNumber(bids.created)} bids submitted`}, ${formatNumber(bids.accepted)} accepted, ${formatNumber(bids.rejected)} rejected.</p>`));
+
+  if (digest.followers.length > 0) {
+    parts.push(section('Follower growth', table(
+      ['Account', 'Followers', 'Change'],
+      digest.followers.map(account => [
+        escapeHtml(capitalize(account.platform)),
+        formatNumber(account.followers),
+        formatChange(account.change)
+      ])
+    )));
+  }
+
+  parts.push(`<p style="margin-top:24px">${button(digest.dashboardUrl, 'Open dashboard')}</p>`);
+
+  return {
+    subject,
+    html: layout({
+      title: subject,
+      body: parts.join('\n'),
+      footer: `You receive this ${escapeHtml(digest.frequency)} digest because you subscribed to it. <a href="${escapeHtml(digest.preferencesUrl)}" style="color:#6B7280">Change frequency</a> or <a href="${escapeHtml(digest.unsubscribeUrl)}" style="color:#6B7280">unsubscribe</a>.`
+    })
+  };
+}
+
+module.exports = { performanceDigest };
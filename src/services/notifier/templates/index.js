@@ -0,0 +1,11 @@
+// src/services/notifier/templates/index.js
+// Email templates; each returns { subject, html }
+const account = require('./account');
+const digest = require('./digest');
+const notification = require('./notification');
+
+module.exports = {
+  ...account,
+  ...digest,
+  ...notification
+};
@@ -0,0 +1,43 @@
+// src/services/notifier/templates/layout.js
+const BRAND_NAME = 'Bloocube';
+const BRAND_COLOR = '#1E3A8A';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text interpolated into HTML; every user-provided value goes through this
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function button(href, label) {
+  return `<a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 20px;background:${BRAND_COLOR};color:#ffffff;text-decoration:none;border-radius:6px;font-weight:600">${escapeHtml(label)}</a>`;
+}
+
+/**
+ * Wrap an email body in the branded layout
+ * @param {Object} options - { title, body (HTML), footer (HTML, optional) }
+ * @returns {string} Complete HTML document
+ */
+function layout({ title, body, footer = '' }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#F3F4F6;font-family:Helvetica,Arial,sans-serif;color:#111827">
+<table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:#F3F4F6;padding:24px 0">
+<tr><td align="center">
+<table role="presentation" width="600" cellspacing="0" cellpadding="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden">
+<tr><td style="background:${BRAND_COLOR};padding:16px 24px;color:#ffffff;font-size:20px;font-weight:700">${BRAND_NAME}</td></tr>
+<tr><td style="padding:24px;font-size:15px;line-height:1.5">${body}</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #E5E7EB;color:#6B7280;font-size:12px;line-height:1.5">${footer}<br>&copy; ${new Date().getFullYear()} ${BRAND_NAME}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+module.exports = { BRAND_NAME, BRAND_COLOR, escapeHtml, button, layout };
@@ -0,0 +1,23 @@
+// src/services/notifier/templates/notification.js
+const { escapeHtml, button, layout } = require('./layout');
+
+/**
+ * Email copy of an in-app notification
+ * @param {Object} options - { name, title, body, actionUrl (optional), preferencesUrl }
+ * @returns {Object} { subject, html }
+ */
+function notification({ name, title, body, actionUrl, preferencesUrl }) {
+  return {
+    subject: title,
+    html: layout({
+      title,
+      body: `<p>Hi ${escapeHtml(name)},</p>
+<p><strong>${escapeHtml(title)}</strong></p>
+${body ? `<p>${escapeHtml(body)}</p>` : ''}
+${actionUrl ? `<p>${button(actionUrl, 'View details')}</p>` : ''}`,
+      footer: `You receive this email because of your notification settings. <a href="${escapeHtml(preferencesUrl)}" style="color:#6B7280">Change notification settings</a>.`
+    })
+  };
+}
+
+module.exports = { notification };
@@ -0,0 +1,407 @@
+// src/services/payments/escrow.js
+const Payment = require('../../models/Payment');
+const PaymentTransaction = require('../../models/PaymentTransaction');
+const Deliverable = require('../../models/Deliverable');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const notifications = require('../notifier/notifications');
+const { getGateway, hasGateway } = require('./gateways');
+const {
+  PAYMENT_SCHEDULES,
+  PAYMENT_STATUS,
+  MILESTONE_STATUS,
+  MILESTONE_TRIGGERS,
+  PAYMENT_TRANSACTION_TYPES,
+  DELIVERABLE_STATUS,
+  NOTIFICATION_TYPES
+} = require('../../utils/constants');
+
+const DONE_DELIVERABLE_STATUSES = [DELIVERABLE_STATUS.APPROVED, DELIVERABLE_STATUS.PUBLISHED];
+
+// Per settlement type: in-flight state, final state and the fields it updates
+const SETTLEMENTS = {
+  [PAYMENT_TRANSACTION_TYPES.RELEASE]: {
+    inFlight: MILESTONE_STATUS.RELEASING,
+    done: MILESTONE_STATUS.RELEASED,
+    timestamp: 'released_at',
+    total: 'released_amount'
+  },
+  [PAYMENT_TRANSACTION_TYPES.REFUND]: {
+    inFlight: MILESTONE_STATUS.REFUNDING,
+    done: MILESTONE_STATUS.REFUNDED,
+    timestamp: 'refunded_at',
+    total: 'refunded_amount'
+  }
+};
+
+/**
+ * Escrow ledger for accepted bids.
+ *
+ * The brand funds the whole bid amount into a gateway hold, which is then
+ * paid out to the creator milestone by milestone (upfront on funding, per
+ * approved deliverable, or once every deliverable is approved) or refunded
+ * to the brand. Each gateway call claims its milestone with an atomic state
+ * change first, and calls stuck in flight longer than PAYMENT_LOCK_TIMEOUT_MS
+ * may be reclaimed; the retry reuses the idempotency key, so the gateway
+ * never moves the money twice.
+ */
+class EscrowService {
+  constructor() {
+    this.lockTimeoutMs = config.PAYMENT_LOCK_TIMEOUT_MS;
+  }
+
+  /**
+   * Whether escrow payments are on: PAYMENT_GATEWAY must name a registered adapter
+   */
+  isEnabled() {
+    return hasGateway(config.PAYMENT_GATEWAY);
+  }
+
+  // Bid amounts are in major units; the ledger counts paise/cents
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  /**
+   * Split the amount into milestones for the payment schedule. Per-deliverable
+   * milestones share it evenly, the last one taking the rounding remainder.
+   */
+  planMilestones(schedule, amount, deliverables = []) {
+    if (schedule === PAYMENT_SCHEDULES.UPFRONT) {
+      return [{ label: 'Upfront payment', amount, trigger: MILESTONE_TRIGGERS.FUNDING }];
+    }
+    if (schedule === PAYMENT_SCHEDULES.MILESTONE && deliverables.length > 0) {
+      const share = Math.floor(amount / deliverables.length);
+      return deliverables.map((deliverable, index) => ({
+        label: deliverable.title,
+        amount: index === deliverables.length - 1 ? amount - share * index : share,
+        trigger: MILESTONE_TRIGGERS.DELIVERABLE,
+        deliverable_id: deliverable._id
+      }));
+    }
+    return [{ label: 'On completion', amount, trigger: MILESTONE_TRIGGERS.COMPLETION }];
+  }
+
+  /**
+   * Open the escrow ledger of an accepted bid. Safe to call again; the
+   * existing payment is returned.
+   * @returns {Object|null} Payment, or null while escrow is not enabled
+   */
+  async createForBid(bid, campaign, deliverables) {
+    if (!this.isEnabled()) {
+      logger.warn('Escrow is not enabled; no payment opened for accepted bid', {
+        bidId: bid._id,
+        gateway: config.PAYMENT_GATEWAY
+      });
+      return null;
+    }
+
+    const amount = this.toMinorUnits(bid.bid_amount);
+    const schedule = bid.terms?.payment_schedule || PAYMENT_SCHEDULES.COMPLETION;
+
+    try {
+      await Payment.create({
+        bid_id: bid._id,
+        campaign_id: campaign._id,
+        brand_id: campaign.brand_id,
+        creator_id: bid.creator_id,
+        currency: bid.currency,
+        amount,
+        schedule,
+        milestones: this.planMilestones(schedule, amount, deliverables),
+        gateway: config.PAYMENT_GATEWAY
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    return Payment.findOne({ bid_id: bid._id });
+  }
+
+  async record(payment, type, amount, fields) {
+    return PaymentTransaction.create({
+      payment_id: payment._id,
+      type,
+      amount,
+      currency: payment.currency,
+      gateway: payment.gateway,
+      ...fields
+    });
+  }
+
+  /**
+   * Recompute the payment status from its milestones in one atomic update
+   */
+  async refreshStatus(paymentId) {
+    const statuses = '$milestones.status';
+    await Payment.updateOne(
+      { _id: paymentId, status: { $nin: [PAYMENT_STATUS.AWAITING_FUNDING, PAYMENT_STATUS.FUNDING] } },
+      [{
+        $set: {
+          status: {
+            $switch: {
+              branches: [
+                { case: { $setIsSubset: [statuses, [MILESTONE_STATUS.RELEASED]] }, then: PAYMENT_STATUS.RELEASED },
+                { case: { $setIsSubset: [statuses, [MILESTONE_STATUS.REFUNDED]] }, then: PAYMENT_STATUS.REFUNDED },
+                {
+                  case: { $setIsSubset: [statuses, [MILESTONE_STATUS.RELEASED, MILESTONE_STATUS.REFUNDED]] },
+                  then: PAYMENT_STATUS.SETTLED
+                },
+                { case: { $in: [MILESTONE_STATUS.RELEASED, statuses] }, then: PAYMENT_STATUS.PARTIALLY_RELEASED }
+              ],
+              default: PAYMENT_STATUS.IN_ESCROW
+            }
+          }
+        }
+      }]
+    );
+    return Payment.findById(paymentId);
+  }
+
+  /**
+   * Hold the full amount in escrow, then release whatever is already due
+   * @param {string} paymentId - Payment to fund
+   * @param {Object} options - { actorId, paymentMethod } (gateway-specific payment method)
+   * @returns {Object|null} Funded payment, or null when it is not awaiting funding
+   */
+  async fund(paymentId, { actorId, paymentMethod } = {}) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.lockTimeoutMs);
+
+    const payment = await Payment.findOneAndUpdate(
+      {
+        _id: paymentId,
+        $or: [
+          { status: PAYMENT_STATUS.AWAITING_FUNDING },
+          { status: PAYMENT_STATUS.FUNDING, funding_locked_at: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: PAYMENT_STATUS.FUNDING, funding_locked_at: now } },
+      { new: true }
+    );
+    if (!payment) return null;
+
+    const idempotencyKey = `${payment._id}:hold:${payment.funding_attempts}`;
+    let result;
+    try {
+      result = await getGateway(payment.gateway).hold({
+        amount: payment.amount,
+        currency: payment.currency,
+        reference: payment._id.toString(),
+        paymentMethod,
+        idempotencyKey
+      });
+    } catch (error) {
+      await this.record(payment, PAYMENT_TRANSACTION_TYPES.HOLD, payment.amount, {
+        status: 'failed',
+        idempotency_key: idempotencyKey,
+        error: error.message,
+        actor_id: actorId
+      });
+      await Payment.updateOne(
+        { _id: payment._id, status: PAYMENT_STATUS.FUNDING },
+        {
+          $set: { status: PAYMENT_STATUS.AWAITING_FUNDING },
+          $unset: { funding_locked_at: 1 },
+          $inc: { funding_attempts: 1 }
+        }
+      );
+      throw error;
+    }
+
+    await this.record(payment, PAYMENT_TRANSACTION_TYPES.HOLD, payment.amount, {
+      status: 'succeeded',
+      gateway_reference: result.reference,
+      idempotency_key: idempotencyKey,
+      actor_id: actorId
+    });
+    await Payment.updateOne(
+      { _id: payment._id, status: PAYMENT_STATUS.FUNDING },
+      {
+        $set: {
+          status: PAYMENT_STATUS.IN_ESCROW,
+          hold_reference: result.reference,
+          funded_at: now,
+          'milestones.$[].status': MILESTONE_STATUS.HELD
+        },
+        $unset: { funding_locked_at: 1 }
+      }
+    );
+    logger.info('Payment funded', { paymentId: payment._id, amount: payment.amount, currency: payment.currency });
+
+    await this.releaseDue(payment._id, { actorId });
+    return Payment.findById(payment._id);
+  }
+
+  /**
+   * Release or refund one held milestone through the gateway
+   * @param {string} paymentId - Payment of the milestone
+   * @param {string} milestoneId - Milestone to settle
+   * @param {string} type - PAYMENT_TRANSACTION_TYPES.RELEASE or REFUND
+   * @param {Object} options - { actorId, reason }
+   * @returns {Object|null} Updated payment, or null when the milestone is not held
+   */
+  async settleMilestone(paymentId, milestoneId, type, { actorId, reason } = {}) {
+    const settlement = SETTLEMENTS[type];
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.lockTimeoutMs);
+
+    const payment = await Payment.findOneAndUpdate(
+      {
+        _id: paymentId,
+        milestones: {
+          $elemMatch: {
+            _id: milestoneId,
+            $or: [
+              { status: MILESTONE_STATUS.HELD },
+              { status: settlement.inFlight, locked_at: { $lt: staleBefore } }
+            ]
+          }
+        }
+      },
+      { $set: { 'milestones.$.status': settlement.inFlight, 'milestones.$.locked_at': now } },
+      { new: true }
+    );
+    if (!payment) return null;
+
+    const milestone = payment.milestones.id(milestoneId);
+    const idempotencyKey = `${payment._id}:${milestone._id}:${type}:${milestone.attempts}`;
+    const gateway = getGateway(payment.gateway);
+    const request = {
+      holdReference: payment.hold_reference,
+      amount: milestone.amount,
+      currency: payment.currency,
+      idempotencyKey
+    };
+
+    let result;
+    try {
+      result = type === PAYMENT_TRANSACTION_TYPES.RELEASE
+        ? await gateway.release({ ...request, payeeId: payment.creator_id.toString() })
+        : await gateway.refund(request);
+    } catch (error) {
+      await this.record(payment, type, milestone.amount, {
+        milestone_id: milestone._id,
+        status: 'failed',
+        idempotency_key: idempotencyKey,
+        error: error.message,
+        reason,
+        actor_id: actorId
+      });
+      await Payment.updateOne(
+        { _id: payment._id, 'milestones._id': milestone._id },
+        {
+          $set: { 'milestones.$.status': MILESTONE_STATUS.HELD },
+          $unset: { 'milestones.$.locked_at': 1 },
+          $inc: { 'milestones.$.attempts': 1 }
+        }
+      );
+      throw error;
+    }
+
+    await this.record(payment, type, milestone.amount, {
+      milestone_id: milestone._id,
+      status: 'succeeded',
+      gateway_reference: result.reference,
+      idempotency_key: idempotencyKey,
+      reason,
+      actor_id: actorId
+    });
+    await Payment.updateOne(
+      { _id: payment._id, 'milestones._id': milestone._id },
+      {
+        $set: { 'milestones.$.status': settlement.done, [`milestones.$.${settlement.timestamp}`]: now },
+        $unset: { 'milestones.$.locked_at': 1 },
+        $inc: { [settlement.total]: milestone.amount }
+      }
+    );
+    logger.info(`Payment milestone ${settlement.done}`, { paymentId: payment._id, milestoneId: milestone._id, amount: milestone.amount });
+
+    if (type === PAYMENT_TRANSACTION_TYPES.RELEASE) {
+      await notifications.notify(payment.creator_id, NOTIFICATION_TYPES.PAYMENT_RECEIVED, {
+        title: `Payment released: ${(milestone.amount / 100).toFixed(2)} ${payment.currency}`,
+        body: milestone.label,
+        link: `/creator/payments/${payment._id}`,
+        data: { payment_id: payment._id, milestone_id: milestone._id, campaign_id: payment.campaign_id }
+      });
+    }
+
+    return this.refreshStatus(payment._id);
+  }
+
+  releaseMilestone(paymentId, milestoneId, options) {
+    return this.settleMilestone(paymentId, milestoneId, PAYMENT_TRANSACTION_TYPES.RELEASE, options);
+  }
+
+  /**
+   * Refund held milestones to the brand
+   * @param {string} paymentId - Payment to refund
+   * @param {Array|undefined} milestoneIds - Milestones to refund; all held ones when omitted
+   * @param {Object} options - { actorId, reason }
+   * @returns {Object} { payment, refunded, failed }
+   */
+  async refund(paymentId, milestoneIds, options) {
+    const payment = await Payment.findById(paymentId);
+    const held = payment.milestones.filter(milestone =>
+      milestone.status === MILESTONE_STATUS.HELD &&
+      (!milestoneIds || milestoneIds.includes(milestone._id.toString()))
+    );
+
+    const summary = { refunded: [], failed: [] };
+    for (const milestone of held) {
+      try {
+        const updated = await this.settleMilestone(paymentId, milestone._id, PAYMENT_TRANSACTION_TYPES.REFUND, options);
+        if (updated) summary.refunded.push(milestone._id);
+      } catch (error) {
+        summary.failed.push({ milestone_id: milestone._id, error: error.message });
+      }
+    }
+
+    return { payment: await Payment.findById(paymentId), ...summary };
+  }
+
+  // Whether a held milestone's trigger has fired
+  isDue(milestone, deliverables) {
+    if (milestone.trigger === MILESTONE_TRIGGERS.FUNDING) return true;
+
+    const done = deliverable => DONE_DELIVERABLE_STATUSES.includes(deliverable.status);
+    if (milestone.trigger === MILESTONE_TRIGGERS.DELIVERABLE) {
+      const deliverable = deliverables.find(item => item._id.equals(milestone.deliverable_id));
+      return Boolean(deliverable && done(deliverable));
+    }
+    return deliverables.length > 0 && deliverables.every(done);
+  }
+
+  /**
+   * Release every held milestone whose trigger has fired. Gateway failures
+   * are logged and leave the milestone held for a later attempt.
+   */
+  async releaseDue(paymentId, { actorId } = {}) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment?.hold_reference) return;
+
+    const deliverables = await Deliverable.find({ bid_id: payment.bid_id }).select('status');
+    const due = payment.milestones.filter(milestone =>
+      milestone.status === MILESTONE_STATUS.HELD && this.isDue(milestone, deliverables)
+    );
+
+    for (const milestone of due) {
+      try {
+        await this.releaseMilestone(payment._id, milestone._id, { actorId, reason: `${milestone.trigger} milestone due` });
+      } catch (error) {
+        logger.error('Payment milestone release failed', { paymentId: payment._id, milestoneId: milestone._id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Release what an approved deliverable unlocks
+   * @param {Object} deliverable - Approved Deliverable document
+   */
+  async onDeliverableApproved(deliverable) {
+    const payment = await Payment.findOne({ bid_id: deliverable.bid_id }).select('_id');
+    if (payment) await this.releaseDue(payment._id);
+  }
+}
+
+module.exports = new EscrowService();
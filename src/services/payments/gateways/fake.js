@@ -0,0 +1,76 @@
+// src/services/payments/gateways/fake.js
+const crypto = require('crypto');
+
+/**
+ * In-memory gateway for development and tests. Money is tracked per hold so
+ * over-releasing fails like it would at a real gateway. Nothing survives a
+ * restart.
+ */
+class FakeGateway {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.holds = new Map();
+    this.results = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Make the next call of an operation throw
+   * @param {string} operation - hold | release | refund
+   * @param {string} message - Error message
+   */
+  failNext(operation, message = 'Payment declined') {
+    this.failures.set(operation, message);
+  }
+
+  // Replay the first result of an idempotency key
+  async execute(operation, idempotencyKey, fn) {
+    if (this.results.has(idempotencyKey)) return this.results.get(idempotencyKey);
+
+    if (this.failures.has(operation)) {
+      const message = this.failures.get(operation);
+      this.failures.delete(operation);
+      throw new Error(message);
+    }
+
+    const result = { reference: `fake_${operation}_${crypto.randomBytes(8).toString('hex')}`, ...fn() };
+    this.results.set(idempotencyKey, result);
+    return result;
+  }
+
+  getHold(holdReference, amount) {
+    const hold = this.holds.get(holdReference);
+    if (!hold) throw new Error(`Unknown hold ${holdReference}`);
+    if (amount > hold.remaining) {
+      throw new Error(`Amount exceeds the ${hold.remaining} left on hold ${holdReference}`);
+    }
+    return hold;
+  }
+
+  async hold({ amount, currency, idempotencyKey }) {
+    const result = await this.execute('hold', idempotencyKey, () => ({}));
+    if (!this.holds.has(result.reference)) {
+      this.holds.set(result.reference, { amount, currency, remaining: amount });
+    }
+    return result;
+  }
+
+  async release({ holdReference, amount, idempotencyKey }) {
+    return this.execute('release', idempotencyKey, () => {
+      this.getHold(holdReference, amount).remaining -= amount;
+      return {};
+    });
+  }
+
+  async refund({ holdReference, amount, idempotencyKey }) {
+    return this.execute('refund', idempotencyKey, () => {
+      this.getHold(holdReference, amount).remaining -= amount;
+      return {};
+    });
+  }
+}
+
+module.exports = new FakeGateway();
@@ -0,0 +1,49 @@
+// src/services/payments/gateways/index.js
+const config = require('../../../config/env');
+const fakeGateway = require('./fake');
+
+/**
+ * Payment gateway adapters by name.
+ *
+ * An adapter moves money for the escrow ledger and must implement:
+ *   hold({ amount, currency, reference, paymentMethod, idempotencyKey })       -> { reference }
+ *   release({ holdReference, amount, currency, payeeId, idempotencyKey })      -> { reference }
+ *   refund({ holdReference, amount, currency, idempotencyKey })                -> { reference }
+ * Amounts are integers in minor units. Calls repeated with the same
+ * idempotency key must not move money twice. Failures are thrown.
+ *
+ * Register real adapters here; escrow is only enabled when PAYMENT_GATEWAY
+ * names a registered one. The fake adapter is not available in production.
+ */
+const gateways = new Map();
+
+function registerGateway(name, adapter) {
+  for (const method of ['hold', 'release', 'refund']) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Payment gateway "${name}" does not implement ${method}()`);
+    }
+  }
+  gateways.set(name, adapter);
+}
+
+function hasGateway(name) {
+  return Boolean(name) && gateways.has(name);
+}
+
+function getGateway(name) {
+  const adapter = gateways.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return adapter;
+}
+
+if (config.NODE_ENV !== 'production') {
+  registerGateway('fake', fakeGateway);
+}
+
+module.exports = {
+  registerGateway,
+  hasGateway,
+  getGateway
+};
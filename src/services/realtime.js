@@ -0,0 +1,97 @@
+// src/services/realtime.js
+const redisClient = require('../config/redis');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'realtime:events';
+const HEARTBEAT_MS = 25000;
+
+function write(res, chunk) {
+  res.write(chunk);
+  // compression() buffers responses until flushed
+  if (typeof res.flush === 'function') res.flush();
+}
+
+/**
+ * Server-sent events to signed-in users.
+ *
+ * Each instance keeps the SSE responses of the users connected to it.
+ * Events are published through Redis so every instance delivers them to
+ * its own connections; without Redis they only reach this instance.
+ */
+class RealtimeService {
+  constructor() {
+    this.clients = new Map(); // userId -> Set of responses
+    this.subscribed = false;
+  }
+
+  async ensureSubscribed() {
+    if (this.subscribed) return;
+    this.subscribed = await redisClient.subscribe(CHANNEL, (message) => {
+      try {
+        const { userIds, event, data } = JSON.parse(message);
+        this.deliver(userIds, event, data);
+      } catch (error) {
+        logger.error('Invalid realtime message', { error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Hold an SSE response open for a user until the client disconnects
+   * @param {string} userId - Connected user
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async connect(userId, req, res) {
+    await this.ensureSubscribed();
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    write(res, 'retry: 5000\n\n');
+
+    const key = userId.toString();
+    if (!this.clients.has(key)) this.clients.set(key, new Set());
+    this.clients.get(key).add(res);
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => write(res, ': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const connections = this.clients.get(key);
+      if (!connections) return;
+      connections.delete(res);
+      if (connections.size === 0) this.clients.delete(key);
+    });
+  }
+
+  deliver(userIds, event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const userId of userIds) {
+      for (const res of this.clients.get(userId) || []) {
+        write(res, payload);
+      }
+    }
+  }
+
+  /**
+   * Send an event to users on every instance
+   * @param {Array} userIds - Recipients
+   * @param {string} event - SSE event name
+   * @param {Object} data - JSON payload
+   */
+  async publish(userIds, event, data) {
+    const ids = userIds.map(id => id.toString());
+    const published = await redisClient.publish(CHANNEL, JSON.stringify({ userIds: ids, event, data }));
+    // Deliver here directly unless the published message comes back to us
+    if (!published || !this.subscribed) this.deliver(ids, event, data);
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,155 @@
+// src/services/reports/renderers.js
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const BRAND_NAME = 'Bloocube';
+const BRAND_COLOR = '#1E3A8A';
+const MUTED_COLOR = '#6B7280';
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toLocaleString('en-US') : value);
+
+function escapeCsv(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function renderCsv(report) {
+  const lines = [
+    report.columns.map(column => escapeCsv(column.header)).join(','),
+    ...report.rows.map(row => report.columns.map(column => escapeCsv(row[column.key])).join(','))
+  ];
+  // BOM so Excel opens the file as UTF-8
+  return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+async function renderXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = BRAND_NAME;
+  workbook.created = new Date();
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ width: 24 }, { width: 40 }];
+  summary.addRow([report.title]).font = { bold: true, size: 14, color: { argb: 'FF1E3A8A' } };
+  summary.addRow(['Period', report.period]);
+  summary.addRow(['Generated', report.generated_at]);
+  summary.addRow([]);
+  for (const item of report.summary) {
+    summary.addRow([item.label, item.value]);
+  }
+
+  const posts = workbook.addWorksheet('Posts', { views: [{ state: 'frozen', ySplit: 1 }] });
+  posts.columns = report.columns.map(column => ({ header: column.header, key: column.key, width: column.width }));
+  posts.addRows(report.rows);
+
+  const header = posts.getRow(1);
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E3A8A' } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    // Branded header band
+    doc.rect(0, 0, doc.page.width, 56).fill(BRAND_COLOR);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(18).text(BRAND_NAME, left, 18);
+    doc.font('Helvetica').fontSize(9).text(`Generated ${report.generated_at}`, left, 24, { width, align: 'right' });
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(14).text(report.title, left, 76, { width });
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10).text(report.period, { width });
+    doc.moveDown();
+
+    // Summary tiles
+    const tileWidth = width / report.summary.length;
+    const tileTop = doc.y;
+    report.summary.forEach((item, index) => {
+      const x = left + index * tileWidth;
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8).text(item.label.toUpperCase(), x, tileTop, { width: tileWidth - 8 });
+      doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14).text(formatNumber(item.value), x, tileTop + 12, { width: tileWidth - 8 });
+    });
+    doc.y = tileTop + 44;
+
+    // Table, scaled to the page width
+    const totalWidth = report.columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = report.columns.map(column => (column.width / totalWidth) * width);
+    const rowHeight = 16;
+
+    const drawRow = (cells, { isHeader = false, shade = false } = {}) => {
+      if (doc.y + rowHeight > bottom) {
+        doc.addPage();
+        doc.y = doc.page.margins.top;
+        if (!isHeader) drawHeader();
+      }
+
+      const y = doc.y;
+      if (isHeader) doc.rect(left, y, width, rowHeight).fill(BRAND_COLOR);
+      else if (shade) doc.rect(left, y, width, rowHeight).fill('#F3F4F6');
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        const column = report.columns[index];
+        doc.fillColor(isHeader ? '#FFFFFF' : '#111827')
+          .font(isHeader ? 'Helvetica-Bold' : 'Helvetica')
+          .fontSize(7.5)
+          .text(String(cell), x + 3, y + 4, {
+            width: widths[index] - 6,
+            height: rowHeight - 4,
+            ellipsis: true,
+            lineBreak: false,
+            align: column.numeric ? 'right' : 'left'
+          });
+        x += widths[index];
+      });
+      doc.y = y + rowHeight;
+    };
+
+    const drawHeader = () => drawRow(report.columns.map(column => column.header), { isHeader: true });
+
+    drawHeader();
+    if (report.rows.length === 0) {
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10).text('No posts in this period.', left, doc.y + 8);
+    }
+    report.rows.forEach((row, index) => {
+      drawRow(report.columns.map(column => formatNumber(row[column.key] ?? '')), { shade: index % 2 === 1 });
+    });
+
+    // Page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+        .text(`${BRAND_NAME} · Page ${i + 1} of ${range.count}`, left, doc.page.height - 24, { width, align: 'center', lineBreak: false });
+    }
+
+    doc.end();
+  });
+}
+
+// Keyed by REPORT_FORMATS value
+const RENDERERS = {
+  csv: { render: renderCsv, mimeType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    render: renderXlsx,
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  pdf: { render: renderPdf, mimeType: 'application/pdf', extension: 'pdf' }
+};
+
+module.exports = { RENDERERS };
@@ -0,0 +1,135 @@
+// src/services/reports/reportBuilder.js
+const Analytics = require('../../models/Analytics');
+const Campaign = require('../../models/Campaign');
+const User = require('../../models/User');
+const config = require('../../config/env');
+const { REPORT_TYPES } = require('../../utils/constants');
+
+const COLUMNS = [
+  { key: 'posted_at', header: 'Posted', width: 18 },
+  { key: 'platform', header: 'Platform', width: 11 },
+  { key: 'creator', header: 'Creator', width: 22 },
+  { key: 'campaign', header: 'Campaign', width: 24 },
+  { key: 'post_type', header: 'Type', width: 10 },
+  { key: 'post_id', header: 'Post ID', width: 26 },
+  { key: 'views', header: 'Views', width: 11, numeric: true },
+  { key: 'likes', header: 'Likes', width: 10, numeric: true },
+  { key: 'comments', header: 'Comments', width: 10, numeric: true },
+  { key: 'shares', header: 'Shares', width: 10, numeric: true },
+  { key: 'saves', header: 'Saves', width: 10, numeric: true },
+  { key: 'engagement_rate', header: 'Engagement %', width: 13, numeric: true }
+];
+
+/**
+ * Collects Analytics documents into a format-neutral report that the
+ * renderers in services/reports/renderers turn into CSV, XLSX or PDF.
+ * Callers check access first; params are trusted here.
+ */
+class ReportBuilder {
+  /**
+   * Analytics filter for a report scope
+   * @param {string} type - REPORT_TYPES value
+   * @param {Object} params - { campaign_id, creator_id, owner_id, campaign_ids, platform, from, to }
+   */
+  getFilter(type, params) {
+    const filter = { 'timing.posted_at': { $gte: params.from, $lte: params.to } };
+    if (params.platform) filter.platform = params.platform;
+
+    if (type === REPORT_TYPES.CAMPAIGN) {
+      filter.campaign_id = params.campaign_id;
+    } else if (type === REPORT_TYPES.CREATOR) {
+      filter.user_id = params.creator_id;
+      if (params.campaign_ids?.length > 0) filter.campaign_id = { $in: params.campaign_ids };
+    } else {
+      filter.user_id = params.owner_id;
+    }
+
+    return filter;
+  }
+
+  countRows(type, params) {
+    return Analytics.countDocuments(this.getFilter(type, params));
+  }
+
+  async getTitle(type, params) {
+    if (type === REPORT_TYPES.CAMPAIGN) {
+      const campaign = await Campaign.findById(params.campaign_id).select('title');
+      return `Campaign report: ${campaign?.title || params.campaign_id}`;
+    }
+
+    const user = await User.findById(type === REPORT_TYPES.CREATOR ? params.creator_id : params.owner_id).select('name');
+    const label = type === REPORT_TYPES.CREATOR ? 'Creator report' : 'Account report';
+    return `${label}: ${user?.name || 'Unknown user'}`;
+  }
+
+  /**
+   * Date and time in the report's timezone, as YYYY-MM-DD HH:mm
+   */
+  formatDate(date, timezone = 'UTC', withTime = true) {
+    if (!date) return '';
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return withTime ? `${day} ${parts.hour}:${parts.minute}` : day;
+  }
+
+  /**
+   * Build a report
+   * @param {string} type - REPORT_TYPES value
+   * @param {Object} params - Report scope, see getFilter; plus timezone
+   * @returns {Object} { title, period, generated_at, summary, columns, rows }
+   */
+  async build(type, params) {
+    const timezone = params.timezone || 'UTC';
+    const records = await Analytics.find(this.getFilter(type, params))
+      .sort({ 'timing.posted_at': 1 })
+      .limit(config.REPORT_EXPORT_MAX_ROWS)
+      .populate('user_id', 'name')
+      .populate('campaign_id', 'title')
+      .lean();
+
+    const rows = records.map(record => ({
+      posted_at: this.formatDate(record.timing?.posted_at, timezone),
+      platform: record.platform,
+      creator: record.user_id?.name || '',
+      campaign: record.campaign_id?.title || '',
+      post_type: record.post_type,
+      post_id: record.post_id,
+      views: record.metrics?.views || 0,
+      likes: record.metrics?.likes || 0,
+      comments: record.metrics?.comments || 0,
+      shares: record.metrics?.shares || 0,
+      saves: record.metrics?.saves || 0,
+      engagement_rate: record.metrics?.engagement_rate || 0
+    }));
+
+    const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+    const avgEngagement = rows.length > 0 ? total('engagement_rate') / rows.length : 0;
+
+    return {
+      title: await this.getTitle(type, params),
+      period: `${this.formatDate(params.from, timezone, false)} to ${this.formatDate(params.to, timezone, false)} (${timezone})`,
+      generated_at: this.formatDate(new Date(), timezone),
+      summary: [
+        { label: 'Posts', value: rows.length },
+        { label: 'Views', value: total('views') },
+        { label: 'Likes', value: total('likes') },
+        { label: 'Comments', value: total('comments') },
+        { label: 'Shares', value: total('shares') },
+        { label: 'Avg. engagement %', value: Math.round(avgEngagement * 100) / 100 }
+      ],
+      columns: COLUMNS,
+      rows
+    };
+  }
+}
+
+module.exports = new ReportBuilder();
@@ -0,0 +1,177 @@
+// src/services/reports/reportExporter.js
+const fs = require('fs');
+const path = require('path');
+const ReportExport = require('../../models/ReportExport');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const { REPORT_EXPORT_STATUS } = require('../../utils/constants');
+const reportBuilder = require('./reportBuilder');
+const { RENDERERS } = require('./renderers');
+
+// Jobs stuck in processing this long (instance died) are picked up again
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+const JOBS_PER_RUN = 5;
+
+/**
+ * Renders large analytics reports in the background.
+ *
+ * Jobs are ReportExport documents; any instance may claim a pending job
+ * through an atomic `pending -> processing` transition. Finished files are
+ * written to REPORT_EXPORT_PATH and removed, with their job, after
+ * REPORT_EXPORT_TTL_HOURS.
+ */
+class ReportExporter {
+  constructor() {
+    this.exportDir = path.resolve(config.REPORT_EXPORT_PATH);
+    this.isRunning = false;
+  }
+
+  /**
+   * Render a report in memory, for exports small enough to serve directly
+   * @returns {Object} { buffer, rowCount, filename, mimeType }
+   */
+  async render(type, format, params) {
+    const renderer = RENDERERS[format];
+    const report = await reportBuilder.build(type, params);
+    const buffer = await renderer.render(report);
+
+    return {
+      buffer,
+      rowCount: report.rows.length,
+      filename: this.getFilename(type, format, params),
+      mimeType: renderer.mimeType
+    };
+  }
+
+  getFilename(type, format, params) {
+    const from = reportBuilder.formatDate(params.from, params.timezone, false);
+    const to = reportBuilder.formatDate(params.to, params.timezone, false);
+    return `${type}-report-${from}-to-${to}.${RENDERERS[format].extension}`;
+  }
+
+  /**
+   * Queue a report and start working on it right away
+   * @returns {Object} ReportExport document
+   */
+  async enqueue(userId, type, format, params) {
+    const job = await ReportExport.create({ user_id: userId, type, format, params });
+    setImmediate(() => this.runOnce());
+    return job;
+  }
+
+  async claimNext(now = new Date()) {
+    return ReportExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: REPORT_EXPORT_STATUS.PENDING },
+          { status: REPORT_EXPORT_STATUS.PROCESSING, started_at: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: REPORT_EXPORT_STATUS.PROCESSING, started_at: now } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  }
+
+  /**
+   * Absolute path of a finished export
+   */
+  getFilePath(job) {
+    // basename() keeps stored filenames inside the export directory
+    return path.join(this.exportDir, path.basename(job.file.filename));
+  }
+
+  getExpiry(from) {
+    return new Date(from.getTime() + config.REPORT_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+  }
+
+  async process(job) {
+    try {
+      const { buffer, rowCount, mimeType } = await this.render(job.type, job.format, job.params);
+      const filename = `${job._id}.${RENDERERS[job.format].extension}`;
+
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      await fs.promises.writeFile(path.join(this.exportDir, filename), buffer);
+
+      const completedAt = new Date();
+      await ReportExport.updateOne({ _id: job._id }, {
+        $set: {
+          status: REPORT_EXPORT_STATUS.COMPLETED,
+          row_count: rowCount,
+          file: { filename, mime_type: mimeType, size: buffer.length },
+          completed_at: completedAt,
+          expires_at: this.getExpiry(completedAt)
+        },
+        $unset: { error: 1 }
+      });
+      logger.info('Report export completed', { exportId: job._id, type: job.type, format: job.format, rowCount });
+    } catch (error) {
+      logger.error('Report export failed', { exportId: job._id, error: error.message });
+      const failedAt = new Date();
+      await ReportExport.updateOne({ _id: job._id }, {
+        $set: {
+          status: REPORT_EXPORT_STATUS.FAILED,
+          error: error.message,
+          completed_at: failedAt,
+          expires_at: this.getExpiry(failedAt)
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete expired exports and their files
+   */
+  async cleanupExpired(now = new Date()) {
+    const expired = await ReportExport.find({ expires_at: { $lt: now } }).select('file');
+    const removed = [];
+
+    for (const job of expired) {
+      if (job.file?.filename) {
+        try {
+          await fs.promises.unlink(this.getFilePath(job));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            // Keep the job so the next run retries the file
+            logger.warn('Could not delete expired report export', { exportId: job._id, error: error.message });
+            continue;
+          }
+        }
+      }
+      removed.push(job._id);
+    }
+
+    if (removed.length > 0) {
+      await ReportExport.deleteMany({ _id: { $in: removed } });
+    }
+  }
+
+  /**
+   * Process pending exports, a few per run
+   * @returns {number} Number of exports processed
+   */
+  async runOnce() {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let processed = 0;
+    try {
+      await this.cleanupExpired();
+
+      while (processed < JOBS_PER_RUN) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        await this.process(job);
+        processed += 1;
+      }
+    } catch (error) {
+      logger.error('Report export run failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+
+    return processed;
+  }
+}
+
+module.exports = new ReportExporter();
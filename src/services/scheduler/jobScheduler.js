@@ -4,14 +4,51 @@ const logger = require('../../utils/logger');
 const { CRON_SCHEDULES } = require('../../utils/constants');
 const Analytics = require('../../models/Analytics');
 const AIResults = require('../../models/AI_Results');
+const postDispatcher = require('./postDispatcher');
+const tokenManager = require('../social/tokenManager');
+const analyticsSync = require('../analyticsSync');
+const reportExporter = require('../reports/reportExporter');
+const digests = require('../digests');
+const webhooks = require('../webhooks');
+const campaignWorkflow = require('../campaignWorkflow');
 
 const jobs = [];
 
 function scheduleJobs() {
-  // Analytics sync placeholder
+  // Publish scheduled posts that have come due
+  jobs.push(cron.schedule(CRON_SCHEDULES.DISPATCH_SCHEDULED_POSTS, async () => {
+    await postDispatcher.runOnce();
+  }));
+
+  // Renew social access tokens before they expire
+  jobs.push(cron.schedule(CRON_SCHEDULES.REFRESH_SOCIAL_TOKENS, async () => {
+    await tokenManager.runOnce();
+  }));
+
+  // Pull post metrics from the social platforms
   jobs.push(cron.schedule(CRON_SCHEDULES.ANALYTICS_SYNC, async () => {
     logger.info('Running scheduled analytics sync');
-    // TODO: Pull latest metrics from social APIs
+    await analyticsSync.runOnce();
+  }));
+
+  // Render queued report exports and delete expired ones
+  jobs.push(cron.schedule(CRON_SCHEDULES.PROCESS_REPORT_EXPORTS, async () => {
+    await reportExporter.runOnce();
+  }));
+
+  // Send queued webhook deliveries and retries that have come due
+  jobs.push(cron.schedule(CRON_SCHEDULES.DELIVER_WEBHOOKS, async () => {
+    await webhooks.runOnce();
+  }));
+
+  // Finish setting up accepted bids whose deliverables or payment failed to save
+  jobs.push(cron.schedule(CRON_SCHEDULES.REPAIR_BID_SETUP, async () => {
+    await campaignWorkflow.runOnce();
+  }));
+
+  // Email weekly and monthly performance digests
+  jobs.push(cron.schedule(CRON_SCHEDULES.SEND_DIGESTS, async () => {
+    await digests.runOnce();
   }));
 
   // Cleanup expired AI results
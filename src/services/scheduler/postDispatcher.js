@@ -0,0 +1,329 @@
+// src/services/scheduler/postDispatcher.js
+const os = require('os');
+const crypto = require('crypto');
+const Post = require('../../models/Post');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const { POST_STATUS, NOTIFICATION_TYPES, WEBHOOK_EVENTS } = require('../../utils/constants');
+const retryPolicy = require('./retryPolicy');
+const campaignWorkflow = require('../campaignWorkflow');
+const notifications = require('../notifier/notifications');
+const webhooks = require('../webhooks');
+const workspaces = require('../workspaces');
+
+// Number of publish attempts kept on each post
+const ATTEMPT_HISTORY_LIMIT = 20;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Publishes scheduled posts once they come due.
+ *
+ * All state lives on the Post document, so pending work survives restarts.
+ * Every instance runs the same loop; a post is only published by the
+ * instance that wins the atomic `scheduled -> publishing` transition.
+ * Failed posts are retried per services/scheduler/retryPolicy and end up
+ * in `dead_letter` once retries are exhausted.
+ */
+class PostDispatcher {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.batchSize = config.POST_DISPATCH_BATCH_SIZE;
+    this.lockTimeoutMs = config.POST_DISPATCH_LOCK_TIMEOUT_MS;
+    this.isRunning = false;
+  }
+
+  /**
+   * Claim the oldest due scheduled post, or a failed post due for retry
+   * @param {Date} now - Reference time
+   * @returns {Object|null} Claimed post
+   */
+  async claimNext(now = new Date()) {
+    return Post.findOneAndUpdate(
+      {
+        $or: [
+          { status: POST_STATUS.SCHEDULED, 'scheduling.scheduled_for': { $lte: now } },
+          { status: POST_STATUS.FAILED, 'retry.next_attempt_at': { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: POST_STATUS.PUBLISHING,
+          'dispatch.locked_by': this.instanceId,
+          'dispatch.locked_at': now
+        },
+        $inc: { 'dispatch.attempts': 1 }
+      },
+      { new: true, sort: { 'scheduling.scheduled_for': 1 } }
+    );
+  }
+
+  /**
+   * Dead-letter posts whose publishing instance died mid-flight.
+   * We cannot know whether the platform accepted the post, so it is left
+   * for the author to retry instead of re-published to avoid a duplicate.
+   * @param {Date} now - Reference time
+   */
+  async releaseStaleClaims(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.lockTimeoutMs);
+    const result = await Post.updateMany(
+      {
+        status: POST_STATUS.PUBLISHING,
+        'dispatch.locked_at': { $lt: cutoff }
+      },
+      {
+        $set: {
+          status: POST_STATUS.DEAD_LETTER,
+          error: {
+            message: 'Publishing was interrupted before the platform confirmed the post',
+            code: 'PUBLISH_INTERRUPTED',
+            occurred_at: now
+          }
+        },
+        $unset: { 'dispatch.locked_by': 1, 'dispatch.locked_at': 1, 'retry.next_attempt_at': 1 }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn('Released stale scheduled post claims', { count: result.modifiedCount });
+    }
+  }
+
+  /**
+   * Run one dispatch pass: recover stale claims, then publish due posts
+   * @returns {number} Number of posts processed
+   */
+  async runOnce() {
+    // Skip overlapping ticks when a previous pass is still publishing
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let processed = 0;
+    try {
+      await this.releaseStaleClaims();
+
+      while (processed < this.batchSize) {
+        const post = await this.claimNext();
+        if (!post) break;
+
+        await this.dispatch(post);
+        processed += 1;
+      }
+
+      if (processed > 0) {
+        logger.info('Scheduled posts dispatched', { processed, instanceId: this.instanceId });
+      }
+    } catch (error) {
+      logger.error('Scheduled post dispatch failed', error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Publish a claimed post and record the outcome
+   * @param {Object} post - Post in `publishing` status
+   * @param {string} trigger - 'scheduler' or 'manual'
+   * @returns {Object} { post, platformResult } with the updated post
+   */
+  async dispatch(post, trigger = 'scheduler') {
+    // Required lazily: the post controller depends on this service
+    const postController = require('../../controllers/postController');
+
+    let platformResult;
+    try {
+      // Workspace posts go out through the workspace owner's accounts
+      const user = await workspaces.getAccountHolder(post);
+      if (!user || !user.isActive) {
+        platformResult = {
+          success: false,
+          error: post.workspace_id
+            ? 'Workspace owner account not found or deactivated'
+            : 'Post author not found or deactivated',
+          code: 'AUTHOR_UNAVAILABLE'
+        };
+      } else {
+        platformResult = await postController.postToPlatform(post, user);
+      }
+    } catch (error) {
+      logger.error('Scheduled post publish error', error, { postId: post._id });
+      platformResult = { success: false, error: error.message || 'Publishing failed', code: error.code };
+    }
+
+    const updated = platformResult.success
+      ? await this.markPublished(post, platformResult, trigger)
+      : await this.markFailed(post, platformResult, trigger);
+
+    return { post: updated, platformResult };
+  }
+
+  /**
+   * Record a successful publish
+   * @param {Object} post - Post document
+   * @param {Object} platformResult - Result returned by the platform service
+   * @param {string} trigger - 'scheduler' or 'manual'
+   * @returns {Object|null} Updated post, null when the claim was released or taken over meanwhile
+   */
+  async markPublished(post, platformResult, trigger = 'scheduler') {
+    const postController = require('../../controllers/postController');
+    const publishing = postController.buildPublishingRecord(platformResult);
+
+    // Only the claim this attempt holds, like markFailed
+    const claim = { _id: post._id, status: POST_STATUS.PUBLISHING };
+    if (post.dispatch?.locked_by) claim['dispatch.locked_by'] = post.dispatch.locked_by;
+
+    const updated = await Post.findOneAndUpdate(
+      claim,
+      {
+        $set: {
+          status: POST_STATUS.PUBLISHED,
+          publishing
+        },
+        $unset: { error: 1, retry: 1, 'dispatch.locked_by': 1, 'dispatch.locked_at': 1 },
+        $push: {
+          publish_attempts: {
+            $each: [{ attempted_at: new Date(), trigger, success: true }],
+            $slice: -ATTEMPT_HISTORY_LIMIT
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      // The platform has the post, but its record now belongs to a stale-claim
+      // release or a newer claim; keep the platform id for reconciliation
+      logger.warn('Post published after its claim was released', {
+        postId: post._id,
+        platform: post.platform,
+        trigger,
+        platformPostId: publishing.platform_post_id
+      });
+      return null;
+    }
+
+    logger.info('Post published', {
+      postId: post._id,
+      platform: post.platform,
+      trigger,
+      platformPostId: updated.publishing?.platform_post_id
+    });
+
+    try {
+      await campaignWorkflow.onPostPublished(updated);
+    } catch (error) {
+      logger.error('Failed to mark campaign deliverable published', { postId: post._id, error: error.message });
+    }
+
+    await webhooks.emit(post.author, WEBHOOK_EVENTS.POST_PUBLISHED, {
+      post_id: post._id,
+      platform: post.platform,
+      campaign_id: post.campaign_id || null,
+      trigger,
+      platform_post_id: updated.publishing?.platform_post_id,
+      url: updated.publishing?.platform_url,
+      published_at: updated.publishing?.published_at
+    });
+
+    // Manual publishes report the result in the response
+    if (trigger === 'scheduler') {
+      await notifications.notify(post.author, NOTIFICATION_TYPES.POST_PUBLISHED, {
+        title: `Your scheduled ${capitalize(post.platform)} post is live`,
+        link: `/creator/posts/${post._id}`,
+        data: { post_id: post._id, url: updated.publishing?.platform_url }
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record a failed publish and schedule a retry or dead-letter the post
+   * @param {Object} post - Post document
+   * @param {Object} platformResult - Failed result ({ error, code, statusCode })
+   * @param {string} trigger - 'scheduler' or 'manual'
+   * @returns {Object|null} Updated post, null when the claim was released or taken over meanwhile
+   */
+  async markFailed(post, platformResult, trigger = 'scheduler') {
+    const now = new Date();
+    const attempts = post.dispatch?.attempts || 1;
+    const { retryable, category, nextAttemptAt } = retryPolicy.evaluate(
+      platformResult,
+      post.platform,
+      attempts,
+      now
+    );
+    const message = platformResult.error || 'Publishing failed';
+    const code = platformResult.code || (platformResult.statusCode ? String(platformResult.statusCode) : 'PUBLISH_FAILED');
+
+    // Only the claim this attempt holds; a stale-claim release or a newer claim wins
+    const claim = { _id: post._id, status: POST_STATUS.PUBLISHING };
+    if (post.dispatch?.locked_by) claim['dispatch.locked_by'] = post.dispatch.locked_by;
+
+    const updated = await Post.findOneAndUpdate(
+      claim,
+      {
+        $set: {
+          status: nextAttemptAt ? POST_STATUS.FAILED : POST_STATUS.DEAD_LETTER,
+          error: { message, code, occurred_at: now },
+          retry: { next_attempt_at: nextAttemptAt, category }
+        },
+        $unset: { 'dispatch.locked_by': 1, 'dispatch.locked_at': 1 },
+        $push: {
+          publish_attempts: {
+            $each: [{
+              attempted_at: now,
+              trigger,
+              success: false,
+              error: message,
+              code,
+              status_code: platformResult.statusCode,
+              category,
+              retryable
+            }],
+            $slice: -ATTEMPT_HISTORY_LIMIT
+          }
+        }
+      },
+      { new: true }
+    );
+
+    logger.warn(nextAttemptAt ? 'Post publish failed, retry scheduled' : 'Post publish failed, moved to dead letter', {
+      postId: post._id,
+      platform: post.platform,
+      trigger,
+      attempts,
+      category,
+      nextAttemptAt,
+      error: message
+    });
+
+    if (updated) {
+      await webhooks.emit(post.author, WEBHOOK_EVENTS.POST_FAILED, {
+        post_id: post._id,
+        platform: post.platform,
+        campaign_id: post.campaign_id || null,
+        trigger,
+        error: { message, code, category },
+        status: updated.status,
+        next_attempt_at: nextAttemptAt
+      });
+    }
+
+    // Only the final failure is worth a notification; retries may still succeed
+    if (trigger === 'scheduler' && updated?.status === POST_STATUS.DEAD_LETTER) {
+      await notifications.notify(post.author, NOTIFICATION_TYPES.POST_FAILED, {
+        title: `Your scheduled ${capitalize(post.platform)} post could not be published`,
+        body: message,
+        link: `/creator/posts/${post._id}`,
+        data: { post_id: post._id, code }
+      });
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new PostDispatcher();
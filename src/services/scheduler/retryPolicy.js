@@ -0,0 +1,127 @@
+// src/services/scheduler/retryPolicy.js
+const { PLATFORMS } = require('../../utils/constants');
+
+// Attempts include the first publish; delays double per attempt up to maxDelayMs
+const DEFAULT_POLICY = { maxAttempts: 4, baseDelayMs: 2 * 60 * 1000, maxDelayMs: 60 * 60 * 1000 };
+
+const PLATFORM_POLICIES = {
+  // Twitter rate limits reset on 15 minute windows
+  [PLATFORMS.TWITTER]: { maxAttempts: 5, baseDelayMs: 60 * 1000, maxDelayMs: 15 * 60 * 1000 },
+  // YouTube quota resets daily, so back off harder
+  [PLATFORMS.YOUTUBE]: { maxAttempts: 4, baseDelayMs: 5 * 60 * 1000, maxDelayMs: 2 * 60 * 60 * 1000 },
+  [PLATFORMS.LINKEDIN]: DEFAULT_POLICY,
+  [PLATFORMS.INSTAGRAM]: DEFAULT_POLICY,
+  [PLATFORMS.FACEBOOK]: DEFAULT_POLICY
+};
+
+// Low-level socket / DNS failures worth retrying
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT',
+  'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EPIPE'
+];
+
+// Failures that will not go away by retrying
+const AUTH_ERROR_CODES = ['ACCOUNT_NOT_CONNECTED', 'AUTH_REFRESH_FAILED', 'TOKEN_EXPIRED'];
+const CONTENT_ERROR_CODES = ['INVALID_CONTENT', 'PLATFORM_NOT_SUPPORTED'];
+const PERMANENT_ERROR_CODES = ['AUTHOR_UNAVAILABLE', 'PUBLISH_INTERRUPTED'];
+
+const ERROR_CATEGORIES = {
+  NETWORK: 'network',
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  AUTH: 'auth',
+  CONTENT_REJECTED: 'content_rejected',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Retry settings for a platform
+ * @param {string} platform - Post platform
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs }
+ */
+function getPolicy(platform) {
+  return PLATFORM_POLICIES[platform] || DEFAULT_POLICY;
+}
+
+/**
+ * Classify a failed platform result
+ * @param {Object} result - Failed result ({ error, code, statusCode })
+ * @param {string} platform - Post platform
+ * @returns {Object} { retryable, category }
+ */
+function classifyError(result = {}, platform) {
+  const { code, statusCode } = result;
+  const message = String(result.error || '');
+
+  if (AUTH_ERROR_CODES.includes(code)) {
+    return { retryable: false, category: ERROR_CATEGORIES.AUTH };
+  }
+  if (CONTENT_ERROR_CODES.includes(code)) {
+    return { retryable: false, category: ERROR_CATEGORIES.CONTENT_REJECTED };
+  }
+  if (PERMANENT_ERROR_CODES.includes(code)) {
+    return { retryable: false, category: ERROR_CATEGORIES.UNKNOWN };
+  }
+  if (NETWORK_ERROR_CODES.includes(code)) {
+    return { retryable: true, category: ERROR_CATEGORIES.NETWORK };
+  }
+
+  if (code === 'RATE_LIMITED' || statusCode === 429) {
+    return { retryable: true, category: ERROR_CATEGORIES.RATE_LIMITED };
+  }
+  // YouTube reports an exhausted daily quota as a 403
+  if (statusCode === 403 && platform === PLATFORMS.YOUTUBE && /quota/i.test(message)) {
+    return { retryable: true, category: ERROR_CATEGORIES.RATE_LIMITED };
+  }
+  if (statusCode === 408 || statusCode >= 500) {
+    return { retryable: true, category: ERROR_CATEGORIES.SERVER_ERROR };
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return { retryable: false, category: ERROR_CATEGORIES.AUTH };
+  }
+  if (statusCode >= 400) {
+    return { retryable: false, category: ERROR_CATEGORIES.CONTENT_REJECTED };
+  }
+
+  // Unknown failures are not retried: the platform may have accepted the post
+  return { retryable: false, category: ERROR_CATEGORIES.UNKNOWN };
+}
+
+/**
+ * Delay before the next attempt, with up to 20% jitter so retries spread out
+ * @param {number} attempts - Attempts made so far
+ * @param {string} platform - Post platform
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, platform) {
+  const { baseDelayMs, maxDelayMs } = getPolicy(platform);
+  const delay = Math.min(baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)), maxDelayMs);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Decide what happens after a failed attempt
+ * @param {Object} result - Failed result ({ error, code, statusCode })
+ * @param {string} platform - Post platform
+ * @param {number} attempts - Attempts made so far, including this one
+ * @param {Date} now - Reference time
+ * @returns {Object} { retryable, category, nextAttemptAt } (nextAttemptAt is null when giving up)
+ */
+function evaluate(result, platform, attempts, now = new Date()) {
+  const { retryable, category } = classifyError(result, platform);
+  const { maxAttempts } = getPolicy(platform);
+
+  const nextAttemptAt = retryable && attempts < maxAttempts
+    ? new Date(now.getTime() + getRetryDelay(attempts, platform))
+    : null;
+
+  return { retryable, category, nextAttemptAt };
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  getPolicy,
+  classifyError,
+  getRetryDelay,
+  evaluate
+};
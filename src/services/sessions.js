@@ -0,0 +1,186 @@
+// src/services/sessions.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const redisClient = require('../config/redis');
+const jwtManager = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+// Last-seen time and IP are written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const USER_AGENT_LIMIT = 500;
+
+/**
+ * Server-side sessions, one per signed-in device.
+ *
+ * Every refresh rotates the refresh token; presenting one that was already
+ * rotated away means it was copied, so the whole session is revoked. Revoked
+ * sessions are listed in Redis until their last access token expires, which
+ * lets `authenticate` reject those tokens without a database read. Without
+ * Redis the session document is checked instead.
+ */
+class SessionService {
+  revokedKey(sessionId) {
+    return `revoked_session:${sessionId}`;
+  }
+
+  describe(req) {
+    return {
+      ip: req.ip,
+      user_agent: (req.get('user-agent') || '').slice(0, USER_AGENT_LIMIT) || undefined
+    };
+  }
+
+  issueTokens(user, sessionId, jti) {
+    const tokens = jwtManager.generateTokenPair(
+      { id: user._id, email: user.email, role: user.role },
+      { sid: sessionId.toString(), jti }
+    );
+    return {
+      tokens,
+      access_expires_at: jwtManager.getTokenExpiration(tokens.accessToken),
+      expires_at: jwtManager.getTokenExpiration(tokens.refreshToken)
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - User
+   * @param {Object} req - Request, for the device's IP and user agent
+   * @returns {Object} { session, tokens }
+   */
+  async start(user, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const jti = crypto.randomUUID();
+    const { tokens, access_expires_at, expires_at } = this.issueTokens(user, sessionId, jti);
+
+    const session = await Session.create({
+      _id: sessionId,
+      user_id: user._id,
+      refresh_jti: jti,
+      access_expires_at,
+      expires_at,
+      ...this.describe(req)
+    });
+
+    logger.info('Session started', { userId: user._id, sessionId });
+    return { session, tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token
+   * @param {Object} decoded - Verified refresh token payload ({ id, sid, jti })
+   * @param {Object} user - Owner of the token
+   * @param {Object} req - Request, for the device's IP and user agent
+   * @returns {Object|null} New tokens, or null when the token may not be used
+   */
+  async refresh(decoded, user, req) {
+    if (!decoded.sid || !decoded.jti) return null;
+
+    const jti = crypto.randomUUID();
+    const { tokens, access_expires_at, expires_at } = this.issueTokens(user, decoded.sid, jti);
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+      { _id: decoded.sid, user_id: user._id, refresh_jti: decoded.jti, revoked_at: null, expires_at: { $gt: now } },
+      { $set: { refresh_jti: jti, access_expires_at, expires_at, last_seen_at: now, ...this.describe(req) } },
+      { new: true }
+    );
+    if (session) return tokens;
+
+    // A genuine refresh token that is no longer the latest one was replayed
+    const reused = await Session.findOne({ _id: decoded.sid, user_id: user._id, revoked_at: null });
+    if (reused) {
+      logger.warn('Refresh token reuse detected, revoking session', { userId: user._id, sessionId: reused._id, ip: req.ip });
+      await this.revoke(reused, 'refresh_reuse');
+    }
+    return null;
+  }
+
+  /**
+   * Revoke a session; its tokens stop working immediately
+   * @returns {boolean} Whether the session was still active
+   */
+  async revoke(session, reason) {
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } },
+      { new: true }
+    );
+    if (!updated) return false;
+
+    await this.listRevoked(updated);
+    logger.info('Session revoked', { userId: updated.user_id, sessionId: updated._id, reason });
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptSessionId - Session to keep signed in
+   * @returns {number} Number of sessions revoked
+   */
+  async revokeAll(userId, reason, exceptSessionId) {
+    const filter = { user_id: userId, revoked_at: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select('_id access_expires_at');
+    if (sessions.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(session => session._id) }, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    await Promise.all(sessions.map(session => this.listRevoked(session)));
+
+    logger.info('Sessions revoked', { userId, count: sessions.length, reason });
+    return sessions.length;
+  }
+
+  // Keep the session on the revocation list while its access tokens are valid
+  async listRevoked(session) {
+    const ttl = Math.ceil(((session.access_expires_at?.getTime() ?? 0) - Date.now()) / 1000);
+    if (ttl <= 0) return;
+    const listed = await redisClient.set(this.revokedKey(session._id), '1', ttl);
+    if (!listed && redisClient.isConnected) {
+      logger.warn('Failed to list revoked session in Redis', { sessionId: session._id });
+    }
+  }
+
+  /**
+   * Whether an access token's session was revoked
+   * @param {string} sessionId - `sid` of the token
+   */
+  async isRevoked(sessionId) {
+    if (redisClient.isConnected) {
+      return Boolean(await redisClient.exists(this.revokedKey(sessionId)));
+    }
+    const session = await Session.findById(sessionId).select('revoked_at');
+    return !session || Boolean(session.revoked_at);
+  }
+
+  /**
+   * Record that a session was used; throttled so busy sessions do not write on every request
+   */
+  async touch(sessionId, ip) {
+    const now = new Date();
+    try {
+      await Session.updateOne(
+        {
+          _id: sessionId,
+          revoked_at: null,
+          $or: [
+            { last_seen_at: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) } },
+            { ip: { $ne: ip } }
+          ]
+        },
+        { $set: { last_seen_at: now, ip } }
+      );
+    } catch (error) {
+      logger.error('Failed to record session use', { sessionId, error: error.message });
+    }
+  }
+}
+
+module.exports = new SessionService();
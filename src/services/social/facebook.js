@@ -1,15 +1,292 @@
 // src/services/social/facebook.js
 const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config/env');
 const logger = require('../../utils/logger');
 
+// Graph API error codes that mean the token is no longer usable
+const INVALID_TOKEN_CODES = [102, 190];
+// Graph API throttling error codes (app, user, page and custom rate limits)
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80001];
+
 class FacebookService {
   constructor() {
     this.baseURL = 'https://graph.facebook.com/v18.0';
+    this.videoURL = 'https://graph-video.facebook.com/v18.0';
+    this.authBase = 'https://www.facebook.com/v18.0/dialog/oauth';
     this.accessToken = process.env.FACEBOOK_ACCESS_TOKEN;
     this.appId = process.env.FACEBOOK_APP_ID;
     this.appSecret = process.env.FACEBOOK_APP_SECRET;
   }
 
+  /**
+   * Build a failed result from a Graph API error.
+   * Publishing methods return results instead of throwing so they plug into
+   * postController.postToPlatform like the other platform services.
+   * @param {Error} error - Axios error
+   * @param {string} fallback - Message when the API gives none
+   * @returns {Object} - { success: false, error, statusCode, code }
+   */
+  formatError(error, fallback) {
+    const graphError = error.response?.data?.error;
+    let code = error.code;
+
+    if (INVALID_TOKEN_CODES.includes(graphError?.code)) {
+      code = 'TOKEN_EXPIRED';
+    } else if (RATE_LIMIT_CODES.includes(graphError?.code)) {
+      code = 'RATE_LIMITED';
+    }
+
+    return {
+      success: false,
+      error: graphError?.message || fallback,
+      statusCode: error.response?.status,
+      code
+    };
+  }
+
+  /**
+   * Generate the Facebook Login URL for Page access
+   * @param {string} redirectUri - OAuth redirect URI
+   * @param {string} state - Signed state token
+   * @returns {string} - Authorization URL
+   */
+  generateAuthURL(redirectUri, state) {
+    const params = new URLSearchParams({
+      client_id: this.appId,
+      redirect_uri: redirectUri,
+      state,
+      scope: config.FACEBOOK_SCOPES,
+      response_type: 'code'
+    });
+    return `${this.authBase}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code for a long-lived user token
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Redirect URI used for the authorization
+   * @returns {Object} - { success, access_token, expires_in }
+   */
+  async exchangeCodeForToken(code, redirectUri) {
+    try {
+      const shortLived = await axios.get(`${this.baseURL}/oauth/access_token`, {
+        params: {
+          client_id: this.appId,
+          client_secret: this.appSecret,
+          redirect_uri: redirectUri,
+          code
+        }
+      });
+
+      // Page tokens derived from a long-lived user token do not expire
+      const longLived = await axios.get(`${this.baseURL}/oauth/access_token`, {
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: this.appId,
+          client_secret: this.appSecret,
+          fb_exchange_token: shortLived.data.access_token
+        }
+      });
+
+      return {
+        success: true,
+        access_token: longLived.data.access_token,
+        expires_in: longLived.data.expires_in
+      };
+    } catch (error) {
+      logger.error('Facebook token exchange error:', { error: error.response?.data || error.message });
+      return this.formatError(error, 'Token exchange failed');
+    }
+  }
+
+  /**
+   * Get the profile of the token owner
+   * @param {string} accessToken - User access token
+   * @returns {Object} - { success, user }
+   */
+  async getUserProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseURL}/me`, {
+        params: { access_token: accessToken, fields: 'id,name' }
+      });
+
+      return { success: true, user: response.data };
+    } catch (error) {
+      logger.error('Facebook profile error:', { error: error.response?.data || error.message });
+      return this.formatError(error, 'Failed to get user profile');
+    }
+  }
+
+  /**
+   * Get the Pages the user manages, with their Page access tokens
+   * @param {string} accessToken - User access token
+   * @returns {Object} - { success, pages }
+   */
+  async getManagedPages(accessToken) {
+    try {
+      const pages = [];
+      let url = `${this.baseURL}/me/accounts`;
+      let params = { access_token: accessToken, fields: 'id,name,category,access_token,tasks,picture', limit: 100 };
+
+      while (url) {
+        const response = await axios.get(url, { params });
+        pages.push(...(response.data.data || []));
+        // paging.next already carries the query string
+        url = response.data.paging?.next;
+        params = undefined;
+      }
+
+      return {
+        success: true,
+        pages: pages.map(page => ({
+          id: page.id,
+          name: page.name,
+          category: page.category,
+          accessToken: page.access_token,
+          tasks: page.tasks || [],
+          picture: page.picture?.data?.url
+        }))
+      };
+    } catch (error) {
+      logger.error('Facebook managed pages error:', { error: error.response?.data || error.message });
+      return this.formatError(error, 'Failed to get Facebook Pages');
+    }
+  }
+
+  /**
+   * Publish a text or link post to a Page feed
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} content - { message, link, attachedMedia }
+   * @returns {Object} - { success, post_id, url }
+   */
+  async publishFeedPost(pageId, pageAccessToken, { message, link, attachedMedia } = {}) {
+    try {
+      const body = { access_token: pageAccessToken };
+      if (message) body.message = message;
+      if (link) body.link = link;
+      if (attachedMedia?.length) {
+        body.attached_media = attachedMedia.map(mediaId => ({ media_fbid: mediaId }));
+      }
+
+      const response = await axios.post(`${this.baseURL}/${pageId}/feed`, body);
+
+      return {
+        success: true,
+        post_id: response.data.id,
+        url: `https://www.facebook.com/${response.data.id}`
+      };
+    } catch (error) {
+      logger.error('Facebook feed post error:', { pageId, error: error.response?.data || error.message });
+      return this.formatError(error, 'Failed to publish Facebook post');
+    }
+  }
+
+  /**
+   * Upload a photo to a Page
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} photo - { buffer, mimeType, caption, published }
+   * @returns {Object} - { success, photo_id, post_id, url }
+   */
+  async publishPhoto(pageId, pageAccessToken, { buffer, mimeType, caption, published = true }) {
+    try {
+      const formData = new FormData();
+      formData.append('access_token', pageAccessToken);
+      formData.append('published', String(published));
+      if (caption) formData.append('caption', caption);
+      formData.append('source', buffer, {
+        filename: `photo.${(mimeType || 'image/jpeg').split('/')[1]}`,
+        contentType: mimeType
+      });
+
+      const response = await axios.post(`${this.baseURL}/${pageId}/photos`, formData, {
+        headers: formData.getHeaders(),
+        maxBodyLength: Infinity
+      });
+
+      return {
+        success: true,
+        photo_id: response.data.id,
+        // Unpublished photos have no post of their own
+        post_id: response.data.post_id || response.data.id,
+        url: `https://www.facebook.com/${response.data.post_id || response.data.id}`
+      };
+    } catch (error) {
+      logger.error('Facebook photo upload error:', { pageId, error: error.response?.data || error.message });
+      return this.formatError(error, 'Failed to upload photo to Facebook');
+    }
+  }
+
+  /**
+   * Upload a video to a Page
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} video - { buffer, mimeType, description, title }
+   * @returns {Object} - { success, post_id, url }
+   */
+  async publishVideo(pageId, pageAccessToken, { buffer, mimeType, description, title }) {
+    try {
+      const formData = new FormData();
+      formData.append('access_token', pageAccessToken);
+      if (description) formData.append('description', description);
+      if (title) formData.append('title', title);
+      formData.append('source', buffer, {
+        filename: `video.${(mimeType || 'video/mp4').split('/')[1]}`,
+        contentType: mimeType
+      });
+
+      const response = await axios.post(`${this.videoURL}/${pageId}/videos`, formData, {
+        headers: formData.getHeaders(),
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      return {
+        success: true,
+        post_id: response.data.id,
+        url: `https://www.facebook.com/${pageId}/videos/${response.data.id}`
+      };
+    } catch (error) {
+      logger.error('Facebook video upload error:', { pageId, error: error.response?.data || error.message });
+      return this.formatError(error, 'Failed to upload video to Facebook');
+    }
+  }
+
+  /**
+   * Get engagement counts for a published Page post or video
+   * @param {string} objectId - Post ID, or video ID for video uploads
+   * @param {string} pageAccessToken - Page access token
+   * @param {Object} options - { isVideo }
+   * @returns {Object} - { success, metrics: { likes, comments, shares } }
+   */
+  async getPostMetrics(objectId, pageAccessToken, { isVideo = false } = {}) {
+    try {
+      // Videos expose likes rather than reactions, and no share count
+      const fields = isVideo
+        ? 'likes.summary(true).limit(0),comments.summary(true).limit(0)'
+        : 'reactions.summary(true).limit(0),comments.summary(true).limit(0),shares';
+
+      const response = await axios.get(`${this.baseURL}/${objectId}`, {
+        params: { access_token: pageAccessToken, fields }
+      });
+      const data = response.data;
+
+      return {
+        success: true,
+        metrics: {
+          likes: (data.reactions || data.likes)?.summary?.total_count || 0,
+          comments: data.comments?.summary?.total_count || 0,
+          ...(!isVideo && { shares: data.shares?.count || 0 })
+        }
+      };
+    } catch (error) {
+      logger.error('Facebook post metrics error:', { objectId, error: error.response?.data || error.message });
+      return this.formatError(error, 'Failed to get Facebook post metrics');
+    }
+  }
+
   /**
    * Get Facebook page information
    * @param {string} pageId - Facebook page ID or username
@@ -1,9 +1,305 @@
 // src/services/social/instagram.js
-// Placeholder for Instagram Graph API integration
-module.exports = {
-  post: async (accessToken, payload) => {
-    return { success: true, platform: 'instagram', payload };
+const axios = require('axios');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const facebookService = require('./facebook');
+
+// Container processing is polled until FINISHED before publishing
+const CONTAINER_POLL_INTERVAL_MS = 5000;
+const CONTAINER_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_CAROUSEL_ITEMS = 10;
+
+const PROFILE_FIELDS = 'id,username,name,biography,website,followers_count,follows_count,media_count,profile_picture_url';
+const MEDIA_FIELDS = 'id,caption,media_type,media_url,permalink,thumbnail_url,timestamp,like_count,comments_count';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Instagram Graph API integration for Instagram professional accounts.
+ * Accounts are reached through the Facebook Page they are linked to, so
+ * publishing uses that Page's access token (see facebookController).
+ */
+class InstagramService {
+  constructor() {
+    this.baseURL = 'https://graph.facebook.com/v18.0';
+    this.businessAccountId = config.INSTAGRAM_BUSINESS_ACCOUNT_ID;
+    this.accessToken = config.INSTAGRAM_ACCESS_TOKEN || process.env.FACEBOOK_ACCESS_TOKEN;
+  }
+
+  /**
+   * Get the Instagram professional account linked to a Facebook Page
+   * @param {string} pageId - Facebook Page ID
+   * @param {string} pageAccessToken - Page access token
+   * @returns {Object} - { success, account } (account is null when none is linked)
+   */
+  async getLinkedAccount(pageId, pageAccessToken) {
+    try {
+      const response = await axios.get(`${this.baseURL}/${pageId}`, {
+        params: {
+          access_token: pageAccessToken,
+          fields: 'instagram_business_account{id,username,name,profile_picture_url}'
+        }
+      });
+
+      return { success: true, account: response.data.instagram_business_account || null };
+    } catch (error) {
+      logger.error('Instagram linked account error:', { pageId, error: error.response?.data || error.message });
+      return facebookService.formatError(error, 'Failed to get linked Instagram account');
+    }
+  }
+
+  /**
+   * Create a media container
+   * @param {string} igUserId - Instagram account ID
+   * @param {string} accessToken - Page access token
+   * @param {Object} params - Container parameters (image_url, video_url, media_type, caption, ...)
+   * @returns {Object} - { success, container_id }
+   */
+  async createContainer(igUserId, accessToken, params) {
+    try {
+      const response = await axios.post(`${this.baseURL}/${igUserId}/media`, {
+        ...params,
+        access_token: accessToken
+      });
+
+      return { success: true, container_id: response.data.id };
+    } catch (error) {
+      logger.error('Instagram container error:', { igUserId, error: error.response?.data || error.message });
+      return facebookService.formatError(error, 'Failed to create Instagram media container');
+    }
+  }
+
+  /**
+   * Wait until a container has finished processing
+   * @param {string} containerId - Media container ID
+   * @param {string} accessToken - Page access token
+   * @returns {Object} - { success } or a failed result
+   */
+  async waitForContainer(containerId, accessToken) {
+    const deadline = Date.now() + CONTAINER_POLL_TIMEOUT_MS;
+
+    try {
+      while (Date.now() < deadline) {
+        const response = await axios.get(`${this.baseURL}/${containerId}`, {
+          params: { access_token: accessToken, fields: 'status_code,status' }
+        });
+        const { status_code: statusCode, status } = response.data;
+
+        if (statusCode === 'FINISHED' || statusCode === 'PUBLISHED') {
+          return { success: true };
+        }
+        if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+          return {
+            success: false,
+            error: `Instagram could not process the media: ${status || statusCode}`,
+            code: 'INVALID_CONTENT'
+          };
+        }
+
+        await sleep(CONTAINER_POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      logger.error('Instagram container status error:', { containerId, error: error.response?.data || error.message });
+      return facebookService.formatError(error, 'Failed to check Instagram media status');
+    }
+
+    // Processing may still finish; a retry creates a fresh container
+    return { success: false, error: 'Timed out waiting for Instagram to process the media', statusCode: 504 };
   }
-};
 
+  /**
+   * Publish a processed container and look up its permalink
+   * @param {string} igUserId - Instagram account ID
+   * @param {string} accessToken - Page access token
+   * @param {string} containerId - Media container ID
+   * @returns {Object} - { success, media_id, url }
+   */
+  async publishContainer(igUserId, accessToken, containerId) {
+    try {
+      const response = await axios.post(`${this.baseURL}/${igUserId}/media_publish`, {
+        creation_id: containerId,
+        access_token: accessToken
+      });
+      const mediaId = response.data.id;
+
+      // The post is live at this point; a missing permalink is not a failure
+      let permalink = null;
+      try {
+        const media = await axios.get(`${this.baseURL}/${mediaId}`, {
+          params: { access_token: accessToken, fields: 'permalink' }
+        });
+        permalink = media.data.permalink || null;
+      } catch (error) {
+        logger.warn('Instagram permalink lookup failed', { mediaId, error: error.message });
+      }
+
+      return { success: true, media_id: mediaId, post_id: mediaId, url: permalink };
+    } catch (error) {
+      logger.error('Instagram publish error:', { igUserId, containerId, error: error.response?.data || error.message });
+      return facebookService.formatError(error, 'Failed to publish Instagram media');
+    }
+  }
+
+  /**
+   * Publish a single image, a carousel, or a Reel (single videos are always Reels)
+   * @param {string} igUserId - Instagram account ID
+   * @param {string} accessToken - Page access token
+   * @param {Object} payload - { caption, altText, locationId, media: [{ type, url }] }
+   * @returns {Object} - { success, media_id, url }
+   */
+  async post(igUserId, accessToken, payload) {
+    const { caption, altText, locationId, media = [] } = payload;
+
+    if (media.length === 0) {
+      return { success: false, error: 'Instagram posts require at least one image or video', code: 'INVALID_CONTENT' };
+    }
+    if (media.length > MAX_CAROUSEL_ITEMS) {
+      return { success: false, error: `Instagram carousels support up to ${MAX_CAROUSEL_ITEMS} items`, code: 'INVALID_CONTENT' };
+    }
+
+    const shared = {
+      ...(caption && { caption }),
+      ...(locationId && { location_id: locationId })
+    };
+
+    let container;
+    if (media.length > 1) {
+      // Carousel: one child container per item, then the parent container
+      const children = [];
+      for (const item of media) {
+        const child = await this.createContainer(igUserId, accessToken, item.type === 'video'
+          ? { media_type: 'VIDEO', video_url: item.url, is_carousel_item: true }
+          : { image_url: item.url, is_carousel_item: true, ...(altText && { alt_text: altText }) });
+        if (!child.success) return child;
+
+        const ready = await this.waitForContainer(child.container_id, accessToken);
+        if (!ready.success) return ready;
+        children.push(child.container_id);
+      }
+
+      container = await this.createContainer(igUserId, accessToken, {
+        media_type: 'CAROUSEL',
+        children: children.join(','),
+        ...shared
+      });
+    } else if (media[0].type === 'video') {
+      container = await this.createContainer(igUserId, accessToken, {
+        media_type: 'REELS',
+        video_url: media[0].url,
+        share_to_feed: true,
+        ...shared
+      });
+    } else {
+      container = await this.createContainer(igUserId, accessToken, {
+        image_url: media[0].url,
+        ...(altText && { alt_text: altText }),
+        ...shared
+      });
+    }
+
+    if (!container.success) return container;
+
+    const ready = await this.waitForContainer(container.container_id, accessToken);
+    if (!ready.success) return ready;
+
+    return this.publishContainer(igUserId, accessToken, container.container_id);
+  }
+
+  /**
+   * Get like and comment counts of a published media object
+   * @param {string} mediaId - Instagram media ID
+   * @param {string} accessToken - Page access token
+   * @returns {Object} - { success, metrics: { likes, comments } }
+   */
+  async getMediaMetrics(mediaId, accessToken) {
+    try {
+      const response = await axios.get(`${this.baseURL}/${mediaId}`, {
+        params: { access_token: accessToken, fields: 'like_count,comments_count' }
+      });
+
+      return {
+        success: true,
+        metrics: {
+          likes: response.data.like_count || 0,
+          comments: response.data.comments_count || 0
+        }
+      };
+    } catch (error) {
+      logger.error('Instagram media metrics error:', { mediaId, error: error.response?.data || error.message });
+      return facebookService.formatError(error, 'Failed to get Instagram media metrics');
+    }
+  }
+
+  /**
+   * Get a public profile through business discovery
+   * @param {string} username - Instagram username
+   * @returns {Object} - Profile data
+   */
+  async getUserProfile(username) {
+    try {
+      const discovery = await this.businessDiscovery(username, PROFILE_FIELDS);
+
+      // Field names expected by competitorDataCollector
+      return {
+        ...discovery,
+        full_name: discovery.name,
+        external_url: discovery.website
+      };
+    } catch (error) {
+      logger.error('Instagram profile error:', { username, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get recent public media through business discovery
+   * @param {string} username - Instagram username
+   * @param {Object} options - { limit }
+   * @returns {Array} - Array of media
+   */
+  async getUserMedia(username, options = {}) {
+    try {
+      const { limit = 25 } = options;
+      const discovery = await this.businessDiscovery(username, `media.limit(${parseInt(limit, 10) || 25}){${MEDIA_FIELDS}}`);
+
+      return (discovery.media?.data || []).map(media => ({
+        ...media,
+        created_time: media.timestamp,
+        comment_count: media.comments_count
+      }));
+    } catch (error) {
+      logger.error('Instagram media error:', { username, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Query business discovery for another professional account
+   * @param {string} username - Instagram username
+   * @param {string} fields - Fields to request
+   * @returns {Object} - business_discovery payload
+   */
+  async businessDiscovery(username, fields) {
+    if (!this.businessAccountId || !this.accessToken) {
+      throw new Error('Instagram business discovery is not configured');
+    }
+    if (!/^[\w.]+$/.test(username || '')) {
+      throw new Error('Invalid Instagram username');
+    }
+
+    const response = await axios.get(`${this.baseURL}/${this.businessAccountId}`, {
+      params: {
+        access_token: this.accessToken,
+        fields: `business_discovery.username(${username}){${fields}}`
+      }
+    });
+
+    if (!response.data.business_discovery) {
+      throw new Error(`Instagram account ${username} not found or not a professional account`);
+    }
+
+    return response.data.business_discovery;
+  }
+}
 
+module.exports = new InstagramService();
@@ -63,6 +63,36 @@ class LinkedInService {
     }
   }
 
+  // Refresh access token (only apps approved for programmatic refresh get refresh tokens)
+  async refreshToken(refreshToken) {
+    try {
+      const params = new URLSearchParams();
+      params.append('grant_type', 'refresh_token');
+      params.append('refresh_token', refreshToken);
+      params.append('client_id', this.clientId);
+      params.append('client_secret', this.clientSecret);
+
+      const response = await axios.post(`${this.authBase}/accessToken`, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      return {
+        success: true,
+        access_token: response.data.access_token,
+        refresh_token: response.data.refresh_token || refreshToken,
+        expires_in: response.data.expires_in
+      };
+    } catch (error) {
+      const detail = error.response?.data || error.message;
+      console.error('❌ LinkedIn token refresh error:', detail);
+      return {
+        success: false,
+        error: detail?.error_description || detail?.error || 'Token refresh failed',
+        statusCode: error.response?.status
+      };
+    }
+  }
+
   async getUserProfile(accessToken) {
     try {
       console.log('🔍 Fetching LinkedIn profile...');
@@ -119,9 +149,173 @@ class LinkedInService {
     }
   }
 
-  // Placeholder for posting content to LinkedIn in future
+  getPersonUrn(memberId) {
+    return `urn:li:person:${memberId}`;
+  }
+
+  getPostURL(postUrn) {
+    return `https://www.linkedin.com/feed/update/${postUrn}`;
+  }
+
+  // Register an image asset and upload its bytes, returning the asset URN
+  async uploadImage(accessToken, ownerUrn, buffer, mimeType) {
+    try {
+      const register = await axios.post(
+        `${this.apiBase}/assets?action=registerUpload`,
+        {
+          registerUploadRequest: {
+            recipes: ['urn:li:digitalmediaRecipe:feedshare-image'],
+            owner: ownerUrn,
+            serviceRelationships: [{
+              relationshipType: 'OWNER',
+              identifier: 'urn:li:userGeneratedContent'
+            }]
+          }
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'X-Restli-Protocol-Version': '2.0.0'
+          }
+        }
+      );
+
+      const uploadUrl = register.data.value.uploadMechanism[
+        'com.linkedin.digitalmedia.uploadMechanism.MediaUploadHttpRequest'
+      ].uploadUrl;
+      const asset = register.data.value.asset;
+
+      await axios.put(uploadUrl, buffer, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': mimeType || 'application/octet-stream'
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      return { success: true, asset };
+    } catch (error) {
+      const detail = error.response?.data || error.message;
+      console.error('❌ LinkedIn image upload error:', detail);
+      return {
+        success: false,
+        error: detail?.message || 'Failed to upload image to LinkedIn',
+        statusCode: error.response?.status,
+        code: error.code
+      };
+    }
+  }
+
+  /**
+   * Publish a share through the UGC Posts API
+   * payload: {
+   *   memberId, text, visibility: 'public' | 'connections',
+   *   images: [{ buffer, mimeType, title }],
+   *   article: { url, title, description }
+   * }
+   */
   async post(accessToken, payload) {
-    return { success: true, platform: 'linkedin', payload };
+    try {
+      const authorUrn = this.getPersonUrn(payload.memberId);
+      const shareContent = {
+        shareCommentary: { text: payload.text || '' },
+        shareMediaCategory: 'NONE'
+      };
+
+      if (payload.images?.length > 0) {
+        const media = [];
+        for (const image of payload.images) {
+          const upload = await this.uploadImage(accessToken, authorUrn, image.buffer, image.mimeType);
+          if (!upload.success) return upload;
+
+          media.push({
+            status: 'READY',
+            media: upload.asset,
+            ...(image.title && { title: { text: image.title } })
+          });
+        }
+        shareContent.shareMediaCategory = 'IMAGE';
+        shareContent.media = media;
+      } else if (payload.article?.url) {
+        shareContent.shareMediaCategory = 'ARTICLE';
+        shareContent.media = [{
+          status: 'READY',
+          originalUrl: payload.article.url,
+          ...(payload.article.title && { title: { text: payload.article.title } }),
+          ...(payload.article.description && { description: { text: payload.article.description } })
+        }];
+      }
+
+      const response = await axios.post(
+        `${this.apiBase}/ugcPosts`,
+        {
+          author: authorUrn,
+          lifecycleState: 'PUBLISHED',
+          specificContent: {
+            'com.linkedin.ugc.ShareContent': shareContent
+          },
+          visibility: {
+            'com.linkedin.ugc.MemberNetworkVisibility': payload.visibility === 'connections' ? 'CONNECTIONS' : 'PUBLIC'
+          }
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'X-Restli-Protocol-Version': '2.0.0'
+          }
+        }
+      );
+
+      // The created post URN comes back in the x-restli-id header
+      const postUrn = response.headers['x-restli-id'] || response.data?.id;
+
+      return {
+        success: true,
+        post_id: postUrn,
+        url: this.getPostURL(postUrn),
+        media_category: shareContent.shareMediaCategory
+      };
+    } catch (error) {
+      const detail = error.response?.data || error.message;
+      console.error('❌ LinkedIn post error:', detail);
+      return {
+        success: false,
+        error: detail?.message || 'Failed to publish LinkedIn post',
+        statusCode: error.response?.status,
+        code: error.code
+      };
+    }
+  }
+
+  // Get like and comment counts of a post (member posts expose no share or view counts)
+  async getPostMetrics(accessToken, postUrn) {
+    try {
+      const response = await axios.get(`${this.apiBase}/socialActions/${encodeURIComponent(postUrn)}`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'X-Restli-Protocol-Version': '2.0.0'
+        }
+      });
+
+      const { likesSummary, commentsSummary } = response.data || {};
+      return {
+        success: true,
+        metrics: {
+          likes: likesSummary?.totalLikes || 0,
+          comments: commentsSummary?.aggregatedTotalComments ?? commentsSummary?.totalFirstLevelComments ?? 0
+        }
+      };
+    } catch (error) {
+      const detail = error.response?.data || error.message;
+      console.error('❌ LinkedIn post metrics error:', detail);
+      return {
+        success: false,
+        error: detail?.message || 'Failed to get LinkedIn post metrics',
+        statusCode: error.response?.status,
+        code: error.code
+      };
+    }
   }
 }
 
@@ -0,0 +1,303 @@
+// src/services/social/tokenManager.js
+const User = require('../../models/User');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const { SOCIAL_ACCOUNT_STATUS } = require('../../utils/constants');
+const emailService = require('../notifier/email');
+const twitterService = require('./twitter');
+const youtubeService = require('./youtube');
+const linkedinService = require('./linkedin');
+
+// Platforms whose access tokens expire and can be renewed with a refresh
+// token. Facebook and Instagram publish with Page tokens, which stay valid
+// until the user revokes access.
+const REFRESHERS = {
+  twitter: (refreshToken) => twitterService.refreshToken(refreshToken),
+  youtube: (refreshToken) => youtubeService.refreshToken(refreshToken),
+  linkedin: (refreshToken) => linkedinService.refreshToken(refreshToken)
+};
+
+const PLATFORM_NAMES = {
+  twitter: 'Twitter',
+  youtube: 'YouTube',
+  linkedin: 'LinkedIn',
+  facebook: 'Facebook',
+  instagram: 'Instagram'
+};
+
+// Treat tokens this close to expiry as expired so requests do not race it
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+/**
+ * Keeps social access tokens usable.
+ *
+ * Tokens are refreshed by a background job shortly before they expire and,
+ * as a fallback, on demand when a publish finds them expired or rejected.
+ * When a refresh token is rejected the account is flagged `needs_reauth`
+ * and its owner is emailed once; reconnecting the account clears the flag.
+ */
+class TokenManager {
+  constructor() {
+    this.refreshWindowMs = config.TOKEN_REFRESH_WINDOW_MS;
+    // userId:platform -> pending refresh, so concurrent publishes share one
+    this.inFlight = new Map();
+    this.isRunning = false;
+  }
+
+  /**
+   * Access token for a connected account, refreshed first when it is expiring
+   * @param {Object} user - User with socialAccounts loaded
+   * @param {string} platform - Social platform
+   * @param {Object} options - { forceRefresh }
+   * @returns {Object} { success, accessToken } or a failed result
+   */
+  async getAccessToken(user, platform, { forceRefresh = false } = {}) {
+    const account = user.socialAccounts?.[platform];
+    const name = PLATFORM_NAMES[platform] || platform;
+
+    if (!account?.accessToken) {
+      return { success: false, error: `${name} account not connected`, code: 'ACCOUNT_NOT_CONNECTED' };
+    }
+    if (account.status === SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH) {
+      return { success: false, error: `${name} account needs to be reconnected`, code: 'AUTH_REFRESH_FAILED' };
+    }
+
+    const expiresAt = account.expiresAt ? new Date(account.expiresAt).getTime() : null;
+    const isExpiring = expiresAt !== null && expiresAt - EXPIRY_SKEW_MS <= Date.now();
+
+    if (!forceRefresh && !isExpiring) {
+      return { success: true, accessToken: account.accessToken };
+    }
+
+    if (!REFRESHERS[platform] || !account.refreshToken) {
+      await this.markNeedsReauth(user, platform, 'Access token expired and cannot be refreshed');
+      return { success: false, error: `${name} token expired, please reconnect your account`, code: 'TOKEN_EXPIRED' };
+    }
+
+    const result = await this.refresh(user._id, platform);
+    if (!result.success) return result;
+
+    return { success: true, accessToken: result.accessToken };
+  }
+
+  /**
+   * Run a publish call with a valid token. A 401 response is retried once
+   * with a freshly refreshed token, since tokens can be revoked early.
+   * @param {Object} user - User with socialAccounts loaded
+   * @param {string} platform - Social platform
+   * @param {Function} publish - async (accessToken) => platform result
+   * @returns {Object} Platform result
+   */
+  async withFreshToken(user, platform, publish) {
+    const token = await this.getAccessToken(user, platform);
+    if (!token.success) return token;
+
+    const result = await publish(token.accessToken);
+    if (result?.success || result?.statusCode !== 401) return result;
+
+    logger.info('Access token rejected, refreshing and retrying', { userId: user._id, platform });
+    const retryToken = await this.getAccessToken(user, platform, { forceRefresh: true });
+    if (!retryToken.success) return retryToken;
+
+    const retried = await publish(retryToken.accessToken);
+    if (!retried?.success && retried?.statusCode === 401) {
+      await this.markNeedsReauth(user, platform, 'Access token rejected after refresh');
+      return { ...retried, code: 'TOKEN_EXPIRED' };
+    }
+    return retried;
+  }
+
+  /**
+   * Refresh one account's token, sharing a refresh already in progress
+   * @param {string} userId - User ID
+   * @param {string} platform - Social platform
+   * @returns {Object} { success, accessToken } or a failed result
+   */
+  async refresh(userId, platform) {
+    const key = `${userId}:${platform}`;
+    if (!this.inFlight.has(key)) {
+      const pending = this.performRefresh(userId, platform).finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, pending);
+    }
+    return this.inFlight.get(key);
+  }
+
+  async performRefresh(userId, platform) {
+    const name = PLATFORM_NAMES[platform] || platform;
+
+    // Read the latest refresh token; some platforms rotate it on every use
+    const user = await User.findById(userId).select(`email socialAccounts.${platform}`);
+    const account = user?.socialAccounts?.[platform];
+    if (!account?.refreshToken) {
+      return { success: false, error: `${name} account not connected`, code: 'ACCOUNT_NOT_CONNECTED' };
+    }
+
+    const result = await REFRESHERS[platform](account.refreshToken);
+
+    if (!result.success) {
+      // Another instance may have rotated the refresh token in the meantime
+      const latest = await User.findById(userId).select(`socialAccounts.${platform}`);
+      const latestAccount = latest?.socialAccounts?.[platform];
+      if (latestAccount?.refreshToken && latestAccount.refreshToken !== account.refreshToken) {
+        return { success: true, accessToken: latestAccount.accessToken };
+      }
+
+      // A rejected refresh token means the user has to reconnect
+      if (result.statusCode >= 400 && result.statusCode < 500) {
+        await this.markNeedsReauth(user, platform, result.error);
+        return {
+          success: false,
+          error: `Failed to refresh ${name} token: ${result.error}`,
+          code: 'AUTH_REFRESH_FAILED',
+          statusCode: result.statusCode
+        };
+      }
+
+      logger.warn('Token refresh failed, will retry', { userId, platform, error: result.error });
+      return {
+        success: false,
+        error: `Failed to refresh ${name} token: ${result.error}`,
+        code: result.code,
+        statusCode: result.statusCode
+      };
+    }
+
+    // Tokens are encrypted with a random IV and cannot be matched in a filter;
+    // expiresAt changes on every refresh or reconnect, so it guards the write
+    const prefix = `socialAccounts.${platform}`;
+    const update = await User.updateOne(
+      { _id: userId, [`${prefix}.expiresAt`]: account.expiresAt },
+      {
+        $set: {
+          [`${prefix}.accessToken`]: result.access_token,
+          [`${prefix}.refreshToken`]: result.refresh_token || account.refreshToken,
+          [`${prefix}.lastRefreshedAt`]: new Date(),
+          ...(result.expires_in && {
+            [`${prefix}.expiresAt`]: new Date(Date.now() + result.expires_in * 1000)
+          })
+        }
+      }
+    );
+
+    if (update.matchedCount === 0) {
+      // The account was reconnected or disconnected while we refreshed; the
+      // stored token is the one to use now, if there still is one
+      logger.info('Account changed during token refresh, not saving', { userId, platform });
+      const latest = await User.findById(userId).select(`socialAccounts.${platform}`);
+      const latestAccount = latest?.socialAccounts?.[platform];
+
+      if (!latestAccount?.accessToken) {
+        return { success: false, error: `${name} account not connected`, code: 'ACCOUNT_NOT_CONNECTED' };
+      }
+      if (latestAccount.status === SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH) {
+        return { success: false, error: `${name} account needs to be reconnected`, code: 'AUTH_REFRESH_FAILED' };
+      }
+      return { success: true, accessToken: latestAccount.accessToken };
+    }
+
+    logger.info('Social token refreshed', { userId, platform });
+    return { success: true, accessToken: result.access_token };
+  }
+
+  /**
+   * Flag an account as needing reconnection and email its owner. Only the
+   * first call for a connection does anything, so owners are emailed once.
+   * @param {Object|string} user - User or user ID
+   * @param {string} platform - Social platform
+   * @param {string} reason - Why the account can no longer be used
+   * @returns {boolean} Whether the account was newly flagged
+   */
+  async markNeedsReauth(user, platform, reason) {
+    const userId = user._id || user;
+    const prefix = `socialAccounts.${platform}`;
+
+    const flagged = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        [`${prefix}.accessToken`]: { $exists: true },
+        [`${prefix}.status`]: { $ne: SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH }
+      },
+      {
+        $set: {
+          [`${prefix}.status`]: SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH,
+          [`${prefix}.statusReason`]: reason
+        }
+      },
+      { new: true, projection: { email: 1 } }
+    );
+
+    if (!flagged) return false;
+
+    logger.warn('Social account needs reconnection', { userId, platform, reason });
+    await this.notifyOwner(flagged, platform);
+    return true;
+  }
+
+  async notifyOwner(user, platform) {
+    if (!user.email) return;
+
+    try {
+      await emailService.sendReconnectAccountEmail(user.email, {
+        platform: PLATFORM_NAMES[platform] || platform,
+        reconnectUrl: `${config.FRONTEND_URL}/creator/settings`
+      });
+    } catch (error) {
+      logger.error('Failed to send reconnect email', { userId: user._id, platform, error: error.message });
+    }
+  }
+
+  /**
+   * Refresh tokens expiring within the refresh window and flag expired
+   * accounts that cannot be refreshed
+   * @returns {Object|undefined} { refreshed, failed, needsReauth } counts
+   */
+  async runOnce() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const summary = { refreshed: 0, failed: 0, needsReauth: 0 };
+    try {
+      const now = new Date();
+      const threshold = new Date(now.getTime() + this.refreshWindowMs);
+
+      for (const platform of Object.keys(REFRESHERS)) {
+        const prefix = `socialAccounts.${platform}`;
+        const cursor = User.find({
+          [`${prefix}.accessToken`]: { $exists: true },
+          [`${prefix}.status`]: { $ne: SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH },
+          $or: [
+            { [`${prefix}.refreshToken`]: { $nin: [null, ''] }, [`${prefix}.expiresAt`]: { $lte: threshold } },
+            { [`${prefix}.expiresAt`]: { $lte: now } }
+          ]
+        }).select(`email ${prefix}`).cursor();
+
+        for await (const user of cursor) {
+          try {
+            const result = await this.getAccessToken(user, platform, { forceRefresh: true });
+            if (result.success) {
+              summary.refreshed++;
+            } else if (['AUTH_REFRESH_FAILED', 'TOKEN_EXPIRED'].includes(result.code)) {
+              summary.needsReauth++;
+            } else {
+              summary.failed++;
+            }
+          } catch (error) {
+            summary.failed++;
+            logger.error('Token refresh error', { userId: user._id, platform, error: error.message });
+          }
+        }
+      }
+
+      if (summary.refreshed || summary.failed || summary.needsReauth) {
+        logger.info('Social token refresh run finished', summary);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('Social token refresh run failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new TokenManager();
@@ -147,6 +147,7 @@ class TwitterService {
         success: false,
         error: error.response?.data?.detail || 'Failed to post tweet',
         statusCode: error.response?.status,
+        code: error.code, // Set for network failures (ECONNRESET, ETIMEDOUT, ...)
       };
     }
   }
@@ -223,6 +224,7 @@ class TwitterService {
         success: false,
         error: error.response?.data?.detail || 'Failed to post thread',
         statusCode: error.response?.status,
+        code: error.code,
       };
     }
   }
@@ -280,6 +282,7 @@ class TwitterService {
         success: false,
         error: error.response?.data?.detail || 'Failed to post poll',
         statusCode: error.response?.status,
+        code: error.code,
       };
     }
   }
@@ -477,6 +480,46 @@ class TwitterService {
       };
     }
   }
+
+  // Get public engagement metrics of a tweet
+  async getTweetMetrics(accessToken, tweetId) {
+    try {
+      const response = await axios.get(`${this.baseURL}/tweets/${tweetId}`, {
+        params: { 'tweet.fields': 'public_metrics' },
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      // Deleted or hidden tweets come back as 200 with an errors array
+      const metrics = response.data.data?.public_metrics;
+      if (!metrics) {
+        return {
+          success: false,
+          error: response.data.errors?.[0]?.detail || 'Tweet not found',
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        metrics: {
+          likes: metrics.like_count || 0,
+          comments: metrics.reply_count || 0,
+          shares: (metrics.retweet_count || 0) + (metrics.quote_count || 0),
+          views: metrics.impression_count || 0
+        }
+      };
+    } catch (error) {
+      console.error('Twitter tweet metrics error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.detail || 'Failed to get tweet metrics',
+        statusCode: error.response?.status,
+        code: error.code,
+      };
+    }
+  }
   async validateToken(accessToken) {
     try {
       const profile = await this.getProfile(accessToken);
@@ -296,6 +296,7 @@ class YouTubeService {
                error.message || 
                'Failed to upload video to YouTube',
         statusCode: error.response?.status,
+        code: error.code,
         raw: error.response?.data
       };
     }
@@ -385,7 +386,8 @@ class YouTubeService {
       } else {
         return {
           success: false,
-          error: 'Video not found'
+          error: 'Video not found',
+          statusCode: 404
         };
       }
     } catch (error) {
@@ -395,6 +397,7 @@ class YouTubeService {
         success: false,
         error: error.response?.data?.error?.message || 'Failed to get video analytics',
         statusCode,
+        code: error.code,
       };
     }
   }
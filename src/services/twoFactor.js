@@ -0,0 +1,221 @@
+// src/services/twoFactor.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const redisClient = require('../config/redis');
+const jwtManager = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+const ISSUER = 'Bloocube';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes allowed per user before two-factor checks are locked for a while
+const MAX_FAILURES = 5;
+const LOCK_SECONDS = 15 * 60;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Setting listing the roles that must use two-factor authentication
+const REQUIRED_ROLES_SETTING = 'two_factor_required_roles';
+
+/**
+ * TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 seconds),
+ * compatible with the usual authenticator apps.
+ *
+ * Secrets are encrypted at rest, recovery codes are stored as SHA-256
+ * hashes and each code or recovery code is accepted only once. Failed
+ * checks are counted per user in Redis (per instance without Redis).
+ */
+class TwoFactorService {
+  constructor() {
+    this.localFailures = new Map();
+  }
+
+  base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(value) {
+    let bits = '';
+    for (const char of value.replace(/=+$/, '').toUpperCase()) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      bits += index.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+  }
+
+  // New 160-bit secret, base32 encoded as authenticator apps expect
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * otpauth:// URI for the authenticator app, usually shown as a QR code
+   */
+  getProvisioningUri(email, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  getStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD_SECONDS);
+  }
+
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Time step a code belongs to
+   * @returns {number|null} Matching step, or null when the code is wrong
+   */
+  matchCode(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+    const current = this.getStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+    }
+    return null;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * New set of recovery codes ("xxxx-xxxx-xxxx-xxxx")
+   * @returns {Object} { codes, hashes }: codes to show once and the entries to store
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+      crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-'));
+    return { codes, hashes: codes.map(code => ({ hash: this.hashRecoveryCode(code) })) };
+  }
+
+  /**
+   * Check a user's authenticator code or recovery code, using it up
+   * @param {Object} user - User with twoFactor.secret selected
+   * @param {Object} input - { code } or { recovery_code }
+   * @returns {string|null} 'totp' or 'recovery' when accepted, otherwise null
+   */
+  async verify(user, { code, recovery_code }) {
+    if (recovery_code) {
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recovery_codes': { $elemMatch: { hash: this.hashRecoveryCode(recovery_code), used_at: null } } },
+        { $set: { 'twoFactor.recovery_codes.$.used_at': new Date() } }
+      );
+      if (result.modifiedCount === 1) {
+        logger.info('Two-factor recovery code used', { userId: user._id });
+        return 'recovery';
+      }
+      return null;
+    }
+
+    const step = this.matchCode(user.twoFactor?.secret, code);
+    if (step === null) return null;
+    return (await this.consumeStep(user, step)) ? 'totp' : null;
+  }
+
+  /**
+   * Record the step of an accepted code; false when it (or a later one) was already used
+   */
+  async consumeStep(user, step) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.last_used_step': null }, { 'twoFactor.last_used_step': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.last_used_step': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async getRequiredRoles() {
+    return Setting.getValue(REQUIRED_ROLES_SETTING, []);
+  }
+
+  async setRequiredRoles(roles, adminId) {
+    await Setting.setValue(REQUIRED_ROLES_SETTING, roles, adminId);
+    logger.info('Two-factor requirement changed', { roles, adminId });
+  }
+
+  async isRequired(role) {
+    return (await this.getRequiredRoles()).includes(role);
+  }
+
+  /**
+   * Second step a user must complete after their password (or Google sign-in)
+   * @returns {Object|null} { twoFactor: 'verify'|'enroll', challengeToken }, or null when none is needed
+   */
+  async getChallenge(user) {
+    let purpose = null;
+    if (user.twoFactor?.enabled) purpose = 'verify';
+    else if (await this.isRequired(user.role)) purpose = 'enroll';
+    if (!purpose) return null;
+
+    return { twoFactor: purpose, challengeToken: jwtManager.generateTwoFactorChallenge(user._id, purpose) };
+  }
+
+  failuresKey(userId) {
+    return `two_factor_failures:${userId}`;
+  }
+
+  /**
+   * Whether too many wrong codes were entered for a user recently
+   */
+  async isLocked(userId) {
+    if (redisClient.isConnected) {
+      return Number(await redisClient.get(this.failuresKey(userId))) >= MAX_FAILURES;
+    }
+    const local = this.localFailures.get(String(userId));
+    return Boolean(local && local.expiresAt > Date.now() && local.count >= MAX_FAILURES);
+  }
+
+  async recordFailure(userId) {
+    const count = await redisClient.incrBy(this.failuresKey(userId), 1, LOCK_SECONDS);
+    if (count === null) {
+      const key = String(userId);
+      const local = this.localFailures.get(key);
+      const fresh = !local || local.expiresAt <= Date.now();
+      this.localFailures.set(key, {
+        count: fresh ? 1 : local.count + 1,
+        expiresAt: fresh ? Date.now() + LOCK_SECONDS * 1000 : local.expiresAt
+      });
+    }
+    logger.warn('Two-factor check failed', { userId, failures: count ?? this.localFailures.get(String(userId)).count });
+  }
+
+  async clearFailures(userId) {
+    this.localFailures.delete(String(userId));
+    await redisClient.del(this.failuresKey(userId));
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,332 @@
+// src/services/webhooks.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { isPrivateHost, publicLookup } = require('../utils/network');
+const notifications = require('./notifier/notifications');
+const { WEBHOOK_DELIVERY_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+
+const PING_EVENT = 'ping';
+const BATCH_SIZE = 50;
+// Retry delays double per attempt, from one minute up to six hours
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// A delivery still marked in flight after this was interrupted and is sent again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Private hosts are only reachable when explicitly allowed outside production, e.g. to test against localhost
+const allowPrivateHosts = () => config.NODE_ENV !== 'production' && config.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+// Agents that refuse to connect when a host name resolves to a non-public address
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Outbound webhooks.
+ *
+ * Events are stored as one delivery per subscribed endpoint and sent by a
+ * polling loop, so pending work survives restarts. Each request carries
+ * `X-Bloocube-Signature: t=<unix time>,v1=<hex>`, the HMAC-SHA256 of
+ * "<t>.<raw body>" with the endpoint's secret. Failed deliveries are
+ * retried with exponential backoff up to WEBHOOK_MAX_ATTEMPTS, and an
+ * endpoint that fails WEBHOOK_DISABLE_AFTER_FAILURES times in a row is
+ * disabled and its owner notified.
+ *
+ * Endpoints may not point at loopback, private or link-local addresses. The
+ * URL is checked when saved and again before each attempt, and host names are
+ * checked against the address actually connected to, so DNS changes cannot
+ * get around it. Responses are not stored.
+ */
+class WebhookService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Signature header value for a request body
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Raw JSON body
+   * @param {number} timestamp - Unix time in seconds
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Check an endpoint URL: a public host, over HTTPS in production
+   * @returns {string|null} Problem with the URL, or null when it is fine
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'Endpoint URL is invalid';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'Endpoint URL must use HTTP(S)';
+    if (parsed.username || parsed.password) return 'Endpoint URL may not contain credentials';
+    if (config.NODE_ENV === 'production' && parsed.protocol !== 'https:') return 'Endpoint URL must use HTTPS';
+
+    if (!allowPrivateHosts() && isPrivateHost(parsed.hostname)) return 'Endpoint URL must point to a public host';
+    return null;
+  }
+
+  buildPayload(event, data, id = crypto.randomUUID()) {
+    // Round-trip through JSON so the stored payload is exactly what is sent
+    return { id, type: event, created_at: new Date().toISOString(), data: JSON.parse(JSON.stringify(data)) };
+  }
+
+  /**
+   * Queue an event for the users' active endpoints subscribed to it
+   * @param {Array|string} userIds - Owners of the endpoints
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   * @returns {Array} Queued deliveries
+   */
+  async emit(userIds, event, data) {
+    const ids = [].concat(userIds).filter(Boolean);
+    if (ids.length === 0) return [];
+
+    try {
+      const endpoints = await WebhookEndpoint.find({ user_id: { $in: ids }, status: 'active', events: event })
+        .select('user_id');
+      if (endpoints.length === 0) return [];
+
+      const payload = this.buildPayload(event, data);
+      const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+        endpoint_id: endpoint._id,
+        user_id: endpoint.user_id,
+        event,
+        payload,
+        next_attempt_at: new Date()
+      })));
+
+      this.kick();
+      return deliveries;
+    } catch (error) {
+      logger.error('Failed to queue webhook deliveries', { event, userIds: ids, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Queue a `ping` delivery to check an endpoint
+   */
+  async ping(endpoint) {
+    const delivery = await WebhookDelivery.create({
+      endpoint_id: endpoint._id,
+      user_id: endpoint.user_id,
+      event: PING_EVENT,
+      payload: this.buildPayload(PING_EVENT, { endpoint_id: endpoint._id }),
+      next_attempt_at: new Date()
+    });
+    this.kick();
+    return delivery;
+  }
+
+  /**
+   * Send a logged delivery again with the same payload
+   */
+  async replay(delivery) {
+    const replayed = await WebhookDelivery.create({
+      endpoint_id: delivery.endpoint_id,
+      user_id: delivery.user_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      next_attempt_at: new Date(),
+      replay_of: delivery._id
+    });
+    this.kick();
+    return replayed;
+  }
+
+  // Deliver right away instead of waiting for the next scheduled pass
+  kick() {
+    setImmediate(() => this.runOnce());
+  }
+
+  getRetryDelay(attempt) {
+    return Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * Claim the oldest due delivery, or one whose sender died mid-flight
+   * @returns {Object|null} Claimed delivery
+   */
+  async claimNext(now = new Date()) {
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: WEBHOOK_DELIVERY_STATUS.PENDING, next_attempt_at: { $lte: now } },
+          { status: WEBHOOK_DELIVERY_STATUS.DELIVERING, locked_at: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: WEBHOOK_DELIVERY_STATUS.DELIVERING, locked_at: now },
+        $inc: { attempt_count: 1 }
+      },
+      { new: true, sort: { next_attempt_at: 1 } }
+    );
+  }
+
+  /**
+   * POST a claimed delivery to its endpoint and record the outcome
+   * @param {Object} delivery - Delivery in `delivering` status
+   * @returns {Object} Updated delivery
+   */
+  async deliver(delivery) {
+    const claim = { _id: delivery._id, status: WEBHOOK_DELIVERY_STATUS.DELIVERING, attempt_count: delivery.attempt_count };
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint_id).select('+secret');
+
+    if (!endpoint || endpoint.status !== 'active') {
+      return WebhookDelivery.findOneAndUpdate(claim, {
+        $set: { status: WEBHOOK_DELIVERY_STATUS.FAILED },
+        $unset: { locked_at: 1, next_attempt_at: 1 },
+        $push: { attempts: { attempted_at: new Date(), error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted' } }
+      }, { new: true });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const attempt = { attempted_at: new Date() };
+    const startedAt = Date.now();
+    let succeeded = false;
+
+    try {
+      // Saved URLs are checked again in case the rules changed since
+      const problem = this.validateUrl(endpoint.url);
+      if (problem) throw new Error(problem);
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Bloocube-Webhooks/1.0',
+          'X-Bloocube-Event': delivery.event,
+          'X-Bloocube-Delivery': delivery._id.toString(),
+          'X-Bloocube-Signature': this.sign(endpoint.secret, body)
+        },
+        timeout: config.WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        proxy: false,
+        ...(allowPrivateHosts() ? {} : publicAgents),
+        // Only the status code matters; the body is neither kept nor shown to the endpoint owner
+        responseType: 'stream',
+        validateStatus: () => true
+      });
+      response.data.destroy();
+      attempt.status_code = response.status;
+      succeeded = response.status >= 200 && response.status < 300;
+      if (!succeeded) attempt.error = `Endpoint responded with HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+    attempt.duration_ms = Date.now() - startedAt;
+
+    if (succeeded) {
+      await WebhookEndpoint.updateOne(
+        { _id: endpoint._id },
+        { $set: { consecutive_failures: 0, last_success_at: attempt.attempted_at } }
+      );
+      return WebhookDelivery.findOneAndUpdate(claim, {
+        $set: { status: WEBHOOK_DELIVERY_STATUS.SUCCEEDED, delivered_at: new Date() },
+        $unset: { locked_at: 1, next_attempt_at: 1 },
+        $push: { attempts: attempt }
+      }, { new: true });
+    }
+
+    const exhausted = delivery.attempt_count >= config.WEBHOOK_MAX_ATTEMPTS;
+    const nextAttemptAt = exhausted ? null : new Date(Date.now() + this.getRetryDelay(delivery.attempt_count));
+    const updated = await WebhookDelivery.findOneAndUpdate(claim, {
+      $set: {
+        status: exhausted ? WEBHOOK_DELIVERY_STATUS.FAILED : WEBHOOK_DELIVERY_STATUS.PENDING,
+        next_attempt_at: nextAttemptAt
+      },
+      $unset: { locked_at: 1 },
+      $push: { attempts: attempt }
+    }, { new: true });
+
+    logger.warn(exhausted ? 'Webhook delivery failed' : 'Webhook delivery failed, retry scheduled', {
+      deliveryId: delivery._id,
+      endpointId: endpoint._id,
+      attempt: delivery.attempt_count,
+      nextAttemptAt,
+      error: attempt.error
+    });
+
+    const failing = await WebhookEndpoint.findOneAndUpdate(
+      { _id: endpoint._id },
+      { $inc: { consecutive_failures: 1 }, $set: { last_failure_at: attempt.attempted_at } },
+      { new: true }
+    );
+    if (failing && failing.consecutive_failures >= config.WEBHOOK_DISABLE_AFTER_FAILURES) {
+      await this.disable(failing, `Disabled after ${failing.consecutive_failures} failed deliveries in a row`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Disable a failing endpoint, drop its queued deliveries and tell the owner
+   */
+  async disable(endpoint, reason) {
+    const disabled = await WebhookEndpoint.findOneAndUpdate(
+      { _id: endpoint._id, status: 'active' },
+      { $set: { status: 'disabled', disabled_at: new Date(), disabled_reason: reason } },
+      { new: true }
+    );
+    if (!disabled) return;
+
+    await WebhookDelivery.updateMany(
+      { endpoint_id: endpoint._id, status: WEBHOOK_DELIVERY_STATUS.PENDING },
+      { $set: { status: WEBHOOK_DELIVERY_STATUS.FAILED }, $unset: { next_attempt_at: 1 } }
+    );
+    logger.warn('Webhook endpoint disabled', { endpointId: endpoint._id, reason });
+
+    await notifications.notify(endpoint.user_id, NOTIFICATION_TYPES.WEBHOOK_DISABLED, {
+      title: 'A webhook endpoint was disabled',
+      body: `${endpoint.url}: ${reason}. Fix the endpoint, re-enable it and replay the failed deliveries.`,
+      link: '/settings/webhooks',
+      data: { endpoint_id: endpoint._id }
+    });
+  }
+
+  /**
+   * Send one batch of due deliveries
+   * @returns {number} Number of deliveries attempted
+   */
+  async runOnce() {
+    // Skip overlapping passes while a slow endpoint holds up the previous one
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let processed = 0;
+    try {
+      while (processed < BATCH_SIZE) {
+        const delivery = await this.claimNext();
+        if (!delivery) break;
+
+        await this.deliver(delivery);
+        processed += 1;
+      }
+    } catch (error) {
+      logger.error('Webhook dispatch failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+
+    return processed;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,219 @@
+// src/services/workspaces.js
+const crypto = require('crypto');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const Campaign = require('../models/Campaign');
+const Post = require('../models/Post');
+const PostGroup = require('../models/PostGroup');
+const User = require('../models/User');
+const config = require('../config/env');
+const email = require('./notifier/email');
+const logger = require('../utils/logger');
+const { USER_ROLES, WORKSPACE_ROLES, WORKSPACE_ROLE_PERMISSIONS } = require('../utils/constants');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+/**
+ * Team workspaces: membership, permissions and email invites.
+ *
+ * Requests act in a workspace when they send its id in `X-Workspace-Id`
+ * (see `authenticate`); content created that way gets `workspace_id` and
+ * is shared by all members. Campaign checks look at the campaign's own
+ * workspace, so links to a campaign work without the header.
+ */
+class WorkspaceService {
+  /**
+   * Whether a workspace role grants a permission
+   * @param {string} role - Member's role, or null for non-members
+   * @param {string} permission - WORKSPACE_PERMISSIONS value; omit to check viewing
+   */
+  can(role, permission) {
+    if (!role) return false;
+    return !permission || (WORKSPACE_ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  getRole(workspace, userId) {
+    return workspace?.members.find(member => sameId(member.user_id, userId))?.role || null;
+  }
+
+  findForMember(workspaceId, userId) {
+    return Workspace.findOne({ _id: workspaceId, 'members.user_id': userId });
+  }
+
+  listForUser(userId) {
+    return Workspace.find({ 'members.user_id': userId }).sort({ name: 1 });
+  }
+
+  memberWorkspaceIds(userId) {
+    return Workspace.find({ 'members.user_id': userId }).distinct('_id');
+  }
+
+  ownedWorkspaceIds(userId) {
+    return Workspace.find({ owner_id: userId }).distinct('_id');
+  }
+
+  /**
+   * Whether a user may work on a campaign: its brand, an admin, or a member
+   * of its workspace whose role grants the permission
+   * @param {Object} user - Acting user
+   * @param {Object} campaign - Campaign with brand_id and workspace_id
+   * @param {string} permission - WORKSPACE_PERMISSIONS value; omit to check viewing
+   */
+  async canAccessCampaign(user, campaign, permission) {
+    if (user.role === USER_ROLES.ADMIN) return true;
+    if (!campaign.workspace_id) return sameId(campaign.brand_id, user._id);
+
+    const workspace = await Workspace.findById(campaign.workspace_id).select('members');
+    return this.can(this.getRole(workspace, user._id), permission);
+  }
+
+  /**
+   * Whether a user may work on a post or post group: its author, an admin,
+   * or a member of its workspace whose role grants the permission
+   * @param {Object} user - Acting user
+   * @param {Object} post - Post or post group with author and workspace_id
+   * @param {string} permission - WORKSPACE_PERMISSIONS value; omit to check viewing
+   */
+  async canAccessPost(user, post, permission) {
+    if (user.role === USER_ROLES.ADMIN) return true;
+    if (!post.workspace_id) return sameId(post.author, user._id);
+
+    const workspace = await Workspace.findById(post.workspace_id).select('members');
+    return this.can(this.getRole(workspace, user._id), permission);
+  }
+
+  /**
+   * Filter for the posts and post groups a request works with: the active
+   * workspace's, or the user's own personal ones
+   */
+  contentScope(req) {
+    return req.workspace
+      ? { workspace_id: req.workspace._id }
+      : { author: req.userId, workspace_id: null };
+  }
+
+  /**
+   * Account whose connected social accounts publish a post: the workspace
+   * owner for workspace posts, otherwise the author
+   * @param {Object} post - Post or post group with author and workspace_id
+   * @returns {Object|null} User, or null when the account no longer exists
+   */
+  async getAccountHolder(post) {
+    if (!post.workspace_id) return User.findById(post.author);
+
+    const workspace = await Workspace.findById(post.workspace_id).select('owner_id');
+    return workspace ? User.findById(workspace.owner_id) : null;
+  }
+
+  async create(owner, name) {
+    const workspace = await Workspace.create({
+      name,
+      owner_id: owner._id,
+      members: [{ user_id: owner._id, role: WORKSPACE_ROLES.OWNER }]
+    });
+    logger.info('Workspace created', { workspaceId: workspace._id, ownerId: owner._id });
+    return workspace;
+  }
+
+  /**
+   * Delete a workspace; its campaigns, posts and post groups go back to the owner
+   */
+  async remove(workspace) {
+    const filter = { workspace_id: workspace._id };
+    await Promise.all([
+      Campaign.updateMany(filter, { $unset: { workspace_id: 1 } }),
+      Post.updateMany(filter, { $set: { author: workspace.owner_id }, $unset: { workspace_id: 1 } }),
+      PostGroup.updateMany(filter, { $set: { author: workspace.owner_id }, $unset: { workspace_id: 1 } }),
+      WorkspaceInvite.deleteMany(filter)
+    ]);
+    await Workspace.deleteOne({ _id: workspace._id });
+    logger.info('Workspace deleted', { workspaceId: workspace._id });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Invite someone by email; earlier pending invites to the same address are revoked
+   * @param {Object} workspace - Workspace
+   * @param {Object} inviter - Member sending the invite
+   * @param {Object} input - { email, role }
+   * @returns {Object} The new invite
+   */
+  async invite(workspace, inviter, { email: address, role }) {
+    const normalized = address.toLowerCase();
+    await WorkspaceInvite.updateMany(
+      { workspace_id: workspace._id, email: normalized, accepted_at: null, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invite = await WorkspaceInvite.create({
+      workspace_id: workspace._id,
+      email: normalized,
+      role,
+      token_hash: this.hashToken(token),
+      invited_by: inviter._id,
+      expires_at: new Date(Date.now() + INVITE_TTL_MS)
+    });
+
+    try {
+      await email.sendWorkspaceInviteEmail(normalized, {
+        workspaceName: workspace.name,
+        inviterName: inviter.name,
+        role,
+        inviteUrl: `${config.FRONTEND_URL}/invites/${token}`
+      });
+    } catch (error) {
+      logger.error('Failed to send workspace invite email', { inviteId: invite._id, error: error.message });
+    }
+
+    logger.info('Workspace invite sent', { workspaceId: workspace._id, inviteId: invite._id, role });
+    return invite;
+  }
+
+  findPendingInvite(token) {
+    return WorkspaceInvite.findOne({
+      token_hash: this.hashToken(token),
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Accept an invite as the signed-in user, whose email must be the invited one
+   * @returns {Object} { status: 'joined'|'already_member'|'invalid'|'wrong_email', workspace }
+   */
+  async accept(token, user) {
+    const invite = await this.findPendingInvite(token);
+    if (!invite) return { status: 'invalid' };
+    if (invite.email !== user.email.toLowerCase()) return { status: 'wrong_email' };
+
+    // Claim the invite so it can only be used once
+    const claimed = await WorkspaceInvite.findOneAndUpdate(
+      { _id: invite._id, accepted_at: null, revoked_at: null },
+      { $set: { accepted_at: new Date(), accepted_by: user._id } },
+      { new: true }
+    );
+    if (!claimed) return { status: 'invalid' };
+
+    const joined = await Workspace.findOneAndUpdate(
+      { _id: invite.workspace_id, 'members.user_id': { $ne: user._id } },
+      { $push: { members: { user_id: user._id, role: invite.role, invited_by: invite.invited_by } } },
+      { new: true }
+    );
+    if (joined) {
+      logger.info('Workspace invite accepted', { workspaceId: joined._id, userId: user._id, role: invite.role });
+      return { status: 'joined', workspace: joined };
+    }
+
+    const workspace = await this.findForMember(invite.workspace_id, user._id);
+    return workspace ? { status: 'already_member', workspace } : { status: 'invalid' };
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -7,6 +7,35 @@ const USER_ROLES = {
   ADMIN: 'admin'
 };
 
+// External sign-in providers linked to accounts
+const AUTH_PROVIDERS = {
+  GOOGLE: 'google'
+};
+
+// Member roles within a team workspace
+const WORKSPACE_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  EDITOR: 'editor', // Writes campaigns and posts
+  APPROVER: 'approver', // Publishes posts and decides on bids and deliverables
+  VIEWER: 'viewer'
+};
+
+// What each workspace role may do; every member may view the workspace's content
+const WORKSPACE_PERMISSIONS = {
+  MANAGE: 'workspace:manage', // Settings, members and invites
+  EDIT: 'content:edit',
+  APPROVE: 'content:approve'
+};
+
+const WORKSPACE_ROLE_PERMISSIONS = {
+  owner: ['workspace:manage', 'content:edit', 'content:approve'],
+  admin: ['workspace:manage', 'content:edit', 'content:approve'],
+  editor: ['content:edit'],
+  approver: ['content:approve'],
+  viewer: []
+};
+
 // Campaign statuses
 const CAMPAIGN_STATUS = {
   DRAFT: 'draft',
@@ -19,12 +48,31 @@ const CAMPAIGN_STATUS = {
 // Bid statuses
 const BID_STATUS = {
   PENDING: 'pending',
+  COUNTERED: 'countered', // Brand's counter-offer awaits the creator
+  RECOUNTERED: 'recountered', // Creator's counter awaits the brand
   ACCEPTED: 'accepted',
   REJECTED: 'rejected',
   WITHDRAWN: 'withdrawn',
   COMPLETED: 'completed'
 };
 
+// Campaign deliverable statuses
+const DELIVERABLE_STATUS = {
+  PENDING: 'pending', // Awaiting the creator's first draft
+  SUBMITTED: 'submitted', // Awaiting brand review
+  CHANGES_REQUESTED: 'changes_requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PUBLISHED: 'published'
+};
+
+// Brand decisions on a submitted draft
+const DELIVERABLE_DECISIONS = {
+  APPROVE: 'approve',
+  REQUEST_CHANGES: 'request_changes',
+  REJECT: 'reject'
+};
+
 // AI result types
 const AI_RESULT_TYPES = {
   SUGGESTION: 'suggestion',
@@ -44,6 +92,43 @@ const PLATFORMS = {
   FACEBOOK: 'facebook'
 };
 
+// Analytics report exports
+const REPORT_TYPES = {
+  CAMPAIGN: 'campaign',
+  CREATOR: 'creator',
+  ACCOUNT: 'account'
+};
+
+const REPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+const REPORT_EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Email digest subscriptions
+const DIGEST_FREQUENCIES = {
+  OFF: 'off',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+// Post publishing statuses
+const POST_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  PUBLISHING: 'publishing',
+  PUBLISHED: 'published',
+  FAILED: 'failed', // Awaiting an automatic retry
+  DEAD_LETTER: 'dead_letter' // Retries exhausted or permanent failure
+};
+
 // Content types
 const CONTENT_TYPES = {
   POST: 'post',
@@ -87,12 +172,48 @@ const PAYMENT_SCHEDULES = {
   COMPLETION: 'completion'
 };
 
+// Escrow payment of an accepted bid
+const PAYMENT_STATUS = {
+  AWAITING_FUNDING: 'awaiting_funding',
+  FUNDING: 'funding',
+  IN_ESCROW: 'in_escrow',
+  PARTIALLY_RELEASED: 'partially_released',
+  RELEASED: 'released',
+  REFUNDED: 'refunded',
+  SETTLED: 'settled' // Every milestone released or refunded, some of each
+};
+
+// Payment milestone states; `releasing` and `refunding` are in flight at the gateway
+const MILESTONE_STATUS = {
+  PENDING: 'pending',
+  HELD: 'held',
+  RELEASING: 'releasing',
+  RELEASED: 'released',
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded'
+};
+
+// What releases a milestone to the creator
+const MILESTONE_TRIGGERS = {
+  FUNDING: 'funding',
+  DELIVERABLE: 'deliverable',
+  COMPLETION: 'completion'
+};
+
+// Payment ledger entry types
+const PAYMENT_TRANSACTION_TYPES = {
+  HOLD: 'hold',
+  RELEASE: 'release',
+  REFUND: 'refund'
+};
+
 // Communication methods
 const COMMUNICATION_METHODS = {
   EMAIL: 'email',
   PHONE: 'phone',
   WHATSAPP: 'whatsapp',
-  TELEGRAM: 'telegram'
+  TELEGRAM: 'telegram',
+  IN_APP: 'in_app'
 };
 
 // Currencies
@@ -167,12 +288,14 @@ const DATA_SOURCES = {
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  GONE: 410,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
@@ -284,14 +407,89 @@ const ANALYTICS_INTERVALS = {
 const NOTIFICATION_TYPES = {
   CAMPAIGN_CREATED: 'campaign_created',
   BID_RECEIVED: 'bid_received',
+  BID_COUNTERED: 'bid_countered',
   BID_ACCEPTED: 'bid_accepted',
   BID_REJECTED: 'bid_rejected',
   CAMPAIGN_DEADLINE: 'campaign_deadline',
+  DELIVERABLE_SUBMITTED: 'deliverable_submitted',
+  DELIVERABLE_REVIEWED: 'deliverable_reviewed',
+  POST_PUBLISHED: 'post_published',
+  POST_FAILED: 'post_failed',
   PAYMENT_RECEIVED: 'payment_received',
+  WEBHOOK_DISABLED: 'webhook_disabled',
   ANALYTICS_UPDATE: 'analytics_update',
   AI_SUGGESTION: 'ai_suggestion'
 };
 
+// Where a notification is delivered
+const NOTIFICATION_CHANNELS = {
+  IN_APP: 'in_app',
+  EMAIL: 'email',
+  PUSH: 'push'
+};
+
+// Events integrators can subscribe webhook endpoints to
+const WEBHOOK_EVENTS = {
+  POST_PUBLISHED: 'post.published',
+  POST_FAILED: 'post.failed',
+  BID_RECEIVED: 'bid.received',
+  BID_ACCEPTED: 'bid.accepted',
+  CAMPAIGN_STATUS_CHANGED: 'campaign.status_changed',
+  ANALYTICS_UPDATED: 'analytics.updated'
+};
+
+// Webhook delivery lifecycle; failed deliveries are retried as `pending` until attempts run out
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERING: 'delivering',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Permissions of personal API keys; GET requests need the read scope, others the write scope
+const API_KEY_SCOPES = {
+  POSTS_READ: 'posts:read',
+  POSTS_WRITE: 'posts:write',
+  ANALYTICS_READ: 'analytics:read',
+  CAMPAIGNS_READ: 'campaigns:read',
+  CAMPAIGNS_WRITE: 'campaigns:write',
+  BIDS_READ: 'bids:read',
+  BIDS_WRITE: 'bids:write'
+};
+
+// Audit log actions
+const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  PASSWORD_CHANGED: 'auth.password_changed',
+  PASSWORD_RESET: 'auth.password_reset',
+  PASSWORD_SET: 'auth.password_set',
+  SOCIAL_CONNECTED: 'social.connected',
+  SOCIAL_DISCONNECTED: 'social.disconnected',
+  CAMPAIGN_CREATED: 'campaign.created',
+  CAMPAIGN_UPDATED: 'campaign.updated',
+  CAMPAIGN_DELETED: 'campaign.deleted',
+  BID_ACCEPTED: 'bid.accepted',
+  BID_REJECTED: 'bid.rejected',
+  AI_PROVIDER_SWITCHED: 'ai_provider.switched',
+  USER_ACTIVATED: 'user.activated',
+  USER_DEACTIVATED: 'user.deactivated'
+};
+
+// Kinds of records audit log entries are about
+const AUDIT_TARGETS = {
+  USER: 'user',
+  CAMPAIGN: 'campaign',
+  BID: 'bid',
+  AI_PROVIDER: 'ai_provider'
+};
+
+// Connection state of a linked social account
+const SOCIAL_ACCOUNT_STATUS = {
+  CONNECTED: 'connected',
+  NEEDS_REAUTH: 'needs_reauth'
+};
+
 // Email templates
 const EMAIL_TEMPLATES = {
   WELCOME: 'welcome',
@@ -303,23 +501,41 @@ const EMAIL_TEMPLATES = {
 
 // Cron job schedules
 const CRON_SCHEDULES = {
+  DISPATCH_SCHEDULED_POSTS: '* * * * *', // Every minute
+  REFRESH_SOCIAL_TOKENS: '*/10 * * * *', // Every 10 minutes
   ANALYTICS_SYNC: '0 */6 * * *', // Every 6 hours
+  PROCESS_REPORT_EXPORTS: '* * * * *', // Every minute
+  DELIVER_WEBHOOKS: '* * * * *', // Every minute
+  REPAIR_BID_SETUP: '*/15 * * * *', // Every 15 minutes
   CLEANUP_EXPIRED_TOKENS: '0 0 * * *', // Daily at midnight
   SEND_NOTIFICATIONS: '0 9 * * *', // Daily at 9 AM
+  SEND_DIGESTS: '5 * * * *', // Hourly; each user gets theirs at DIGEST_SEND_HOUR local time
   BACKUP_DATABASE: '0 2 * * 0' // Weekly on Sunday at 2 AM
 };
 
 module.exports = {
   USER_ROLES,
+  AUTH_PROVIDERS,
+  WORKSPACE_ROLES,
+  WORKSPACE_PERMISSIONS,
+  WORKSPACE_ROLE_PERMISSIONS,
   CAMPAIGN_STATUS,
   BID_STATUS,
+  DELIVERABLE_STATUS,
+  DELIVERABLE_DECISIONS,
   AI_RESULT_TYPES,
   PLATFORMS,
+  POST_STATUS,
+  SOCIAL_ACCOUNT_STATUS,
   CONTENT_TYPES,
   POST_TYPES,
   MEDIA_TYPES,
   PAYMENT_TYPES,
   PAYMENT_SCHEDULES,
+  PAYMENT_STATUS,
+  MILESTONE_STATUS,
+  MILESTONE_TRIGGERS,
+  PAYMENT_TRANSACTION_TYPES,
   COMMUNICATION_METHODS,
   CURRENCIES,
   CONTENT_TONES,
@@ -340,7 +556,17 @@ module.exports = {
   FILE_LIMITS,
   API_LIMITS,
   ANALYTICS_INTERVALS,
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  REPORT_EXPORT_STATUS,
+  DIGEST_FREQUENCIES,
   NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUS,
+  API_KEY_SCOPES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
   EMAIL_TEMPLATES,
   CRON_SCHEDULES
 };
@@ -0,0 +1,142 @@
+// src/utils/crypto.js
+const crypto = require('crypto');
+const config = require('../config/env');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const PREFIX = 'enc';
+
+let keyring;
+
+/**
+ * Load encryption keys from TOKEN_ENCRYPTION_KEYS ("<id>:<key>,<id>:<key>").
+ * The first key encrypts; every key can decrypt, so a new key is rotated in
+ * by putting it first and running `npm run migrate` to re-encrypt old values.
+ * Keys are 32 bytes, as 64 hex characters or base64. Outside production a
+ * key derived from JWT_SECRET is used when none is configured.
+ * @returns {Object} { primaryId, keys }
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  const entries = (config.TOKEN_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key>');
+    }
+
+    const id = entry.slice(0, separator);
+    const raw = entry.slice(separator + 1);
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${id}" must be 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+
+  if (keys.size === 0) {
+    if (config.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+    }
+    keys.set('dev', crypto.createHash('sha256').update(`token-encryption:${config.JWT_SECRET}`).digest());
+  }
+
+  keyring = { primaryId: keys.keys().next().value, keys };
+  return keyring;
+}
+
+/**
+ * Whether a stored value is ciphertext produced by encrypt()
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt a string with the primary key
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} "enc:<keyId>:<iv>:<authTag>:<ciphertext>"
+ */
+function encrypt(plaintext) {
+  const { primaryId, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(primaryId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    primaryId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt(). Plaintext is returned unchanged so
+ * documents written before encryption keep working until migrated.
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether a stored value is plaintext or encrypted with a retired key
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  if (typeof value !== 'string' || value === '') return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[1] !== getKeyring().primaryId;
+}
+
+// Mongoose setter: encrypt on write, leaving empty and already encrypted values alone
+function encryptField(value) {
+  if (value == null || value === '' || isEncrypted(value)) return value;
+  return encrypt(value);
+}
+
+// Mongoose getter: a value that cannot be decrypted reads as missing
+function decryptField(value) {
+  if (value == null || value === '') return value;
+  try {
+    return decrypt(value);
+  } catch (error) {
+    console.error('❌ Failed to decrypt field:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Schema type for a string stored encrypted at rest
+ * @returns {Object} Mongoose path definition
+ */
+function encryptedString() {
+  return { type: String, set: encryptField, get: decryptField };
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsReencryption,
+  encryptedString
+};
@@ -48,13 +48,14 @@ class JWTManager {
   }
 
   /**
-   * Generate token pair (access + refresh)
+   * Generate token pair (access + refresh) for a session
    * @param {Object} payload - Token payload
+   * @param {Object} session - { sid, jti }: session id and refresh token id
    * @returns {Object} Token pair
    */
-  generateTokenPair(payload) {
-    const accessToken = this.generateAccessToken(payload);
-    const refreshToken = this.generateRefreshToken({ id: payload.id });
+  generateTokenPair(payload, { sid, jti }) {
+    const accessToken = this.generateAccessToken({ ...payload, sid });
+    const refreshToken = this.generateRefreshToken({ id: payload.id, sid, jti });
     
     return {
       accessToken,
@@ -174,12 +175,13 @@ class JWTManager {
   /**
    * Generate password reset token
    * @param {String} userId - User ID
+   * @param {Object} [identity] - Sign-in identity to link once the password is reset
    * @returns {String} Password reset token
    */
-  generatePasswordResetToken(userId) {
+  generatePasswordResetToken(userId, identity) {
     try {
       return jwt.sign(
-        { id: userId, type: 'password_reset' },
+        { id: userId, type: 'password_reset', ...(identity && { identity }) },
         this.secret,
         { expiresIn: '1h' }
       );
@@ -212,6 +214,122 @@ class JWTManager {
       }
     }
   }
+
+  /**
+   * Generate an email unsubscribe token. It does not expire, so links in old
+   * emails keep working.
+   * @param {String} userId - User ID
+   * @param {String} list - Email list, e.g. 'digest'
+   * @returns {String} Unsubscribe token
+   */
+  generateUnsubscribeToken(userId, list) {
+    return jwt.sign({ id: userId, type: 'unsubscribe', list }, this.secret);
+  }
+
+  /**
+   * Verify an email unsubscribe token
+   * @param {String} token - Unsubscribe token
+   * @returns {Object} Decoded token payload ({ id, list })
+   */
+  verifyUnsubscribeToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw new Error('Invalid unsubscribe token');
+    }
+    if (decoded.type !== 'unsubscribe') {
+      throw new Error('Invalid unsubscribe token');
+    }
+    return decoded;
+  }
+
+  /**
+   * Generate a short-lived token for real-time streams. Browsers' EventSource
+   * cannot send headers, so it travels in the URL and must not be an access token.
+   * @param {String} userId - User ID
+   * @returns {String} Stream token
+   */
+  generateStreamToken(userId) {
+    return jwt.sign({ id: userId, type: 'stream' }, this.secret, { expiresIn: '1m', audience: 'bloocube-stream' });
+  }
+
+  /**
+   * Verify a stream token
+   * @param {String} token - Stream token
+   * @returns {Object} Decoded token payload ({ id })
+   */
+  verifyStreamToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret, { audience: 'bloocube-stream' });
+    } catch (error) {
+      throw new Error('Invalid stream token');
+    }
+    if (decoded.type !== 'stream') {
+      throw new Error('Invalid stream token');
+    }
+    return decoded;
+  }
+
+  /**
+   * Generate a two-factor challenge token, returned by login when a password
+   * alone is not enough. It only works on the two-factor endpoints.
+   * @param {String} userId - User ID
+   * @param {String} purpose - 'verify' (enter a code) or 'enroll' (set up 2FA first)
+   * @returns {String} Challenge token
+   */
+  generateTwoFactorChallenge(userId, purpose) {
+    return jwt.sign({ id: userId, type: 'two_factor', purpose }, this.secret, { expiresIn: '5m', audience: 'bloocube-2fa' });
+  }
+
+  /**
+   * Verify a two-factor challenge token
+   * @param {String} token - Challenge token
+   * @returns {Object} Decoded token payload ({ id, purpose })
+   */
+  verifyTwoFactorChallenge(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret, { audience: 'bloocube-2fa' });
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+    if (decoded.type !== 'two_factor') {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+    return decoded;
+  }
+
+  /**
+   * Generate a token carrying a sign-in provider identity that still has to
+   * be confirmed: linked to an account, or used to create one
+   * @param {Object} identity - { provider, subject, email, name, userId }
+   * @param {String} purpose - 'link' or 'signup'
+   * @returns {String} Identity token
+   */
+  generateIdentityToken(identity, purpose) {
+    return jwt.sign({ ...identity, type: 'identity', purpose }, this.secret, { expiresIn: '15m', audience: 'bloocube-identity' });
+  }
+
+  /**
+   * Verify an identity token
+   * @param {String} token - Identity token
+   * @param {String} purpose - Expected purpose
+   * @returns {Object} Decoded identity
+   */
+  verifyIdentityToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret, { audience: 'bloocube-identity' });
+    } catch (error) {
+      throw new Error('Invalid or expired sign-in link; sign in with Google again');
+    }
+    if (decoded.type !== 'identity' || decoded.purpose !== purpose) {
+      throw new Error('Invalid or expired sign-in link; sign in with Google again');
+    }
+    return decoded;
+  }
 }
 
 const jwtManager = new JWTManager();
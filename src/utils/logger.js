@@ -3,8 +3,49 @@ const winston = require('winston');
 const path = require('path');
 const config = require('../config/env');
 
+// Keys whose values are credentials and must never be written to logs
+const SECRET_KEY_PATTERN = /^(access_?token|refresh_?token|id_?token|client_?secret|password|authorization|cookie)$/i;
+// Credentials embedded in URLs and request bodies, e.g. Graph API query strings
+const SECRET_PARAM_PATTERN = /\b(access_token|refresh_token|client_secret|fb_exchange_token|code)=[^&\s"']+/gi;
+const REDACTED = '[REDACTED]';
+const MAX_REDACT_DEPTH = 8;
+
+function redactValue(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return value.replace(SECRET_PARAM_PATTERN, `$1=${REDACTED}`);
+  }
+  if (!value || typeof value !== 'object' || depth > MAX_REDACT_DEPTH) return value;
+  if (seen.has(value)) return '[Circular]';
+
+  const proto = Object.getPrototypeOf(value);
+  const isPlain = proto === Object.prototype || proto === null;
+  if (!Array.isArray(value) && !isPlain && !(value instanceof Error)) return value;
+
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const key of Object.getOwnPropertyNames(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && value[key]
+      ? REDACTED
+      : redactValue(value[key], depth + 1, seen);
+  }
+  return copy;
+}
+
+// Redact credentials from the message and metadata of every log entry
+const redactSecrets = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    info[key] = SECRET_KEY_PATTERN.test(key) && info[key] ? REDACTED : redactValue(info[key]);
+  }
+  return info;
+});
+
 // Define log format
 const logFormat = winston.format.combine(
+  redactSecrets(),
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
@@ -86,16 +127,18 @@ logger.request = (req, res, responseTime) => {
   });
 };
 
+const logError = logger.error.bind(logger);
+
 logger.error = (message, error = null, meta = {}) => {
   if (error instanceof Error) {
-    winston.createLogger().error(message, {
+    logError(message, {
       ...meta,
       stack: error.stack,
       name: error.name,
       message: error.message
     });
   } else {
-    winston.createLogger().error(message, { ...meta, error });
+    logError(message, { ...meta, error });
   }
 };
 
@@ -0,0 +1,105 @@
+// src/utils/network.js
+// Guards for outbound requests to user-supplied URLs (server-side request forgery).
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+// IPv6 forms that carry an IPv4 address: mapped (::ffff:a.b.c.d), compatible (::a.b.c.d) and NAT64 (64:ff9b::a.b.c.d)
+const EMBEDDED_IPV4 = /^(?:::ffff:|::|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([\da-f]{1,4}):([\da-f]{1,4}))$/i;
+
+/**
+ * IPv4 address embedded in an IPv6 address, if any
+ * @returns {string|null}
+ */
+function embeddedIPv4(address) {
+  const match = address.match(EMBEDDED_IPV4);
+  if (!match) return null;
+  if (match[1]) return match[1];
+
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Whether an IP address is anything but a public unicast address
+ * @param {string} address - IPv4 or IPv6 address, brackets allowed
+ */
+function isPrivateAddress(address) {
+  const ip = String(address).replace(/^\[|\]$/g, '');
+  if (net.isIPv4(ip)) return BLOCKED.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+
+  const ipv4 = embeddedIPv4(ip);
+  return ipv4 ? BLOCKED.check(ipv4, 'ipv4') : BLOCKED.check(ip, 'ipv6');
+}
+
+/**
+ * Whether a URL hostname is a name or address that may not be contacted.
+ * URL parsing already turns decimal, octal and hex IPv4 forms into dotted ones.
+ * @param {string} hostname - `URL.hostname`
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+/**
+ * `dns.lookup` replacement for http(s) agents that fails when the host
+ * resolves to a non-public address, so the check covers the address that is
+ * actually connected to
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to a non-public address`);
+      refused.code = 'EADDRNOTPUBLIC';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  publicLookup
+};
@@ -0,0 +1,79 @@
+// src/utils/timezone.js
+// Wall-clock helpers for IANA timezones, built on Intl so no tz database is bundled.
+
+const WEEKDAYS = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local calendar fields of an instant
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Monday) }
+ */
+function getZonedParts(date, timezone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function getOffset(timestamp, timezone) {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (timestamp - (timestamp % 1000));
+}
+
+/**
+ * Instant at which a local wall-clock time occurs. Out-of-range fields roll
+ * over like Date.UTC (day 0 is the last day of the previous month).
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone = 'UTC') {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffset(guess, timezone);
+  // Check again at the result in case a DST change lies in between
+  const corrected = getOffset(guess - offset, timezone);
+  return new Date(guess - corrected);
+}
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc
+};
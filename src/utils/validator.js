@@ -2,6 +2,25 @@
 const Joi = require('joi');
 const { body, param, query, validationResult } = require('express-validator');
 const logger = require('./logger');
+const {
+  ANALYTICS_INTERVALS,
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  DIGEST_FREQUENCIES,
+  DELIVERABLE_STATUS,
+  DELIVERABLE_DECISIONS,
+  WORKSPACE_ROLES,
+  PAYMENT_STATUS,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUS,
+  API_KEY_SCOPES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
+  USER_ROLES
+} = require('./constants');
+const { isValidTimezone } = require('./timezone');
 
 // Common validation schemas
 const commonSchemas = {
@@ -13,9 +32,18 @@ const commonSchemas = {
   url: Joi.string().uri().optional(),
   date: Joi.date().iso().optional(),
   positiveNumber: Joi.number().positive().optional(),
-  nonNegativeNumber: Joi.number().min(0).optional()
+  nonNegativeNumber: Joi.number().min(0).optional(),
+  // IANA timezone name, e.g. Asia/Kolkata
+  timezone: Joi.string().custom((value, helpers) => (
+    isValidTimezone(value) ? value : helpers.error('any.invalid')
+  ))
 };
 
+const twoFactorCode = Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Code must be 6 digits'
+});
+const recoveryCode = Joi.string().trim().max(32);
+
 // User validation schemas
 const userValidation = {
   register: Joi.object({
@@ -53,10 +81,312 @@ const userValidation = {
         linkedin: Joi.string().uri().optional(),
         facebook: Joi.string().uri().optional()
       }).optional()
+    }).optional(),
+    timezone: commonSchemas.timezone.optional(),
+    billing: Joi.object({
+      legal_name: Joi.string().max(200).allow('').optional(),
+      gstin: Joi.string().uppercase().pattern(/^[0-9]{2}[A-Z0-9]{13}$/).allow('').optional()
+        .messages({ 'string.pattern.base': 'GSTIN must be 15 characters starting with the state code' }),
+      address: Joi.string().max(500).allow('').optional(),
+      city: Joi.string().max(100).allow('').optional(),
+      state: Joi.string().max(100).allow('').optional(),
+      state_code: Joi.string().pattern(/^[0-9]{2}$/).allow('').optional(),
+      postal_code: Joi.string().max(20).allow('').optional(),
+      country: Joi.string().length(2).uppercase().optional()
     }).optional()
+  }).min(1),
+
+  revokeSessions: Joi.object({
+    keep_current: Joi.boolean().default(false)
+  }),
+
+  googleLink: Joi.object({
+    linkToken: Joi.string().required(),
+    password: Joi.string().required()
+  }),
+
+  googleSignup: Joi.object({
+    signupToken: Joi.string().required(),
+    role: Joi.string().valid(USER_ROLES.CREATOR, USER_ROLES.BRAND).required(),
+    name: commonSchemas.name.optional()
+  }),
+
+  addIdentity: Joi.object({
+    linkToken: Joi.string().required()
+  }),
+
+  setPassword: Joi.object({
+    newPassword: commonSchemas.password
+  }),
+
+  twoFactorEnable: Joi.object({
+    code: twoFactorCode.required()
+  }),
+
+  twoFactorDisable: Joi.object({
+    // Not needed by accounts that have none
+    password: Joi.string(),
+    code: twoFactorCode,
+    recovery_code: recoveryCode
+  }).xor('code', 'recovery_code'),
+
+  twoFactorVerify: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: twoFactorCode,
+    recovery_code: recoveryCode
+  }).xor('code', 'recovery_code'),
+
+  twoFactorEnroll: Joi.object({
+    challengeToken: Joi.string().required()
+  }),
+
+  twoFactorEnrollConfirm: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: twoFactorCode.required()
+  }),
+
+  activity: Joi.object({
+    action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+// Admin validation schemas
+const adminValidation = {
+  security: Joi.object({
+    two_factor_required_roles: Joi.array()
+      .items(Joi.string().valid(USER_ROLES.BRAND, USER_ROLES.ADMIN))
+      .unique()
+      .required()
+  }),
+
+  logs: Joi.object({
+    actor_id: commonSchemas.objectId.optional(),
+    action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)).optional(),
+    target_type: Joi.string().valid(...Object.values(AUDIT_TARGETS)).optional(),
+    target_id: Joi.string().max(100).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+// Email digest validation schemas
+const digestValidation = {
+  preferences: Joi.object({
+    frequency: Joi.string().valid(...Object.values(DIGEST_FREQUENCIES)).optional(),
+    timezone: commonSchemas.timezone.optional()
+  }).min(1)
+};
+
+// Campaign deliverable validation schemas
+const deliverableValidation = {
+  list: Joi.object({
+    campaign_id: commonSchemas.objectId.optional(),
+    status: Joi.string().valid(...Object.values(DELIVERABLE_STATUS)).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  // Multipart body; hashtags and mentions may arrive as strings
+  draft: Joi.object({
+    caption: Joi.string().max(5000).allow('').optional(),
+    hashtags: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string().allow('')).optional(),
+    mentions: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string().allow('')).optional(),
+    note: Joi.string().max(1000).allow('').optional()
+  }),
+
+  review: Joi.object({
+    decision: Joi.string().valid(...Object.values(DELIVERABLE_DECISIONS)).required(),
+    comment: Joi.string().trim().max(2000).when('decision', {
+      is: DELIVERABLE_DECISIONS.APPROVE,
+      then: Joi.optional().allow(''),
+      otherwise: Joi.required()
+    })
+  }),
+
+  createPost: Joi.object({
+    platform: Joi.string().valid('youtube', 'instagram', 'twitter', 'linkedin', 'facebook').required()
+  })
+};
+
+// Escrow payment validation schemas
+const paymentValidation = {
+  list: Joi.object({
+    campaign_id: commonSchemas.objectId.optional(),
+    status: Joi.string().valid(...Object.values(PAYMENT_STATUS)).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  // Gateway-specific payment method token; the fake gateway needs none
+  fund: Joi.object({
+    payment_method: Joi.string().max(200).optional()
+  }),
+
+  release: Joi.object({
+    reason: Joi.string().trim().max(500).optional()
+  }),
+
+  refund: Joi.object({
+    milestone_ids: Joi.array().items(commonSchemas.objectId).min(1).optional(),
+    reason: Joi.string().trim().max(500).required()
+  })
+};
+
+// Invoice validation schemas
+const invoiceValidation = {
+  list: Joi.object({
+    campaign_id: commonSchemas.objectId.optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  create: Joi.object({
+    bid_id: commonSchemas.objectId
+  }),
+
+  statement: Joi.object({
+    month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required()
+      .messages({ 'string.pattern.base': 'month must be YYYY-MM' }),
+    format: Joi.string().valid('json', 'pdf').default('json'),
+    creator_id: commonSchemas.objectId.optional()
+  })
+};
+
+// Messaging validation schemas
+const conversationValidation = {
+  list: Joi.object({
+    campaign_id: commonSchemas.objectId.optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  start: Joi.object({
+    bid_id: commonSchemas.objectId
+  }),
+
+  messages: Joi.object({
+    before: commonSchemas.objectId.optional(),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  // Multipart body; attachments arrive as files
+  send: Joi.object({
+    body: Joi.string().max(5000).allow('').optional()
+  }),
+
+  read: Joi.object({
+    message_id: commonSchemas.objectId.optional()
+  })
+};
+
+// Notification center validation schemas
+const notificationType = Joi.string().valid(...Object.values(NOTIFICATION_TYPES));
+
+const notificationValidation = {
+  list: Joi.object({
+    type: notificationType.optional(),
+    unread: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  readAll: Joi.object({
+    ids: Joi.array().items(commonSchemas.objectId).min(1).max(100).optional(),
+    type: notificationType.optional()
+  }),
+
+  // No fields clears every notification
+  clear: Joi.object({
+    ids: Joi.array().items(commonSchemas.objectId).min(1).max(100).optional(),
+    type: notificationType.optional(),
+    read: Joi.boolean().optional()
+  }),
+
+  preferences: Joi.object({
+    preferences: Joi.object().pattern(
+      notificationType,
+      Joi.object(Object.fromEntries(
+        Object.values(NOTIFICATION_CHANNELS).map(channel => [channel, Joi.boolean().optional()])
+      )).min(1)
+    ).min(1).required()
+  })
+};
+
+// Webhook validation schemas; URLs are further checked by services/webhooks
+const webhookEvents = Joi.array().items(Joi.string().valid(...Object.values(WEBHOOK_EVENTS))).min(1).unique();
+
+const webhookValidation = {
+  create: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+    events: webhookEvents.required(),
+    description: Joi.string().max(200).trim().allow('').optional()
+  }),
+
+  update: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional(),
+    events: webhookEvents.optional(),
+    description: Joi.string().max(200).trim().allow('').optional(),
+    status: Joi.string().valid('active', 'disabled').optional()
+  }).min(1),
+
+  deliveries: Joi.object({
+    status: Joi.string().valid(...Object.values(WEBHOOK_DELIVERY_STATUS)).optional(),
+    event: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+// API key validation schemas
+const apiKeyScopes = Joi.array().items(Joi.string().valid(...Object.values(API_KEY_SCOPES))).min(1).unique();
+
+const apiKeyValidation = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).trim().required(),
+    scopes: apiKeyScopes.required(),
+    expires_in_days: Joi.number().integer().min(1).max(365).optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).trim().optional(),
+    scopes: apiKeyScopes.optional()
   }).min(1)
 };
 
+// Roles members can be given; ownership is never handed out
+const workspaceMemberRole = Joi.string().valid(
+  ...Object.values(WORKSPACE_ROLES).filter(role => role !== WORKSPACE_ROLES.OWNER)
+);
+
+const workspaceValidation = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).trim().required()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).trim().required()
+  }),
+
+  updateMember: Joi.object({
+    role: workspaceMemberRole.required()
+  }),
+
+  invite: Joi.object({
+    email: commonSchemas.email,
+    role: workspaceMemberRole.required()
+  }),
+
+  acceptInvite: Joi.object({
+    token: Joi.string().max(200).required()
+  })
+};
+
 // Campaign validation schemas
 const campaignValidation = {
   create: Joi.object({
@@ -169,7 +499,7 @@ const bidValidation = {
       additional_requirements: Joi.string().max(500).optional()
     }).optional(),
     communication: Joi.object({
-      preferred_method: Joi.string().valid('email', 'phone', 'whatsapp', 'telegram').default('email'),
+      preferred_method: Joi.string().valid('email', 'phone', 'whatsapp', 'telegram', 'in_app').default('email'),
       contact_info: Joi.string().max(200).optional(),
       availability: Joi.string().max(200).optional()
     }).optional()
@@ -178,7 +508,6 @@ const bidValidation = {
   update: Joi.object({
     proposal_text: Joi.string().min(10).max(2000).trim().optional(),
     bid_amount: Joi.number().min(0).optional(),
-    status: Joi.string().valid('pending', 'accepted', 'rejected', 'withdrawn', 'completed').optional(),
     deliverables: Joi.object({
       posts: Joi.number().min(0).optional(),
       stories: Joi.number().min(0).optional(),
@@ -186,7 +515,21 @@ const bidValidation = {
       videos: Joi.number().min(0).optional(),
       timeline: Joi.string().max(500).optional()
     }).optional()
-  }).min(1)
+  }).min(1),
+
+  // Counter-offer by either side; unspecified terms carry over
+  counter: Joi.object({
+    bid_amount: Joi.number().min(0).optional(),
+    deliverables: Joi.object({
+      posts: Joi.number().integer().min(0).optional(),
+      stories: Joi.number().integer().min(0).optional(),
+      reels: Joi.number().integer().min(0).optional(),
+      videos: Joi.number().integer().min(0).optional(),
+      timeline: Joi.string().max(500).optional()
+    }).min(1).optional(),
+    deadline: Joi.date().iso().greater('now').optional(),
+    message: Joi.string().trim().max(1000).optional()
+  }).or('bid_amount', 'deliverables', 'deadline')
 };
 
 // Analytics validation schemas
@@ -221,6 +564,40 @@ const analyticsValidation = {
       best_performing_day: Joi.string().optional(),
       peak_engagement_time: Joi.date().optional()
     }).required()
+  }),
+
+  // Query of the snapshot series endpoints
+  series: Joi.object({
+    interval: Joi.string().valid(
+      ANALYTICS_INTERVALS.DAILY,
+      ANALYTICS_INTERVALS.WEEKLY,
+      ANALYTICS_INTERVALS.MONTHLY
+    ).default(ANALYTICS_INTERVALS.DAILY),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    timezone: commonSchemas.timezone.default('UTC'),
+    userId: commonSchemas.objectId.optional()
+  }),
+
+  // Path of the post series endpoint
+  postSeriesParams: Joi.object({
+    postId: commonSchemas.objectId
+  }),
+
+  // Body of the report export endpoint
+  export: Joi.object({
+    type: Joi.string().valid(...Object.values(REPORT_TYPES)).required(),
+    format: Joi.string().valid(...Object.values(REPORT_FORMATS)).required(),
+    campaign_id: commonSchemas.objectId.when('type', {
+      is: REPORT_TYPES.CAMPAIGN,
+      otherwise: Joi.forbidden()
+    }),
+    creator_id: commonSchemas.objectId.optional(),
+    user_id: commonSchemas.objectId.optional(),
+    platform: Joi.string().valid('youtube', 'instagram', 'twitter', 'linkedin', 'facebook').optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    timezone: commonSchemas.timezone.default('UTC')
   })
 };
 
@@ -313,6 +690,16 @@ module.exports = {
   campaignValidation,
   bidValidation,
   analyticsValidation,
+  digestValidation,
+  deliverableValidation,
+  paymentValidation,
+  invoiceValidation,
+  conversationValidation,
+  notificationValidation,
+  webhookValidation,
+  apiKeyValidation,
+  workspaceValidation,
+  adminValidation,
   validateRequest,
   validateWithJoi,
   validationRules
@@ -0,0 +1,90 @@
+jest.mock('../../src/models/Post', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/AnalyticsSnapshot', () => ({ getSeries: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Post = require('../../src/models/Post');
+const AnalyticsSnapshot = require('../../src/models/AnalyticsSnapshot');
+const { getPostSeries, getAccountSeries } = require('../../src/controllers/analyticsController');
+
+const OWNER = '64b000000000000000000001';
+const OTHER = '64b000000000000000000002';
+
+const app = express();
+app.use((req, res, next) => {
+  req.userId = req.get('x-test-user');
+  req.user = { _id: req.userId, role: req.get('x-test-role') || 'creator' };
+  if (req.get('x-test-workspace-owner')) {
+    req.workspace = { _id: 'workspace-1', owner_id: req.get('x-test-workspace-owner') };
+  }
+  next();
+});
+app.get('/series/posts/:postId', getPostSeries);
+app.get('/series/accounts/:platform', getAccountSeries);
+
+describe('analyticsController series', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    AnalyticsSnapshot.getSeries.mockResolvedValue([
+      { period: '2026-03-01T00:00:00.000Z', likes: 10, views: 100, followers: 50 },
+      { period: '2026-03-02T00:00:00.000Z', likes: 15, views: 180, followers: 48 }
+    ]);
+  });
+
+  it('returns the post series with the change since the previous bucket', async () => {
+    Post.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'post-1', author: OWNER, platform: 'twitter' }) });
+
+    const res = await request(app).get('/series/posts/post-1?interval=daily').set('x-test-user', OWNER);
+
+    expect(res.status).toBe(200);
+    const [match, options] = AnalyticsSnapshot.getSeries.mock.calls[0];
+    expect(match).toEqual({ 'meta.scope': 'post', 'meta.post_id': 'post-1' });
+    expect(options.to.getTime() - options.from.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(res.body.data.series.map(point => point.change)).toEqual([
+      { likes: null, views: null, followers: null },
+      { likes: 5, views: 80, followers: -2 }
+    ]);
+  });
+
+  it("hides another user's post series", async () => {
+    Post.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'post-1', author: OTHER, platform: 'twitter' }) });
+
+    const res = await request(app).get('/series/posts/post-1').set('x-test-user', OWNER);
+
+    expect(res.status).toBe(403);
+    expect(AnalyticsSnapshot.getSeries).not.toHaveBeenCalled();
+  });
+
+  it("returns the caller's account series", async () => {
+    const res = await request(app).get('/series/accounts/youtube').set('x-test-user', OWNER);
+
+    expect(res.status).toBe(200);
+    expect(AnalyticsSnapshot.getSeries.mock.calls[0][0]).toEqual({
+      'meta.scope': 'account',
+      'meta.user_id': OWNER,
+      'meta.platform': 'youtube'
+    });
+  });
+
+  it("lets only admins read another user's account series", async () => {
+    const denied = await request(app).get(`/series/accounts/youtube?userId=${OTHER}`).set('x-test-user', OWNER);
+    const allowed = await request(app)
+      .get(`/series/accounts/youtube?userId=${OTHER}`)
+      .set('x-test-user', OWNER)
+      .set('x-test-role', 'admin');
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+    expect(String(AnalyticsSnapshot.getSeries.mock.calls[0][0]['meta.user_id'])).toBe(OTHER);
+  });
+
+  it("lets workspace members read the owner's account series", async () => {
+    const res = await request(app)
+      .get(`/series/accounts/youtube?userId=${OTHER}`)
+      .set('x-test-user', OWNER)
+      .set('x-test-workspace-owner', OTHER);
+
+    expect(res.status).toBe(200);
+    expect(String(AnalyticsSnapshot.getSeries.mock.calls[0][0]['meta.user_id'])).toBe(OTHER);
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../../src/models/User', () => ({ findByEmail: jest.fn(), findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/services/sessions', () => ({ revokeAll: jest.fn() }));
+jest.mock('../../src/services/identities', () => ({ findUser: jest.fn(), link: jest.fn() }));
+jest.mock('../../src/services/audit', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/notifier/email', () => ({ sendPasswordResetEmail: jest.fn() }));
+jest.mock('../../src/services/twoFactor', () => ({
+  isLocked: jest.fn(),
+  isRequired: jest.fn(),
+  verify: jest.fn(),
+  matchCode: jest.fn(),
+  recordFailure: jest.fn(),
+  clearFailures: jest.fn(),
+  generateRecoveryCodes: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const identities = require('../../src/services/identities');
+const emailService = require('../../src/services/notifier/email');
+const twoFactor = require('../../src/services/twoFactor');
+const jwtManager = require('../../src/utils/jwt');
+const logger = require('../../src/utils/logger');
+const authController = require('../../src/controllers/authController');
+
+const userId = new mongoose.Types.ObjectId();
+const identity = { provider: 'google', subject: 'google-sub-1', email: 'asha@example.com' };
+
+// asyncHandler does not return its promise: settle on the response or the error
+const call = (handler, req) => new Promise((resolve, reject) => {
+  const res = { status: jest.fn().mockReturnThis() };
+  res.json = jest.fn(() => resolve(res));
+  handler({ body: {}, params: {}, ...req }, res, reject);
+});
+
+const resetTokenOfEmail = () => {
+  const resetUrl = emailService.sendPasswordResetEmail.mock.calls[0][1];
+  return jwtManager.verifyPasswordResetToken(resetUrl.split('/').pop());
+};
+
+describe('authController password reset', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    User.findByEmail.mockResolvedValue({ _id: userId, email: 'asha@example.com' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('carries the Google identity of a link confirmation into the reset link', async () => {
+    const linkToken = jwtManager.generateIdentityToken({ ...identity, userId }, 'link');
+
+    await call(authController.requestPasswordReset, { body: { email: 'asha@example.com', linkToken } });
+
+    expect(resetTokenOfEmail().identity).toEqual(identity);
+  });
+
+  it('sends a plain reset link when the link token is for another account', async () => {
+    const linkToken = jwtManager.generateIdentityToken({ ...identity, userId: new mongoose.Types.ObjectId() }, 'link');
+
+    await call(authController.requestPasswordReset, { body: { email: 'asha@example.com', linkToken } });
+
+    expect(resetTokenOfEmail().identity).toBeUndefined();
+  });
+
+  it('links the Google identity once the new password is set', async () => {
+    const user = { _id: userId, save: jest.fn() };
+    User.findById.mockResolvedValue(user);
+    identities.findUser.mockResolvedValue(null);
+    identities.link.mockResolvedValue({ _id: userId });
+
+    const res = await call(authController.resetPassword, {
+      userId,
+      resetIdentity: identity,
+      body: { newPassword: 'N3w-password!' }
+    });
+
+    expect(user.password).toBe('N3w-password!');
+    expect(identities.link).toHaveBeenCalledWith(userId, identity);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+
+  it('keeps the reset when the Google identity was linked elsewhere meanwhile', async () => {
+    User.findById.mockResolvedValue({ _id: userId, save: jest.fn() });
+    identities.findUser.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const logWarn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const res = await call(authController.resetPassword, {
+      userId,
+      resetIdentity: identity,
+      body: { newPassword: 'N3w-password!' }
+    });
+
+    expect(identities.link).not.toHaveBeenCalled();
+    expect(logWarn).toHaveBeenCalledWith('Sign-in provider not linked after password reset', { userId, provider: 'google' });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+});
+
+describe('authController two-factor settings', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    twoFactor.isLocked.mockResolvedValue(false);
+    twoFactor.isRequired.mockResolvedValue(false);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const findUser = user => User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+
+  it('turns two-factor off for a Google-only account with a code alone', async () => {
+    findUser({ _id: userId, twoFactor: { enabled: true }, comparePassword: jest.fn() });
+    twoFactor.verify.mockResolvedValue('recovery');
+
+    const res = await call(authController.disableTwoFactor, { userId, body: { recovery_code: 'abcd-efgh' } });
+
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Two-factor authentication disabled' });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, expect.objectContaining({ $set: { 'twoFactor.enabled': false } }));
+  });
+
+  it('still needs the password of an account that has one', async () => {
+    findUser({ _id: userId, password: 'hash', twoFactor: { enabled: true }, comparePassword: jest.fn().mockResolvedValue(false) });
+
+    const res = await call(authController.disableTwoFactor, { userId, body: { code: '123456' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(twoFactor.verify).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('counts wrong codes while enabling two-factor', async () => {
+    findUser({ _id: userId, twoFactor: { pending_secret: 'SECRET' } });
+    twoFactor.matchCode.mockReturnValue(null);
+
+    const res = await call(authController.enableTwoFactor, { userId, body: { code: '000000' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(twoFactor.recordFailure).toHaveBeenCalledWith(userId);
+  });
+
+  it('refuses codes while two-factor checks are locked', async () => {
+    findUser({ _id: userId, twoFactor: { pending_secret: 'SECRET' } });
+    twoFactor.isLocked.mockResolvedValue(true);
+
+    const res = await call(authController.enableTwoFactor, { userId, body: { code: '123456' } });
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(twoFactor.matchCode).not.toHaveBeenCalled();
+  });
+});
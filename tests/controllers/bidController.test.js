@@ -0,0 +1,140 @@
+jest.mock('../../src/models/Bid', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../src/models/Campaign', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/campaignWorkflow', () => ({ acceptBid: jest.fn() }));
+jest.mock('../../src/services/notifier/notifications', () => ({ notify: jest.fn() }));
+jest.mock('../../src/services/webhooks', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/audit', () => ({ record: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Bid = require('../../src/models/Bid');
+const Campaign = require('../../src/models/Campaign');
+const campaignWorkflow = require('../../src/services/campaignWorkflow');
+const notifications = require('../../src/services/notifier/notifications');
+const webhooks = require('../../src/services/webhooks');
+const audit = require('../../src/services/audit');
+const logger = require('../../src/utils/logger');
+const { counterBid, acceptCounter } = require('../../src/controllers/bidController');
+const { BID_STATUS, AUDIT_ACTIONS } = require('../../src/utils/constants');
+
+const BRAND = '64b000000000000000000001';
+const CREATOR = '64b000000000000000000002';
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.userId = req.get('x-test-user');
+  req.user = { _id: req.userId, role: req.userId === BRAND ? 'brand' : 'creator' };
+  next();
+});
+app.post('/bids/:id/counter', counterBid);
+app.post('/bids/:id/accept-counter', acceptCounter);
+
+const bid = (overrides = {}) => ({
+  _id: 'bid-1',
+  campaign_id: 'campaign-1',
+  creator_id: CREATOR,
+  status: BID_STATUS.PENDING,
+  bid_amount: 1000,
+  deliverables: { posts: 2, stories: 0, reels: 0, videos: 0 },
+  timeline: {},
+  revisions: [{ version: 1 }],
+  toRevision(fields) {
+    return { version: this.revisions.length + 1, bid_amount: this.bid_amount, ...fields };
+  },
+  ...overrides
+});
+
+const counter = (user, body) => request(app).post('/bids/bid-1/counter').set('x-test-user', user).send(body);
+
+describe('bidController negotiation', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    Campaign.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'campaign-1', brand_id: BRAND, title: 'Summer launch' }) });
+    Bid.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ _id: 'bid-1', ...update.$set }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lets the brand counter a pending bid, keeping terms it does not change', async () => {
+    Bid.findById.mockResolvedValue(bid());
+
+    const res = await counter(BRAND, { bid_amount: 800, message: 'Our budget is 800' });
+
+    expect(res.status).toBe(200);
+    const [filter, update] = Bid.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'bid-1', status: BID_STATUS.PENDING, revisions: { $size: 1 } });
+    expect(update.$set).toMatchObject({ status: BID_STATUS.COUNTERED, bid_amount: 800, deliverables: expect.objectContaining({ posts: 2 }) });
+    expect(update.$push.revisions).toMatchObject({
+      version: 2,
+      action: 'countered',
+      proposed_by: 'brand',
+      author_id: BRAND,
+      bid_amount: 800,
+      message: 'Our budget is 800'
+    });
+    expect(notifications.notify).toHaveBeenCalledWith(CREATOR, 'bid_countered', expect.objectContaining({
+      title: 'Counter-offer on Summer launch',
+      link: '/creator/bids/bid-1'
+    }));
+  });
+
+  it('lets the creator answer the brand counter-offer', async () => {
+    Bid.findById.mockResolvedValue(bid({ status: BID_STATUS.COUNTERED, revisions: [{ version: 1 }, { version: 2 }] }));
+
+    const res = await counter(CREATOR, { bid_amount: 900 });
+
+    expect(res.status).toBe(200);
+    expect(Bid.findOneAndUpdate.mock.calls[0][1].$set.status).toBe(BID_STATUS.RECOUNTERED);
+    expect(notifications.notify).toHaveBeenCalledWith(BRAND, 'bid_countered', expect.any(Object));
+  });
+
+  it('makes each side wait for the other to respond', async () => {
+    Bid.findById.mockResolvedValue(bid({ status: BID_STATUS.COUNTERED }));
+
+    const res = await counter(BRAND, { bid_amount: 700 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The other side has to respond to the current offer first');
+    expect(Bid.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when the bid changed while countering', async () => {
+    Bid.findById.mockResolvedValue(bid());
+    Bid.findOneAndUpdate.mockResolvedValue(null);
+
+    expect((await counter(BRAND, { bid_amount: 800 })).status).toBe(409);
+  });
+
+  it('accepts the counter-offer for the creator', async () => {
+    const campaign = { _id: 'campaign-1', brand_id: BRAND, title: 'Summer launch' };
+    Bid.findById.mockResolvedValue(bid({ status: BID_STATUS.COUNTERED }));
+    Campaign.findById.mockResolvedValue(campaign);
+    campaignWorkflow.acceptBid.mockResolvedValue({ bid: { _id: 'bid-1', status: BID_STATUS.ACCEPTED }, deliverables: [] });
+
+    const res = await request(app).post('/bids/bid-1/accept-counter').set('x-test-user', CREATOR);
+
+    expect(res.status).toBe(200);
+    expect(campaignWorkflow.acceptBid).toHaveBeenCalledWith(expect.objectContaining({ _id: 'bid-1' }), campaign, {
+      actorId: CREATOR,
+      acceptedBy: 'creator'
+    });
+    expect(notifications.notify).toHaveBeenCalledWith(BRAND, 'bid_accepted', expect.any(Object));
+    expect(webhooks.emit).toHaveBeenCalledWith([BRAND, CREATOR], 'bid.accepted', expect.objectContaining({ accepted_by: 'creator' }));
+    expect(audit.record).toHaveBeenCalledWith(expect.any(Object), AUDIT_ACTIONS.BID_ACCEPTED, expect.objectContaining({
+      before: { status: BID_STATUS.COUNTERED },
+      metadata: { campaign_id: 'campaign-1', accepted_by: 'creator' }
+    }));
+  });
+
+  it('answers 409 when there is no counter-offer to accept', async () => {
+    Bid.findById.mockResolvedValue(bid());
+    Campaign.findById.mockResolvedValue({ _id: 'campaign-1' });
+    campaignWorkflow.acceptBid.mockResolvedValue(null);
+
+    const res = await request(app).post('/bids/bid-1/accept-counter').set('x-test-user', CREATOR);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('There is no counter-offer to accept');
+  });
+});
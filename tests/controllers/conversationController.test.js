@@ -0,0 +1,176 @@
+jest.mock('../../src/models/Conversation', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/Message', () => ({ create: jest.fn(), findOne: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../../src/models/Bid', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Campaign', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/mediaStorage', () => ({ saveAll: jest.fn() }));
+jest.mock('../../src/services/realtime', () => ({ publish: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Conversation = require('../../src/models/Conversation');
+const Message = require('../../src/models/Message');
+const Bid = require('../../src/models/Bid');
+const Campaign = require('../../src/models/Campaign');
+const mediaStorage = require('../../src/services/mediaStorage');
+const realtime = require('../../src/services/realtime');
+const jwtManager = require('../../src/utils/jwt');
+const {
+  startConversation,
+  sendMessage,
+  markRead,
+  createStreamToken
+} = require('../../src/controllers/conversationController');
+
+const BRAND = '64b000000000000000000001';
+const CREATOR = '64b000000000000000000002';
+const OUTSIDER = '64b000000000000000000003';
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.userId = req.get('x-test-user');
+  req.user = { _id: req.userId, role: 'creator' };
+  next();
+});
+app.post('/conversations', startConversation);
+app.post('/conversations/:id/messages', sendMessage);
+app.post('/conversations/:id/read', markRead);
+app.post('/conversations/stream-token', createStreamToken);
+
+const conversation = () => ({
+  _id: 'conversation-1',
+  brand_id: BRAND,
+  creator_id: CREATOR,
+  isParticipant: userId => [BRAND, CREATOR].includes(userId.toString()),
+  getRecipientId: senderId => (senderId.toString() === BRAND ? CREATOR : BRAND)
+});
+
+describe('conversationController', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Conversation.findById.mockResolvedValue(conversation());
+    mediaStorage.saveAll.mockResolvedValue([]);
+  });
+
+  describe('startConversation', () => {
+    beforeEach(() => {
+      Bid.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'bid-1', campaign_id: 'campaign-1', creator_id: CREATOR }) });
+      Campaign.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'campaign-1', brand_id: BRAND }) });
+    });
+
+    it('opens one conversation per bid for its brand and creator', async () => {
+      Conversation.findOneAndUpdate.mockResolvedValue({ value: { _id: 'conversation-1' }, lastErrorObject: { updatedExisting: false } });
+
+      const res = await request(app).post('/conversations').set('x-test-user', CREATOR).send({ bid_id: 'bid-1' });
+
+      expect(res.status).toBe(201);
+      const [filter, update, options] = Conversation.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ bid_id: 'bid-1' });
+      expect(update.$setOnInsert).toEqual({ campaign_id: 'campaign-1', brand_id: BRAND, creator_id: CREATOR });
+      expect(options.upsert).toBe(true);
+    });
+
+    it('returns the existing conversation', async () => {
+      Conversation.findOneAndUpdate.mockResolvedValue({ value: { _id: 'conversation-1' }, lastErrorObject: { updatedExisting: true } });
+
+      const res = await request(app).post('/conversations').set('x-test-user', BRAND).send({ bid_id: 'bid-1' });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('only lets the parties of the bid open it', async () => {
+      const res = await request(app).post('/conversations').set('x-test-user', OUTSIDER).send({ bid_id: 'bid-1' });
+
+      expect(res.status).toBe(403);
+      expect(Conversation.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('stores the message for the other side and pushes it to both', async () => {
+      const sentAt = new Date('2026-03-01T10:00:00Z');
+      Message.create.mockImplementation(fields => Promise.resolve({ _id: 'message-1', createdAt: sentAt, ...fields }));
+
+      const res = await request(app)
+        .post('/conversations/conversation-1/messages')
+        .set('x-test-user', CREATOR)
+        .send({ body: `  ${'x'.repeat(200)}  ` });
+
+      expect(res.status).toBe(201);
+      expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({ sender_id: CREATOR, recipient_id: BRAND, body: 'x'.repeat(200) }));
+      const [, update] = Conversation.updateOne.mock.calls[0];
+      expect(update.$set.last_message).toEqual({
+        body: 'x'.repeat(140),
+        sender_id: CREATOR,
+        has_attachments: false,
+        sent_at: sentAt
+      });
+      expect(realtime.publish).toHaveBeenCalledWith([BRAND, CREATOR], 'message', expect.objectContaining({ conversation_id: 'conversation-1' }));
+    });
+
+    it('refuses an empty message', async () => {
+      const res = await request(app).post('/conversations/conversation-1/messages').set('x-test-user', CREATOR).send({ body: '  ' });
+
+      expect(res.status).toBe(400);
+      expect(Message.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps other users out', async () => {
+      const res = await request(app).post('/conversations/conversation-1/messages').set('x-test-user', OUTSIDER).send({ body: 'Hi' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('markRead', () => {
+    beforeEach(() => {
+      Message.findOne.mockReturnValue({ sort: () => ({ select: () => Promise.resolve({ _id: 'message-9' }) }) });
+    });
+
+    it('marks messages to the reader as read and sends a receipt', async () => {
+      Message.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      const res = await request(app).post('/conversations/conversation-1/read').set('x-test-user', BRAND).send({ message_id: 'message-9' });
+
+      expect(res.body.data.read_count).toBe(3);
+      expect(Message.findOne).toHaveBeenCalledWith({ conversation_id: 'conversation-1', recipient_id: BRAND, _id: { $lte: 'message-9' } });
+      const [filter] = Message.updateMany.mock.calls[0];
+      expect(filter).toEqual({ conversation_id: 'conversation-1', recipient_id: BRAND, read_at: null, _id: { $lte: 'message-9' } });
+      expect(realtime.publish).toHaveBeenCalledWith([BRAND, CREATOR], 'read', expect.objectContaining({ reader_id: BRAND, up_to: 'message-9' }));
+    });
+
+    it('sends no receipt when nothing was unread', async () => {
+      Message.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      await request(app).post('/conversations/conversation-1/read').set('x-test-user', BRAND).send({});
+
+      expect(realtime.publish).not.toHaveBeenCalled();
+    });
+
+    it('only marks messages up to the newest one it found, even if more arrive meanwhile', async () => {
+      Message.findOne.mockReturnValue({ sort: () => ({ select: () => Promise.resolve({ _id: 'message-7' }) }) });
+      Message.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      await request(app).post('/conversations/conversation-1/read').set('x-test-user', BRAND).send({});
+
+      expect(Message.updateMany.mock.calls[0][0]._id).toEqual({ $lte: 'message-7' });
+      expect(realtime.publish).toHaveBeenCalledWith([BRAND, CREATOR], 'read', expect.objectContaining({ up_to: 'message-7' }));
+    });
+
+    it('updates nothing when the reader has no messages', async () => {
+      Message.findOne.mockReturnValue({ sort: () => ({ select: () => Promise.resolve(null) }) });
+
+      const res = await request(app).post('/conversations/conversation-1/read').set('x-test-user', BRAND).send({});
+
+      expect(res.body.data.read_count).toBe(0);
+      expect(Message.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  it('issues stream tokens that are not access tokens', async () => {
+    const res = await request(app).post('/conversations/stream-token').set('x-test-user', CREATOR);
+
+    expect(jwtManager.verifyStreamToken(res.body.data.token).id).toBe(CREATOR);
+    expect(() => jwtManager.verifyStreamToken(jwtManager.generateAccessToken({ id: CREATOR }))).toThrow('Invalid stream token');
+  });
+});
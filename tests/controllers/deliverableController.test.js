@@ -0,0 +1,215 @@
+jest.mock('../../src/models/Deliverable', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../src/models/Campaign', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Post', () => ({ findById: jest.fn(), create: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../../src/services/campaignWorkflow', () => ({ onDeliverableApproved: jest.fn() }));
+jest.mock('../../src/services/notifier/notifications', () => ({ notify: jest.fn() }));
+jest.mock('../../src/services/workspaces', () => ({ canAccessCampaign: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Deliverable = require('../../src/models/Deliverable');
+const Campaign = require('../../src/models/Campaign');
+const Post = require('../../src/models/Post');
+const campaignWorkflow = require('../../src/services/campaignWorkflow');
+const notifications = require('../../src/services/notifier/notifications');
+const workspaces = require('../../src/services/workspaces');
+const logger = require('../../src/utils/logger');
+const { reviewDraft, createPost } = require('../../src/controllers/deliverableController');
+const { DELIVERABLE_STATUS, WORKSPACE_PERMISSIONS } = require('../../src/utils/constants');
+
+const BRAND = '64b000000000000000000001';
+const CREATOR = '64b000000000000000000002';
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.userId = req.get('x-test-user');
+  req.user = { _id: req.userId, role: req.get('x-test-role') || 'brand' };
+  next();
+});
+app.post('/deliverables/:id/review', reviewDraft);
+app.post('/deliverables/:id/post', createPost);
+
+const media = {
+  url: '/api/deliverables/deliverable-1/media/a.jpg',
+  filename: 'a.jpg',
+  toObject: () => ({ url: '/api/deliverables/deliverable-1/media/a.jpg', filename: 'a.jpg' })
+};
+
+const deliverable = (overrides = {}) => ({
+  _id: 'deliverable-1',
+  title: 'Post 1',
+  type: 'post',
+  campaign_id: 'campaign-1',
+  brand_id: BRAND,
+  creator_id: CREATOR,
+  status: DELIVERABLE_STATUS.SUBMITTED,
+  revision_limit: 2,
+  revisions_requested: 0,
+  drafts: [{ version: 1 }],
+  currentDraft: { caption: 'Launch day', hashtags: ['launch'], mentions: [], media: [media] },
+  post_id: null,
+  ...overrides
+});
+
+describe('deliverableController', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    Deliverable.findOneAndUpdate.mockImplementation((filter, update) =>
+      Promise.resolve({ ...deliverable(), ...update.$set }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('reviewDraft', () => {
+    const review = (body, user = BRAND) => request(app)
+      .post('/deliverables/deliverable-1/review')
+      .set('x-test-user', user)
+      .send(body);
+
+    it('requests changes and counts the revision round', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable());
+
+      const res = await review({ decision: 'request_changes', comment: 'Brighter thumbnail' });
+
+      expect(res.status).toBe(200);
+      const [filter, update] = Deliverable.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'deliverable-1', status: DELIVERABLE_STATUS.SUBMITTED, drafts: { $size: 1 } });
+      expect(update.$set.status).toBe(DELIVERABLE_STATUS.CHANGES_REQUESTED);
+      expect(update.$set['drafts.0.review']).toMatchObject({ comment: 'Brighter thumbnail', reviewed_by: BRAND });
+      expect(update.$inc).toEqual({ revisions_requested: 1 });
+      expect(campaignWorkflow.onDeliverableApproved).not.toHaveBeenCalled();
+      expect(notifications.notify).toHaveBeenCalledWith(CREATOR, 'deliverable_reviewed', expect.objectContaining({
+        title: 'Your draft of "Post 1" was changes requested',
+        body: 'Brighter thumbnail'
+      }));
+    });
+
+    it('refuses more change requests than the agreed revision rounds', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable({ revisions_requested: 2 }));
+
+      const res = await review({ decision: 'request_changes' });
+
+      expect(res.status).toBe(409);
+      expect(Deliverable.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('releases payment milestones on approval', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable());
+
+      const res = await review({ decision: 'approve' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.deliverable.status).toBe(DELIVERABLE_STATUS.APPROVED);
+      expect(Deliverable.findOneAndUpdate.mock.calls[0][1].$inc).toBeUndefined();
+      expect(campaignWorkflow.onDeliverableApproved).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'deliverable-1', status: DELIVERABLE_STATUS.APPROVED })
+      );
+    });
+
+    it('keeps the approval when releasing payment fails', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable());
+      campaignWorkflow.onDeliverableApproved.mockRejectedValue(new Error('gateway down'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      const res = await review({ decision: 'approve' });
+
+      expect(res.status).toBe(200);
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    it('answers 409 when there is no draft awaiting review', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable({ status: DELIVERABLE_STATUS.APPROVED }));
+
+      expect((await review({ decision: 'approve' })).status).toBe(409);
+    });
+
+    it('answers 409 when a new draft arrived during review', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable());
+      Deliverable.findOneAndUpdate.mockResolvedValue(null);
+
+      expect((await review({ decision: 'reject' })).status).toBe(409);
+    });
+
+    it('only lets the brand of the deliverable review', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable());
+      Campaign.findById.mockReturnValue({ select: () => Promise.resolve({ brand_id: BRAND }) });
+      workspaces.canAccessCampaign.mockResolvedValue(false);
+
+      expect((await review({ decision: 'approve' }, CREATOR)).status).toBe(403);
+    });
+
+    it('lets workspace members who may approve review for the brand', async () => {
+      const campaign = { brand_id: BRAND, workspace_id: 'workspace-1' };
+      Deliverable.findById.mockResolvedValue(deliverable());
+      Campaign.findById.mockReturnValue({ select: () => Promise.resolve(campaign) });
+      workspaces.canAccessCampaign.mockResolvedValue(true);
+
+      const res = await review({ decision: 'request_changes', comment: 'Brighter thumbnail' }, CREATOR);
+
+      expect(res.status).toBe(200);
+      expect(workspaces.canAccessCampaign).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: CREATOR }), campaign, WORKSPACE_PERMISSIONS.APPROVE);
+    });
+  });
+
+  describe('createPost', () => {
+    const post = (body = { platform: 'instagram' }) => request(app)
+      .post('/deliverables/deliverable-1/post')
+      .set('x-test-user', CREATOR)
+      .set('x-test-role', 'creator')
+      .send(body);
+
+    beforeEach(() => {
+      Campaign.findById.mockReturnValue({ select: () => Promise.resolve({ requirements: { platforms: ['instagram'] } }) });
+      Post.create.mockImplementation(fields => Promise.resolve({ _id: 'post-1', ...fields }));
+    });
+
+    it('creates a campaign post from the approved draft', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable({ status: DELIVERABLE_STATUS.APPROVED }));
+
+      const res = await post();
+
+      expect(res.status).toBe(201);
+      expect(Post.create).toHaveBeenCalledWith(expect.objectContaining({
+        platform: 'instagram',
+        post_type: 'post',
+        author: CREATOR,
+        campaign_id: 'campaign-1',
+        deliverable_id: 'deliverable-1',
+        content: { caption: 'Launch day', hashtags: ['launch'], mentions: [] },
+        // Served like other post media once it belongs to the post
+        media: [{ url: '/api/media/posts/a.jpg', filename: 'a.jpg' }]
+      }));
+      expect(Deliverable.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'deliverable-1', post_id: null },
+        { $set: { post_id: 'post-1' } },
+        { new: true }
+      );
+    });
+
+    it('only posts approved deliverables', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable());
+
+      expect((await post()).status).toBe(409);
+      expect(Post.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps to the campaign platforms', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable({ status: DELIVERABLE_STATUS.APPROVED }));
+
+      expect((await post({ platform: 'twitter' })).status).toBe(400);
+      expect(Post.create).not.toHaveBeenCalled();
+    });
+
+    it('removes its post when another request claimed the deliverable first', async () => {
+      Deliverable.findById.mockResolvedValue(deliverable({ status: DELIVERABLE_STATUS.APPROVED }));
+      Deliverable.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await post();
+
+      expect(res.status).toBe(409);
+      expect(Post.deleteOne).toHaveBeenCalledWith({ _id: 'post-1' });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../src/models/User', () => ({ updateOne: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const jwtManager = require('../../src/utils/jwt');
+const logger = require('../../src/utils/logger');
+const { showUnsubscribe, unsubscribe } = require('../../src/controllers/digestController');
+const { DIGEST_FREQUENCIES } = require('../../src/utils/constants');
+
+const app = express();
+app.get('/unsubscribe', showUnsubscribe);
+app.post('/unsubscribe', unsubscribe);
+
+describe('digest unsubscribe', () => {
+  const token = () => encodeURIComponent(jwtManager.generateUnsubscribeToken('user-1', 'digest'));
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only asks for confirmation when the link is opened', async () => {
+    const res = await request(app).get(`/unsubscribe?token=${token()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<form method="POST"');
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('turns digests off on POST', async () => {
+    const res = await request(app).post(`/unsubscribe?token=${token()}`);
+
+    expect(res.status).toBe(200);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'user-1' },
+      { $set: { 'preferences.digest.frequency': DIGEST_FREQUENCIES.OFF } }
+    );
+  });
+
+  it('rejects tokens that are not digest unsubscribe tokens', async () => {
+    const accessToken = jwtManager.generateAccessToken({ id: 'user-1' });
+    const otherList = jwtManager.generateUnsubscribeToken('user-1', 'marketing');
+
+    const responses = await Promise.all([
+      request(app).post(`/unsubscribe?token=${encodeURIComponent(accessToken)}`),
+      request(app).post(`/unsubscribe?token=${encodeURIComponent(otherList)}`),
+      request(app).get('/unsubscribe?token=garbage')
+    ]);
+
+    expect(responses.map(res => res.status)).toEqual([400, 400, 400]);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../src/services/social/google', () => ({ exchangeCodeForToken: jest.fn(), getUserInfo: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findByEmail: jest.fn() }));
+jest.mock('../../src/services/identities', () => ({ findUser: jest.fn() }));
+jest.mock('../../src/services/sessions', () => ({ start: jest.fn() }));
+jest.mock('../../src/services/twoFactor', () => ({ getChallenge: jest.fn() }));
+jest.mock('../../src/services/audit', () => ({ record: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const googleService = require('../../src/services/social/google');
+const User = require('../../src/models/User');
+const identities = require('../../src/services/identities');
+const sessions = require('../../src/services/sessions');
+const twoFactor = require('../../src/services/twoFactor');
+const audit = require('../../src/services/audit');
+const config = require('../../src/config/env');
+const jwtManager = require('../../src/utils/jwt');
+const logger = require('../../src/utils/logger');
+const googleController = require('../../src/controllers/googleController');
+
+const profile = { sub: 'google-sub-1', email: 'Asha@Example.com', email_verified: true, name: 'Asha' };
+
+const callback = async (userId = 'guest') => {
+  const req = { query: { code: 'code', redirectUri: 'http://localhost/cb', state: jwt.sign({ userId }, config.JWT_SECRET) } };
+  const res = { redirect: jest.fn(), cookie: jest.fn() };
+  await googleController.handleCallback(req, res);
+  return new URL(res.redirect.mock.calls[0][0]);
+};
+
+describe('googleController.handleCallback', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    googleService.exchangeCodeForToken.mockResolvedValue({ success: true, access_token: 'google-token' });
+    googleService.getUserInfo.mockResolvedValue({ success: true, user: profile });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('signs in the account linked to the Google subject', async () => {
+    const user = { _id: 'user-1', role: 'brand', isActive: true, save: jest.fn() };
+    identities.findUser.mockResolvedValue(user);
+    sessions.start.mockResolvedValue({ session: { _id: 'session-1' }, tokens: { accessToken: 'access', refreshToken: 'refresh' } });
+
+    const url = await callback();
+
+    expect(identities.findUser).toHaveBeenCalledWith('google', 'google-sub-1');
+    expect(url.pathname).toBe('/brand/dashboard');
+    expect(User.findByEmail).not.toHaveBeenCalled();
+    expect(audit.record).toHaveBeenCalledWith(expect.any(Object), 'auth.login', expect.objectContaining({
+      actor: user,
+      metadata: { session_id: 'session-1', provider: 'google' }
+    }));
+  });
+
+  it('asks the owner of an account with the same email to confirm the link', async () => {
+    identities.findUser.mockResolvedValue(null);
+    User.findByEmail.mockResolvedValue({ _id: 'user-1' });
+
+    const url = await callback();
+
+    expect(url.pathname).toBe('/login');
+    expect(url.searchParams.get('google')).toBe('confirm_link');
+    expect(jwtManager.verifyIdentityToken(url.searchParams.get('linkToken'), 'link')).toMatchObject({
+      provider: 'google',
+      subject: 'google-sub-1',
+      email: 'asha@example.com',
+      userId: 'user-1'
+    });
+    expect(sessions.start).not.toHaveBeenCalled();
+  });
+
+  it('sends new users to onboarding', async () => {
+    identities.findUser.mockResolvedValue(null);
+    User.findByEmail.mockResolvedValue(null);
+
+    const url = await callback();
+
+    expect(url.pathname).toBe('/onboarding');
+    expect(jwtManager.verifyIdentityToken(url.searchParams.get('signupToken'), 'signup')).toMatchObject({ name: 'Asha' });
+  });
+
+  it('finishes two-factor sign-in on the login page', async () => {
+    identities.findUser.mockResolvedValue({ _id: 'user-1', role: 'creator', isActive: true });
+    twoFactor.getChallenge.mockResolvedValue({ twoFactor: 'verify', challengeToken: 'challenge' });
+
+    const url = await callback();
+
+    expect(url.searchParams.get('twoFactor')).toBe('verify');
+    expect(sessions.start).not.toHaveBeenCalled();
+  });
+
+  it('refuses Google accounts without a verified email', async () => {
+    googleService.getUserInfo.mockResolvedValue({ success: true, user: { ...profile, email_verified: false } });
+
+    const url = await callback();
+
+    expect(url.searchParams.get('google')).toBe('error');
+    expect(identities.findUser).not.toHaveBeenCalled();
+  });
+
+  it('links from account settings after the signed-in user confirms', async () => {
+    identities.findUser.mockResolvedValue(null);
+
+    const url = await callback('64b000000000000000000001');
+
+    expect(url.pathname).toBe('/settings/security');
+    expect(url.searchParams.get('google')).toBe('confirm_link');
+  });
+});
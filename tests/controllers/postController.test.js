@@ -0,0 +1,264 @@
+jest.mock('../../src/services/scheduler/postDispatcher', () => ({}));
+jest.mock('../../src/services/mediaStorage', () => ({ read: jest.fn(), saveAll: jest.fn(), getPublicUrl: jest.fn() }));
+jest.mock('../../src/services/social/linkedin', () => ({ post: jest.fn() }));
+jest.mock('../../src/services/social/facebook', () => ({
+  publishFeedPost: jest.fn(),
+  publishPhoto: jest.fn(),
+  publishVideo: jest.fn()
+}));
+jest.mock('../../src/services/social/instagram', () => ({ post: jest.fn() }));
+jest.mock('../../src/services/social/tokenManager', () => ({
+  withFreshToken: jest.fn(),
+  markNeedsReauth: jest.fn()
+}));
+
+const mediaStorage = require('../../src/services/mediaStorage');
+const linkedinService = require('../../src/services/social/linkedin');
+const facebookService = require('../../src/services/social/facebook');
+const instagramService = require('../../src/services/social/instagram');
+const tokenManager = require('../../src/services/social/tokenManager');
+const postController = require('../../src/controllers/postController');
+
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+// tokenManager.withFreshToken stub that publishes with the stored token
+const publishWithStoredToken = (user, platform, publish) => publish(user.socialAccounts[platform].accessToken);
+
+describe('postController.postToLinkedIn', () => {
+  const user = { socialAccounts: { linkedin: { id: 'member-1', accessToken: 'token', expiresAt: future() } } };
+  const post = (overrides = {}) => ({ _id: 'post-1', platform: 'linkedin', content: { caption: 'Hello' }, media: [], ...overrides });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    linkedinService.post.mockResolvedValue({ success: true, post_id: 'urn:li:share:1' });
+    tokenManager.withFreshToken.mockImplementation(publishWithStoredToken);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('publishes the caption with the stored images', async () => {
+    mediaStorage.read.mockResolvedValue(Buffer.from('image'));
+
+    const result = await postController.postToLinkedIn(post({
+      media: [{ type: 'image', filename: 'a.png', mimeType: 'image/png' }],
+      platform_content: { linkedin: { visibility: 'connections' } }
+    }), user);
+
+    expect(result.success).toBe(true);
+    expect(linkedinService.post).toHaveBeenCalledWith('token', {
+      memberId: 'member-1',
+      text: 'Hello',
+      visibility: 'connections',
+      images: [{ buffer: Buffer.from('image'), mimeType: 'image/png' }],
+      article: null
+    });
+  });
+
+  it('shares an article when it has a URL', async () => {
+    await postController.postToLinkedIn(post({
+      content: {},
+      platform_content: { linkedin: { article: { url: 'https://example.com/a', title: 'A', body: 'Body' } } }
+    }), user);
+
+    expect(linkedinService.post.mock.calls[0][1]).toMatchObject({
+      text: 'Body',
+      article: { url: 'https://example.com/a', title: 'A', description: 'Body' }
+    });
+  });
+
+  it('sends an article without a URL as text', async () => {
+    await postController.postToLinkedIn(post({
+      platform_content: { linkedin: { article: { title: 'A', body: 'Body' } } }
+    }), user);
+
+    expect(linkedinService.post.mock.calls[0][1]).toMatchObject({ text: 'Hello\n\nA\n\nBody', article: null });
+  });
+
+  it.each([
+    ['the account is not connected', post(), { socialAccounts: {} }, 'ACCOUNT_NOT_CONNECTED'],
+    ['there is no content', post({ content: {} }), user, 'INVALID_CONTENT'],
+    ['the text is too long', post({ content: { caption: 'x'.repeat(3001) } }), user, 'INVALID_CONTENT'],
+    ['the media is video only', post({ media: [{ type: 'video', filename: 'a.mp4' }] }), user, 'INVALID_CONTENT']
+  ])('refuses to publish when %s', async (_case, linkedinPost, linkedinUser, code) => {
+    const result = await postController.postToLinkedIn(linkedinPost, linkedinUser);
+
+    expect(result).toMatchObject({ success: false, code });
+    expect(linkedinService.post).not.toHaveBeenCalled();
+  });
+
+  it('reports stored media that can no longer be read as invalid content', async () => {
+    mediaStorage.read.mockRejectedValue(new Error('Media file a.png is no longer available'));
+
+    const result = await postController.postToLinkedIn(post({ media: [{ type: 'image', filename: 'a.png' }] }), user);
+
+    expect(result).toEqual({ success: false, error: 'Media file a.png is no longer available', code: 'INVALID_CONTENT' });
+  });
+});
+
+describe('postController.postToPlatform', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('flags a Facebook account whose Page token was rejected', async () => {
+    const user = { _id: 'user-1' };
+    jest.spyOn(postController, 'postToFacebook').mockResolvedValue({ success: false, error: 'Session expired', code: 'TOKEN_EXPIRED' });
+
+    const result = await postController.postToPlatform({ _id: 'post-1', platform: 'facebook' }, user);
+
+    expect(result.code).toBe('TOKEN_EXPIRED');
+    expect(tokenManager.markNeedsReauth).toHaveBeenCalledWith(user, 'facebook', 'Session expired');
+  });
+
+  it('leaves refreshable platforms to the token manager', async () => {
+    jest.spyOn(postController, 'postToLinkedIn').mockResolvedValue({ success: false, code: 'TOKEN_EXPIRED' });
+
+    await postController.postToPlatform({ _id: 'post-1', platform: 'linkedin' }, { _id: 'user-1' });
+
+    expect(tokenManager.markNeedsReauth).not.toHaveBeenCalled();
+  });
+});
+
+describe('postController.postToFacebook', () => {
+  const user = {
+    socialAccounts: {
+      facebook: {
+        accessToken: 'user-token',
+        selectedPageId: 'page-1',
+        pages: [{ id: 'page-1', accessToken: 'page-token' }, { id: 'page-2', accessToken: 'other-token' }]
+      }
+    }
+  };
+  const post = (overrides = {}) => ({ _id: 'post-1', platform: 'facebook', content: { caption: 'Hello' }, media: [], ...overrides });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mediaStorage.read.mockImplementation(item => Promise.resolve(Buffer.from(item.filename)));
+    facebookService.publishFeedPost.mockResolvedValue({ success: true, post_id: 'page_post' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('publishes a link post to the selected Page', async () => {
+    await postController.postToFacebook(post({
+      platform_content: { facebook: { link_preview: { url: 'https://example.com' } } }
+    }), user);
+
+    expect(facebookService.publishFeedPost).toHaveBeenCalledWith('page-1', 'page-token', {
+      message: 'Hello',
+      link: 'https://example.com'
+    });
+  });
+
+  it('publishes to the Page chosen on the post', async () => {
+    await postController.postToFacebook(post({ platform_content: { facebook: { page_id: 'page-2' } } }), user);
+
+    expect(facebookService.publishFeedPost.mock.calls[0].slice(0, 2)).toEqual(['page-2', 'other-token']);
+  });
+
+  it('attaches several photos to one feed post', async () => {
+    facebookService.publishPhoto
+      .mockResolvedValueOnce({ success: true, photo_id: 'photo-1' })
+      .mockResolvedValueOnce({ success: true, photo_id: 'photo-2' });
+
+    await postController.postToFacebook(post({
+      media: [{ type: 'image', filename: 'a.png' }, { type: 'image', filename: 'b.png' }]
+    }), user);
+
+    expect(facebookService.publishPhoto).toHaveBeenCalledTimes(2);
+    expect(facebookService.publishPhoto.mock.calls[0][2]).toMatchObject({ buffer: Buffer.from('a.png'), published: false });
+    expect(facebookService.publishFeedPost).toHaveBeenCalledWith('page-1', 'page-token', {
+      message: 'Hello',
+      attachedMedia: ['photo-1', 'photo-2']
+    });
+  });
+
+  it('publishes a video instead of the images when both are attached', async () => {
+    facebookService.publishVideo.mockResolvedValue({ success: true, post_id: 'video-1' });
+
+    await postController.postToFacebook(post({
+      title: 'Launch',
+      media: [{ type: 'image', filename: 'a.png' }, { type: 'video', filename: 'v.mp4', mimeType: 'video/mp4' }]
+    }), user);
+
+    expect(facebookService.publishVideo).toHaveBeenCalledWith('page-1', 'page-token', {
+      buffer: Buffer.from('v.mp4'),
+      mimeType: 'video/mp4',
+      description: 'Hello',
+      title: 'Launch'
+    });
+    expect(facebookService.publishPhoto).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['no Pages are connected', post(), { socialAccounts: { facebook: { accessToken: 'user-token', pages: [] } } }, 'ACCOUNT_NOT_CONNECTED'],
+    ['no Page is selected', post(), { socialAccounts: { facebook: { accessToken: 'user-token', pages: user.socialAccounts.facebook.pages } } }, 'INVALID_CONTENT'],
+    ['the chosen Page is gone', post({ platform_content: { facebook: { page_id: 'page-9' } } }), user, 'ACCOUNT_NOT_CONNECTED'],
+    ['there is no content', post({ content: {} }), user, 'INVALID_CONTENT']
+  ])('refuses to publish when %s', async (_case, facebookPost, facebookUser, code) => {
+    const result = await postController.postToFacebook(facebookPost, facebookUser);
+
+    expect(result).toMatchObject({ success: false, code });
+    expect(facebookService.publishFeedPost).not.toHaveBeenCalled();
+  });
+});
+
+describe('postController.postToInstagram', () => {
+  const user = {
+    socialAccounts: {
+      instagram: { id: 'ig-1', pageId: 'page-1', accessToken: 'stored-token' },
+      facebook: { pages: [{ id: 'page-1', accessToken: 'page-token' }] }
+    }
+  };
+  const post = (overrides = {}) => ({
+    _id: 'post-1',
+    platform: 'instagram',
+    post_type: 'post',
+    content: { caption: 'Hello' },
+    media: [{ type: 'image', url: '/uploads/a.png' }, { type: 'video', url: '/uploads/v.mp4' }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mediaStorage.getPublicUrl.mockImplementation(item => `https://api.example.com${item.url}`);
+    instagramService.post.mockResolvedValue({ success: true, media_id: 'media-1' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('publishes the public media URLs with the linked Page token', async () => {
+    await postController.postToInstagram(post({
+      platform_content: { instagram: { alt_text: 'A chart', location: { id: 'loc-1' } } }
+    }), user);
+
+    expect(instagramService.post).toHaveBeenCalledWith('ig-1', 'page-token', {
+      caption: 'Hello',
+      altText: 'A chart',
+      locationId: 'loc-1',
+      media: [
+        { type: 'image', url: 'https://api.example.com/uploads/a.png' },
+        { type: 'video', url: 'https://api.example.com/uploads/v.mp4' }
+      ]
+    });
+  });
+
+  it('falls back to the token stored with the Instagram account', async () => {
+    await postController.postToInstagram(post(), { socialAccounts: { instagram: user.socialAccounts.instagram } });
+
+    expect(instagramService.post.mock.calls[0][1]).toBe('stored-token');
+  });
+
+  it.each([
+    ['the account is not connected', post(), { socialAccounts: {} }, 'ACCOUNT_NOT_CONNECTED'],
+    ['the post is a story', post({ post_type: 'story' }), user, 'PLATFORM_NOT_SUPPORTED'],
+    ['the caption is too long', post({ content: { caption: 'x'.repeat(2201) } }), user, 'INVALID_CONTENT']
+  ])('refuses to publish when %s', async (_case, instagramPost, instagramUser, code) => {
+    const result = await postController.postToInstagram(instagramPost, instagramUser);
+
+    expect(result).toMatchObject({ success: false, code });
+    expect(instagramService.post).not.toHaveBeenCalled();
+  });
+});
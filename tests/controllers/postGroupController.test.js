@@ -0,0 +1,153 @@
+jest.mock('../../src/models/Post', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../src/controllers/postController', () => ({
+  parseContent: jest.fn(),
+  postToPlatform: jest.fn()
+}));
+jest.mock('../../src/services/scheduler/postDispatcher', () => ({
+  instanceId: 'instance-1',
+  markPublished: jest.fn(),
+  markFailed: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Post = require('../../src/models/Post');
+const PostGroup = require('../../src/models/PostGroup');
+const postController = require('../../src/controllers/postController');
+const postDispatcher = require('../../src/services/scheduler/postDispatcher');
+const postGroupController = require('../../src/controllers/postGroupController');
+
+const buildGroup = () => new PostGroup({
+  author: new mongoose.Types.ObjectId(),
+  title: 'Launch',
+  platforms: ['twitter', 'youtube', 'linkedin'],
+  content: { caption: 'Shared caption', hashtags: ['launch'] },
+  platform_content: {
+    linkedin: { caption: 'Longer LinkedIn caption', visibility: 'connections' }
+  },
+  media: [{ type: 'video', url: '/uploads/v.mp4', filename: 'v.mp4' }]
+});
+
+describe('postGroupController', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('buildPostFields', () => {
+    it('uses the shared content unless the platform overrides it', () => {
+      const group = buildGroup();
+
+      const twitter = postGroupController.buildPostFields(group, 'twitter');
+      const linkedin = postGroupController.buildPostFields(group, 'linkedin');
+
+      expect(twitter.content).toEqual({ caption: 'Shared caption', hashtags: ['launch'], mentions: [] });
+      expect(linkedin.content.caption).toBe('Longer LinkedIn caption');
+      expect(linkedin.content.hashtags).toEqual(['launch']);
+      expect(linkedin.platform_content).toEqual({ linkedin: { visibility: 'connections' } });
+    });
+
+    it('links the post to the group and picks the platform default post type', () => {
+      const group = buildGroup();
+
+      const youtube = postGroupController.buildPostFields(group, 'youtube');
+
+      expect(youtube).toMatchObject({ group_id: group._id, author: group.author, post_type: 'video', title: 'Launch' });
+      expect(youtube.media).toEqual([expect.objectContaining({ type: 'video', url: '/uploads/v.mp4', filename: 'v.mp4' })]);
+      expect(youtube.media[0]._id).toBeUndefined();
+      expect(postGroupController.buildPostFields(group, 'twitter').post_type).toBe('post');
+    });
+  });
+
+  describe('publishToPlatform', () => {
+    const user = { _id: 'user-1' };
+
+    it('creates and publishes the platform post', async () => {
+      const group = buildGroup();
+      const created = { _id: 'post-1', platform: 'twitter', status: 'publishing' };
+      Post.create.mockResolvedValue(created);
+      postController.postToPlatform.mockResolvedValue({ success: true, tweet_id: 't1' });
+      postDispatcher.markPublished.mockResolvedValue({
+        ...created,
+        status: 'published',
+        publishing: { platform_post_id: 't1', platform_url: 'https://x.com/t1' }
+      });
+
+      const result = await postGroupController.publishToPlatform(group, 'twitter', undefined, user);
+
+      expect(Post.create.mock.calls[0][0]).toMatchObject({
+        group_id: group._id,
+        status: 'publishing',
+        dispatch: { locked_by: 'instance-1', attempts: 1 }
+      });
+      expect(postController.postToPlatform).toHaveBeenCalledWith(created, user);
+      expect(postDispatcher.markPublished).toHaveBeenCalledWith(created, { success: true, tweet_id: 't1' }, 'manual');
+      expect(result).toMatchObject({ platform: 'twitter', status: 'published', platform_post_id: 't1' });
+    });
+
+    it('leaves an already published platform alone', async () => {
+      const existing = { _id: 'post-1', status: 'published', publishing: { platform_post_id: 't1' } };
+
+      const result = await postGroupController.publishToPlatform(buildGroup(), 'twitter', existing, user);
+
+      expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(postController.postToPlatform).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'published', skipped: true });
+    });
+
+    it('retries a failed platform post with a fresh attempt budget', async () => {
+      const existing = { _id: 'post-1', status: 'failed' };
+      const claimed = { _id: 'post-1', status: 'publishing' };
+      Post.findOneAndUpdate.mockResolvedValue(claimed);
+      postController.postToPlatform.mockResolvedValue({ success: false, statusCode: 503 });
+      postDispatcher.markFailed.mockResolvedValue({ ...claimed, status: 'failed', error: { message: 'Unavailable' } });
+
+      const result = await postGroupController.publishToPlatform(buildGroup(), 'twitter', existing, user);
+
+      const [filter, update] = Post.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'post-1', status: { $nin: ['publishing', 'published'] } });
+      expect(update.$set['dispatch.attempts']).toBe(1);
+      expect(update.$set['dispatch.locked_by']).toBe('instance-1');
+      expect(update.$unset).toEqual({ error: 1, retry: 1 });
+      expect(result).toMatchObject({ status: 'failed', error: 'Unavailable' });
+    });
+
+    it('reports the current state when the claim was released before the outcome was recorded', async () => {
+      const created = { _id: 'post-1', platform: 'twitter', status: 'publishing' };
+      Post.create.mockResolvedValue(created);
+      postController.postToPlatform.mockResolvedValue({ success: true, tweet_id: 't1' });
+      postDispatcher.markPublished.mockResolvedValue(null);
+      Post.findById.mockResolvedValue({ ...created, status: 'dead_letter', error: { message: 'Publishing was interrupted' } });
+
+      const result = await postGroupController.publishToPlatform(buildGroup(), 'twitter', undefined, user);
+
+      expect(result).toMatchObject({ status: 'dead_letter', error: 'Publishing was interrupted', interrupted: true });
+    });
+
+    it('skips a platform another request created first', async () => {
+      const group = buildGroup();
+      Post.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      Post.findOne.mockResolvedValue({ _id: 'post-2', status: 'publishing' });
+
+      const result = await postGroupController.publishToPlatform(group, 'twitter', undefined, user);
+
+      expect(Post.findOne).toHaveBeenCalledWith({ group_id: group._id, platform: 'twitter' });
+      expect(postController.postToPlatform).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ post_id: 'post-2', status: 'publishing', skipped: true });
+    });
+
+    it('reports an unexpected error as a failed platform instead of throwing', async () => {
+      Post.create.mockRejectedValue(new Error('connection lost'));
+
+      const result = await postGroupController.publishToPlatform(buildGroup(), 'twitter', undefined, user);
+
+      expect(result).toEqual({ platform: 'twitter', post_id: null, status: 'failed', error: 'connection lost' });
+    });
+  });
+});
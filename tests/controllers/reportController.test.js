@@ -0,0 +1,127 @@
+jest.mock('../../src/models/Campaign', () => ({ findById: jest.fn(), distinct: jest.fn() }));
+jest.mock('../../src/models/Bid', () => ({ distinct: jest.fn() }));
+jest.mock('../../src/models/ReportExport', () => ({ findById: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/services/reports/reportBuilder', () => ({ countRows: jest.fn() }));
+jest.mock('../../src/services/reports/reportExporter', () => ({ render: jest.fn(), enqueue: jest.fn() }));
+jest.mock('../../src/services/workspaces', () => ({ canAccessCampaign: jest.fn(), memberWorkspaceIds: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Campaign = require('../../src/models/Campaign');
+const Bid = require('../../src/models/Bid');
+const reportBuilder = require('../../src/services/reports/reportBuilder');
+const reportExporter = require('../../src/services/reports/reportExporter');
+const workspaces = require('../../src/services/workspaces');
+const config = require('../../src/config/env');
+const { validateWithJoi, analyticsValidation } = require('../../src/utils/validator');
+const { createExport } = require('../../src/controllers/reportController');
+
+const BRAND = '64b000000000000000000001';
+const CREATOR = '64b000000000000000000002';
+const CAMPAIGN = '64b0000000000000000000c1';
+const WORKSPACE = '64b0000000000000000000aa';
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.userId = req.get('x-test-user');
+  req.user = { _id: req.userId, role: req.get('x-test-role') || 'creator' };
+  if (req.get('x-test-workspace-owner')) {
+    req.workspace = { _id: WORKSPACE, owner_id: req.get('x-test-workspace-owner') };
+  }
+  next();
+});
+app.post('/exports', validateWithJoi(analyticsValidation.export), createExport);
+
+const exportAs = (body, user = BRAND, role = 'brand') => request(app)
+  .post('/exports')
+  .set('x-test-user', user)
+  .set('x-test-role', role)
+  .send(body);
+
+describe('reportController.createExport', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    reportBuilder.countRows.mockResolvedValue(10);
+    reportExporter.render.mockResolvedValue({ buffer: Buffer.from('a,b\r\n'), filename: 'campaign-report.csv', mimeType: 'text/csv; charset=utf-8' });
+    workspaces.canAccessCampaign.mockResolvedValue(true);
+    workspaces.memberWorkspaceIds.mockResolvedValue([]);
+  });
+
+  it('returns a small campaign report as a download', async () => {
+    Campaign.findById.mockReturnValue({ select: () => Promise.resolve({ _id: CAMPAIGN, brand_id: BRAND }) });
+
+    const res = await exportAs({ type: 'campaign', format: 'csv', campaign_id: CAMPAIGN });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="campaign-report.csv"');
+    expect(res.text).toBe('a,b\r\n');
+    const [, , params] = reportExporter.render.mock.calls[0];
+    expect(params.campaign_id).toBe(CAMPAIGN);
+    expect(params.to.getTime() - params.from.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it("refuses another brand's campaign", async () => {
+    Campaign.findById.mockReturnValue({ select: () => Promise.resolve({ _id: CAMPAIGN, brand_id: CREATOR }) });
+    workspaces.canAccessCampaign.mockResolvedValue(false);
+
+    const res = await exportAs({ type: 'campaign', format: 'csv', campaign_id: CAMPAIGN });
+
+    expect(res.status).toBe(403);
+    expect(reportBuilder.countRows).not.toHaveBeenCalled();
+  });
+
+  it('limits a brand to the campaigns it hired the creator for', async () => {
+    Bid.distinct.mockResolvedValue([CAMPAIGN, 'other-brand-campaign']);
+    Campaign.distinct.mockResolvedValue([CAMPAIGN]);
+    workspaces.memberWorkspaceIds.mockResolvedValue([WORKSPACE]);
+
+    const res = await exportAs({ type: 'creator', format: 'pdf', creator_id: CREATOR });
+
+    expect(res.status).toBe(200);
+    expect(Campaign.distinct).toHaveBeenCalledWith('_id', {
+      _id: { $in: [CAMPAIGN, 'other-brand-campaign'] },
+      $or: [{ brand_id: BRAND }, { workspace_id: { $in: [WORKSPACE] } }]
+    });
+    expect(reportExporter.render.mock.calls[0][2]).toMatchObject({ creator_id: CREATOR, campaign_ids: [CAMPAIGN] });
+  });
+
+  it('refuses a brand that never hired the creator', async () => {
+    Bid.distinct.mockResolvedValue([]);
+    Campaign.distinct.mockResolvedValue([]);
+
+    const res = await exportAs({ type: 'creator', format: 'csv', creator_id: CREATOR });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("lets workspace members report on the owner's accounts only", async () => {
+    const owned = await exportAs({ type: 'account', format: 'csv', user_id: BRAND }, CREATOR, 'creator')
+      .set('x-test-workspace-owner', BRAND);
+    const other = await exportAs({ type: 'account', format: 'csv', user_id: BRAND }, CREATOR, 'creator');
+
+    expect(owned.status).toBe(200);
+    expect(reportExporter.render.mock.calls[0][2]).toMatchObject({ owner_id: BRAND });
+    expect(other.status).toBe(403);
+  });
+
+  it('queues a large report and answers 202', async () => {
+    reportBuilder.countRows.mockResolvedValue(config.REPORT_SYNC_MAX_ROWS + 1);
+    reportExporter.enqueue.mockResolvedValue({ _id: 'export-1', status: 'pending' });
+
+    const res = await exportAs({ type: 'account', format: 'xlsx' }, CREATOR, 'creator');
+
+    expect(res.status).toBe(202);
+    expect(reportExporter.enqueue).toHaveBeenCalledWith(CREATOR, 'account', 'xlsx', expect.objectContaining({ owner_id: CREATOR }));
+    expect(res.body.data.download_url).toBe('/api/analytics/exports/export-1/download');
+  });
+
+  it('rejects reports over the row limit', async () => {
+    reportBuilder.countRows.mockResolvedValue(config.REPORT_EXPORT_MAX_ROWS + 1);
+
+    const res = await exportAs({ type: 'account', format: 'csv' }, CREATOR, 'creator');
+
+    expect(res.status).toBe(400);
+    expect(reportExporter.render).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,190 @@
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/apiKeys', () => ({
+  isApiKey: jest.fn(),
+  verify: jest.fn(),
+  touch: jest.fn()
+}));
+jest.mock('../../src/services/sessions', () => ({ isRevoked: jest.fn(), touch: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const apiKeys = require('../../src/services/apiKeys');
+const sessions = require('../../src/services/sessions');
+const jwtManager = require('../../src/utils/jwt');
+const logger = require('../../src/utils/logger');
+const {
+  authenticate,
+  acceptApiKeys,
+  authenticateTwoFactorChallenge,
+  authorize,
+  requireWorkspacePermission
+} = require('../../src/middlewares/auth');
+const { WORKSPACE_PERMISSIONS } = require('../../src/utils/constants');
+
+const KEY = 'bck_0123456789ab_abcdefghijklmnopqrstuvwxyz012345';
+
+const app = express();
+app.use('/posts', acceptApiKeys('posts:read', 'posts:write'), authenticate, (req, res) => {
+  res.json({ userId: req.userId, auth: req.auth });
+});
+app.use('/account', authenticate, (req, res) => res.json({ userId: req.userId }));
+app.post('/2fa/verify', express.json(), authenticateTwoFactorChallenge('verify'), (req, res) => res.json({ auth: req.auth }));
+
+describe('authenticate with API keys', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    apiKeys.isApiKey.mockImplementation(value => typeof value === 'string' && value.startsWith('bck_'));
+    apiKeys.verify.mockResolvedValue({ _id: 'key-1', user_id: 'user-1', scopes: ['posts:read'] });
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'user-1', isActive: true }) });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('signs in the key owner for a scope the key holds', async () => {
+    const res = await request(app).get('/posts').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ userId: 'user-1', auth: { type: 'api_key', apiKeyId: 'key-1', scopes: ['posts:read'] } });
+    expect(apiKeys.verify).toHaveBeenCalledWith(KEY);
+    expect(apiKeys.touch).toHaveBeenCalled();
+  });
+
+  it('accepts the key as a bearer token', async () => {
+    const res = await request(app).get('/posts').set('Authorization', `Bearer ${KEY}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('needs the write scope for changes', async () => {
+    const res = await request(app).post('/posts').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('API key is missing the posts:write scope');
+  });
+
+  it('refuses keys on routes that do not accept them', async () => {
+    const res = await request(app).get('/account').set('X-API-Key', KEY);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This endpoint cannot be used with an API key');
+  });
+
+  it('refuses invalid keys and keys of deactivated accounts', async () => {
+    apiKeys.verify.mockResolvedValueOnce(null);
+    expect((await request(app).get('/posts').set('X-API-Key', KEY)).status).toBe(401);
+
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'user-1', isActive: false }) });
+    expect((await request(app).get('/posts').set('X-API-Key', KEY)).status).toBe(401);
+    expect(apiKeys.touch).not.toHaveBeenCalled();
+  });
+});
+
+describe('authenticate with session tokens', () => {
+  const accessToken = (payload) => jwtManager.generateAccessToken({ id: 'user-1', role: 'creator', ...payload });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    sessions.isRevoked.mockResolvedValue(false);
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'user-1', isActive: true }) });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('signs in through an active session and records its use', async () => {
+    const res = await request(app).get('/account').set('Authorization', `Bearer ${accessToken({ sid: 'session-1' })}`);
+
+    expect(res.status).toBe(200);
+    expect(sessions.isRevoked).toHaveBeenCalledWith('session-1');
+    expect(sessions.touch).toHaveBeenCalledWith('session-1', expect.any(String));
+  });
+
+  it('refuses tokens of signed-out sessions and tokens without a session', async () => {
+    sessions.isRevoked.mockResolvedValue(true);
+    const revoked = await request(app).get('/account').set('Authorization', `Bearer ${accessToken({ sid: 'session-1' })}`);
+    const sessionless = await request(app).get('/account').set('Authorization', `Bearer ${accessToken()}`);
+
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.message).toBe('Session has been signed out');
+    expect(sessionless.status).toBe(401);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('authenticateTwoFactorChallenge', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'user-1', isActive: true }) });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts a challenge token for its own step', async () => {
+    const challengeToken = jwtManager.generateTwoFactorChallenge('user-1', 'verify');
+
+    const res = await request(app).post('/2fa/verify').send({ challengeToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.auth).toEqual({ type: 'two_factor_challenge', purpose: 'verify' });
+  });
+
+  it('refuses challenges for another step and access tokens', async () => {
+    const enroll = jwtManager.generateTwoFactorChallenge('user-1', 'enroll');
+    const access = jwtManager.generateAccessToken({ id: 'user-1', sid: 'session-1' });
+
+    expect((await request(app).post('/2fa/verify').send({ challengeToken: enroll })).status).toBe(401);
+    expect((await request(app).post('/2fa/verify').send({ challengeToken: access })).status).toBe(401);
+  });
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('requireWorkspacePermission', () => {
+  const check = requireWorkspacePermission(WORKSPACE_PERMISSIONS.APPROVE);
+
+  it('passes requests outside a workspace', () => {
+    const next = jest.fn();
+    check({ userId: 'user-1' }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('passes members whose role grants the permission', () => {
+    const next = jest.fn();
+    check({ userId: 'user-1', workspace: { _id: 'ws-1' }, workspaceRole: 'approver' }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('refuses members whose role does not', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+    check({ userId: 'user-1', workspace: { _id: 'ws-1' }, workspaceRole: 'editor' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Your workspace role (editor) does not allow this' }));
+  });
+});
+
+describe('authorize', () => {
+  it('lets workspace members through brand routes', () => {
+    const next = jest.fn();
+    authorize('brand')({ user: { _id: 'user-1', role: 'creator' }, workspace: { _id: 'ws-1' } }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('still refuses other roles outside a workspace', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+    authorize('brand')({ user: { _id: 'user-1', role: 'creator' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const PostGroup = require('../../src/models/PostGroup');
+
+const groupWithPosts = (platforms, statuses) => {
+  const group = new PostGroup({ author: new mongoose.Types.ObjectId(), platforms });
+  group.posts = statuses.map((status, i) => ({ platform: platforms[i], status }));
+  return group;
+};
+
+describe('PostGroup', () => {
+  it.each([
+    [[], 'draft'],
+    [['published', 'published'], 'published'],
+    [['published'], 'partially_published'],
+    [['published', 'failed'], 'partially_published'],
+    [['publishing', 'failed'], 'publishing'],
+    [['scheduled', 'scheduled'], 'scheduled'],
+    [['scheduled', 'dead_letter'], 'failed']
+  ])('derives status from platform posts %j', (statuses, status) => {
+    expect(groupWithPosts(['twitter', 'linkedin'], statuses).status).toBe(status);
+  });
+
+  it('has no status until its posts are populated', () => {
+    expect(new PostGroup({ platforms: ['twitter'] }).status).toBeUndefined();
+  });
+
+  it('rejects duplicate platforms', () => {
+    const error = new PostGroup({ author: new mongoose.Types.ObjectId(), platforms: ['twitter', 'twitter'] }).validateSync();
+
+    expect(error.errors.platforms.message).toBe('Select at least one platform, each only once');
+  });
+});
@@ -0,0 +1,32 @@
+const User = require('../../src/models/User');
+const { isEncrypted } = require('../../src/utils/crypto');
+
+describe('User social tokens', () => {
+  const buildUser = () => new User({
+    name: 'Creator',
+    email: 'creator@example.com',
+    socialAccounts: {
+      twitter: { id: 't1', accessToken: 'twitter-access', refreshToken: 'twitter-refresh' },
+      facebook: { id: 'f1', accessToken: 'user-token', pages: [{ id: 'p1', name: 'Page', accessToken: 'page-token' }] }
+    }
+  });
+
+  it('stores tokens encrypted and reads them back decrypted', () => {
+    const user = buildUser();
+
+    expect(isEncrypted(user.get('socialAccounts.twitter.accessToken', null, { getters: false }))).toBe(true);
+    expect(user.socialAccounts.twitter.accessToken).toBe('twitter-access');
+    expect(user.socialAccounts.facebook.pages[0].accessToken).toBe('page-token');
+  });
+
+  it('leaves tokens out of JSON responses', () => {
+    const json = buildUser().toJSON();
+
+    expect(json.socialAccounts.twitter).toEqual(expect.objectContaining({ id: 't1' }));
+    expect(json.socialAccounts.twitter).not.toHaveProperty('accessToken');
+    expect(json.socialAccounts.twitter).not.toHaveProperty('refreshToken');
+    expect(json.socialAccounts.facebook).not.toHaveProperty('accessToken');
+    expect(json.socialAccounts.facebook.pages[0]).not.toHaveProperty('accessToken');
+    expect(JSON.stringify(buildUser())).not.toMatch(/enc:|page-token|twitter-access/);
+  });
+});
@@ -0,0 +1,87 @@
+// Brand routes in a workspace: membership gets members past authorize, the
+// route's workspace permission decides what they may change
+jest.mock('../../src/middlewares/auth', () => ({
+  ...jest.requireActual('../../src/middlewares/auth'),
+  acceptApiKeys: () => (req, res, next) => next(),
+  authenticate: (req, res, next) => {
+    req.userId = 'user-1';
+    req.user = { _id: req.userId, role: 'creator' };
+    if (req.get('x-test-workspace-role')) {
+      req.workspace = { _id: 'ws-1' };
+      req.workspaceRole = req.get('x-test-workspace-role');
+    }
+    next();
+  }
+}));
+jest.mock('../../src/middlewares/rateLimiter', () => ({
+  campaignLimiter: (req, res, next) => next(),
+  bidLimiter: (req, res, next) => next()
+}));
+
+const mockController = names => Object.fromEntries(names.map(name => [name, jest.fn((req, res) => res.json({ success: true }))]));
+jest.mock('../../src/controllers/campaignController', () => mockController([
+  'acceptBid', 'createCampaign', 'deleteCampaign', 'getBrandCampaigns', 'getCampaign',
+  'getCampaignAnalytics', 'getCampaignBids', 'getCampaigns', 'rejectBid', 'updateCampaign'
+]));
+jest.mock('../../src/controllers/bidController', () => mockController([
+  'acceptCounter', 'addBidFeedback', 'counterBid', 'createBid', 'getBid',
+  'getBidAnalytics', 'getBids', 'getCreatorBids', 'updateBid', 'withdrawBid'
+]));
+jest.mock('../../src/controllers/deliverableController', () => mockController([
+  'createPost', 'getDeliverable', 'getDeliverables', 'getDraftMedia', 'reviewDraft', 'submitDraft'
+]));
+jest.mock('../../src/controllers/paymentController', () => mockController([
+  'fundPayment', 'getPayment', 'getPayments', 'refundPayment', 'releaseMilestone'
+]));
+
+const express = require('express');
+const request = require('supertest');
+const logger = require('../../src/utils/logger');
+
+const app = express();
+app.use(express.json());
+app.use('/campaigns', require('../../src/routes/campaign.routes'));
+app.use('/bids', require('../../src/routes/bid.routes'));
+app.use('/deliverables', require('../../src/routes/deliverable.routes'));
+app.use('/payments', require('../../src/routes/payment.routes'));
+
+const asMember = (req, workspaceRole) => req.set('x-test-workspace-role', workspaceRole);
+
+describe('brand routes in a workspace', () => {
+  beforeEach(() => jest.spyOn(logger, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    ['put', '/campaigns/campaign-1', 'viewer'],
+    ['delete', '/campaigns/campaign-1', 'approver'],
+    ['post', '/campaigns/campaign-1/bids/bid-1/accept', 'editor'],
+    ['post', '/campaigns/campaign-1/bids/bid-1/reject', 'viewer'],
+    ['post', '/bids/bid-1/counter', 'viewer'],
+    ['post', '/deliverables/deliverable-1/review', 'editor'],
+    ['post', '/payments/payment-1/fund', 'approver'],
+    ['post', '/payments/payment-1/milestones/milestone-1/release', 'editor']
+  ])('refuses %s %s to a workspace %s', async (method, path, workspaceRole) => {
+    const res = await asMember(request(app)[method](path), workspaceRole);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(`Your workspace role (${workspaceRole}) does not allow this`);
+  });
+
+  it('lets approvers accept bids', async () => {
+    const res = await asMember(request(app).post('/campaigns/campaign-1/bids/bid-1/accept'), 'approver');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('lets any member read the brand campaign bids', async () => {
+    const res = await asMember(request(app).get('/campaigns/campaign-1/bids'), 'viewer');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('still refuses creators outside a workspace', async () => {
+    const res = await request(app).post('/campaigns/campaign-1/bids/bid-1/accept');
+
+    expect(res.status).toBe(403);
+  });
+});
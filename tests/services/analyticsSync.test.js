@@ -0,0 +1,198 @@
+jest.mock('../../src/models/Post', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  aggregate: jest.fn()
+}));
+jest.mock('../../src/models/Analytics', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../../src/models/AnalyticsSnapshot', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/apiQuota', () => ({ consume: jest.fn() }));
+jest.mock('../../src/services/webhooks', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/workspaces', () => ({ getAccountHolder: jest.fn(), ownedWorkspaceIds: jest.fn() }));
+
+const Post = require('../../src/models/Post');
+const Analytics = require('../../src/models/Analytics');
+const AnalyticsSnapshot = require('../../src/models/AnalyticsSnapshot');
+const apiQuota = require('../../src/services/apiQuota');
+const webhooks = require('../../src/services/webhooks');
+const workspaces = require('../../src/services/workspaces');
+const logger = require('../../src/utils/logger');
+const analyticsSync = require('../../src/services/analyticsSync');
+
+const post = (overrides = {}) => ({
+  _id: `post-${Math.random().toString(36).slice(2, 8)}`,
+  author: 'user-1',
+  platform: 'twitter',
+  post_type: 'post',
+  media: [],
+  analytics: { likes: 1, comments: 1, shares: 1, views: 10 },
+  publishing: { platform_post_id: 'tweet-1', published_at: new Date('2026-01-01') },
+  ...overrides
+});
+
+describe('analyticsSync metrics', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  it('computes engagement over views, capped at 100%', () => {
+    expect(analyticsSync.getEngagementRate({ likes: 5, comments: 3, shares: 2, views: 200 })).toBe(5);
+    expect(analyticsSync.getEngagementRate({ likes: 50, views: 10 })).toBe(100);
+    expect(analyticsSync.getEngagementRate({ likes: 50 })).toBe(0);
+  });
+
+  it('derives Analytics post and media types', () => {
+    expect(analyticsSync.getAnalyticsPostType(post({ post_type: 'thread' }))).toBe('post');
+    expect(analyticsSync.getAnalyticsPostType(post({ platform: 'youtube', post_type: 'short' }))).toBe('video');
+    expect(analyticsSync.getAnalyticsPostType(post({ platform: 'instagram', post_type: 'feed', media: [{}, {}] }))).toBe('carousel');
+    expect(analyticsSync.getAnalyticsPostType(post({ platform: 'instagram', post_type: 'feed', media: [{ type: 'video' }] }))).toBe('reel');
+    expect(analyticsSync.getMediaType(post())).toBe('text');
+    expect(analyticsSync.getMediaType(post({ media: [{ type: 'image' }] }))).toBe('image');
+  });
+
+  it('keeps stored counts the platform did not report', async () => {
+    await analyticsSync.saveMetrics(post(), { likes: 7, views: 100 });
+
+    const [, update] = Post.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      'analytics.likes': 7,
+      'analytics.comments': 1,
+      'analytics.shares': 1,
+      'analytics.views': 100,
+      'analytics.engagement_rate': 9
+    });
+    expect(Analytics.findOneAndUpdate).toHaveBeenCalledWith(
+      { platform: 'twitter', post_id: 'tweet-1', data_source: 'api' },
+      expect.objectContaining({ $set: expect.objectContaining({ user_id: 'user-1', 'metrics.likes': 7 }) }),
+      { upsert: true, runValidators: true }
+    );
+    expect(AnalyticsSnapshot.create).toHaveBeenCalledWith(expect.objectContaining({
+      meta: expect.objectContaining({ scope: 'post', platform: 'twitter' }),
+      metrics: expect.objectContaining({ likes: 7, views: 100, engagement_rate: 9 })
+    }));
+    expect(webhooks.emit).toHaveBeenCalledWith('user-1', 'analytics.updated', expect.objectContaining({
+      platform: 'twitter',
+      metrics: expect.objectContaining({ likes: 7, comments: 1, engagement_rate: 9 })
+    }));
+  });
+
+  it('snapshots account totals with the follower count', async () => {
+    const now = new Date();
+    const user = { _id: 'user-1' };
+    Post.aggregate.mockResolvedValue([{ posts: 2, likes: 30, comments: 10, shares: 0, views: 800 }]);
+    workspaces.ownedWorkspaceIds.mockResolvedValue([]);
+    apiQuota.consume.mockResolvedValue(true);
+    const fetchFollowers = jest.spyOn(analyticsSync.followerFetchers, 'twitter').mockResolvedValue(120);
+
+    await analyticsSync.snapshotAccount(user, 'twitter', now);
+
+    expect(fetchFollowers).toHaveBeenCalledWith(user);
+    expect(AnalyticsSnapshot.create).toHaveBeenCalledWith({
+      captured_at: now,
+      meta: { scope: 'account', user_id: 'user-1', platform: 'twitter' },
+      metrics: { posts: 2, likes: 30, comments: 10, shares: 0, views: 800, engagement_rate: 5, followers: 120 }
+    });
+    fetchFollowers.mockRestore();
+  });
+
+  it('skips the follower count once the daily budget is spent', async () => {
+    Post.aggregate.mockResolvedValue([]);
+    workspaces.ownedWorkspaceIds.mockResolvedValue([]);
+    apiQuota.consume.mockResolvedValue(false);
+    const fetchFollowers = jest.spyOn(analyticsSync.followerFetchers, 'twitter');
+
+    await analyticsSync.snapshotAccount({ _id: 'user-1' }, 'twitter');
+
+    expect(fetchFollowers).not.toHaveBeenCalled();
+    expect(AnalyticsSnapshot.create.mock.calls[0][0].metrics).toMatchObject({ posts: 0, followers: undefined });
+    fetchFollowers.mockRestore();
+  });
+});
+
+describe('analyticsSync.runOnce', () => {
+  let fetchTwitter;
+  const holder = { _id: 'user-1' };
+
+  const queue = (posts) => Post.find.mockReturnValue({ sort: () => ({ limit: () => Promise.resolve(posts) }) });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    fetchTwitter = jest.spyOn(analyticsSync.fetchers, 'twitter');
+    apiQuota.consume.mockResolvedValue(true);
+    workspaces.getAccountHolder.mockResolvedValue(holder);
+    workspaces.ownedWorkspaceIds.mockResolvedValue([]);
+    Post.aggregate.mockResolvedValue([]);
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('syncs posts through their account holder and snapshots each synced account once', async () => {
+    queue([post(), post()]);
+    fetchTwitter.mockResolvedValue({ success: true, metrics: { likes: 3 } });
+
+    expect(await analyticsSync.runOnce()).toEqual({ synced: 2, failed: 0, skipped: 0 });
+    expect(fetchTwitter).toHaveBeenCalledWith(expect.any(Object), holder);
+    expect(workspaces.getAccountHolder).toHaveBeenCalledTimes(1);
+    expect(Post.updateOne).toHaveBeenCalledTimes(2);
+    expect(AnalyticsSnapshot.create).toHaveBeenCalledWith(expect.objectContaining({
+      meta: { scope: 'account', user_id: 'user-1', platform: 'twitter' }
+    }));
+  });
+
+  it('pauses a platform once its daily budget is spent', async () => {
+    queue([post(), post(), post()]);
+    apiQuota.consume.mockResolvedValueOnce(true).mockResolvedValue(false);
+    fetchTwitter.mockResolvedValue({ success: true, metrics: {} });
+
+    expect(await analyticsSync.runOnce()).toEqual({ synced: 1, failed: 0, skipped: 2 });
+    expect(fetchTwitter).toHaveBeenCalledTimes(1);
+  });
+
+  it('pauses a platform that rate limits us', async () => {
+    queue([post(), post()]);
+    fetchTwitter.mockResolvedValue({ success: false, statusCode: 429, error: 'Too Many Requests' });
+
+    expect(await analyticsSync.runOnce()).toEqual({ synced: 0, failed: 1, skipped: 1 });
+    expect(Post.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('skips the other posts of a disconnected account and moves them back in the queue', async () => {
+    const first = post();
+    const second = post();
+    queue([first, second]);
+    fetchTwitter.mockResolvedValue({ success: false, code: 'ACCOUNT_NOT_CONNECTED', error: 'Twitter account not connected' });
+
+    expect(await analyticsSync.runOnce()).toEqual({ synced: 0, failed: 1, skipped: 1 });
+    expect(fetchTwitter).toHaveBeenCalledTimes(1);
+    expect(Post.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [first._id, second._id] } },
+      { $set: { 'analytics.last_synced_at': expect.any(Date) } }
+    );
+  });
+
+  it('defers posts whose author is gone', async () => {
+    const orphan = post();
+    queue([orphan]);
+    workspaces.getAccountHolder.mockResolvedValue(null);
+
+    expect(await analyticsSync.runOnce()).toEqual({ synced: 0, failed: 0, skipped: 1 });
+    expect(fetchTwitter).not.toHaveBeenCalled();
+    expect(Post.updateMany.mock.calls[0][0]).toEqual({ _id: { $in: [orphan._id] } });
+  });
+
+  it('reads and records workspace posts as the workspace owner account', async () => {
+    const owner = { _id: 'owner-1' };
+    workspaces.getAccountHolder.mockResolvedValue(owner);
+    workspaces.ownedWorkspaceIds.mockResolvedValue(['ws-1']);
+    queue([post({ author: 'member-1', workspace_id: 'ws-1' }), post({ author: 'member-2', workspace_id: 'ws-1' })]);
+    fetchTwitter.mockResolvedValue({ success: true, metrics: {} });
+
+    await analyticsSync.runOnce();
+
+    expect(workspaces.getAccountHolder).toHaveBeenCalledTimes(1);
+    expect(fetchTwitter.mock.calls.every(([, user]) => user === owner)).toBe(true);
+    expect(Analytics.findOneAndUpdate.mock.calls.every(([, update]) => update.$set.user_id === 'owner-1')).toBe(true);
+
+    const [[{ $match }]] = Post.aggregate.mock.calls[0];
+    expect($match.$or).toEqual([{ author: 'owner-1', workspace_id: null }, { workspace_id: { $in: ['ws-1'] } }]);
+  });
+});
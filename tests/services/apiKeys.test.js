@@ -0,0 +1,66 @@
+jest.mock('../../src/models/ApiKey', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+
+const ApiKey = require('../../src/models/ApiKey');
+const logger = require('../../src/utils/logger');
+const apiKeys = require('../../src/services/apiKeys');
+
+describe('apiKeys', () => {
+  beforeEach(() => jest.resetAllMocks());
+  afterEach(() => jest.restoreAllMocks());
+
+  it('generates prefixed keys and stores only their hash', () => {
+    const { key, prefix, key_hash: keyHash } = apiKeys.generate();
+
+    expect(key).toMatch(new RegExp(`^bck_${prefix}_[A-Za-z0-9_-]{32}$`));
+    expect(keyHash).toBe(apiKeys.hash(key));
+    expect(keyHash).not.toContain(key);
+    expect(apiKeys.isApiKey(key)).toBe(true);
+    expect(apiKeys.isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.x')).toBe(false);
+  });
+
+  it('resolves an active key by its prefix and hash', async () => {
+    const { key, prefix, key_hash: keyHash } = apiKeys.generate();
+    const stored = { _id: 'key-1', key_hash: keyHash, isActive: true };
+    ApiKey.findOne.mockReturnValue({ select: () => Promise.resolve(stored) });
+
+    expect(await apiKeys.verify(key)).toBe(stored);
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ prefix });
+  });
+
+  it('refuses malformed, unknown, revoked and altered keys', async () => {
+    const { key, key_hash: keyHash } = apiKeys.generate();
+
+    expect(await apiKeys.verify('bck_nope')).toBeNull();
+    expect(ApiKey.findOne).not.toHaveBeenCalled();
+
+    ApiKey.findOne.mockReturnValue({ select: () => Promise.resolve(null) });
+    expect(await apiKeys.verify(key)).toBeNull();
+
+    ApiKey.findOne.mockReturnValue({ select: () => Promise.resolve({ key_hash: keyHash, isActive: false }) });
+    expect(await apiKeys.verify(key)).toBeNull();
+
+    ApiKey.findOne.mockReturnValue({ select: () => Promise.resolve({ key_hash: keyHash, isActive: true }) });
+    const altered = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+    expect(await apiKeys.verify(altered)).toBeNull();
+  });
+
+  it('records use at most once a minute per address', async () => {
+    await apiKeys.touch({ _id: 'key-1' }, '203.0.113.7');
+
+    const [filter, update] = ApiKey.updateOne.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { last_used_at: null },
+      { last_used_at: { $lt: expect.any(Date) } },
+      { last_used_ip: { $ne: '203.0.113.7' } }
+    ]);
+    expect(update.$set.last_used_ip).toBe('203.0.113.7');
+  });
+
+  it('never fails the request when recording use fails', async () => {
+    ApiKey.updateOne.mockRejectedValue(new Error('db down'));
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await expect(apiKeys.touch({ _id: 'key-1' }, '203.0.113.7')).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../src/config/redis', () => ({ incrBy: jest.fn() }));
+
+const redisClient = require('../../src/config/redis');
+const apiQuota = require('../../src/services/apiQuota');
+const { API_LIMITS } = require('../../src/utils/constants');
+
+describe('apiQuota.consume', () => {
+  const now = new Date('2026-03-10T22:00:00Z');
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    apiQuota.localCounts.clear();
+  });
+
+  it('counts calls in Redis under a daily key that expires at midnight UTC', async () => {
+    redisClient.incrBy.mockResolvedValue(5);
+
+    expect(await apiQuota.consume('twitter', 1, now)).toBe(true);
+    expect(redisClient.incrBy).toHaveBeenCalledWith('api_quota:twitter:2026-03-10', 1, 2 * 60 * 60);
+  });
+
+  it('refuses calls over the daily limit', async () => {
+    redisClient.incrBy.mockResolvedValue(API_LIMITS.TWITTER_DAILY_LIMIT + 1);
+
+    expect(await apiQuota.consume('twitter', 1, now)).toBe(false);
+  });
+
+  it('counts in memory when Redis is unavailable', async () => {
+    redisClient.incrBy.mockResolvedValue(null);
+
+    expect(await apiQuota.consume('youtube', API_LIMITS.YOUTUBE_DAILY_LIMIT, now)).toBe(true);
+    expect(await apiQuota.consume('youtube', 1, now)).toBe(false);
+    // A new day starts a fresh budget and drops yesterday's counter
+    expect(await apiQuota.consume('youtube', 1, new Date('2026-03-11T00:00:01Z'))).toBe(true);
+    expect([...apiQuota.localCounts.keys()]).toEqual(['api_quota:youtube:2026-03-11']);
+  });
+
+  it('does not limit platforms without a budget', async () => {
+    expect(await apiQuota.consume('tiktok', 1, now)).toBe(true);
+    expect(redisClient.incrBy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../src/models/AuditLog', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+const AuditLog = require('../../src/models/AuditLog');
+const logger = require('../../src/utils/logger');
+const audit = require('../../src/services/audit');
+const { AUDIT_ACTIONS, AUDIT_TARGETS } = require('../../src/utils/constants');
+
+const request = (overrides = {}) => ({
+  user: { _id: 'admin-1', role: 'admin' },
+  ip: '203.0.113.7',
+  get: (header) => (header === 'user-agent' ? 'jest' : undefined),
+  ...overrides
+});
+
+describe('audit', () => {
+  beforeEach(() => jest.resetAllMocks());
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('diff', () => {
+    it('keeps only the fields that changed', () => {
+      expect(audit.diff({ role: 'creator', name: 'Asha' }, { role: 'brand', name: 'Asha' }))
+        .toEqual({ before: { role: 'creator' }, after: { role: 'brand' } });
+      expect(audit.diff({ role: 'brand' }, { role: 'brand' })).toBeUndefined();
+    });
+
+    it('redacts secrets', () => {
+      expect(audit.diff({}, { password: 'hunter2', refreshToken: 'abc' }))
+        .toEqual({ before: {}, after: { password: '[redacted]', refreshToken: '[redacted]' } });
+    });
+  });
+
+  it('snapshots the named fields of a document', () => {
+    const doc = { toObject: () => ({ title: 'Launch', status: 'active', budget: 5000 }) };
+
+    expect(audit.snapshot(doc, ['status', 'budget', 'missing'])).toEqual({ status: 'active', budget: 5000 });
+  });
+
+  describe('record', () => {
+    it('stores the actor, target, changes and request details', async () => {
+      await audit.record(request(), AUDIT_ACTIONS.BID_ACCEPTED, {
+        target: { type: AUDIT_TARGETS.BID, id: 'bid-1' },
+        before: { status: 'pending' },
+        after: { status: 'accepted' },
+        metadata: { campaign_id: 'campaign-1' }
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actor_id: 'admin-1',
+        actor_role: 'admin',
+        action: AUDIT_ACTIONS.BID_ACCEPTED,
+        target_type: AUDIT_TARGETS.BID,
+        target_id: 'bid-1',
+        changes: { before: { status: 'pending' }, after: { status: 'accepted' } },
+        metadata: { campaign_id: 'campaign-1' },
+        ip: '203.0.113.7',
+        user_agent: 'jest'
+      });
+    });
+
+    it('logs a failed write instead of throwing', async () => {
+      AuditLog.create.mockRejectedValue(new Error('db down'));
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(audit.record(request(), AUDIT_ACTIONS.LOGIN, {
+        target: { type: AUDIT_TARGETS.USER, id: 'user-1' }
+      })).resolves.toBeUndefined();
+      expect(logError).toHaveBeenCalledWith('Failed to write audit log entry', expect.objectContaining({ error: 'db down' }));
+    });
+
+    it('credits OAuth callbacks to the account owner', async () => {
+      await audit.recordSocialAccount(request({ user: undefined }), AUDIT_ACTIONS.SOCIAL_CONNECTED, 'user-1', 'twitter', { id: 'tw-1', name: 'asha' });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        actor_id: 'user-1',
+        target_id: 'user-1',
+        metadata: { platform: 'twitter', account_id: 'tw-1', account_name: 'asha' }
+      }));
+    });
+  });
+
+  it('lists a page of entries newest first', async () => {
+    const query = {};
+    ['populate', 'sort', 'skip', 'limit'].forEach(method => { query[method] = jest.fn(() => query); });
+    query.lean = jest.fn(() => Promise.resolve([{ action: AUDIT_ACTIONS.LOGIN }]));
+    AuditLog.find.mockReturnValue(query);
+    AuditLog.countDocuments.mockResolvedValue(21);
+
+    const { entries, pagination } = await audit.list(audit.activityFilter('user-1'), { page: 2, limit: 10 });
+
+    expect(AuditLog.find).toHaveBeenCalledWith({
+      $or: [{ actor_id: 'user-1' }, { target_type: AUDIT_TARGETS.USER, target_id: 'user-1' }]
+    });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(query.skip).toHaveBeenCalledWith(10);
+    expect(entries).toHaveLength(1);
+    expect(pagination).toEqual({ page: 2, limit: 10, total: 21, pages: 3 });
+  });
+});
@@ -0,0 +1,260 @@
+jest.mock('../../src/models/Deliverable', () => ({
+  insertMany: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Bid', () => ({ findOneAndUpdate: jest.fn(), updateOne: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/models/Campaign', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../src/services/payments/escrow', () => ({
+  createForBid: jest.fn(),
+  onDeliverableApproved: jest.fn()
+}));
+jest.mock('../../src/services/invoices/invoiceService', () => ({ generateForBid: jest.fn() }));
+
+const Deliverable = require('../../src/models/Deliverable');
+const Bid = require('../../src/models/Bid');
+const Campaign = require('../../src/models/Campaign');
+const escrow = require('../../src/services/payments/escrow');
+const invoiceService = require('../../src/services/invoices/invoiceService');
+const logger = require('../../src/utils/logger');
+const campaignWorkflow = require('../../src/services/campaignWorkflow');
+const { DELIVERABLE_STATUS, BID_STATUS } = require('../../src/utils/constants');
+
+const campaign = {
+  _id: 'campaign-1',
+  brand_id: 'brand-1',
+  deadline: new Date('2026-03-01'),
+  deliverables: { posts: 1, stories: 0, reels: 1, videos: 0 }
+};
+
+describe('campaignWorkflow', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Deliverable.find.mockReturnValue({ sort: () => Promise.resolve([]) });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('uses the bid counts, or the campaign counts when the bid asks for nothing', () => {
+    expect(campaignWorkflow.getAgreedCounts({ deliverables: { posts: 2 } }, campaign))
+      .toEqual({ posts: 2, stories: 0, reels: 0, videos: 0 });
+    expect(campaignWorkflow.getAgreedCounts({ deliverables: {} }, campaign))
+      .toEqual({ posts: 1, stories: 0, reels: 1, videos: 0 });
+  });
+
+  it('creates one deliverable per agreed item with the bid revision rounds', async () => {
+    const bid = { _id: 'bid-1', creator_id: 'creator-1', deliverables: { posts: 2, videos: 1 }, terms: { revision_rounds: 3 } };
+
+    await campaignWorkflow.onBidAccepted(bid, campaign);
+
+    const [docs, options] = Deliverable.insertMany.mock.calls[0];
+    expect(options).toEqual({ ordered: false });
+    expect(docs.map(doc => doc.title)).toEqual(['Post 1', 'Post 2', 'Video 1']);
+    expect(docs[0]).toMatchObject({
+      campaign_id: 'campaign-1',
+      bid_id: 'bid-1',
+      creator_id: 'creator-1',
+      brand_id: 'brand-1',
+      type: 'post',
+      sequence: 1,
+      due_date: campaign.deadline,
+      revision_limit: 3
+    });
+  });
+
+  it('opens the escrow payment over the created deliverables and issues the invoice', async () => {
+    const bid = { _id: 'bid-1', creator_id: 'creator-1' };
+    const deliverables = [{ _id: 'deliverable-1' }];
+    const payment = { _id: 'payment-1' };
+    const invoice = { _id: 'invoice-1' };
+    Deliverable.find.mockReturnValue({ sort: () => Promise.resolve(deliverables) });
+    escrow.createForBid.mockResolvedValue(payment);
+    invoiceService.generateForBid.mockResolvedValue(invoice);
+
+    expect(await campaignWorkflow.onBidAccepted(bid, campaign)).toEqual({ deliverables, payment, invoice });
+    expect(escrow.createForBid).toHaveBeenCalledWith(bid, campaign, deliverables);
+    expect(invoiceService.generateForBid).toHaveBeenCalledWith(bid, campaign);
+    expect(Bid.updateOne).toHaveBeenCalledWith({ _id: 'bid-1' }, { $set: { 'timeline.setup_completed_at': expect.any(Date) } });
+  });
+
+  it('accepts the bid even when the invoice cannot be issued', async () => {
+    invoiceService.generateForBid.mockRejectedValue(new Error('counter unavailable'));
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const result = await campaignWorkflow.onBidAccepted({ _id: 'bid-1', creator_id: 'creator-1' }, campaign);
+
+    expect(result.invoice).toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Invoice generation failed', expect.any(Object));
+  });
+
+  it('defaults to two revision rounds', async () => {
+    await campaignWorkflow.onBidAccepted({ _id: 'bid-1', creator_id: 'creator-1' }, campaign);
+
+    const [docs] = Deliverable.insertMany.mock.calls[0];
+    expect(docs.every(doc => doc.revision_limit === 2)).toBe(true);
+  });
+
+  it('keeps the deliverables of a bid accepted before', async () => {
+    const duplicate = Object.assign(new Error('E11000'), { writeErrors: [{ code: 11000 }] });
+    Deliverable.insertMany.mockRejectedValue(duplicate);
+
+    await expect(campaignWorkflow.onBidAccepted({ _id: 'bid-1', creator_id: 'creator-1' }, campaign)).resolves.toEqual({ deliverables: [], payment: undefined, invoice: undefined });
+    expect(Deliverable.find).toHaveBeenCalledWith({ bid_id: 'bid-1' });
+  });
+
+  it('does not hide other write errors', async () => {
+    const failure = Object.assign(new Error('write failed'), { writeErrors: [{ code: 11000 }, { code: 121 }] });
+    Deliverable.insertMany.mockRejectedValue(failure);
+
+    await expect(campaignWorkflow.onBidAccepted({ _id: 'bid-1', creator_id: 'creator-1' }, campaign)).rejects.toBe(failure);
+    expect(Bid.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('marks the approved deliverable of a published post as published', async () => {
+    const publishedAt = new Date('2026-02-01');
+
+    await campaignWorkflow.onPostPublished({ _id: 'post-1', deliverable_id: 'deliverable-1', publishing: { published_at: publishedAt } });
+    await campaignWorkflow.onPostPublished({ _id: 'post-2' });
+
+    expect(Deliverable.updateOne).toHaveBeenCalledTimes(1);
+    expect(Deliverable.updateOne).toHaveBeenCalledWith(
+      { _id: 'deliverable-1', status: DELIVERABLE_STATUS.APPROVED },
+      { $set: { status: DELIVERABLE_STATUS.PUBLISHED, post_id: 'post-1', published_at: publishedAt } }
+    );
+  });
+
+  it('releases the payment an approved deliverable unlocks', async () => {
+    const deliverable = { _id: 'deliverable-1', bid_id: 'bid-1' };
+
+    await campaignWorkflow.onDeliverableApproved(deliverable);
+
+    expect(escrow.onDeliverableApproved).toHaveBeenCalledWith(deliverable);
+  });
+});
+
+describe('campaignWorkflow.acceptBid', () => {
+  const bid = {
+    _id: 'bid-1',
+    revisions: [{ version: 1 }, { version: 2 }],
+    toRevision: fields => ({ version: 3, bid_amount: 500, ...fields })
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Deliverable.find.mockReturnValue({ sort: () => Promise.resolve([]) });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts only the revision the actor saw, in a state open to their side', async () => {
+    Bid.findOneAndUpdate.mockResolvedValue({ _id: 'bid-1', creator_id: 'creator-1', status: BID_STATUS.ACCEPTED });
+
+    const result = await campaignWorkflow.acceptBid(bid, campaign, { actorId: 'brand-1', acceptedBy: 'brand' });
+
+    const [filter, update] = Bid.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: 'bid-1',
+      status: { $in: [BID_STATUS.PENDING, BID_STATUS.RECOUNTERED] },
+      revisions: { $size: 2 }
+    });
+    expect(update.$set.status).toBe(BID_STATUS.ACCEPTED);
+    expect(update.$push.revisions).toMatchObject({ action: 'accepted', proposed_by: 'brand', author_id: 'brand-1' });
+    expect(Campaign.updateOne).toHaveBeenCalledWith(
+      { _id: 'campaign-1' },
+      { $push: { selectedCreators: { creator_id: 'creator-1', status: 'selected' } } }
+    );
+    expect(result.bid.status).toBe(BID_STATUS.ACCEPTED);
+  });
+
+  it('lets the creator accept only a counter-offer', async () => {
+    Bid.findOneAndUpdate.mockResolvedValue(null);
+
+    await campaignWorkflow.acceptBid(bid, campaign, { actorId: 'creator-1', acceptedBy: 'creator' });
+
+    expect(Bid.findOneAndUpdate.mock.calls[0][0].status).toEqual({ $in: [BID_STATUS.COUNTERED] });
+  });
+
+  it('does nothing when the terms changed or the bid was already accepted', async () => {
+    Bid.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await campaignWorkflow.acceptBid(bid, campaign, { actorId: 'brand-1', acceptedBy: 'brand' });
+
+    expect(result).toBeNull();
+    expect(Campaign.updateOne).not.toHaveBeenCalled();
+    expect(Deliverable.insertMany).not.toHaveBeenCalled();
+    expect(escrow.createForBid).not.toHaveBeenCalled();
+  });
+
+  it('keeps the bid accepted when its setup fails', async () => {
+    Bid.findOneAndUpdate.mockResolvedValue({ _id: 'bid-1', creator_id: 'creator-1', status: BID_STATUS.ACCEPTED });
+    Deliverable.insertMany.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const result = await campaignWorkflow.acceptBid(bid, campaign, { actorId: 'brand-1', acceptedBy: 'brand' });
+
+    expect(result).toMatchObject({ bid: { status: BID_STATUS.ACCEPTED }, deliverables: [], payment: null });
+    expect(Bid.updateOne).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('Accepted bid setup failed, will be retried', expect.any(Object));
+  });
+});
+
+describe('campaignWorkflow.runOnce', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const accepted = { _id: 'bid-1', campaign_id: 'campaign-1', creator_id: 'creator-1' };
+
+  // Bid.find(...).sort(...).limit(...) resolving to the given bids
+  const queue = (bids) => Bid.find.mockReturnValue({ sort: () => ({ limit: () => Promise.resolve(bids) }) });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Deliverable.find.mockReturnValue({ sort: () => Promise.resolve([]) });
+    Campaign.findById.mockResolvedValue(campaign);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('looks for recently accepted bids whose setup never finished', async () => {
+    queue([]);
+
+    await campaignWorkflow.runOnce(now);
+
+    expect(Bid.find).toHaveBeenCalledWith({
+      status: BID_STATUS.ACCEPTED,
+      'timeline.setup_completed_at': null,
+      'timeline.accepted_at': {
+        $gte: new Date('2026-03-03T12:00:00Z'),
+        $lte: new Date('2026-03-10T11:55:00Z')
+      }
+    });
+  });
+
+  it('sets up a bid again after a failed deliverable insert', async () => {
+    Bid.findOneAndUpdate.mockResolvedValue({ ...accepted, status: BID_STATUS.ACCEPTED });
+    Deliverable.insertMany.mockRejectedValueOnce(new Error('connection lost'));
+    await campaignWorkflow.acceptBid(
+      { _id: 'bid-1', revisions: [], toRevision: fields => fields },
+      campaign,
+      { actorId: 'brand-1', acceptedBy: 'brand' }
+    );
+    expect(escrow.createForBid).not.toHaveBeenCalled();
+
+    queue([accepted]);
+    const payment = { _id: 'payment-1' };
+    escrow.createForBid.mockResolvedValue(payment);
+
+    expect(await campaignWorkflow.runOnce(now)).toEqual({ repaired: 1, failed: 0 });
+    expect(Campaign.findById).toHaveBeenCalledWith('campaign-1');
+    expect(Deliverable.insertMany).toHaveBeenCalledTimes(2);
+    expect(escrow.createForBid).toHaveBeenCalledWith(accepted, campaign, []);
+    expect(Bid.updateOne).toHaveBeenCalledWith({ _id: 'bid-1' }, { $set: { 'timeline.setup_completed_at': expect.any(Date) } });
+  });
+
+  it('counts a bid that fails again and moves on', async () => {
+    queue([accepted, { ...accepted, _id: 'bid-2' }]);
+    escrow.createForBid.mockRejectedValueOnce(new Error('gateway down'));
+
+    expect(await campaignWorkflow.runOnce(now)).toEqual({ repaired: 1, failed: 1 });
+    expect(logger.error).toHaveBeenCalledWith('Accepted bid setup repair failed', expect.objectContaining({ bidId: 'bid-1' }));
+  });
+});
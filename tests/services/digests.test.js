@@ -0,0 +1,97 @@
+jest.mock('../../src/models/User', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/services/notifier/email', () => ({ sendDigestEmail: jest.fn() }));
+
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/notifier/email');
+const config = require('../../src/config/env');
+const logger = require('../../src/utils/logger');
+const digests = require('../../src/services/digests');
+const { DIGEST_FREQUENCIES } = require('../../src/utils/constants');
+
+describe('digests.getPeriod', () => {
+  it('covers the previous Monday-to-Sunday week once the send hour has passed', () => {
+    // Monday 16 March 2026, 10:00 in Kolkata
+    const now = new Date('2026-03-16T04:30:00Z');
+
+    const { from, to } = digests.getPeriod(DIGEST_FREQUENCIES.WEEKLY, 'Asia/Kolkata', now);
+
+    expect(from.toISOString()).toBe('2026-03-08T18:30:00.000Z');
+    expect(to.toISOString()).toBe('2026-03-15T18:30:00.000Z');
+  });
+
+  it('still reports the week before until the send hour arrives', () => {
+    const beforeSendHour = new Date(Date.UTC(2026, 2, 16, config.DIGEST_SEND_HOUR - 1));
+
+    const { from, to } = digests.getPeriod(DIGEST_FREQUENCIES.WEEKLY, 'UTC', beforeSendHour);
+
+    expect(from.toISOString()).toBe('2026-03-02T00:00:00.000Z');
+    expect(to.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+  });
+
+  it('covers the previous calendar month', () => {
+    const { from, to } = digests.getPeriod(DIGEST_FREQUENCIES.MONTHLY, 'America/New_York', new Date('2026-04-10T12:00:00Z'));
+
+    expect(from.toISOString()).toBe('2026-03-01T05:00:00.000Z');
+    expect(to.toISOString()).toBe('2026-04-01T04:00:00.000Z');
+  });
+});
+
+describe('digests.runOnce', () => {
+  const now = new Date('2026-03-16T12:00:00Z');
+  const user = (digest) => ({
+    _id: 'user-1',
+    email: 'user@example.com',
+    role: 'creator',
+    timezone: 'UTC',
+    preferences: { digest: { frequency: DIGEST_FREQUENCIES.WEEKLY, ...digest } }
+  });
+  const subscribers = (...users) => User.find.mockReturnValue({ select: () => ({ cursor: () => users }) });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(digests, 'build').mockResolvedValue({ frequency: 'weekly' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the period before sending', async () => {
+    subscribers(user({}));
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await digests.runOnce(now)).toEqual({ sent: 1, failed: 0 });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'user-1', 'preferences.digest.last_sent_at': null },
+      { $set: { 'preferences.digest.last_sent_at': now } }
+    );
+    expect(emailService.sendDigestEmail).toHaveBeenCalledWith('user@example.com', { frequency: 'weekly' });
+  });
+
+  it('skips users whose latest digest was already sent', async () => {
+    subscribers(user({ last_sent_at: new Date('2026-03-16T09:00:00Z') }));
+
+    expect(await digests.runOnce(now)).toEqual({ sent: 0, failed: 0 });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('skips users another instance claimed first', async () => {
+    subscribers(user({}));
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await digests.runOnce(now)).toEqual({ sent: 0, failed: 0 });
+    expect(emailService.sendDigestEmail).not.toHaveBeenCalled();
+  });
+
+  it('releases the claim when sending fails so the next run retries', async () => {
+    const lastSentAt = new Date('2026-03-09T09:00:00Z');
+    subscribers(user({ last_sent_at: lastSentAt }));
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    emailService.sendDigestEmail.mockRejectedValue(new Error('SMTP down'));
+
+    expect(await digests.runOnce(now)).toEqual({ sent: 0, failed: 1 });
+    expect(User.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'user-1', 'preferences.digest.last_sent_at': now },
+      { $set: { 'preferences.digest.last_sent_at': lastSentAt } }
+    );
+  });
+});
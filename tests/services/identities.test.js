@@ -0,0 +1,51 @@
+jest.mock('../../src/models/User', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  exists: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const logger = require('../../src/utils/logger');
+const identities = require('../../src/services/identities');
+
+describe('identities', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('finds accounts by the provider subject, not the email', async () => {
+    await identities.findUser('google', 'sub-1');
+
+    expect(User.findOne).toHaveBeenCalledWith({ identities: { $elemMatch: { provider: 'google', subject: 'sub-1' } } });
+  });
+
+  it('links one identity per provider', async () => {
+    User.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await identities.link('user-1', { provider: 'google', subject: 'sub-1', email: 'a@example.com' });
+
+    expect(result).toBeNull();
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'user-1', 'identities.provider': { $ne: 'google' } });
+    expect(update.$push.identities).toMatchObject({ provider: 'google', subject: 'sub-1', email: 'a@example.com' });
+  });
+
+  it('unlinks only while another sign-in method remains', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    expect(await identities.unlink('user-1', 'google')).toBe('unlinked');
+    expect(User.updateOne.mock.calls[0][0].$or).toEqual([
+      { password: { $exists: true, $nin: [null, ''] } },
+      { 'identities.1': { $exists: true } }
+    ]);
+
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    User.exists.mockResolvedValue({ _id: 'user-1' });
+    expect(await identities.unlink('user-1', 'google')).toBe('last_method');
+
+    User.exists.mockResolvedValue(null);
+    expect(await identities.unlink('user-1', 'google')).toBe('not_linked');
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('../../../src/models/Invoice', () => ({ findOne: jest.fn(), create: jest.fn(), find: jest.fn() }));
+jest.mock('../../../src/models/Counter', () => ({ nextFor: jest.fn() }));
+jest.mock('../../../src/models/Campaign', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/Payment', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/PaymentTransaction', () => ({ find: jest.fn() }));
+
+const Invoice = require('../../../src/models/Invoice');
+const Counter = require('../../../src/models/Counter');
+const User = require('../../../src/models/User');
+const Payment = require('../../../src/models/Payment');
+const PaymentTransaction = require('../../../src/models/PaymentTransaction');
+const logger = require('../../../src/utils/logger');
+const invoiceService = require('../../../src/services/invoices/invoiceService');
+
+const creator = {
+  _id: 'creator-1',
+  name: 'Asha',
+  email: 'asha@example.com',
+  billing: { legal_name: 'Asha Media', gstin: '27ABCDE1234F1Z5' }
+};
+const brand = {
+  _id: 'brand-1',
+  name: 'Brew Co',
+  email: 'brand@example.com',
+  billing: { gstin: '27PQRSX6789K1Z2' }
+};
+
+describe('invoiceService tax rules', () => {
+  it('names the Indian financial year of a date', () => {
+    expect(invoiceService.getFinancialYear(new Date('2026-03-31T12:00:00Z'))).toBe('2025-26');
+    // 1 April 00:30 in Kolkata is still 31 March in UTC
+    expect(invoiceService.getFinancialYear(new Date('2026-03-31T19:00:00Z'))).toBe('2026-27');
+  });
+
+  it('splits GST into CGST and SGST within a state', () => {
+    const taxes = invoiceService.computeTaxes(100000, 'INR', invoiceService.toParty(creator), invoiceService.toParty(brand));
+
+    expect(taxes).toEqual({
+      tax_treatment: 'intra_state',
+      tax_lines: [{ type: 'cgst', rate: 9, amount: 9000 }, { type: 'sgst', rate: 9, amount: 9000 }],
+      tax_total: 18000
+    });
+  });
+
+  it('charges IGST across states or when the place of supply is unknown', () => {
+    const supplier = invoiceService.toParty(creator);
+
+    expect(invoiceService.computeTaxes(100000, 'INR', supplier, { state_code: '29', country: 'IN' }).tax_lines)
+      .toEqual([{ type: 'igst', rate: 18, amount: 18000 }]);
+    expect(invoiceService.computeTaxes(100000, 'INR', supplier, { country: 'IN' }).tax_treatment).toBe('inter_state');
+  });
+
+  it('charges no tax for unregistered creators or exports', () => {
+    const unregistered = invoiceService.toParty({ name: 'Ravi' });
+    const supplier = invoiceService.toParty(creator);
+
+    expect(invoiceService.computeTaxes(100000, 'INR', unregistered, brand).tax_treatment).toBe('unregistered');
+    expect(invoiceService.computeTaxes(100000, 'USD', supplier, brand).tax_treatment).toBe('export');
+    expect(invoiceService.computeTaxes(100000, 'INR', supplier, { country: 'US' }).tax_total).toBe(0);
+  });
+
+  it('describes the agreed deliverables', () => {
+    expect(invoiceService.describeDeliverables({ posts: 1, reels: 2, stories: 0 })).toBe(' (1 post, 2 reels)');
+    expect(invoiceService.describeDeliverables({})).toBe('');
+  });
+});
+
+describe('invoiceService.generateForBid', () => {
+  const bid = { _id: 'bid-1', creator_id: 'creator-1', bid_amount: 1000, currency: 'INR', deliverables: { posts: 2 } };
+  const campaign = { _id: 'campaign-1', title: 'Summer launch', brand_id: 'brand-1' };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    User.findById.mockImplementation(userId => ({
+      select: () => Promise.resolve(userId === 'creator-1' ? creator : brand)
+    }));
+    Counter.nextFor.mockResolvedValue(7);
+    Invoice.create.mockImplementation(fields => Promise.resolve({ _id: 'invoice-1', ...fields }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('numbers the invoice per creator and financial year', async () => {
+    Invoice.findOne.mockResolvedValue(null);
+
+    const invoice = await invoiceService.generateForBid(bid, campaign);
+
+    const financialYear = invoiceService.getFinancialYear(invoice.issued_at);
+    expect(Counter.nextFor).toHaveBeenCalledWith(`invoice:creator-1:${financialYear}`, 'bid-1');
+    expect(invoice).toMatchObject({
+      invoice_number: `INV/${financialYear}/0007`,
+      sequence: 7,
+      subtotal: 100000,
+      tax_total: 18000,
+      total: 118000,
+      supplier: expect.objectContaining({ legal_name: 'Asha Media', state_code: '27' })
+    });
+    expect(invoice.line_items[0].description).toBe('Summer launch: influencer marketing services (2 posts)');
+  });
+
+  it('returns the invoice issued before for the bid', async () => {
+    const existing = { _id: 'invoice-1' };
+    Invoice.findOne.mockResolvedValue(existing);
+
+    expect(await invoiceService.generateForBid(bid, campaign)).toBe(existing);
+    expect(Counter.nextFor).not.toHaveBeenCalled();
+  });
+
+  it('takes no number when the invoice was issued while loading the parties', async () => {
+    const issued = { _id: 'invoice-2' };
+    Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(issued);
+
+    expect(await invoiceService.generateForBid(bid, campaign)).toBe(issued);
+    expect(Counter.nextFor).not.toHaveBeenCalled();
+  });
+
+  it('returns the invoice issued concurrently for the same bid', async () => {
+    const concurrent = { _id: 'invoice-2' };
+    Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(null).mockResolvedValueOnce(concurrent);
+    Invoice.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000, keyPattern: { bid_id: 1 } }));
+
+    expect(await invoiceService.generateForBid(bid, campaign)).toBe(concurrent);
+  });
+});
+
+describe('invoiceService.buildStatement', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  const stubEmptyMonth = () => {
+    Invoice.find.mockReturnValue({ populate: () => ({ sort: () => Promise.resolve([]) }) });
+    Payment.find.mockReturnValue({ select: () => ({ populate: () => Promise.resolve([]) }) });
+    PaymentTransaction.find.mockReturnValue({ sort: () => Promise.resolve([]) });
+  };
+
+  it('totals invoices and payouts of the month per currency', async () => {
+    Invoice.find.mockReturnValue({
+      populate: () => ({
+        sort: () => Promise.resolve([
+          { _id: 'invoice-1', currency: 'INR', subtotal: 100000, tax_total: 18000, total: 118000, campaign_id: { title: 'Summer launch' } }
+        ])
+      })
+    });
+    Payment.find.mockReturnValue({
+      select: () => ({ populate: () => Promise.resolve([{ _id: 'payment-1', campaign_id: { title: 'Summer launch' } }]) })
+    });
+    PaymentTransaction.find.mockReturnValue({
+      sort: () => Promise.resolve([{ payment_id: 'payment-1', currency: 'INR', amount: 50000, gateway_reference: 'rel_1' }])
+    });
+
+    const statement = await invoiceService.buildStatement({ ...creator, timezone: 'Asia/Kolkata' }, '2026-03');
+
+    expect(statement.from.toISOString()).toBe('2026-02-28T18:30:00.000Z');
+    expect(statement.to.toISOString()).toBe('2026-03-31T18:30:00.000Z');
+    expect(statement.totals).toEqual([{ currency: 'INR', invoiced: 118000, tax: 18000, paid_out: 50000 }]);
+    expect(statement.payouts[0]).toMatchObject({ campaign: 'Summer launch', amount: 50000, reference: 'rel_1' });
+  });
+
+  it('falls back to UTC for an invalid timezone', async () => {
+    stubEmptyMonth();
+
+    const statement = await invoiceService.buildStatement({ ...creator, timezone: 'Mars/Olympus' }, '2026-03');
+
+    expect(statement.from.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(statement.totals).toEqual([]);
+  });
+});
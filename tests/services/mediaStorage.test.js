@@ -0,0 +1,28 @@
+const mediaStorage = require('../../src/services/mediaStorage');
+
+const signedParams = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  return { filename: pathname.split('/').pop(), expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+};
+
+describe('mediaStorage signed URLs', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('signs public URLs for the stored file only', () => {
+    const url = mediaStorage.getPublicUrl({ url: '/api/media/posts/a.jpg', filename: 'a.jpg' });
+    const { filename, expires, signature } = signedParams(url);
+
+    expect(new URL(url).pathname).toBe('/api/media/public/a.jpg');
+    expect(mediaStorage.verifySignature(filename, expires, signature)).toBe(true);
+    expect(mediaStorage.verifySignature('b.jpg', expires, signature)).toBe(false);
+    expect(mediaStorage.verifySignature(filename, String(Number(expires) + 1), signature)).toBe(false);
+    expect(mediaStorage.verifySignature(filename, expires, undefined)).toBe(false);
+  });
+
+  it('refuses expired links', () => {
+    const { filename, expires, signature } = signedParams(mediaStorage.getPublicUrl({ filename: 'a.jpg' }));
+    jest.spyOn(Date, 'now').mockReturnValue((Number(expires) + 1) * 1000);
+
+    expect(mediaStorage.verifySignature(filename, expires, signature)).toBe(false);
+  });
+});
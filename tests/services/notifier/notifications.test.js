@@ -0,0 +1,82 @@
+jest.mock('../../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ find: jest.fn() }));
+jest.mock('../../../src/services/realtime', () => ({ publish: jest.fn() }));
+jest.mock('../../../src/services/notifier/email', () => ({ sendNotificationEmail: jest.fn() }));
+jest.mock('../../../src/services/notifier/push', () => ({ sendPush: jest.fn() }));
+
+const Notification = require('../../../src/models/Notification');
+const User = require('../../../src/models/User');
+const realtime = require('../../../src/services/realtime');
+const { sendNotificationEmail } = require('../../../src/services/notifier/email');
+const { sendPush } = require('../../../src/services/notifier/push');
+const config = require('../../../src/config/env');
+const logger = require('../../../src/utils/logger');
+const notifications = require('../../../src/services/notifier/notifications');
+const { NOTIFICATION_TYPES } = require('../../../src/utils/constants');
+
+const user = (chosen = {}) => ({
+  _id: 'user-1',
+  name: 'Asha',
+  email: 'asha@example.com',
+  role: 'creator',
+  preferences: { notifications: new Map(Object.entries(chosen)) }
+});
+
+describe('notifications', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Notification.create.mockImplementation(fields => Promise.resolve({ _id: 'notification-1', ...fields, toJSON: () => fields }));
+    sendNotificationEmail.mockResolvedValue();
+    sendPush.mockResolvedValue();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fills in default channels around the user choices', () => {
+    expect(notifications.getChannels(user(), NOTIFICATION_TYPES.BID_ACCEPTED)).toEqual({ in_app: true, email: true, push: false });
+    expect(notifications.getChannels(user(), NOTIFICATION_TYPES.POST_PUBLISHED)).toEqual({ in_app: true, email: false, push: false });
+    expect(notifications.getChannels(user({ bid_accepted: { email: false, push: true } }), NOTIFICATION_TYPES.BID_ACCEPTED))
+      .toEqual({ in_app: true, email: false, push: true });
+  });
+
+  it('stores the notification, pushes it live and emails it', async () => {
+    User.find.mockReturnValue({ select: () => Promise.resolve([user()]) });
+
+    const stored = await notifications.notify('user-1', NOTIFICATION_TYPES.BID_ACCEPTED, {
+      title: 'Your bid was accepted',
+      link: '/creator/bids/bid-1'
+    });
+
+    expect(stored).toHaveLength(1);
+    expect(User.find).toHaveBeenCalledWith({ _id: { $in: ['user-1'] }, isActive: true });
+    expect(Notification.create).toHaveBeenCalledWith({
+      user_id: 'user-1',
+      type: NOTIFICATION_TYPES.BID_ACCEPTED,
+      title: 'Your bid was accepted',
+      link: '/creator/bids/bid-1'
+    });
+    expect(realtime.publish).toHaveBeenCalledWith(['user-1'], 'notification', expect.objectContaining({ title: 'Your bid was accepted' }));
+    expect(sendNotificationEmail).toHaveBeenCalledWith('asha@example.com', expect.objectContaining({
+      actionUrl: `${config.FRONTEND_URL}/creator/bids/bid-1`,
+      preferencesUrl: `${config.FRONTEND_URL}/creator/settings`
+    }));
+    expect(sendPush).not.toHaveBeenCalled();
+  });
+
+  it('sends only to the channels the user kept', async () => {
+    User.find.mockReturnValue({ select: () => Promise.resolve([user({ bid_accepted: { in_app: false, email: false, push: true } })]) });
+
+    expect(await notifications.notify(['user-1'], NOTIFICATION_TYPES.BID_ACCEPTED, { title: 'Accepted' })).toEqual([]);
+    expect(Notification.create).not.toHaveBeenCalled();
+    expect(sendNotificationEmail).not.toHaveBeenCalled();
+    expect(sendPush).toHaveBeenCalledWith('user-1', 'Accepted', '', expect.objectContaining({ type: NOTIFICATION_TYPES.BID_ACCEPTED }));
+  });
+
+  it('never fails the action that triggered it', async () => {
+    User.find.mockReturnValue({ select: () => Promise.reject(new Error('db down')) });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await expect(notifications.notify('user-1', NOTIFICATION_TYPES.POST_FAILED, { title: 'Failed' })).resolves.toEqual([]);
+    await expect(notifications.notify([null], NOTIFICATION_TYPES.POST_FAILED, { title: 'Failed' })).resolves.toEqual([]);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,273 @@
+jest.mock('../../../src/models/Payment', () => ({
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../../src/models/PaymentTransaction', () => ({ create: jest.fn() }));
+jest.mock('../../../src/models/Deliverable', () => ({ find: jest.fn() }));
+jest.mock('../../../src/services/notifier/notifications', () => ({ notify: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Payment = require('../../../src/models/Payment');
+const PaymentTransaction = require('../../../src/models/PaymentTransaction');
+const Deliverable = require('../../../src/models/Deliverable');
+const notifications = require('../../../src/services/notifier/notifications');
+const config = require('../../../src/config/env');
+const logger = require('../../../src/utils/logger');
+const { registerGateway } = require('../../../src/services/payments/gateways');
+const escrow = require('../../../src/services/payments/escrow');
+const {
+  MILESTONE_STATUS,
+  MILESTONE_TRIGGERS,
+  PAYMENT_SCHEDULES,
+  PAYMENT_TRANSACTION_TYPES
+} = require('../../../src/utils/constants');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const gateway = { hold: jest.fn(), release: jest.fn(), refund: jest.fn() };
+registerGateway('test', gateway);
+
+const paymentWith = (milestones) => {
+  const list = milestones.map(milestone => ({ _id: id(), attempts: 0, status: MILESTONE_STATUS.HELD, ...milestone }));
+  list.id = (milestoneId) => list.find(milestone => milestone._id.equals(milestoneId));
+  return {
+    _id: id(),
+    bid_id: id(),
+    creator_id: id(),
+    campaign_id: id(),
+    currency: 'INR',
+    gateway: 'test',
+    hold_reference: 'hold_1',
+    milestones: list
+  };
+};
+
+describe('escrow milestones', () => {
+  it('splits per-deliverable milestones evenly, the last taking the remainder', () => {
+    const deliverables = [{ _id: id(), title: 'Post 1' }, { _id: id(), title: 'Post 2' }, { _id: id(), title: 'Reel 1' }];
+
+    const milestones = escrow.planMilestones(PAYMENT_SCHEDULES.MILESTONE, 10000, deliverables);
+
+    expect(milestones.map(milestone => milestone.amount)).toEqual([3333, 3333, 3334]);
+    expect(milestones[2]).toMatchObject({ label: 'Reel 1', trigger: MILESTONE_TRIGGERS.DELIVERABLE, deliverable_id: deliverables[2]._id });
+  });
+
+  it('plans one milestone for upfront and completion schedules', () => {
+    expect(escrow.planMilestones(PAYMENT_SCHEDULES.UPFRONT, 5000)).toEqual([
+      { label: 'Upfront payment', amount: 5000, trigger: MILESTONE_TRIGGERS.FUNDING }
+    ]);
+    expect(escrow.planMilestones(PAYMENT_SCHEDULES.MILESTONE, 5000, [])).toEqual([
+      { label: 'On completion', amount: 5000, trigger: MILESTONE_TRIGGERS.COMPLETION }
+    ]);
+  });
+
+  it('counts amounts in minor units', () => {
+    expect(escrow.toMinorUnits(199.99)).toBe(19999);
+  });
+
+  it('knows when a milestone is due', () => {
+    const approved = { _id: id(), status: 'approved' };
+    const submitted = { _id: id(), status: 'submitted' };
+
+    expect(escrow.isDue({ trigger: MILESTONE_TRIGGERS.FUNDING }, [])).toBe(true);
+    expect(escrow.isDue({ trigger: MILESTONE_TRIGGERS.DELIVERABLE, deliverable_id: approved._id }, [approved, submitted])).toBe(true);
+    expect(escrow.isDue({ trigger: MILESTONE_TRIGGERS.DELIVERABLE, deliverable_id: submitted._id }, [approved, submitted])).toBe(false);
+    expect(escrow.isDue({ trigger: MILESTONE_TRIGGERS.COMPLETION }, [approved, submitted])).toBe(false);
+    expect(escrow.isDue({ trigger: MILESTONE_TRIGGERS.COMPLETION }, [approved])).toBe(true);
+    expect(escrow.isDue({ trigger: MILESTONE_TRIGGERS.COMPLETION }, [])).toBe(false);
+  });
+});
+
+describe('escrow ledger', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  it('opens one payment for the accepted bid in minor units', async () => {
+    const bid = { _id: id(), creator_id: id(), bid_amount: 150.5, currency: 'INR', terms: { payment_schedule: PAYMENT_SCHEDULES.UPFRONT } };
+    const campaign = { _id: id(), brand_id: id() };
+    Payment.findOne.mockResolvedValue({ _id: id() });
+
+    await escrow.createForBid(bid, campaign, []);
+
+    expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+      bid_id: bid._id,
+      brand_id: campaign.brand_id,
+      creator_id: bid.creator_id,
+      amount: 15050,
+      schedule: PAYMENT_SCHEDULES.UPFRONT,
+      milestones: [{ label: 'Upfront payment', amount: 15050, trigger: MILESTONE_TRIGGERS.FUNDING }]
+    }));
+    expect(Payment.findOne).toHaveBeenCalledWith({ bid_id: bid._id });
+  });
+
+  it('returns the existing payment of a bid accepted before', async () => {
+    const existing = { _id: id() };
+    Payment.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    Payment.findOne.mockResolvedValue(existing);
+
+    expect(await escrow.createForBid({ _id: id(), bid_amount: 100 }, { _id: id() }, [])).toBe(existing);
+  });
+});
+
+describe('escrow release', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Payment.findById.mockImplementation(paymentId => Promise.resolve({ _id: paymentId }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the held milestone and releases it once through the gateway', async () => {
+    const payment = paymentWith([{ label: 'Post 1', amount: 3333 }]);
+    const milestone = payment.milestones[0];
+    Payment.findOneAndUpdate.mockResolvedValue(payment);
+    gateway.release.mockResolvedValue({ reference: 'rel_1' });
+
+    await escrow.releaseMilestone(payment._id, milestone._id, { actorId: 'brand-1' });
+
+    const [claim, claimUpdate] = Payment.findOneAndUpdate.mock.calls[0];
+    expect(claim.milestones.$elemMatch._id).toBe(milestone._id);
+    expect(claim.milestones.$elemMatch.$or[0]).toEqual({ status: MILESTONE_STATUS.HELD });
+    expect(claimUpdate.$set['milestones.$.status']).toBe(MILESTONE_STATUS.RELEASING);
+
+    expect(gateway.release).toHaveBeenCalledWith({
+      holdReference: 'hold_1',
+      amount: 3333,
+      currency: 'INR',
+      payeeId: payment.creator_id.toString(),
+      idempotencyKey: `${payment._id}:${milestone._id}:${PAYMENT_TRANSACTION_TYPES.RELEASE}:0`
+    });
+    expect(PaymentTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: PAYMENT_TRANSACTION_TYPES.RELEASE,
+      status: 'succeeded',
+      gateway_reference: 'rel_1'
+    }));
+    const [, settled] = Payment.updateOne.mock.calls[0];
+    expect(settled.$set['milestones.$.status']).toBe(MILESTONE_STATUS.RELEASED);
+    expect(settled.$inc).toEqual({ released_amount: 3333 });
+    expect(notifications.notify).toHaveBeenCalledWith(payment.creator_id, 'payment_received', expect.objectContaining({
+      title: 'Payment released: 33.33 INR',
+      body: 'Post 1'
+    }));
+  });
+
+  it('returns null without calling the gateway when the milestone is not held', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await escrow.releaseMilestone(id(), id())).toBeNull();
+    expect(gateway.release).not.toHaveBeenCalled();
+  });
+
+  it('puts the milestone back on hold when the gateway fails', async () => {
+    const payment = paymentWith([{ label: 'Post 1', amount: 3333 }]);
+    Payment.findOneAndUpdate.mockResolvedValue(payment);
+    const failure = new Error('gateway down');
+    gateway.release.mockRejectedValue(failure);
+
+    await expect(escrow.releaseMilestone(payment._id, payment.milestones[0]._id)).rejects.toBe(failure);
+
+    expect(PaymentTransaction.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', error: 'gateway down' }));
+    const [, reset] = Payment.updateOne.mock.calls[0];
+    expect(reset.$set['milestones.$.status']).toBe(MILESTONE_STATUS.HELD);
+    expect(reset.$inc).toEqual({ 'milestones.$.attempts': 1 });
+    expect(notifications.notify).not.toHaveBeenCalled();
+  });
+
+  it('releases only the milestones an approved deliverable unlocks', async () => {
+    const approved = { _id: id(), status: 'approved' };
+    const pending = { _id: id(), status: 'in_progress' };
+    const payment = paymentWith([
+      { label: 'Post 1', amount: 5000, trigger: MILESTONE_TRIGGERS.DELIVERABLE, deliverable_id: approved._id },
+      { label: 'Post 2', amount: 5000, trigger: MILESTONE_TRIGGERS.DELIVERABLE, deliverable_id: pending._id }
+    ]);
+    Payment.findOne.mockReturnValue({ select: () => Promise.resolve({ _id: payment._id }) });
+    Payment.findById.mockResolvedValue(payment);
+    Deliverable.find.mockReturnValue({ select: () => Promise.resolve([approved, pending]) });
+    const release = jest.spyOn(escrow, 'releaseMilestone').mockResolvedValue(payment);
+
+    await escrow.onDeliverableApproved({ bid_id: payment.bid_id });
+
+    expect(release).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledWith(payment._id, payment.milestones[0]._id, expect.any(Object));
+  });
+
+  it('keeps releasing other due milestones when one fails', async () => {
+    const payment = paymentWith([
+      { label: 'Upfront', amount: 5000, trigger: MILESTONE_TRIGGERS.FUNDING },
+      { label: 'Upfront 2', amount: 5000, trigger: MILESTONE_TRIGGERS.FUNDING }
+    ]);
+    Payment.findById.mockResolvedValue(payment);
+    Deliverable.find.mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const release = jest.spyOn(escrow, 'releaseMilestone')
+      .mockRejectedValueOnce(new Error('gateway down'))
+      .mockResolvedValueOnce(payment);
+
+    await escrow.releaseDue(payment._id);
+
+    expect(release).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('escrow gateway', () => {
+  const original = config.PAYMENT_GATEWAY;
+  afterEach(() => {
+    config.PAYMENT_GATEWAY = original;
+    jest.restoreAllMocks();
+  });
+
+  it('is enabled only for a registered gateway', () => {
+    config.PAYMENT_GATEWAY = 'test';
+    expect(escrow.isEnabled()).toBe(true);
+
+    config.PAYMENT_GATEWAY = 'stripe';
+    expect(escrow.isEnabled()).toBe(false);
+  });
+
+  it('opens no payment while escrow is disabled', async () => {
+    config.PAYMENT_GATEWAY = 'stripe';
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    expect(await escrow.createForBid({ _id: id(), bid_amount: 100 }, { _id: id() }, [])).toBeNull();
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('payment gateway configuration', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  const loadInProduction = (gatewayName) => {
+    Object.assign(process.env, { NODE_ENV: 'production', TOKEN_ENCRYPTION_KEYS: 'k1:test' });
+    // Empty rather than unset so a local .env cannot fill it in
+    process.env.PAYMENT_GATEWAY = gatewayName || '';
+
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = {
+        config: require('../../../src/config/env'),
+        gateways: require('../../../src/services/payments/gateways')
+      };
+    });
+    return loaded;
+  };
+
+  it('refuses to start with the fake gateway in production', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation((code) => { throw new Error(`exit ${code}`); });
+
+    expect(() => loadInProduction('fake')).toThrow('exit 1');
+  });
+
+  it('leaves escrow off in production until a real gateway is registered', () => {
+    const { config: productionConfig, gateways } = loadInProduction();
+
+    expect(productionConfig.PAYMENT_GATEWAY).toBeUndefined();
+    expect(gateways.hasGateway('fake')).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+jest.mock('../../src/config/redis', () => ({ publish: jest.fn(), subscribe: jest.fn() }));
+
+const { EventEmitter } = require('events');
+const redisClient = require('../../src/config/redis');
+const realtime = require('../../src/services/realtime');
+
+const fakeResponse = () => ({ set: jest.fn(), flushHeaders: jest.fn(), write: jest.fn() });
+
+describe('realtime', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    realtime.clients.clear();
+    realtime.subscribed = false;
+  });
+
+  it('streams events to the connected user until the client disconnects', async () => {
+    redisClient.subscribe.mockResolvedValue(false);
+    const req = new EventEmitter();
+    const res = fakeResponse();
+
+    await realtime.connect('user-1', req, res);
+    realtime.deliver(['user-1', 'user-2'], 'message', { body: 'Hi' });
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.write).toHaveBeenLastCalledWith('event: message\ndata: {"body":"Hi"}\n\n');
+
+    req.emit('close');
+    expect(realtime.clients.has('user-1')).toBe(false);
+  });
+
+  it('leaves delivery to the subscription when the event went through Redis', async () => {
+    const deliver = jest.spyOn(realtime, 'deliver');
+    redisClient.publish.mockResolvedValue(true);
+    realtime.subscribed = true;
+
+    await realtime.publish(['user-1'], 'read', { up_to: 'message-1' });
+
+    expect(JSON.parse(redisClient.publish.mock.calls[0][1])).toEqual({
+      userIds: ['user-1'],
+      event: 'read',
+      data: { up_to: 'message-1' }
+    });
+    expect(deliver).not.toHaveBeenCalled();
+    deliver.mockRestore();
+  });
+
+  it('delivers on this instance without Redis', async () => {
+    const deliver = jest.spyOn(realtime, 'deliver');
+    redisClient.publish.mockResolvedValue(false);
+
+    await realtime.publish(['user-1'], 'message', {});
+
+    expect(deliver).toHaveBeenCalledWith(['user-1'], 'message', {});
+    deliver.mockRestore();
+  });
+});
@@ -0,0 +1,49 @@
+const { RENDERERS } = require('../../../src/services/reports/renderers');
+
+const report = (rows) => ({
+  title: 'Campaign report: Launch',
+  period: '2026-03-01 to 2026-03-31 (UTC)',
+  generated_at: '2026-04-01 09:00',
+  summary: [{ label: 'Posts', value: rows.length }, { label: 'Views', value: 1200 }],
+  columns: [
+    { key: 'creator', header: 'Creator', width: 20 },
+    { key: 'views', header: 'Views', width: 10, numeric: true }
+  ],
+  rows
+});
+
+describe('report renderers', () => {
+  it('writes CSV with a BOM and quotes cells that need it', async () => {
+    const buffer = await RENDERERS.csv.render(report([
+      { creator: 'Ana, "the" Creator', views: 1200 },
+      { creator: 'Line\nbreak', views: 0 }
+    ]));
+
+    expect(buffer.toString('utf8')).toBe(
+      '\ufeffCreator,Views\r\n"Ana, ""the"" Creator",1200\r\n"Line\nbreak",0\r\n'
+    );
+  });
+
+  it('neutralises CSV cells that a spreadsheet would run as formulas', async () => {
+    const buffer = await RENDERERS.csv.render(report([{ creator: '=HYPERLINK("http://evil")', views: -5 }]));
+
+    const [, row] = buffer.toString('utf8').split('\r\n');
+    expect(row).toBe('"\'=HYPERLINK(""http://evil"")",-5');
+  });
+
+  it('renders an XLSX workbook', async () => {
+    const buffer = await RENDERERS.xlsx.render(report([{ creator: 'Ana', views: 1200 }]));
+
+    // XLSX files are zip archives
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  it('renders a multi-page PDF for long reports', async () => {
+    const rows = Array.from({ length: 80 }, (_, i) => ({ creator: `Creator ${i}`, views: i }));
+
+    const buffer = await RENDERERS.pdf.render(report(rows));
+
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(buffer.toString('latin1').match(/\/Type \/Page\b/g).length).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,28 @@
+const reportBuilder = require('../../../src/services/reports/reportBuilder');
+const { REPORT_TYPES } = require('../../../src/utils/constants');
+
+describe('reportBuilder', () => {
+  const from = new Date('2026-03-01T00:00:00Z');
+  const to = new Date('2026-03-31T23:59:59Z');
+
+  it.each([
+    [REPORT_TYPES.CAMPAIGN, { campaign_id: 'c1' }, { campaign_id: 'c1' }],
+    [REPORT_TYPES.CREATOR, { creator_id: 'u1' }, { user_id: 'u1' }],
+    [REPORT_TYPES.CREATOR, { creator_id: 'u1', campaign_ids: ['c1', 'c2'] }, { user_id: 'u1', campaign_id: { $in: ['c1', 'c2'] } }],
+    [REPORT_TYPES.ACCOUNT, { owner_id: 'u2', platform: 'youtube' }, { user_id: 'u2', platform: 'youtube' }]
+  ])('scopes a %s report %j', (type, params, expected) => {
+    expect(reportBuilder.getFilter(type, { ...params, from, to })).toEqual({
+      'timing.posted_at': { $gte: from, $lte: to },
+      ...expected
+    });
+  });
+
+  it('formats dates in the report timezone', () => {
+    const date = new Date('2026-03-31T23:30:00Z');
+
+    expect(reportBuilder.formatDate(date)).toBe('2026-03-31 23:30');
+    expect(reportBuilder.formatDate(date, 'Asia/Kolkata')).toBe('2026-04-01 05:00');
+    expect(reportBuilder.formatDate(date, 'Asia/Kolkata', false)).toBe('2026-04-01');
+    expect(reportBuilder.formatDate(null)).toBe('');
+  });
+});
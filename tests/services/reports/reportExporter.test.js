@@ -0,0 +1,97 @@
+jest.mock('../../../src/models/ReportExport', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+const fs = require('fs');
+const ReportExport = require('../../../src/models/ReportExport');
+const logger = require('../../../src/utils/logger');
+const reportBuilder = require('../../../src/services/reports/reportBuilder');
+const reportExporter = require('../../../src/services/reports/reportExporter');
+const { REPORT_EXPORT_STATUS } = require('../../../src/utils/constants');
+
+const job = (overrides = {}) => ({
+  _id: 'export-1',
+  type: 'account',
+  format: 'csv',
+  params: { owner_id: 'u1', from: new Date('2026-03-01'), to: new Date('2026-03-31'), timezone: 'UTC' },
+  ...overrides
+});
+
+describe('reportExporter', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims pending jobs and jobs abandoned mid-render', async () => {
+    const now = new Date('2026-04-01T12:00:00Z');
+
+    await reportExporter.claimNext(now);
+
+    const [filter, update] = ReportExport.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { status: REPORT_EXPORT_STATUS.PENDING },
+      { status: REPORT_EXPORT_STATUS.PROCESSING, started_at: { $lt: new Date('2026-04-01T11:45:00Z') } }
+    ]);
+    expect(update.$set).toEqual({ status: REPORT_EXPORT_STATUS.PROCESSING, started_at: now });
+  });
+
+  it('stores the rendered file and completes the job', async () => {
+    jest.spyOn(reportBuilder, 'build').mockResolvedValue({
+      title: 'Account report',
+      period: '',
+      generated_at: '',
+      summary: [],
+      columns: [{ key: 'views', header: 'Views', width: 10 }],
+      rows: [{ views: 3 }]
+    });
+    jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+    const writeFile = jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+
+    await reportExporter.process(job());
+
+    expect(writeFile.mock.calls[0][0]).toBe(reportExporter.getFilePath({ file: { filename: 'export-1.csv' } }));
+    const [, update] = ReportExport.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      status: REPORT_EXPORT_STATUS.COMPLETED,
+      row_count: 1,
+      file: { filename: 'export-1.csv', mime_type: 'text/csv; charset=utf-8' }
+    });
+    expect(update.$set.expires_at.getTime()).toBeGreaterThan(update.$set.completed_at.getTime());
+  });
+
+  it('records a render error on the job', async () => {
+    jest.spyOn(reportBuilder, 'build').mockRejectedValue(new Error('Analytics unavailable'));
+
+    await reportExporter.process(job());
+
+    expect(ReportExport.updateOne.mock.calls[0][1].$set).toMatchObject({
+      status: REPORT_EXPORT_STATUS.FAILED,
+      error: 'Analytics unavailable'
+    });
+  });
+
+  it('keeps stored filenames inside the export directory', () => {
+    expect(reportExporter.getFilePath({ file: { filename: '../../etc/passwd' } }))
+      .toBe(`${reportExporter.exportDir}/passwd`);
+  });
+
+  it('removes expired exports whose files are gone or deleted', async () => {
+    ReportExport.find.mockReturnValue({
+      select: () => Promise.resolve([job({ file: { filename: 'a.csv' } }), job({ _id: 'export-2', file: { filename: 'b.csv' } })])
+    });
+    jest.spyOn(fs.promises, 'unlink')
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+    await reportExporter.cleanupExpired();
+
+    expect(ReportExport.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['export-1', 'export-2'] } });
+  });
+});
@@ -0,0 +1,252 @@
+jest.mock('../../../src/models/Post', () => ({
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/controllers/postController', () => ({
+  postToPlatform: jest.fn(),
+  buildPublishingRecord: jest.fn()
+}));
+jest.mock('../../../src/services/campaignWorkflow', () => ({ onPostPublished: jest.fn() }));
+jest.mock('../../../src/services/notifier/notifications', () => ({ notify: jest.fn() }));
+jest.mock('../../../src/services/webhooks', () => ({ emit: jest.fn() }));
+jest.mock('../../../src/services/workspaces', () => ({ getAccountHolder: jest.fn() }));
+
+const Post = require('../../../src/models/Post');
+const postController = require('../../../src/controllers/postController');
+const campaignWorkflow = require('../../../src/services/campaignWorkflow');
+const notifications = require('../../../src/services/notifier/notifications');
+const webhooks = require('../../../src/services/webhooks');
+const workspaces = require('../../../src/services/workspaces');
+const logger = require('../../../src/utils/logger');
+const postDispatcher = require('../../../src/services/scheduler/postDispatcher');
+const retryPolicy = require('../../../src/services/scheduler/retryPolicy');
+const { POST_STATUS } = require('../../../src/utils/constants');
+
+const claimedPost = (overrides = {}) => ({
+  _id: 'post-1',
+  author: 'user-1',
+  platform: 'twitter',
+  status: POST_STATUS.PUBLISHING,
+  dispatch: { locked_by: postDispatcher.instanceId, attempts: 1 },
+  ...overrides
+});
+
+// Post.findOneAndUpdate stub that echoes the $set fields back as the updated post
+const echoUpdate = (filter, update) => Promise.resolve({ _id: filter._id, ...update.$set });
+
+describe('postDispatcher', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    postController.buildPublishingRecord.mockReturnValue({ platform_post_id: 'tweet-1' });
+  });
+
+  describe('claimNext', () => {
+    it('claims the oldest due post or retry for this instance', async () => {
+      const now = new Date();
+      Post.findOneAndUpdate.mockResolvedValue(claimedPost());
+
+      await postDispatcher.claimNext(now);
+
+      const [filter, update, options] = Post.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or).toEqual([
+        { status: POST_STATUS.SCHEDULED, 'scheduling.scheduled_for': { $lte: now } },
+        { status: POST_STATUS.FAILED, 'retry.next_attempt_at': { $lte: now } }
+      ]);
+      expect(update.$set).toEqual({
+        status: POST_STATUS.PUBLISHING,
+        'dispatch.locked_by': postDispatcher.instanceId,
+        'dispatch.locked_at': now
+      });
+      expect(update.$inc).toEqual({ 'dispatch.attempts': 1 });
+      expect(options.sort).toEqual({ 'scheduling.scheduled_for': 1 });
+    });
+  });
+
+  describe('releaseStaleClaims', () => {
+    it('dead-letters posts claimed longer than the lock timeout instead of publishing them again', async () => {
+      const now = new Date('2026-01-01T01:00:00Z');
+      Post.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      await postDispatcher.releaseStaleClaims(now);
+
+      const [filter, update] = Post.updateMany.mock.calls[0];
+      expect(filter).toEqual({
+        status: POST_STATUS.PUBLISHING,
+        'dispatch.locked_at': { $lt: new Date(now.getTime() - postDispatcher.lockTimeoutMs) }
+      });
+      expect(update.$set.status).toBe(POST_STATUS.DEAD_LETTER);
+      expect(update.$set.error.code).toBe('PUBLISH_INTERRUPTED');
+    });
+  });
+
+  describe('dispatch', () => {
+    it('publishes through the author account and records the result', async () => {
+      const user = { _id: 'user-1', isActive: true };
+      workspaces.getAccountHolder.mockResolvedValue(user);
+      postController.postToPlatform.mockResolvedValue({ success: true, tweet_id: 'tweet-1' });
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+
+      const { post } = await postDispatcher.dispatch(claimedPost());
+
+      expect(postController.postToPlatform).toHaveBeenCalledWith(expect.objectContaining({ _id: 'post-1' }), user);
+      expect(post.status).toBe(POST_STATUS.PUBLISHED);
+      expect(post.publishing.platform_post_id).toBe('tweet-1');
+      expect(campaignWorkflow.onPostPublished).toHaveBeenCalledWith(post);
+      expect(webhooks.emit).toHaveBeenCalledWith('user-1', 'post.published', expect.objectContaining({
+        post_id: 'post-1',
+        trigger: 'scheduler',
+        platform_post_id: 'tweet-1'
+      }));
+      expect(notifications.notify).toHaveBeenCalledWith('user-1', 'post_published', expect.objectContaining({
+        title: 'Your scheduled Twitter post is live'
+      }));
+    });
+
+    it('keeps the post published when its deliverable cannot be updated', async () => {
+      workspaces.getAccountHolder.mockResolvedValue({ _id: 'user-1', isActive: true });
+      postController.postToPlatform.mockResolvedValue({ success: true, tweet_id: 'tweet-1' });
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+      campaignWorkflow.onPostPublished.mockRejectedValue(new Error('db down'));
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      const { post } = await postDispatcher.dispatch(claimedPost({ deliverable_id: 'deliverable-1' }));
+
+      expect(post.status).toBe(POST_STATUS.PUBLISHED);
+      expect(logError).toHaveBeenCalledWith('Failed to mark campaign deliverable published', expect.any(Object));
+      logError.mockRestore();
+    });
+
+    it('dead-letters a post whose author is gone', async () => {
+      workspaces.getAccountHolder.mockResolvedValue(null);
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+
+      const { post, platformResult } = await postDispatcher.dispatch(claimedPost());
+
+      expect(postController.postToPlatform).not.toHaveBeenCalled();
+      expect(platformResult.code).toBe('AUTHOR_UNAVAILABLE');
+      expect(post.status).toBe(POST_STATUS.DEAD_LETTER);
+    });
+  });
+
+  describe('markPublished', () => {
+    it('records the publish only while this attempt still holds the claim', async () => {
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+
+      const updated = await postDispatcher.markPublished(claimedPost(), { success: true, tweet_id: 'tweet-1' }, 'manual');
+
+      const [filter] = Post.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: 'post-1',
+        status: POST_STATUS.PUBLISHING,
+        'dispatch.locked_by': postDispatcher.instanceId
+      });
+      expect(updated.status).toBe(POST_STATUS.PUBLISHED);
+    });
+
+    it('returns null without side effects when the lock changed meanwhile', async () => {
+      Post.findOneAndUpdate.mockResolvedValue(null);
+      const logWarn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      const post = claimedPost({ dispatch: { locked_by: 'other-instance', attempts: 1 } });
+
+      const updated = await postDispatcher.markPublished(post, { success: true, tweet_id: 'tweet-1' });
+
+      expect(updated).toBeNull();
+      expect(Post.findOneAndUpdate.mock.calls[0][0]['dispatch.locked_by']).toBe('other-instance');
+      expect(logWarn).toHaveBeenCalledWith('Post published after its claim was released', expect.objectContaining({
+        platformPostId: 'tweet-1'
+      }));
+      expect(campaignWorkflow.onPostPublished).not.toHaveBeenCalled();
+      expect(webhooks.emit).not.toHaveBeenCalled();
+      expect(notifications.notify).not.toHaveBeenCalled();
+      logWarn.mockRestore();
+    });
+  });
+
+  describe('markFailed', () => {
+    beforeEach(() => jest.spyOn(Math, 'random').mockReturnValue(0));
+    afterEach(() => jest.restoreAllMocks());
+
+    it('schedules a retry for a transient failure', async () => {
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+
+      const updated = await postDispatcher.markFailed(claimedPost(), { success: false, statusCode: 503 });
+
+      const [filter, update] = Post.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: 'post-1',
+        status: POST_STATUS.PUBLISHING,
+        'dispatch.locked_by': postDispatcher.instanceId
+      });
+      expect(updated.status).toBe(POST_STATUS.FAILED);
+      expect(updated.retry.next_attempt_at).toBeInstanceOf(Date);
+      expect(notifications.notify).not.toHaveBeenCalled();
+      expect(update.$push.publish_attempts.$each[0]).toMatchObject({
+        trigger: 'scheduler',
+        success: false,
+        status_code: 503,
+        retryable: true
+      });
+      expect(webhooks.emit).toHaveBeenCalledWith('user-1', 'post.failed', expect.objectContaining({
+        status: POST_STATUS.FAILED,
+        next_attempt_at: updated.retry.next_attempt_at
+      }));
+    });
+
+    it('dead-letters the post once retries are exhausted', async () => {
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+      const { maxAttempts } = retryPolicy.getPolicy('twitter');
+      const post = claimedPost({ dispatch: { locked_by: postDispatcher.instanceId, attempts: maxAttempts } });
+
+      const updated = await postDispatcher.markFailed(post, { success: false, statusCode: 503 });
+
+      expect(updated.status).toBe(POST_STATUS.DEAD_LETTER);
+      expect(updated.retry.next_attempt_at).toBeNull();
+      expect(notifications.notify).toHaveBeenCalledWith('user-1', 'post_failed', expect.objectContaining({
+        title: 'Your scheduled Twitter post could not be published'
+      }));
+    });
+
+    it('dead-letters a permanent failure straight away', async () => {
+      Post.findOneAndUpdate.mockImplementation(echoUpdate);
+
+      const updated = await postDispatcher.markFailed(claimedPost(), { success: false, error: 'Duplicate content', statusCode: 403 }, 'manual');
+
+      expect(updated.status).toBe(POST_STATUS.DEAD_LETTER);
+      expect(updated.error).toMatchObject({ message: 'Duplicate content', code: '403' });
+      // Manual publishes report the failure in the response
+      expect(notifications.notify).not.toHaveBeenCalled();
+    });
+
+    it('returns null without emitting when the claim was released meanwhile', async () => {
+      Post.findOneAndUpdate.mockResolvedValue(null);
+
+      const updated = await postDispatcher.markFailed(claimedPost(), { success: false, statusCode: 503 }, 'manual');
+
+      expect(updated).toBeNull();
+      expect(webhooks.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runOnce', () => {
+    it('publishes due posts until none are left', async () => {
+      Post.updateMany.mockResolvedValue({ modifiedCount: 0 });
+      Post.findOneAndUpdate
+        .mockResolvedValueOnce(claimedPost({ _id: 'post-1' }))
+        .mockResolvedValueOnce(claimedPost({ _id: 'post-2' }))
+        .mockResolvedValueOnce(null);
+      const dispatch = jest.spyOn(postDispatcher, 'dispatch').mockResolvedValue({});
+
+      expect(await postDispatcher.runOnce()).toBe(2);
+      expect(dispatch).toHaveBeenCalledTimes(2);
+      dispatch.mockRestore();
+    });
+
+    it('skips a tick while the previous pass is still running', async () => {
+      postDispatcher.isRunning = true;
+
+      expect(await postDispatcher.runOnce()).toBe(0);
+      expect(Post.updateMany).not.toHaveBeenCalled();
+      postDispatcher.isRunning = false;
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const retryPolicy = require('../../../src/services/scheduler/retryPolicy');
+
+const { ERROR_CATEGORIES } = retryPolicy;
+
+describe('retryPolicy.classifyError', () => {
+  it.each([
+    [{ code: 'ECONNRESET' }, 'twitter', true, ERROR_CATEGORIES.NETWORK],
+    [{ code: 'RATE_LIMITED' }, 'facebook', true, ERROR_CATEGORIES.RATE_LIMITED],
+    [{ statusCode: 429 }, 'facebook', true, ERROR_CATEGORIES.RATE_LIMITED],
+    [{ statusCode: 403, error: 'Daily quota exceeded' }, 'youtube', true, ERROR_CATEGORIES.RATE_LIMITED],
+    [{ statusCode: 503 }, 'instagram', true, ERROR_CATEGORIES.SERVER_ERROR],
+    [{ statusCode: 408 }, 'twitter', true, ERROR_CATEGORIES.SERVER_ERROR],
+    [{ statusCode: 403, error: 'Forbidden' }, 'twitter', false, ERROR_CATEGORIES.AUTH],
+    [{ code: 'TOKEN_EXPIRED', statusCode: 500 }, 'twitter', false, ERROR_CATEGORIES.AUTH],
+    [{ code: 'INVALID_CONTENT' }, 'linkedin', false, ERROR_CATEGORIES.CONTENT_REJECTED],
+    [{ code: 'PLATFORM_NOT_SUPPORTED' }, 'instagram', false, ERROR_CATEGORIES.CONTENT_REJECTED],
+    [{ statusCode: 422 }, 'linkedin', false, ERROR_CATEGORIES.CONTENT_REJECTED],
+    [{ code: 'PUBLISH_INTERRUPTED' }, 'twitter', false, ERROR_CATEGORIES.UNKNOWN],
+    [{ error: 'Something went wrong' }, 'twitter', false, ERROR_CATEGORIES.UNKNOWN]
+  ])('classifies %j on %s', (result, platform, retryable, category) => {
+    expect(retryPolicy.classifyError(result, platform)).toEqual({ retryable, category });
+  });
+});
+
+describe('retryPolicy.getRetryDelay', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('doubles the delay per attempt up to the platform maximum', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const { baseDelayMs, maxDelayMs } = retryPolicy.getPolicy('twitter');
+
+    expect(retryPolicy.getRetryDelay(1, 'twitter')).toBe(baseDelayMs);
+    expect(retryPolicy.getRetryDelay(2, 'twitter')).toBe(baseDelayMs * 2);
+    expect(retryPolicy.getRetryDelay(3, 'twitter')).toBe(baseDelayMs * 4);
+    expect(retryPolicy.getRetryDelay(20, 'twitter')).toBe(maxDelayMs);
+  });
+
+  it('adds at most 20% jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+    const { baseDelayMs } = retryPolicy.getPolicy('linkedin');
+
+    const delay = retryPolicy.getRetryDelay(1, 'linkedin');
+    expect(delay).toBeGreaterThan(baseDelayMs);
+    expect(delay).toBeLessThanOrEqual(baseDelayMs * 1.2);
+  });
+
+  it('falls back to the default policy for unknown platforms', () => {
+    expect(retryPolicy.getPolicy('myspace')).toBe(retryPolicy.getPolicy('linkedin'));
+  });
+});
+
+describe('retryPolicy.evaluate', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  beforeEach(() => jest.spyOn(Math, 'random').mockReturnValue(0));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('schedules a retry for a transient failure', () => {
+    const { retryable, nextAttemptAt } = retryPolicy.evaluate({ statusCode: 502 }, 'twitter', 1, now);
+
+    expect(retryable).toBe(true);
+    expect(nextAttemptAt).toEqual(new Date(now.getTime() + retryPolicy.getPolicy('twitter').baseDelayMs));
+  });
+
+  it('gives up once the attempts are exhausted', () => {
+    const { maxAttempts } = retryPolicy.getPolicy('twitter');
+    const { retryable, nextAttemptAt } = retryPolicy.evaluate({ statusCode: 502 }, 'twitter', maxAttempts, now);
+
+    expect(retryable).toBe(true);
+    expect(nextAttemptAt).toBeNull();
+  });
+
+  it('never retries a permanent failure', () => {
+    const { retryable, category, nextAttemptAt } = retryPolicy.evaluate({ statusCode: 401 }, 'twitter', 1, now);
+
+    expect(retryable).toBe(false);
+    expect(category).toBe(ERROR_CATEGORIES.AUTH);
+    expect(nextAttemptAt).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../src/models/Session', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../src/config/redis', () => ({
+  isConnected: true,
+  set: jest.fn(),
+  exists: jest.fn()
+}));
+
+const Session = require('../../src/models/Session');
+const redisClient = require('../../src/config/redis');
+const jwtManager = require('../../src/utils/jwt');
+const sessions = require('../../src/services/sessions');
+
+const user = { _id: '64b000000000000000000001', email: 'creator@example.com', role: 'creator' };
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+describe('sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.isConnected = true;
+    Session.create.mockImplementation(doc => Promise.resolve(doc));
+  });
+
+  it('starts a session whose tokens carry its id and refresh token id', async () => {
+    const { session, tokens } = await sessions.start(user, req);
+
+    const refresh = jwtManager.verifyRefreshToken(tokens.refreshToken);
+    expect(refresh.sid).toBe(session._id.toString());
+    expect(refresh.jti).toBe(session.refresh_jti);
+    expect(session.ip).toBe('203.0.113.7');
+  });
+
+  it('rotates the refresh token on refresh', async () => {
+    const { session, tokens } = await sessions.start(user, req);
+    const decoded = jwtManager.verifyRefreshToken(tokens.refreshToken);
+    Session.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...session, ...update.$set }));
+
+    const rotated = await sessions.refresh(decoded, user, req);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: decoded.sid, refresh_jti: decoded.jti, revoked_at: null });
+    const next = jwtManager.verifyRefreshToken(rotated.refreshToken);
+    expect(next.sid).toBe(decoded.sid);
+    expect(next.jti).not.toBe(decoded.jti);
+    expect(update.$set.refresh_jti).toBe(next.jti);
+  });
+
+  it('revokes the whole session when a rotated refresh token is replayed', async () => {
+    const { session, tokens } = await sessions.start(user, req);
+    const decoded = jwtManager.verifyRefreshToken(tokens.refreshToken);
+    const accessExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
+    // The presented jti no longer matches; the session itself is still active
+    Session.findOneAndUpdate
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ ...session, revoked_at: new Date(), access_expires_at: accessExpiresAt });
+    Session.findOne.mockResolvedValue(session);
+
+    const result = await sessions.refresh(decoded, user, req);
+
+    expect(result).toBeNull();
+    const [revokeFilter, revokeUpdate] = Session.findOneAndUpdate.mock.calls[1];
+    expect(revokeFilter).toEqual({ _id: session._id, revoked_at: null });
+    expect(revokeUpdate.$set.revoked_reason).toBe('refresh_reuse');
+    expect(redisClient.set).toHaveBeenCalledWith(`revoked_session:${session._id}`, '1', expect.any(Number));
+  });
+
+  it('refuses refresh tokens issued before sessions existed', async () => {
+    expect(await sessions.refresh({ id: user._id }, user, req)).toBeNull();
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not revoke anything for a token of an already revoked session', async () => {
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findOne.mockResolvedValue(null);
+
+    const result = await sessions.refresh({ sid: '64b0000000000000000000aa', jti: 'old' }, user, req);
+
+    expect(result).toBeNull();
+    expect(Session.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  describe('isRevoked', () => {
+    it('checks the Redis revocation list', async () => {
+      redisClient.exists.mockResolvedValue(1);
+
+      expect(await sessions.isRevoked('session-1')).toBe(true);
+      expect(redisClient.exists).toHaveBeenCalledWith('revoked_session:session-1');
+    });
+
+    it('falls back to the session document without Redis', async () => {
+      redisClient.isConnected = false;
+      Session.findById.mockReturnValue({ select: () => Promise.resolve({ revoked_at: null }) });
+
+      expect(await sessions.isRevoked('session-1')).toBe(false);
+    });
+  });
+});
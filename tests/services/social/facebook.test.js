@@ -0,0 +1,98 @@
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+
+const axios = require('axios');
+const logger = require('../../../src/utils/logger');
+const facebookService = require('../../../src/services/social/facebook');
+
+const graphError = (status, code, message) => ({ response: { status, data: { error: { code, message } } } });
+
+describe('facebookService', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('formatError', () => {
+    it.each([
+      [190, 'TOKEN_EXPIRED'],
+      [102, 'TOKEN_EXPIRED'],
+      [4, 'RATE_LIMITED'],
+      [32, 'RATE_LIMITED'],
+      [100, undefined]
+    ])('maps Graph error code %s to %s', (graphCode, code) => {
+      expect(facebookService.formatError(graphError(400, graphCode, 'Graph says no'), 'fallback')).toEqual({
+        success: false,
+        error: 'Graph says no',
+        statusCode: 400,
+        code
+      });
+    });
+
+    it('falls back to the given message for network errors', () => {
+      expect(facebookService.formatError({ code: 'ECONNRESET', message: 'socket hang up' }, 'Failed')).toEqual({
+        success: false,
+        error: 'Failed',
+        statusCode: undefined,
+        code: 'ECONNRESET'
+      });
+    });
+  });
+
+  describe('getManagedPages', () => {
+    it('follows paging and keeps each Page token', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { data: [{ id: 'p1', name: 'One', access_token: 't1' }], paging: { next: 'https://graph/next' } } })
+        .mockResolvedValueOnce({ data: { data: [{ id: 'p2', name: 'Two', access_token: 't2', tasks: ['CREATE_CONTENT'] }] } });
+
+      const result = await facebookService.getManagedPages('user-token');
+
+      expect(axios.get).toHaveBeenLastCalledWith('https://graph/next', { params: undefined });
+      expect(result.pages.map(page => [page.id, page.accessToken])).toEqual([['p1', 't1'], ['p2', 't2']]);
+      expect(result.pages[1].tasks).toEqual(['CREATE_CONTENT']);
+    });
+  });
+
+  describe('publishFeedPost', () => {
+    it('posts the message, link and attached photos with the Page token', async () => {
+      axios.post.mockResolvedValue({ data: { id: 'page_post' } });
+
+      const result = await facebookService.publishFeedPost('page-1', 'page-token', {
+        message: 'Hello',
+        link: 'https://example.com',
+        attachedMedia: ['photo-1', 'photo-2']
+      });
+
+      expect(axios.post).toHaveBeenCalledWith(`${facebookService.baseURL}/page-1/feed`, {
+        access_token: 'page-token',
+        message: 'Hello',
+        link: 'https://example.com',
+        attached_media: [{ media_fbid: 'photo-1' }, { media_fbid: 'photo-2' }]
+      });
+      expect(result).toEqual({ success: true, post_id: 'page_post', url: 'https://www.facebook.com/page_post' });
+    });
+
+    it('returns a classified failure instead of throwing', async () => {
+      axios.post.mockRejectedValue(graphError(400, 190, 'Session has expired'));
+
+      const result = await facebookService.publishFeedPost('page-1', 'page-token', { message: 'Hello' });
+
+      expect(result).toMatchObject({ success: false, code: 'TOKEN_EXPIRED', error: 'Session has expired' });
+    });
+  });
+
+  describe('publishPhoto', () => {
+    it('uses the photo id as post id for unpublished photos', async () => {
+      axios.post.mockResolvedValue({ data: { id: 'photo-1' } });
+
+      const result = await facebookService.publishPhoto('page-1', 'page-token', {
+        buffer: Buffer.from('image'),
+        mimeType: 'image/png',
+        published: false
+      });
+
+      expect(axios.post.mock.calls[0][0]).toBe(`${facebookService.baseURL}/page-1/photos`);
+      expect(result).toMatchObject({ success: true, photo_id: 'photo-1', post_id: 'photo-1' });
+    });
+  });
+});
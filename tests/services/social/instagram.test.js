@@ -0,0 +1,119 @@
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+
+const axios = require('axios');
+const logger = require('../../../src/utils/logger');
+const instagramService = require('../../../src/services/social/instagram');
+
+const base = instagramService.baseURL;
+
+// axios.get stub: container status lookups report FINISHED, permalink lookups return a URL
+const graphGet = (url, { params }) => Promise.resolve({
+  data: params.fields === 'permalink'
+    ? { permalink: 'https://instagram.com/p/abc' }
+    : { status_code: 'FINISHED' }
+});
+
+describe('instagramService.post', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    axios.get.mockImplementation(graphGet);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('publishes a single image with its caption and alt text', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'container-1' } })
+      .mockResolvedValueOnce({ data: { id: 'media-1' } });
+
+    const result = await instagramService.post('ig-1', 'page-token', {
+      caption: 'Hello',
+      altText: 'A chart',
+      media: [{ type: 'image', url: 'https://cdn/a.png' }]
+    });
+
+    expect(axios.post).toHaveBeenNthCalledWith(1, `${base}/ig-1/media`, {
+      image_url: 'https://cdn/a.png',
+      alt_text: 'A chart',
+      caption: 'Hello',
+      access_token: 'page-token'
+    });
+    expect(axios.post).toHaveBeenNthCalledWith(2, `${base}/ig-1/media_publish`, {
+      creation_id: 'container-1',
+      access_token: 'page-token'
+    });
+    expect(result).toEqual({ success: true, media_id: 'media-1', post_id: 'media-1', url: 'https://instagram.com/p/abc' });
+  });
+
+  it('publishes a single video as a Reel', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'container-1' } })
+      .mockResolvedValueOnce({ data: { id: 'media-1' } });
+
+    await instagramService.post('ig-1', 'page-token', { media: [{ type: 'video', url: 'https://cdn/v.mp4' }] });
+
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ media_type: 'REELS', video_url: 'https://cdn/v.mp4', share_to_feed: true });
+  });
+
+  it('builds a carousel from one child container per item', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'child-1' } })
+      .mockResolvedValueOnce({ data: { id: 'child-2' } })
+      .mockResolvedValueOnce({ data: { id: 'carousel-1' } })
+      .mockResolvedValueOnce({ data: { id: 'media-1' } });
+
+    await instagramService.post('ig-1', 'page-token', {
+      caption: 'Both',
+      locationId: 'loc-1',
+      media: [{ type: 'image', url: 'https://cdn/a.png' }, { type: 'video', url: 'https://cdn/v.mp4' }]
+    });
+
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ image_url: 'https://cdn/a.png', is_carousel_item: true });
+    expect(axios.post.mock.calls[1][1]).toMatchObject({ media_type: 'VIDEO', video_url: 'https://cdn/v.mp4', is_carousel_item: true });
+    expect(axios.post.mock.calls[2][1]).toMatchObject({
+      media_type: 'CAROUSEL',
+      children: 'child-1,child-2',
+      caption: 'Both',
+      location_id: 'loc-1'
+    });
+    expect(axios.post.mock.calls[3][1].creation_id).toBe('carousel-1');
+  });
+
+  it.each([
+    ['no media', []],
+    ['more than ten items', Array.from({ length: 11 }, (_, i) => ({ type: 'image', url: `https://cdn/${i}.png` }))]
+  ])('rejects a post with %s before calling the API', async (_case, media) => {
+    const result = await instagramService.post('ig-1', 'page-token', { media });
+
+    expect(result).toMatchObject({ success: false, code: 'INVALID_CONTENT' });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('does not publish media Instagram failed to process', async () => {
+    axios.post.mockResolvedValueOnce({ data: { id: 'container-1' } });
+    axios.get.mockResolvedValue({ data: { status_code: 'ERROR', status: 'Unsupported format' } });
+
+    const result = await instagramService.post('ig-1', 'page-token', { media: [{ type: 'image', url: 'https://cdn/a.gif' }] });
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Instagram could not process the media: Unsupported format',
+      code: 'INVALID_CONTENT'
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a published post without a permalink as a success', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'container-1' } })
+      .mockResolvedValueOnce({ data: { id: 'media-1' } });
+    axios.get
+      .mockResolvedValueOnce({ data: { status_code: 'FINISHED' } })
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    const result = await instagramService.post('ig-1', 'page-token', { media: [{ type: 'image', url: 'https://cdn/a.png' }] });
+
+    expect(result).toEqual({ success: true, media_id: 'media-1', post_id: 'media-1', url: null });
+  });
+});
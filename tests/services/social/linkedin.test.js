@@ -0,0 +1,104 @@
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn(), put: jest.fn() }));
+
+const axios = require('axios');
+const linkedinService = require('../../../src/services/social/linkedin');
+
+const registerResponse = (asset) => ({
+  data: {
+    value: {
+      asset,
+      uploadMechanism: {
+        'com.linkedin.digitalmedia.uploadMechanism.MediaUploadHttpRequest': { uploadUrl: `https://upload.example/${asset}` }
+      }
+    }
+  }
+});
+
+describe('linkedinService.post', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('publishes a text share as the member and returns the post URN', async () => {
+    axios.post.mockResolvedValue({ headers: { 'x-restli-id': 'urn:li:share:1' }, data: {} });
+
+    const result = await linkedinService.post('token', { memberId: 'abc', text: 'Hello', visibility: 'connections' });
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe(`${linkedinService.apiBase}/ugcPosts`);
+    expect(body.author).toBe('urn:li:person:abc');
+    expect(body.specificContent['com.linkedin.ugc.ShareContent']).toEqual({
+      shareCommentary: { text: 'Hello' },
+      shareMediaCategory: 'NONE'
+    });
+    expect(body.visibility['com.linkedin.ugc.MemberNetworkVisibility']).toBe('CONNECTIONS');
+    expect(options.headers.Authorization).toBe('Bearer token');
+    expect(result).toEqual({
+      success: true,
+      post_id: 'urn:li:share:1',
+      url: 'https://www.linkedin.com/feed/update/urn:li:share:1',
+      media_category: 'NONE'
+    });
+  });
+
+  it('uploads each image before sharing it', async () => {
+    axios.post
+      .mockResolvedValueOnce(registerResponse('urn:li:digitalmediaAsset:1'))
+      .mockResolvedValueOnce({ headers: { 'x-restli-id': 'urn:li:share:2' }, data: {} });
+    axios.put.mockResolvedValue({});
+    const buffer = Buffer.from('image');
+
+    const result = await linkedinService.post('token', {
+      memberId: 'abc',
+      text: 'Look',
+      images: [{ buffer, mimeType: 'image/png', title: 'Chart' }]
+    });
+
+    expect(axios.put).toHaveBeenCalledWith(
+      'https://upload.example/urn:li:digitalmediaAsset:1',
+      buffer,
+      expect.objectContaining({ headers: expect.objectContaining({ 'Content-Type': 'image/png' }) })
+    );
+    const shareContent = axios.post.mock.calls[1][1].specificContent['com.linkedin.ugc.ShareContent'];
+    expect(shareContent.shareMediaCategory).toBe('IMAGE');
+    expect(shareContent.media).toEqual([{ status: 'READY', media: 'urn:li:digitalmediaAsset:1', title: { text: 'Chart' } }]);
+    expect(result.media_category).toBe('IMAGE');
+  });
+
+  it('shares an article link', async () => {
+    axios.post.mockResolvedValue({ headers: {}, data: { id: 'urn:li:share:3' } });
+
+    const result = await linkedinService.post('token', {
+      memberId: 'abc',
+      text: 'Read this',
+      article: { url: 'https://example.com/a', title: 'A' }
+    });
+
+    const shareContent = axios.post.mock.calls[0][1].specificContent['com.linkedin.ugc.ShareContent'];
+    expect(shareContent.shareMediaCategory).toBe('ARTICLE');
+    expect(shareContent.media[0]).toEqual({ status: 'READY', originalUrl: 'https://example.com/a', title: { text: 'A' } });
+    expect(result.post_id).toBe('urn:li:share:3');
+  });
+
+  it('stops without sharing when an image upload fails', async () => {
+    axios.post.mockRejectedValue({ response: { status: 401, data: { message: 'Invalid token' } } });
+
+    const result = await linkedinService.post('token', {
+      memberId: 'abc',
+      images: [{ buffer: Buffer.from('image'), mimeType: 'image/png' }]
+    });
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ success: false, error: 'Invalid token', statusCode: 401 });
+  });
+
+  it('returns the API error status so the dispatcher can classify it', async () => {
+    axios.post.mockRejectedValue({ response: { status: 429, data: { message: 'Throttled' } } });
+
+    const result = await linkedinService.post('token', { memberId: 'abc', text: 'Hello' });
+
+    expect(result).toEqual({ success: false, error: 'Throttled', statusCode: 429, code: undefined });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../../../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/notifier/email', () => ({ sendReconnectAccountEmail: jest.fn() }));
+jest.mock('../../../src/services/social/twitter', () => ({ refreshToken: jest.fn() }));
+jest.mock('../../../src/services/social/youtube', () => ({ refreshToken: jest.fn() }));
+jest.mock('../../../src/services/social/linkedin', () => ({ refreshToken: jest.fn() }));
+
+const User = require('../../../src/models/User');
+const emailService = require('../../../src/services/notifier/email');
+const twitterService = require('../../../src/services/social/twitter');
+const logger = require('../../../src/utils/logger');
+const tokenManager = require('../../../src/services/social/tokenManager');
+const { SOCIAL_ACCOUNT_STATUS } = require('../../../src/utils/constants');
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const twitterUser = (account = {}) => ({
+  _id: 'user-1',
+  email: 'owner@example.com',
+  socialAccounts: {
+    twitter: { accessToken: 'old-access', refreshToken: 'refresh-1', expiresAt: new Date(Date.now() - 1000), ...account }
+  }
+});
+
+// User.findById(...).select(...) resolving to the given users in turn
+const findByIdReturns = (...users) => {
+  users.forEach(user => User.findById.mockReturnValueOnce({ select: () => Promise.resolve(user) }));
+};
+
+describe('tokenManager', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('getAccessToken', () => {
+    it('returns a token that is not about to expire without refreshing it', async () => {
+      const result = await tokenManager.getAccessToken(twitterUser({ expiresAt: inOneHour() }), 'twitter');
+
+      expect(result).toEqual({ success: true, accessToken: 'old-access' });
+      expect(twitterService.refreshToken).not.toHaveBeenCalled();
+    });
+
+    it('refuses an account that needs to be reconnected', async () => {
+      const user = twitterUser({ status: SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result.code).toBe('AUTH_REFRESH_FAILED');
+    });
+
+    it('refreshes an expired token and stores the rotated refresh token', async () => {
+      const user = twitterUser();
+      findByIdReturns(user);
+      twitterService.refreshToken.mockResolvedValue({ success: true, access_token: 'new-access', refresh_token: 'refresh-2', expires_in: 7200 });
+      User.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result).toEqual({ success: true, accessToken: 'new-access' });
+      expect(twitterService.refreshToken).toHaveBeenCalledWith('refresh-1');
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'user-1', 'socialAccounts.twitter.expiresAt': user.socialAccounts.twitter.expiresAt });
+      expect(update.$set).toMatchObject({
+        'socialAccounts.twitter.accessToken': 'new-access',
+        'socialAccounts.twitter.refreshToken': 'refresh-2'
+      });
+      expect(update.$set['socialAccounts.twitter.expiresAt']).toBeInstanceOf(Date);
+    });
+
+    it('shares one refresh between concurrent callers', async () => {
+      const user = twitterUser();
+      findByIdReturns(user);
+      twitterService.refreshToken.mockResolvedValue({ success: true, access_token: 'new-access' });
+      User.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const results = await Promise.all([
+        tokenManager.getAccessToken(user, 'twitter'),
+        tokenManager.getAccessToken(user, 'twitter')
+      ]);
+
+      expect(twitterService.refreshToken).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.accessToken)).toEqual(['new-access', 'new-access']);
+    });
+
+    it('flags the account and emails the owner when the refresh token is rejected', async () => {
+      const user = twitterUser();
+      findByIdReturns(user, user);
+      twitterService.refreshToken.mockResolvedValue({ success: false, error: 'invalid_grant', statusCode: 400 });
+      User.findOneAndUpdate.mockResolvedValue({ _id: 'user-1', email: 'owner@example.com' });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result).toMatchObject({ success: false, code: 'AUTH_REFRESH_FAILED', statusCode: 400 });
+      expect(User.findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+        'socialAccounts.twitter.status': SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH,
+        'socialAccounts.twitter.statusReason': 'invalid_grant'
+      });
+      expect(emailService.sendReconnectAccountEmail).toHaveBeenCalledWith('owner@example.com', expect.objectContaining({ platform: 'Twitter' }));
+    });
+
+    it('uses the token another instance stored when the refresh token was rotated meanwhile', async () => {
+      const user = twitterUser();
+      findByIdReturns(user, twitterUser({ accessToken: 'their-access', refreshToken: 'refresh-2' }));
+      twitterService.refreshToken.mockResolvedValue({ success: false, error: 'invalid_grant', statusCode: 400 });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result).toEqual({ success: true, accessToken: 'their-access' });
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('uses the stored token when the account was reconnected during the refresh', async () => {
+      const user = twitterUser();
+      findByIdReturns(user, twitterUser({ accessToken: 'reconnected-access', expiresAt: inOneHour() }));
+      twitterService.refreshToken.mockResolvedValue({ success: true, access_token: 'new-access' });
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result).toEqual({ success: true, accessToken: 'reconnected-access' });
+    });
+
+    it('fails when the account was disconnected during the refresh', async () => {
+      const user = twitterUser();
+      findByIdReturns(user, { _id: 'user-1', socialAccounts: {} });
+      twitterService.refreshToken.mockResolvedValue({ success: true, access_token: 'new-access' });
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result).toMatchObject({ success: false, code: 'ACCOUNT_NOT_CONNECTED' });
+    });
+
+    it('keeps the account usable when the platform fails temporarily', async () => {
+      const user = twitterUser();
+      findByIdReturns(user, user);
+      twitterService.refreshToken.mockResolvedValue({ success: false, error: 'Service Unavailable', statusCode: 503 });
+
+      const result = await tokenManager.getAccessToken(user, 'twitter');
+
+      expect(result).toMatchObject({ success: false, statusCode: 503 });
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withFreshToken', () => {
+    it('refreshes and retries once when the token is rejected', async () => {
+      const user = twitterUser({ expiresAt: inOneHour() });
+      findByIdReturns(user);
+      twitterService.refreshToken.mockResolvedValue({ success: true, access_token: 'new-access' });
+      User.updateOne.mockResolvedValue({ matchedCount: 1 });
+      const publish = jest.fn()
+        .mockResolvedValueOnce({ success: false, statusCode: 401 })
+        .mockResolvedValueOnce({ success: true, tweet_id: 't1' });
+
+      const result = await tokenManager.withFreshToken(user, 'twitter', publish);
+
+      expect(publish.mock.calls).toEqual([['old-access'], ['new-access']]);
+      expect(result).toEqual({ success: true, tweet_id: 't1' });
+    });
+
+    it('does not retry other failures', async () => {
+      const publish = jest.fn().mockResolvedValue({ success: false, statusCode: 403 });
+
+      const result = await tokenManager.withFreshToken(twitterUser({ expiresAt: inOneHour() }), 'twitter', publish);
+
+      expect(publish).toHaveBeenCalledTimes(1);
+      expect(result.statusCode).toBe(403);
+    });
+  });
+
+  describe('markNeedsReauth', () => {
+    it('does not email again for an account that is already flagged', async () => {
+      User.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await tokenManager.markNeedsReauth('user-1', 'linkedin', 'expired')).toBe(false);
+      expect(User.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: 'user-1',
+        'socialAccounts.linkedin.accessToken': { $exists: true },
+        'socialAccounts.linkedin.status': { $ne: SOCIAL_ACCOUNT_STATUS.NEEDS_REAUTH }
+      });
+      expect(emailService.sendReconnectAccountEmail).not.toHaveBeenCalled();
+    });
+  });
+});
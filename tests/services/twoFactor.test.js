@@ -0,0 +1,104 @@
+jest.mock('../../src/models/User', () => ({ updateOne: jest.fn() }));
+jest.mock('../../src/models/Setting', () => ({ getValue: jest.fn(), setValue: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({
+  isConnected: false,
+  get: jest.fn(),
+  incrBy: jest.fn(),
+  del: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const redisClient = require('../../src/config/redis');
+const twoFactor = require('../../src/services/twoFactor');
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('twoFactor codes', () => {
+  it('round-trips secrets through base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    expect(twoFactor.base32Encode(bytes)).toBe(RFC_SECRET);
+    expect(twoFactor.base32Decode(RFC_SECRET)).toEqual(bytes);
+  });
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924']
+  ])('matches the RFC 6238 SHA-1 vector at %i seconds', (seconds, code) => {
+    expect(twoFactor.generateCode(RFC_SECRET, twoFactor.getStep(seconds * 1000))).toBe(code);
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    const now = 1111111109 * 1000;
+    const step = twoFactor.getStep(now);
+
+    expect(twoFactor.matchCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+    expect(twoFactor.matchCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+    expect(twoFactor.matchCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(twoFactor.matchCode(RFC_SECRET, '12345')).toBeNull();
+    expect(twoFactor.matchCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(twoFactor.matchCode(null, '123456')).toBeNull();
+  });
+});
+
+describe('twoFactor recovery codes', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('generates ten distinct codes stored only as hashes', () => {
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}(-[0-9a-f]{4}){3}$/));
+    expect(hashes).toEqual(codes.map(code => ({ hash: twoFactor.hashRecoveryCode(code) })));
+    expect(JSON.stringify(hashes)).not.toContain(codes[0]);
+  });
+
+  it('hashes codes regardless of case, spaces and dashes', () => {
+    expect(twoFactor.hashRecoveryCode(' ABCD-1234 ef56-7890 ')).toBe(twoFactor.hashRecoveryCode('abcd1234ef567890'));
+  });
+
+  it('accepts an unused recovery code once', async () => {
+    const user = { _id: 'user-1' };
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await twoFactor.verify(user, { recovery_code: 'abcd-1234-ef56-7890' })).toBe('recovery');
+    expect(await twoFactor.verify(user, { recovery_code: 'abcd-1234-ef56-7890' })).toBeNull();
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter['twoFactor.recovery_codes'].$elemMatch).toEqual({
+      hash: twoFactor.hashRecoveryCode('abcd1234ef567890'),
+      used_at: null
+    });
+    expect(update.$set['twoFactor.recovery_codes.$.used_at']).toBeInstanceOf(Date);
+  });
+
+  it('accepts each authenticator code only once', async () => {
+    const secret = twoFactor.generateSecret();
+    const user = { _id: 'user-1', twoFactor: { secret } };
+    const code = twoFactor.generateCode(secret, twoFactor.getStep());
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await twoFactor.verify(user, { code })).toBe('totp');
+    expect(await twoFactor.verify(user, { code })).toBeNull();
+  });
+});
+
+describe('twoFactor lockout without Redis', () => {
+  beforeEach(() => redisClient.incrBy.mockResolvedValue(null));
+
+  it('locks a user after five wrong codes', async () => {
+    for (let i = 0; i < 4; i++) await twoFactor.recordFailure('user-2');
+    expect(await twoFactor.isLocked('user-2')).toBe(false);
+
+    await twoFactor.recordFailure('user-2');
+    expect(await twoFactor.isLocked('user-2')).toBe(true);
+
+    await twoFactor.clearFailures('user-2');
+    expect(await twoFactor.isLocked('user-2')).toBe(false);
+  });
+});
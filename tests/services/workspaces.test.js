@@ -0,0 +1,98 @@
+jest.mock('../../src/models/Workspace', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+
+const Workspace = require('../../src/models/Workspace');
+const User = require('../../src/models/User');
+const workspaces = require('../../src/services/workspaces');
+const { WORKSPACE_PERMISSIONS } = require('../../src/utils/constants');
+
+const OWNER = '64b000000000000000000001';
+const EDITOR = '64b000000000000000000002';
+const VIEWER = '64b000000000000000000003';
+const OUTSIDER = '64b000000000000000000004';
+const WORKSPACE = '64b0000000000000000000aa';
+
+const workspace = {
+  _id: WORKSPACE,
+  owner_id: OWNER,
+  members: [
+    { user_id: OWNER, role: 'owner' },
+    { user_id: EDITOR, role: 'editor' },
+    { user_id: VIEWER, role: 'viewer' }
+  ]
+};
+
+const user = (id, role = 'brand') => ({ _id: id, role });
+
+describe('workspaces permissions', () => {
+  it.each([
+    ['owner', WORKSPACE_PERMISSIONS.MANAGE, true],
+    ['admin', WORKSPACE_PERMISSIONS.APPROVE, true],
+    ['editor', WORKSPACE_PERMISSIONS.EDIT, true],
+    ['editor', WORKSPACE_PERMISSIONS.APPROVE, false],
+    ['approver', WORKSPACE_PERMISSIONS.APPROVE, true],
+    ['approver', WORKSPACE_PERMISSIONS.EDIT, false],
+    ['viewer', WORKSPACE_PERMISSIONS.EDIT, false],
+    ['viewer', undefined, true],
+    [null, undefined, false]
+  ])('%s may %s: %s', (role, permission, allowed) => {
+    expect(workspaces.can(role, permission)).toBe(allowed);
+  });
+
+  it('finds a member role by id', () => {
+    expect(workspaces.getRole(workspace, EDITOR)).toBe('editor');
+    expect(workspaces.getRole(workspace, { _id: VIEWER })).toBe('viewer');
+    expect(workspaces.getRole(workspace, OUTSIDER)).toBeNull();
+    expect(workspaces.getRole(null, OWNER)).toBeNull();
+  });
+});
+
+describe('workspaces access checks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Workspace.findById.mockReturnValue({ select: () => Promise.resolve(workspace) });
+  });
+
+  it('limits personal campaigns to their brand and admins', async () => {
+    const campaign = { brand_id: OWNER };
+
+    expect(await workspaces.canAccessCampaign(user(OWNER), campaign)).toBe(true);
+    expect(await workspaces.canAccessCampaign(user(EDITOR), campaign)).toBe(false);
+    expect(await workspaces.canAccessCampaign(user(OUTSIDER, 'admin'), campaign)).toBe(true);
+    expect(Workspace.findById).not.toHaveBeenCalled();
+  });
+
+  it('checks workspace campaigns against the member role', async () => {
+    const campaign = { brand_id: OWNER, workspace_id: WORKSPACE };
+
+    expect(await workspaces.canAccessCampaign(user(VIEWER), campaign)).toBe(true);
+    expect(await workspaces.canAccessCampaign(user(VIEWER), campaign, WORKSPACE_PERMISSIONS.EDIT)).toBe(false);
+    expect(await workspaces.canAccessCampaign(user(EDITOR), campaign, WORKSPACE_PERMISSIONS.EDIT)).toBe(true);
+    expect(await workspaces.canAccessCampaign(user(OUTSIDER), campaign)).toBe(false);
+  });
+
+  it('checks posts like campaigns, by author or workspace role', async () => {
+    expect(await workspaces.canAccessPost(user(EDITOR, 'creator'), { author: EDITOR })).toBe(true);
+    expect(await workspaces.canAccessPost(user(OUTSIDER, 'creator'), { author: EDITOR })).toBe(false);
+
+    const post = { author: EDITOR, workspace_id: WORKSPACE };
+    expect(await workspaces.canAccessPost(user(VIEWER), post)).toBe(true);
+    expect(await workspaces.canAccessPost(user(VIEWER), post, WORKSPACE_PERMISSIONS.APPROVE)).toBe(false);
+    expect(await workspaces.canAccessPost(user(OUTSIDER), post)).toBe(false);
+  });
+
+  it('scopes content to the active workspace or the personal space', () => {
+    expect(workspaces.contentScope({ workspace, userId: EDITOR })).toEqual({ workspace_id: WORKSPACE });
+    expect(workspaces.contentScope({ userId: EDITOR })).toEqual({ author: EDITOR, workspace_id: null });
+  });
+
+  it('publishes workspace posts through the owner account', async () => {
+    User.findById.mockImplementation(id => Promise.resolve({ _id: id }));
+
+    expect(await workspaces.getAccountHolder({ author: EDITOR, workspace_id: WORKSPACE })).toEqual({ _id: OWNER });
+    expect(await workspaces.getAccountHolder({ author: EDITOR })).toEqual({ _id: EDITOR });
+
+    Workspace.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+    expect(await workspaces.getAccountHolder({ author: EDITOR, workspace_id: WORKSPACE })).toBeNull();
+  });
+});
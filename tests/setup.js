@@ -0,0 +1,10 @@
+// tests/setup.js
+// Environment for the unit tests; nothing here connects to MongoDB or Redis.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  MONGODB_URI: 'mongodb://localhost:27017/bloocube-test',
+  REDIS_URL: 'redis://localhost:6379',
+  JWT_SECRET: 'test-jwt-secret',
+  JWT_REFRESH_SECRET: 'test-jwt-refresh-secret'
+});
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Load utils/crypto with the given TOKEN_ENCRYPTION_KEYS; the keyring is cached per module instance
+const loadCrypto = (keys) => {
+  let module;
+  const previous = process.env.TOKEN_ENCRYPTION_KEYS;
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  jest.isolateModules(() => {
+    module = require('../../src/utils/crypto');
+  });
+  process.env.TOKEN_ENCRYPTION_KEYS = previous === undefined ? '' : previous;
+  return module;
+};
+
+const hexKey = () => crypto.randomBytes(32).toString('hex');
+
+describe('utils/crypto', () => {
+  it('round-trips a value under the primary key', () => {
+    const { encrypt, decrypt, isEncrypted } = loadCrypto(`k1:${hexKey()}`);
+
+    const ciphertext = encrypt('secret-token');
+
+    expect(ciphertext).toMatch(/^enc:k1:/);
+    expect(isEncrypted(ciphertext)).toBe(true);
+    expect(ciphertext).not.toContain('secret-token');
+    expect(decrypt(ciphertext)).toBe('secret-token');
+  });
+
+  it('uses a fresh IV for every value', () => {
+    const { encrypt } = loadCrypto(`k1:${hexKey()}`);
+
+    expect(encrypt('same')).not.toBe(encrypt('same'));
+  });
+
+  it('returns plaintext written before encryption unchanged', () => {
+    const { decrypt } = loadCrypto(`k1:${hexKey()}`);
+
+    expect(decrypt('legacy-token')).toBe('legacy-token');
+  });
+
+  it('decrypts with a retired key and flags the value for re-encryption', () => {
+    const oldKey = crypto.randomBytes(32).toString('base64');
+    const before = loadCrypto(`old:${oldKey}`);
+    const after = loadCrypto(`new:${hexKey()},old:${oldKey}`);
+
+    const ciphertext = before.encrypt('secret-token');
+
+    expect(after.decrypt(ciphertext)).toBe('secret-token');
+    expect(after.needsReencryption(ciphertext)).toBe(true);
+    expect(after.needsReencryption(after.encrypt('secret-token'))).toBe(false);
+    expect(after.needsReencryption('plaintext')).toBe(true);
+    expect(after.needsReencryption('')).toBe(false);
+  });
+
+  it('rejects ciphertext that was tampered with', () => {
+    const { encrypt, decrypt } = loadCrypto(`k1:${hexKey()}`);
+    const parts = encrypt('secret-token').split(':');
+    parts[4] = Buffer.from('forged').toString('base64');
+
+    expect(() => decrypt(parts.join(':'))).toThrow();
+  });
+
+  it('rejects malformed keys', () => {
+    expect(() => loadCrypto('no-separator').encrypt('x')).toThrow('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key>');
+    expect(() => loadCrypto('short:abcd').encrypt('x')).toThrow('Encryption key "short" must be 32 bytes');
+  });
+
+  describe('encryptedString', () => {
+    it('encrypts on write and reads undecryptable values as missing', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const { encryptedString, isEncrypted } = loadCrypto(`k1:${hexKey()}`);
+      const { set, get } = encryptedString();
+
+      const stored = set('secret-token');
+
+      expect(isEncrypted(stored)).toBe(true);
+      expect(set(stored)).toBe(stored);
+      expect(get(stored)).toBe('secret-token');
+      expect(get('enc:gone:a:b:c')).toBeUndefined();
+      jest.restoreAllMocks();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const logger = require('../../src/utils/logger');
+
+describe('logger', () => {
+  let entries;
+  let transport;
+
+  beforeEach(() => {
+    // Keep the development console transport quiet
+    logger.transports.forEach(t => { t.silent = t instanceof winston.transports.Console; });
+    entries = [];
+    transport = new winston.transports.Stream({
+      stream: new Writable({
+        objectMode: true,
+        write(info, encoding, callback) {
+          entries.push(info);
+          callback();
+        }
+      })
+    });
+    logger.add(transport);
+  });
+  afterEach(() => {
+    logger.remove(transport);
+    logger.transports.forEach(t => { t.silent = false; });
+  });
+
+  it('redacts credentials in metadata', () => {
+    logger.error('Token exchange failed', null, {
+      accessToken: 'abc',
+      nested: { refresh_token: 'def', client_secret: 'ghi', platform: 'twitter' },
+      headers: [{ Authorization: 'Bearer xyz' }]
+    });
+
+    const [entry] = entries;
+    expect(entry.accessToken).toBe('[REDACTED]');
+    expect(entry.nested).toEqual({ refresh_token: '[REDACTED]', client_secret: '[REDACTED]', platform: 'twitter' });
+    expect(entry.headers).toEqual([{ Authorization: '[REDACTED]' }]);
+  });
+
+  it('redacts credentials embedded in URLs', () => {
+    logger.error('Graph API call failed', null, {
+      url: 'https://graph.facebook.com/me?fields=id&access_token=EAAB123&code=xyz'
+    });
+
+    expect(entries[0].url).toBe('https://graph.facebook.com/me?fields=id&access_token=[REDACTED]&code=[REDACTED]');
+  });
+
+  it('keeps error details while redacting them', () => {
+    const error = new Error('Request failed: refresh_token=abc rejected');
+
+    logger.error('Refresh failed', error, { userId: 'user-1' });
+
+    const [entry] = entries;
+    expect(entry.userId).toBe('user-1');
+    expect(entry.name).toBe('Error');
+    expect(entry.stack).toContain('refresh_token=[REDACTED]');
+    expect(JSON.stringify(entry)).not.toContain('refresh_token=abc');
+  });
+});
@@ -0,0 +1,87 @@
+const dns = require('dns');
+const { isPrivateAddress, isPrivateHost, publicLookup } = require('../../src/utils/network');
+
+describe('network.isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.31.255.255',
+    '192.168.0.10',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd12:3456::1',
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '[::ffff:10.0.0.1]',
+    '64:ff9b::a9fe:a9fe',
+    'not-an-ip'
+  ])('blocks %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('network.isPrivateHost', () => {
+  // URL parsing normalizes decimal, octal and hex IPv4 forms before the check
+  it.each([
+    'http://localhost/',
+    'http://api.localhost/',
+    'http://2130706433/',
+    'http://0177.0.0.1/',
+    'http://0x7f.1/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::1]:8080/'
+  ])('blocks %s', (url) => {
+    expect(isPrivateHost(new URL(url).hostname)).toBe(true);
+  });
+
+  it('leaves host names to be checked when they are resolved', () => {
+    expect(isPrivateHost('hooks.example.com')).toBe(false);
+  });
+});
+
+describe('network.publicLookup', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const mockResolve = (addresses) => jest.spyOn(dns, 'lookup')
+    .mockImplementation((hostname, options, callback) => callback(null, addresses));
+
+  it('passes public addresses through', (done) => {
+    mockResolve([{ address: '93.184.216.34', family: 4 }]);
+
+    publicLookup('hooks.example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe('93.184.216.34');
+      expect(family).toBe(4);
+      done();
+    });
+  });
+
+  it('returns every address when asked for all', (done) => {
+    const addresses = [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800::1', family: 6 }];
+    mockResolve(addresses);
+
+    publicLookup('hooks.example.com', { all: true }, (error, result) => {
+      expect(error).toBeNull();
+      expect(result).toEqual(addresses);
+      done();
+    });
+  });
+
+  it('fails when any resolved address is private', (done) => {
+    mockResolve([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+    publicLookup('rebind.example.com', (error) => {
+      expect(error.code).toBe('EADDRNOTPUBLIC');
+      done();
+    });
+  });
+});
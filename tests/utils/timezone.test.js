@@ -0,0 +1,25 @@
+const { isValidTimezone, getZonedParts, zonedTimeToUtc } = require('../../src/utils/timezone');
+
+describe('utils/timezone', () => {
+  it('accepts IANA names only', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+
+  it('reads local calendar fields with Monday as weekday 0', () => {
+    // Sunday 23:30 UTC is already Monday in Kolkata
+    expect(getZonedParts(new Date('2026-03-01T23:30:00Z'), 'Asia/Kolkata')).toEqual({
+      year: 2026, month: 3, day: 2, hour: 5, minute: 0, second: 0, weekday: 0
+    });
+  });
+
+  it('converts local wall-clock time to UTC on both sides of a DST change', () => {
+    // Berlin moves from UTC+1 to UTC+2 on 29 March 2026
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 28, hour: 9 }, 'Europe/Berlin').toISOString()).toBe('2026-03-28T08:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 30, hour: 9 }, 'Europe/Berlin').toISOString()).toBe('2026-03-30T07:00:00.000Z');
+  });
+
+  it('rolls over out-of-range fields like Date.UTC', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 13, day: 0 }, 'UTC').toISOString()).toBe('2026-12-31T00:00:00.000Z');
+  });
+});